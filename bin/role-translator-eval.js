@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+/**
+ * 职能沟通翻译助手 - 离线评测
+ * 在一组或两组（基线 / 候选）提示词版本与模型配置下运行评测数据集，输出检查结果与对比报告；
+ * 候选配置出现退步时以非零退出码结束，可在 CI 中拦截提示词改动
+ *
+ * 用法：role-translator-eval [数据集] [选项]，运行 role-translator-eval --help 查看说明
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+// 先读取当前目录的 .env，再读取项目目录的 .env（已存在的变量不会被覆盖）
+require('dotenv').config();
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+// 日志只写文件，避免混入标准输出
+process.env.LOG_CONSOLE = 'false';
+// 评测衡量提示词本身的输出，不做章节修复
+process.env.SECTION_REPAIR = 'false';
+
+const promptRegistry = require('../server/prompts/prompt-registry');
+const { modelRouter } = require('../server/llm/model-router');
+const { loadDataset } = require('../server/eval/dataset');
+const { runEvaluation } = require('../server/eval/runner');
+const { createJudge, DEFAULT_RUBRIC } = require('../server/eval/judge');
+const { summarize, compareRuns, summaryToMarkdown, comparisonToMarkdown } = require('../server/eval/report');
+
+// 退出码
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const DEFAULT_DATASET = path.join(__dirname, '../server/eval/datasets/golden.json');
+
+const USAGE = `用法：role-translator-eval [数据集] [选项]
+
+数据集缺省为 server/eval/datasets/golden.json。只指定基线时输出单次评测报告；
+指定了候选的提示词版本或模型时，两组配置各跑一遍并输出对比报告。
+
+选项：
+      --baseline-prompt <版本>   基线的提示词模板版本目录（默认当前生效的版本）
+      --baseline-model <模型>    基线的模型（默认按环境变量配置）
+      --candidate-prompt <版本>  候选的提示词模板版本目录
+      --candidate-model <模型>   候选的模型
+      --case <ID>                只运行指定用例，可重复指定
+      --judge                    启用 LLM 评审打分
+      --judge-model <模型>       评审使用的模型（默认按环境变量配置）
+      --min-pass-rate <比例>     通过率低于该值（0-1）时失败
+      --max-judge-drop <比例>    候选评审得分比基线下降超过该值（0-1）时失败
+      --allow-regressions        候选有用例从通过变为不通过时不失败
+      --json                     输出 JSON（含每个用例的结果），不输出 Markdown
+  -o, --out <路径>               报告同时写入文件（按 --json 决定格式）
+  -h, --help                     显示帮助
+
+示例：
+  role-translator-eval --candidate-prompt v2
+  role-translator-eval --candidate-model gpt-4o-mini --judge --max-judge-drop 0.05
+  role-translator-eval my-cases.json --case pm-login --json`;
+
+/**
+ * 用法错误：输出到标准错误并以退出码 2 结束
+ */
+class UsageError extends Error {}
+
+function parseOptions(argv) {
+  try {
+    return parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        'baseline-prompt': { type: 'string' },
+        'baseline-model': { type: 'string' },
+        'candidate-prompt': { type: 'string' },
+        'candidate-model': { type: 'string' },
+        case: { type: 'string', multiple: true },
+        judge: { type: 'boolean' },
+        'judge-model': { type: 'string' },
+        'min-pass-rate': { type: 'string' },
+        'max-judge-drop': { type: 'string' },
+        'allow-regressions': { type: 'boolean' },
+        json: { type: 'boolean' },
+        out: { type: 'string', short: 'o' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+/**
+ * 解析 0-1 之间的比例参数
+ */
+function parseRatio(value, name) {
+  if (value === undefined) {
+    return null;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || number > 1) {
+    throw new UsageError(`--${name} 必须是 0-1 之间的数字`);
+  }
+  return number;
+}
+
+function checkPromptVersion(version, name) {
+  if (!version) {
+    return;
+  }
+  try {
+    promptRegistry.getVersion(version);
+  } catch (error) {
+    throw new UsageError(`--${name} 指定的提示词版本不可用：${error.message}`);
+  }
+}
+
+function checkEnv() {
+  const missing = ['LLM_API_KEY', 'LLM_API_BASE_URL', 'LLM_MODEL'].filter(name => !process.env[name]);
+  if (missing.length > 0) {
+    throw new UsageError(`未配置 ${missing.join('、')}，请在 .env 或环境变量中设置`);
+  }
+}
+
+/**
+ * 运行进度输出到标准错误
+ */
+function progress(label) {
+  return (item, index, total) => {
+    const status = item.error ? `出错：${item.error}` : (item.passed ? '通过' : '未通过');
+    let score = '';
+    if (item.judge) {
+      score = item.judge.error ? ` · 评审出错：${item.judge.error}` : ` · 评审 ${(item.judge.score * 100).toFixed(0)}%`;
+    }
+    process.stderr.write(`[${label} ${index + 1}/${total}] ${item.id} ${status}${score}\n`);
+  };
+}
+
+async function main(argv) {
+  const { values, positionals } = parseOptions(argv);
+
+  if (values.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return;
+  }
+  if (positionals.length > 1) {
+    throw new UsageError(`只能指定一个数据集\n\n${USAGE}`);
+  }
+
+  let dataset;
+  try {
+    dataset = loadDataset(positionals[0] || DEFAULT_DATASET);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  if (values.case) {
+    const unknown = values.case.filter(id => !dataset.cases.some(item => item.id === id));
+    if (unknown.length > 0) {
+      throw new UsageError(`数据集中没有用例：${unknown.join('、')}`);
+    }
+    dataset.cases = dataset.cases.filter(item => values.case.includes(item.id));
+  }
+
+  checkPromptVersion(values['baseline-prompt'], 'baseline-prompt');
+  checkPromptVersion(values['candidate-prompt'], 'candidate-prompt');
+  const minPassRate = parseRatio(values['min-pass-rate'], 'min-pass-rate');
+  const maxJudgeDrop = parseRatio(values['max-judge-drop'], 'max-judge-drop');
+  if (maxJudgeDrop !== null && !values.judge) {
+    throw new UsageError('--max-judge-drop 需要同时指定 --judge');
+  }
+  checkEnv();
+
+  const judge = values.judge
+    ? createJudge({
+      router: values['judge-model'] ? modelRouter.withPrimary({ model: values['judge-model'] }) : modelRouter,
+      rubric: dataset.rubric || DEFAULT_RUBRIC
+    })
+    : null;
+
+  const baselineConfig = { name: 'baseline', promptVersion: values['baseline-prompt'], model: values['baseline-model'] };
+  const compare = !!(values['candidate-prompt'] || values['candidate-model']);
+
+  const baseline = await runEvaluation(dataset, baselineConfig, { judge, onCase: progress('基线') });
+  const failures = [];
+  let output;
+
+  if (!compare) {
+    const summary = summarize(baseline);
+    if (minPassRate !== null && summary.passRate < minPassRate) {
+      failures.push(`通过率 ${summary.passRate} 低于 ${minPassRate}`);
+    }
+    output = values.json
+      ? `${JSON.stringify({ dataset: dataset.name, summary, cases: baseline.cases }, null, 2)}\n`
+      : summaryToMarkdown(baseline);
+  } else {
+    // 候选未指定的一项沿用基线
+    const candidate = await runEvaluation(dataset, {
+      name: 'candidate',
+      promptVersion: values['candidate-prompt'] || values['baseline-prompt'],
+      model: values['candidate-model'] || values['baseline-model']
+    }, { judge, onCase: progress('候选') });
+
+    const comparison = compareRuns(baseline, candidate);
+    if (comparison.regressions.length > 0 && !values['allow-regressions']) {
+      failures.push(`${comparison.regressions.length} 个用例退步：${comparison.regressions.join('、')}`);
+    }
+    if (minPassRate !== null && comparison.candidate.passRate < minPassRate) {
+      failures.push(`候选通过率 ${comparison.candidate.passRate} 低于 ${minPassRate}`);
+    }
+    if (maxJudgeDrop !== null && comparison.delta.judgeScore !== null && -comparison.delta.judgeScore > maxJudgeDrop) {
+      failures.push(`评审得分下降 ${-comparison.delta.judgeScore}，超过 ${maxJudgeDrop}`);
+    }
+    output = values.json
+      ? `${JSON.stringify({ dataset: dataset.name, ...comparison, runs: { baseline: baseline.cases, candidate: candidate.cases } }, null, 2)}\n`
+      : comparisonToMarkdown(comparison);
+  }
+
+  process.stdout.write(output);
+  if (values.out) {
+    fs.writeFileSync(values.out, output, 'utf8');
+  }
+
+  if (failures.length > 0) {
+    throw new Error(`评测未通过：${failures.join('；')}`);
+  }
+}
+
+main(process.argv.slice(2)).catch(error => {
+  process.stderr.write(`错误：${error.message}\n`);
+  process.exitCode = error instanceof UsageError ? EXIT_USAGE : EXIT_FAILED;
+});
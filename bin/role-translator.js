@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+/**
+ * 职能沟通翻译助手 - 命令行客户端
+ * 直接调用 DirectTranslator / InteractiveTranslator，结果输出到标准输出（终端中流式输出）
+ *
+ * 用法：role-translator <方向> [内容] [选项]，运行 role-translator --help 查看说明
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline/promises');
+const { parseArgs } = require('util');
+
+// 先读取当前目录的 .env，再读取项目目录的 .env（已存在的变量不会被覆盖）
+require('dotenv').config();
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+// 日志只写文件，避免混入标准输出
+process.env.LOG_CONSOLE = 'false';
+
+const DirectTranslator = require('../server/translators/direct-translator');
+const InteractiveTranslator = require('../server/translators/interactive-translator');
+const roleRegistry = require('../server/roles/registry');
+const { parseStructuredResult } = require('../server/utils/structured-result');
+const { MAX_CONTENT_LENGTH, TRANSLATION_MODE } = require('../server/utils/constants');
+const { version } = require('../package.json');
+
+// 退出码
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `用法：role-translator <方向> [内容] [选项]
+
+内容可以直接写在参数中，也可以用 -f 指定文件，或通过管道从标准输入读取。
+
+选项：
+  -f, --file <路径>     从文件读取内容，可重复指定；"-" 表示标准输入
+  -i, --interactive     智能补齐：先分析缺失信息并在终端提问，再生成结果
+      --non-interactive 与 -i 一起使用，不提问，全部按默认假设生成（适合 CI）
+  -c, --context <文本>  补充背景（技术栈、流量规模、SLA 等）
+      --json            结束后输出 JSON（按输出结构拆分的章节），不流式输出
+      --no-cache        跳过响应缓存
+  -l, --list            列出可用的翻译方向
+  -h, --help            显示帮助
+  -v, --version         显示版本
+
+示例：
+  role-translator dev-to-pm -f notes.md
+  git log -1 --format=%B | role-translator dev-to-pm
+  role-translator pm-to-dev -i "做一个手机号一键登录"
+  role-translator pm-to-dev -i --non-interactive --json -f prd.md > result.json`;
+
+/**
+ * 用法错误：输出到标准错误并以退出码 2 结束
+ */
+class UsageError extends Error {}
+
+function parseOptions(argv) {
+  try {
+    return parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        file: { type: 'string', short: 'f', multiple: true },
+        interactive: { type: 'boolean', short: 'i' },
+        'non-interactive': { type: 'boolean' },
+        context: { type: 'string', short: 'c' },
+        json: { type: 'boolean' },
+        'no-cache': { type: 'boolean' },
+        list: { type: 'boolean', short: 'l' },
+        help: { type: 'boolean', short: 'h' },
+        version: { type: 'boolean', short: 'v' }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => { data += chunk; });
+    process.stdin.on('end', () => resolve(data));
+    process.stdin.on('error', reject);
+  });
+}
+
+/**
+ * 读取待翻译内容：参数 > 文件 > 标准输入
+ * @returns {Promise<{ content: string, fromStdin: boolean }>}
+ */
+async function readContent(texts, files = []) {
+  if (texts.length > 0) {
+    return { content: texts.join(' ').trim(), fromStdin: false };
+  }
+
+  if (files.length > 0) {
+    const parts = [];
+    for (const file of files) {
+      if (file === '-') {
+        parts.push(await readStdin());
+        continue;
+      }
+      try {
+        parts.push(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        throw new UsageError(`无法读取文件 ${file}：${error.message}`);
+      }
+    }
+    return { content: parts.join('\n\n').trim(), fromStdin: files.includes('-') };
+  }
+
+  if (process.stdin.isTTY) {
+    throw new UsageError('缺少待翻译的内容：请直接写在参数中、用 -f 指定文件，或通过管道输入');
+  }
+  return { content: (await readStdin()).trim(), fromStdin: true };
+}
+
+function checkEnv() {
+  const missing = ['LLM_API_KEY', 'LLM_API_BASE_URL', 'LLM_MODEL'].filter(name => !process.env[name]);
+  if (missing.length > 0) {
+    throw new UsageError(`未配置 ${missing.join('、')}，请在 .env 或环境变量中设置`);
+  }
+}
+
+/**
+ * 在终端逐个提问，回车使用默认假设
+ * @param {object[]} questions - missing_info
+ * @returns {Promise<{ id: string, answer: string }[]>}
+ */
+async function askQuestions(questions) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  const answers = [];
+
+  try {
+    for (const [index, question] of questions.entries()) {
+      const options = question.options || [];
+      process.stderr.write(`\n[${index + 1}/${questions.length}] ${question.question}${question.priority ? ` (${question.priority})` : ''}\n`);
+      if (question.reason) {
+        process.stderr.write(`  原因：${question.reason}\n`);
+      }
+      options.forEach((option, optionIndex) => {
+        process.stderr.write(`  ${optionIndex + 1}) ${option}\n`);
+      });
+      process.stderr.write(`  默认：${question.default_assumption || '（无）'}\n`);
+
+      const input = (await rl.question(options.length > 0 ? '选择编号或输入答案（回车使用默认）：' : '输入答案（回车使用默认）：')).trim();
+      const choice = /^\d+$/.test(input) ? options[Number(input) - 1] : null;
+      answers.push({ id: question.id, answer: choice || input || question.default_assumption || '' });
+    }
+  } finally {
+    rl.close();
+  }
+
+  process.stderr.write('\n');
+  return answers;
+}
+
+function defaultAnswers(questions) {
+  return questions.map(question => ({ id: question.id, answer: question.default_assumption || '' }));
+}
+
+/**
+ * 把回调式的流式接口包装为 Promise
+ */
+function runStream(start) {
+  return new Promise((resolve, reject) => {
+    start((result, meta) => resolve({ result, model: meta.model, conformance: meta.conformance }), reject);
+  });
+}
+
+async function main(argv) {
+  const { values, positionals } = parseOptions(argv);
+
+  if (values.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return;
+  }
+  if (values.version) {
+    process.stdout.write(`${version}\n`);
+    return;
+  }
+  if (values.list) {
+    roleRegistry.list().forEach(pair => {
+      process.stdout.write(`${pair.id.padEnd(20)} ${pair.source.label} → ${pair.target.label}\n`);
+    });
+    return;
+  }
+
+  const [direction, ...texts] = positionals;
+  if (!direction) {
+    throw new UsageError(`缺少翻译方向\n\n${USAGE}`);
+  }
+  if (!roleRegistry.has(direction)) {
+    throw new UsageError(`未知的翻译方向「${direction}」，可选值: ${roleRegistry.ids().join(', ')}`);
+  }
+  if (values['non-interactive'] && !values.interactive) {
+    throw new UsageError('--non-interactive 需要与 -i 一起使用');
+  }
+
+  const { content, fromStdin } = await readContent(texts, values.file);
+  if (!content) {
+    throw new UsageError('待翻译的内容为空');
+  }
+  if (content.length > MAX_CONTENT_LENGTH) {
+    throw new UsageError(`内容过长，请控制在${MAX_CONTENT_LENGTH}字符以内`);
+  }
+
+  checkEnv();
+
+  // 标准输出是终端时边生成边输出；重定向或管道时结束后只输出最终（修复后）的结果
+  const stream = !values.json && process.stdout.isTTY === true;
+  let streamed = '';
+  const onChunk = chunk => {
+    if (stream) {
+      streamed += chunk;
+      process.stdout.write(chunk);
+    }
+  };
+  const bypassCache = values['no-cache'] === true;
+  const context = values.context || '';
+  const output = { direction, mode: values.interactive ? TRANSLATION_MODE.INTERACTIVE : TRANSLATION_MODE.DIRECT };
+
+  if (!values.interactive) {
+    const directTranslator = new DirectTranslator();
+    Object.assign(output, await runStream((onDone, onError) => directTranslator.translateStream(
+      direction, content, onChunk, onDone, onError, { bypassCache, context }
+    )));
+  } else {
+    const interactiveTranslator = new InteractiveTranslator();
+
+    process.stderr.write('正在分析缺失信息…\n');
+    const { result: analysisJson } = await runStream((onDone, onError) => interactiveTranslator.analyzeStream({
+      direction, content, context, bypassCache, onChunk: () => {}, onDone, onError
+    }));
+
+    const questions = analysisJson.missing_info || [];
+    let answers = [];
+    if (questions.length > 0 && !analysisJson.can_proceed_directly) {
+      // 内容来自管道时标准输入已被占用，无法提问
+      if (values['non-interactive'] || fromStdin || !process.stdin.isTTY) {
+        if (!values['non-interactive']) {
+          process.stderr.write('标准输入不是终端，无法提问，全部按默认假设生成\n');
+        }
+        answers = defaultAnswers(questions);
+      } else {
+        answers = await askQuestions(questions);
+      }
+    }
+
+    process.stderr.write('正在生成结果…\n');
+    Object.assign(output, { analysis: analysisJson, answers }, await runStream((onDone, onError) => interactiveTranslator.synthesizeStream({
+      direction,
+      analysisJson,
+      answers,
+      originalText: content,
+      context,
+      onChunk,
+      onDone,
+      onError
+    })));
+  }
+
+  const repaired = !!output.conformance && output.conformance.repaired.length > 0;
+  if (stream) {
+    process.stdout.write(streamed.endsWith('\n') ? '' : '\n');
+  }
+  if (repaired) {
+    process.stderr.write(`已自动修复不符合输出结构的章节：${output.conformance.repaired.join('、')}${stream ? '，以下为修复后的完整结果' : ''}\n`);
+  }
+
+  if (!values.json) {
+    // 流式输出的是修复前的内容，修复后再输出一次完整结果
+    if (!stream || repaired) {
+      process.stdout.write(`${stream ? '\n' : ''}${output.result}${output.result.endsWith('\n') ? '' : '\n'}`);
+    }
+    return;
+  }
+
+  // --json：按输出结构拆分章节，不合格时以失败退出，便于 CI 发现
+  const { data, errors } = parseStructuredResult(output.result, roleRegistry.require(direction).sections);
+  if (errors.length > 0) {
+    throw new Error(`AI 返回的结果不符合输出结构：${errors.slice(0, 3).join('；')}`);
+  }
+
+  process.stdout.write(`${JSON.stringify({
+    direction: output.direction,
+    mode: output.mode,
+    model: output.model,
+    markdown: output.result,
+    result: { direction, ...data },
+    conformance: output.conformance,
+    ...(output.analysis ? { analysis: output.analysis, answers: output.answers } : {})
+  }, null, 2)}\n`);
+}
+
+main(process.argv.slice(2)).catch(error => {
+  process.stderr.write(`错误：${error.message}\n`);
+  process.exitCode = error instanceof UsageError ? EXIT_USAGE : EXIT_FAILED;
+});
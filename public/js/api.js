@@ -3,29 +3,248 @@
  * 处理所有与后端的通信，包括 SSE 流处理
  */
 
+// 登录令牌、当前工作区与所选背景档案保存在 localStorage
+const TOKEN_KEY = 'role-translator.token';
+const WORKSPACE_KEY = 'role-translator.workspace';
+const PROFILE_KEY = 'role-translator.profile';
+
+// 浏览器会话 ID 保存在 sessionStorage，提示词实验按会话分配变体时使用
+const SESSION_KEY = 'role-translator.session';
+
+/**
+ * 当前浏览器会话 ID，首次调用时生成
+ */
+function getSessionId() {
+  let sessionId = sessionStorage.getItem(SESSION_KEY);
+  if (!sessionId) {
+    sessionId = crypto.randomUUID();
+    sessionStorage.setItem(SESSION_KEY, sessionId);
+  }
+  return sessionId;
+}
+
+/**
+ * 带登录令牌与工作区的 fetch
+ * 返回 401 时派发 auth:required 事件，由界面弹出登录框
+ * @param {string} url - 请求地址
+ * @param {object} options - fetch 参数
+ * @returns {Promise<Response>}
+ */
+async function apiFetch(url, options = {}) {
+  const headers = { ...(options.headers || {}) };
+  const token = localStorage.getItem(TOKEN_KEY);
+  const workspace = localStorage.getItem(WORKSPACE_KEY);
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  if (workspace) {
+    headers['X-Workspace'] = workspace;
+  }
+  headers['X-Session-Id'] = getSessionId();
+
+  const response = await fetch(url, { ...options, headers });
+  if (response.status === 401 && url !== '/api/auth/login') {
+    window.dispatchEvent(new CustomEvent('auth:required'));
+  }
+  return response;
+}
+
+/**
+ * 当前工作区（团队 ID），未选择时为 null
+ */
+export function getWorkspace() {
+  return localStorage.getItem(WORKSPACE_KEY);
+}
+
+/**
+ * 切换工作区
+ * @param {string|null} teamId - 团队 ID
+ */
+export function setWorkspace(teamId) {
+  if (teamId) {
+    localStorage.setItem(WORKSPACE_KEY, teamId);
+  } else {
+    localStorage.removeItem(WORKSPACE_KEY);
+  }
+}
+
+/**
+ * 上次选择的背景档案 ID
+ */
+export function getSelectedProfile() {
+  return localStorage.getItem(PROFILE_KEY) || '';
+}
+
+/**
+ * 记住所选的背景档案
+ * @param {string} profileId - 档案 ID，空字符串表示不使用
+ */
+export function setSelectedProfile(profileId) {
+  if (profileId) {
+    localStorage.setItem(PROFILE_KEY, profileId);
+  } else {
+    localStorage.removeItem(PROFILE_KEY);
+  }
+}
+
+/**
+ * 获取当前用户；未启用认证时 user 为 null，未登录时抛出 authRequired 错误
+ * @returns {Promise<{ mode: string, user: object|null, workspace: object|null }>}
+ */
+export async function fetchMe() {
+  const response = await apiFetch('/api/auth/me');
+
+  if (!response.ok) {
+    const error = await requestError(response, '加载账号信息失败');
+    error.authRequired = response.status === 401;
+    // 所选工作区已不可用时回到默认工作区
+    if (response.status === 403 && getWorkspace()) {
+      setWorkspace(null);
+      return fetchMe();
+    }
+    throw error;
+  }
+
+  return response.json();
+}
+
+/**
+ * 账号密码登录，成功后保存登录令牌
+ * @param {string} username - 用户名
+ * @param {string} password - 密码
+ * @returns {Promise<object>} 用户信息
+ */
+export async function login(username, password) {
+  const response = await apiFetch('/api/auth/login', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      username,
+      password
+    })
+  });
+
+  if (!response.ok) {
+    throw await requestError(response, '登录失败');
+  }
+
+  const data = await response.json();
+  localStorage.setItem(TOKEN_KEY, data.token);
+  return data.user;
+}
+
+/**
+ * 退出登录，清除本地令牌
+ */
+export async function logout() {
+  try {
+    await apiFetch('/api/auth/logout', { method: 'POST' });
+  } finally {
+    localStorage.removeItem(TOKEN_KEY);
+    setWorkspace(null);
+  }
+}
+
+/**
+ * 把失败的响应转换为 Error
+ * 429（限流或超出每日预算）时附带 rateLimited 与 retryAfter（秒），便于界面给出友好提示
+ * @param {Response} response - fetch 响应
+ * @param {string} fallback - 响应中没有错误信息时使用的提示
+ * @returns {Promise<Error>}
+ */
+async function requestError(response, fallback) {
+  let body = {};
+  try {
+    body = await response.json();
+  } catch (e) {
+    // 代理等返回的非 JSON 错误页
+  }
+
+  if (response.status === 429) {
+    const error = new Error(body.error || '请求过于频繁，请稍后再试');
+    error.rateLimited = true;
+    error.retryAfter = parseInt(response.headers.get('Retry-After'), 10) || body.retryAfter || null;
+    return error;
+  }
+
+  return new Error(body.error || fallback);
+}
+
+/**
+ * 获取可用的翻译方向（角色对）
+ * @returns {Promise<Array>} 角色对列表
+ */
+export async function fetchRoles() {
+  const response = await apiFetch('/api/roles');
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || '加载翻译方向失败');
+  }
+
+  const data = await response.json();
+  return data.roles;
+}
+
 /**
  * 快速直出模式 API
- * @param {string} direction - 翻译方向 ('pm-to-dev' | 'dev-to-pm')
+ * @param {string} direction - 翻译方向 ID（见 /api/roles）
  * @param {string} content - 原始内容
+ * @param {string} profileId - 背景档案 ID，空字符串表示不使用
  * @param {AbortSignal} signal - 用于取消请求的信号
  * @returns {Promise<Response>}
  */
-export async function callDirectAPI(direction, content, signal) {
-  const response = await fetch('/api/direct', {
+export async function callDirectAPI(direction, content, profileId, signal) {
+  const response = await apiFetch('/api/direct', {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json'
     },
     body: JSON.stringify({
       direction,
-      content
+      content,
+      profileId: profileId || undefined
     }),
     signal
   });
 
   if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error || '生成失败');
+    throw await requestError(response, '生成失败');
+  }
+
+  return response;
+}
+
+/**
+ * 追问修改 API
+ * @param {string} direction - 翻译方向
+ * @param {string} originalText - 原始文本
+ * @param {string} result - 当前翻译结果
+ * @param {string} instruction - 修改指令
+ * @param {string|null} historyId - 对应的历史记录 ID
+ * @param {AbortSignal} signal - 用于取消请求的信号
+ * @returns {Promise<Response>}
+ */
+export async function callRefineAPI(direction, originalText, result, instruction, historyId, signal) {
+  const response = await apiFetch('/api/refine', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      direction,
+      originalText,
+      result,
+      instruction,
+      historyId
+    }),
+    signal
+  });
+
+  if (!response.ok) {
+    throw await requestError(response, '修改失败');
   }
 
   return response;
@@ -33,27 +252,29 @@ export async function callDirectAPI(direction, content, signal) {
 
 /**
  * 智能补齐模式 - 分析阶段 API
+ * 背景档案保存在服务端会话中，合成阶段沿用
  * @param {string} direction - 翻译方向
  * @param {string} content - 原始内容
+ * @param {string} profileId - 背景档案 ID，空字符串表示不使用
  * @param {AbortSignal} signal - 用于取消请求的信号
  * @returns {Promise<Response>}
  */
-export async function callAnalyzeAPI(direction, content, signal) {
-  const response = await fetch('/api/interactive/analyze', {
+export async function callAnalyzeAPI(direction, content, profileId, signal) {
+  const response = await apiFetch('/api/interactive/analyze', {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json'
     },
     body: JSON.stringify({
       direction,
-      content
+      content,
+      profileId: profileId || undefined
     }),
     signal
   });
 
   if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error || '分析失败');
+    throw await requestError(response, '分析失败');
   }
 
   return response;
@@ -61,34 +282,358 @@ export async function callAnalyzeAPI(direction, content, signal) {
 
 /**
  * 智能补齐模式 - 综合阶段 API
- * @param {Object} analysisJson - 分析结果 JSON
+ * @param {string} sessionId - 分析阶段返回的会话 ID
  * @param {Array} answers - 用户回答
- * @param {string} originalText - 原始文本
  * @param {AbortSignal} signal - 用于取消请求的信号
  * @returns {Promise<Response>}
  */
-export async function callSynthesizeAPI(analysisJson, answers, originalText, signal) {
-  const response = await fetch('/api/interactive/synthesize', {
+export async function callSynthesizeAPI(sessionId, answers, signal) {
+  const response = await apiFetch('/api/interactive/synthesize', {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json'
     },
     body: JSON.stringify({
-      analysisJson,
-      answers,
-      originalText
+      sessionId,
+      answers
     }),
     signal
   });
 
   if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error || '生成失败');
+    throw await requestError(response, '生成失败');
   }
 
   return response;
 }
 
+/**
+ * 查询翻译历史
+ * @param {Object} filters - { q, direction, from, to, limit, offset }
+ * @returns {Promise<Object>} { total, items }
+ */
+export async function fetchHistory(filters = {}) {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) params.set(key, value);
+  });
+
+  const response = await apiFetch(`/api/history?${params.toString()}`);
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || '加载历史失败');
+  }
+
+  return response.json();
+}
+
+/**
+ * 获取单条翻译历史
+ * @param {string} id - 历史记录 ID
+ * @returns {Promise<Object>} 完整记录
+ */
+export async function fetchHistoryItem(id) {
+  const response = await apiFetch(`/api/history/${encodeURIComponent(id)}`);
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || '加载历史失败');
+  }
+
+  return response.json();
+}
+
+/**
+ * 删除单条翻译历史
+ * @param {string} id - 历史记录 ID
+ * @returns {Promise<void>}
+ */
+export async function deleteHistoryItem(id) {
+  const response = await apiFetch(`/api/history/${encodeURIComponent(id)}`, {
+    method: 'DELETE'
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || '删除失败');
+  }
+}
+
+/**
+ * 清空翻译历史
+ * @returns {Promise<void>}
+ */
+export async function clearHistory() {
+  const response = await apiFetch('/api/history', {
+    method: 'DELETE'
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || '清空失败');
+  }
+}
+
+/**
+ * 导出翻译结果
+ * @param {string} direction - 翻译方向
+ * @param {string} result - 当前翻译结果
+ * @param {string} format - 'jira' | 'github' | 'confluence' | 'html'
+ * @returns {Promise<{ format, title, content, mimeType, filename }>}
+ */
+export async function exportResult(direction, result, format) {
+  const response = await apiFetch('/api/export', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      direction,
+      result,
+      format
+    })
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || '导出失败');
+  }
+
+  return response.json();
+}
+
+/**
+ * 记录结果使用信号（用于提示词实验统计），失败时静默忽略
+ * @param {string|null} historyId - 历史记录 ID
+ * @param {string} type - 'copied' | 'exported' | 'refined' | 'regenerated' | 'rated'
+ * @param {string|null} rating - type 为 'rated' 时的 'up' | 'down'
+ * @returns {Promise<object|null>} 更新后的 outcomes
+ */
+export async function recordOutcome(historyId, type, rating = null) {
+  if (!historyId) {
+    return null;
+  }
+
+  try {
+    const response = await apiFetch(`/api/history/${encodeURIComponent(historyId)}/outcomes`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ type, rating })
+    });
+    if (!response.ok) {
+      return null;
+    }
+    const data = await response.json();
+    return data.outcomes;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 提交结果反馈；同一结果（或同一章节）再次提交时覆盖之前的反馈
+ * @param {string} historyId - 历史记录 ID
+ * @param {string} rating - 'up' | 'down'
+ * @param {string} comment - 评论，可为空
+ * @param {number|null} sectionIndex - 第几个 ## 章节（从 0 开始），null 表示整个结果
+ * @returns {Promise<object>} 反馈
+ */
+export async function submitFeedback(historyId, rating, comment = '', sectionIndex = null) {
+  const response = await apiFetch('/api/feedback', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ historyId, rating, comment, sectionIndex })
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || '提交反馈失败');
+  }
+
+  return data;
+}
+
+/**
+ * 往返校验：把结果译回原角色的语言并与原文比对
+ * @param {string} historyId - 历史记录 ID
+ * @returns {Promise<object>} 校验报告 { score, dropped, added, contradictions, summary, backTranslation, ... }
+ */
+export async function checkFidelity(historyId) {
+  const response = await apiFetch('/api/fidelity', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ historyId })
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || '往返校验失败');
+  }
+
+  return data.fidelity;
+}
+
+/**
+ * 获取群机器人 Webhook 目标
+ * @returns {Promise<Array>} 目标列表
+ */
+export async function fetchWebhooks() {
+  const response = await apiFetch('/api/webhooks');
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || '加载群机器人失败');
+  }
+
+  const data = await response.json();
+  return data.targets;
+}
+
+/**
+ * 发送群消息到 Webhook 目标
+ * @param {string} targetId - 目标 ID
+ * @param {string} direction - 翻译方向
+ * @param {string} result - 当前翻译结果
+ * @param {string|null} historyId - 对应的历史记录 ID
+ * @returns {Promise<object>} 投递状态
+ */
+export async function sendToWebhook(targetId, direction, result, historyId) {
+  const response = await apiFetch(`/api/webhooks/${encodeURIComponent(targetId)}/send`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      direction,
+      result,
+      historyId
+    })
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || '发送失败');
+  }
+
+  return data.delivery;
+}
+
+/**
+ * 获取当前工作区的术语表
+ * @returns {Promise<Array>} 词条列表
+ */
+export async function fetchGlossary() {
+  const response = await apiFetch('/api/glossary');
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || '加载术语表失败');
+  }
+
+  const data = await response.json();
+  return data.entries;
+}
+
+/**
+ * 新建或更新词条
+ * @param {Object} entry - { term, aliases, definition }
+ * @param {string|null} id - 更新时的词条 ID
+ * @returns {Promise<Object>} 保存后的词条
+ */
+export async function saveGlossaryEntry(entry, id = null) {
+  const response = await apiFetch(id ? `/api/glossary/${encodeURIComponent(id)}` : '/api/glossary', {
+    method: id ? 'PUT' : 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(entry)
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || '保存失败');
+  }
+
+  return data;
+}
+
+/**
+ * 删除词条
+ * @param {string} id - 词条 ID
+ * @returns {Promise<void>}
+ */
+export async function deleteGlossaryEntry(id) {
+  const response = await apiFetch(`/api/glossary/${encodeURIComponent(id)}`, {
+    method: 'DELETE'
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || '删除失败');
+  }
+}
+
+/**
+ * 获取当前工作区的背景档案
+ * @returns {Promise<{ fields: Array, profiles: Array }>}
+ */
+export async function fetchProfiles() {
+  const response = await apiFetch('/api/profiles');
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || '加载背景档案失败');
+  }
+
+  return response.json();
+}
+
+/**
+ * 新建或更新背景档案
+ * @param {Object} profile - { name, techStack, teamSize, traffic, sla, compliance, notes }
+ * @param {string|null} id - 更新时的档案 ID
+ * @returns {Promise<Object>} 保存后的档案
+ */
+export async function saveProfile(profile, id = null) {
+  const response = await apiFetch(id ? `/api/profiles/${encodeURIComponent(id)}` : '/api/profiles', {
+    method: id ? 'PUT' : 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(profile)
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || '保存失败');
+  }
+
+  return data;
+}
+
+/**
+ * 删除背景档案
+ * @param {string} id - 档案 ID
+ * @returns {Promise<void>}
+ */
+export async function deleteProfile(id) {
+  const response = await apiFetch(`/api/profiles/${encodeURIComponent(id)}`, {
+    method: 'DELETE'
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || '删除失败');
+  }
+}
+
 /**
  * 处理 SSE 流
  * @param {Response} response - Fetch 响应对象
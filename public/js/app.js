@@ -3,24 +3,68 @@
  * 支持两种模式：快速直出（Direct）+ 智能补齐（Interactive）
  */
 
-import { MAX_CHARS, EXAMPLES, PLACEHOLDERS } from './config.js';
-import { callDirectAPI, callAnalyzeAPI, callSynthesizeAPI, handleSSEStream } from './api.js';
+import { MAX_CHARS, DEFAULT_DIRECTION } from './config.js';
 import {
+  fetchRoles,
+  callDirectAPI,
+  callAnalyzeAPI,
+  callSynthesizeAPI,
+  callRefineAPI,
+  handleSSEStream,
+  fetchHistory,
+  fetchHistoryItem,
+  deleteHistoryItem,
+  clearHistory,
+  exportResult,
+  recordOutcome,
+  submitFeedback,
+  checkFidelity,
+  fetchWebhooks,
+  sendToWebhook,
+  fetchGlossary,
+  saveGlossaryEntry,
+  deleteGlossaryEntry,
+  fetchProfiles,
+  saveProfile,
+  deleteProfile,
+  getSelectedProfile,
+  setSelectedProfile,
+  fetchMe,
+  login,
+  logout,
+  setWorkspace
+} from './api.js';
+import {
+  renderDirectionPicker,
+  highlightDirection,
   renderResult,
   displayQuestions,
   showInlineLoading,
   showError,
+  showRateLimited,
   showCancelled,
   hideAllPanels,
   showToast,
-  collectAnswers
+  collectAnswers,
+  escapeHtml,
+  renderHistoryList,
+  renderWebhookMenu,
+  renderWorkspaceOptions,
+  renderGlossaryList,
+  renderGlossaryUsed,
+  renderConformance,
+  renderFidelity,
+  renderRating,
+  renderSectionRating,
+  showFeedbackForm,
+  renderProfileOptions,
+  renderProfileList
 } from './ui.js';
 
 // ========== DOM 元素 ==========
 const elements = {
-  // Header
-  btnPmToDev: document.getElementById('btn-pm-to-dev'),
-  btnDevToPm: document.getElementById('btn-dev-to-pm'),
+  // Direction
+  directionPicker: document.getElementById('direction-picker'),
 
   // Mode
   modeInputs: document.getElementsByName('mode'),
@@ -31,6 +75,18 @@ const elements = {
   btnExample: document.getElementById('btn-example'),
   btnStart: document.getElementById('btn-start'),
 
+  // Profile
+  profileSelect: document.getElementById('profile-select'),
+  btnProfiles: document.getElementById('btn-profiles'),
+  profileSidebar: document.getElementById('profile-sidebar'),
+  btnProfileClose: document.getElementById('btn-profile-close'),
+  profileForm: document.getElementById('profile-form'),
+  profileName: document.getElementById('profile-name'),
+  profileFields: document.querySelectorAll('[data-profile-field]'),
+  btnProfileSave: document.getElementById('btn-profile-save'),
+  btnProfileCancel: document.getElementById('btn-profile-cancel'),
+  profileList: document.getElementById('profile-list'),
+
   // Panels
   welcomeState: document.getElementById('welcome-state'),
   questionsPanel: document.getElementById('questions-panel'),
@@ -42,39 +98,168 @@ const elements = {
   btnSubmitAnswers: document.getElementById('btn-submit-answers'),
 
   // Result
+  ratingButtons: document.querySelectorAll('[data-rating]'),
+  feedbackForm: document.getElementById('feedback-form'),
   btnCopy: document.getElementById('btn-copy'),
+  btnFidelity: document.getElementById('btn-fidelity'),
+  fidelityReport: document.getElementById('fidelity-report'),
+  btnExport: document.getElementById('btn-export'),
+  exportMenu: document.getElementById('export-menu'),
+  btnSend: document.getElementById('btn-send'),
+  sendMenu: document.getElementById('send-menu'),
+  deliveryStatus: document.getElementById('delivery-status'),
+  glossaryUsed: document.getElementById('glossary-used'),
+  conformanceNote: document.getElementById('conformance-note'),
   btnStop: document.getElementById('btn-stop'),
   resultContentDoc: document.getElementById('result-content-doc'),
-  scrollToBottomBtn: document.getElementById('scroll-to-bottom-btn')
+  scrollToBottomBtn: document.getElementById('scroll-to-bottom-btn'),
+
+  // Refine
+  refineBar: document.getElementById('refine-bar'),
+  refineInput: document.getElementById('refine-input'),
+  btnRefine: document.getElementById('btn-refine'),
+
+  // History
+  btnHistory: document.getElementById('btn-history'),
+  historySidebar: document.getElementById('history-sidebar'),
+  btnHistoryClose: document.getElementById('btn-history-close'),
+  btnHistoryClear: document.getElementById('btn-history-clear'),
+  historySearch: document.getElementById('history-search'),
+  historyDirection: document.getElementById('history-direction'),
+  historyFrom: document.getElementById('history-from'),
+  historyTo: document.getElementById('history-to'),
+  historyList: document.getElementById('history-list'),
+
+  // Glossary
+  btnGlossary: document.getElementById('btn-glossary'),
+  glossarySidebar: document.getElementById('glossary-sidebar'),
+  btnGlossaryClose: document.getElementById('btn-glossary-close'),
+  glossaryForm: document.getElementById('glossary-form'),
+  glossaryTerm: document.getElementById('glossary-term'),
+  glossaryAliases: document.getElementById('glossary-aliases'),
+  glossaryDefinition: document.getElementById('glossary-definition'),
+  btnGlossarySave: document.getElementById('btn-glossary-save'),
+  btnGlossaryCancel: document.getElementById('btn-glossary-cancel'),
+  glossaryList: document.getElementById('glossary-list'),
+
+  // Account
+  accountBar: document.getElementById('account-bar'),
+  workspaceSelect: document.getElementById('workspace-select'),
+  accountName: document.getElementById('account-name'),
+  btnLogout: document.getElementById('btn-logout'),
+  loginModal: document.getElementById('login-modal'),
+  loginForm: document.getElementById('login-form'),
+  loginUsername: document.getElementById('login-username'),
+  loginPassword: document.getElementById('login-password'),
+  loginError: document.getElementById('login-error')
 };
 
 // ========== 应用状态 ==========
 const state = {
-  direction: 'pm-to-dev',
+  direction: DEFAULT_DIRECTION,
+  // 角色对列表（来自 /api/roles）
+  roles: [],
   mode: 'direct', // 'direct' | 'interactive'
   isProcessing: false,
   analysisJson: null,
+  // 分析阶段创建的服务端会话 ID
+  sessionId: null,
   originalText: '',
   fullResult: '',
+  // 当前翻译对应的历史记录 ID
+  historyId: null,
+  // 最近一次评价的对象 { rating, sectionIndex }，补充评论时使用
+  feedbackTarget: null,
   // 用于取消请求的控制器
   abortController: null,
   // 用于停止流式读取的控制器
-  streamReader: null
+  streamReader: null,
+  // 当前登录用户（未启用认证时为 null）
+  user: null,
+  // 术语表词条，以及正在编辑的词条 ID
+  glossaryEntries: [],
+  editingGlossaryId: null,
+  // 背景档案、字段定义、当前选择与正在编辑的档案 ID
+  profiles: [],
+  profileFieldDefs: [],
+  profileId: getSelectedProfile(),
+  editingProfileId: null
 };
 
 // ========== 初始化 ==========
 function init() {
+  // 加载账号与翻译方向
+  loadAccount();
+  loadRoles();
+
   // 绑定事件
-  elements.btnPmToDev.addEventListener('click', () => setDirection('pm-to-dev'));
-  elements.btnDevToPm.addEventListener('click', () => setDirection('dev-to-pm'));
   elements.btnExample.addEventListener('click', fillExample);
   elements.btnStart.addEventListener('click', handleStart);
   elements.btnSkip.addEventListener('click', skipAndContinue);
   elements.btnSubmitAnswers.addEventListener('click', submitAnswers);
   elements.btnCopy.addEventListener('click', copyResult);
+  elements.btnFidelity.addEventListener('click', runFidelityCheck);
+  elements.ratingButtons.forEach(button => {
+    button.addEventListener('click', () => rateResult(button.dataset.rating));
+  });
+  elements.resultContentDoc.addEventListener('click', handleSectionRating);
+  elements.feedbackForm.addEventListener('submit', handleFeedbackComment);
+  elements.feedbackForm.querySelector('[data-action="close"]').addEventListener('click', hideFeedbackForm);
+  elements.btnExport.addEventListener('click', (e) => {
+    e.stopPropagation();
+    elements.exportMenu.classList.toggle('hidden');
+  });
+  elements.exportMenu.addEventListener('click', handleExport);
+  elements.btnSend.addEventListener('click', toggleSendMenu);
+  elements.sendMenu.addEventListener('click', handleSend);
+  document.addEventListener('click', () => {
+    elements.exportMenu.classList.add('hidden');
+    elements.sendMenu.classList.add('hidden');
+  });
   elements.btnStop.addEventListener('click', handleStopStreaming);
+  elements.btnRefine.addEventListener('click', handleRefine);
+  elements.refineInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && !e.isComposing) {
+      handleRefine();
+    }
+  });
   elements.inputContent.addEventListener('input', updateCharCount);
 
+  // 账号与工作区
+  elements.loginForm.addEventListener('submit', handleLogin);
+  elements.btnLogout.addEventListener('click', handleLogout);
+  elements.workspaceSelect.addEventListener('change', handleWorkspaceChange);
+  window.addEventListener('auth:required', showLogin);
+
+  // 历史记录
+  elements.btnHistory.addEventListener('click', toggleHistorySidebar);
+  elements.btnHistoryClose.addEventListener('click', toggleHistorySidebar);
+  elements.btnHistoryClear.addEventListener('click', handleClearHistory);
+  elements.historyList.addEventListener('click', handleHistoryAction);
+
+  // 背景档案
+  elements.profileSelect.addEventListener('change', () => selectProfile(elements.profileSelect.value));
+  elements.btnProfiles.addEventListener('click', toggleProfileSidebar);
+  elements.btnProfileClose.addEventListener('click', toggleProfileSidebar);
+  elements.profileForm.addEventListener('submit', handleProfileSubmit);
+  elements.btnProfileCancel.addEventListener('click', resetProfileForm);
+  elements.profileList.addEventListener('click', handleProfileAction);
+
+  // 术语表
+  elements.btnGlossary.addEventListener('click', toggleGlossarySidebar);
+  elements.btnGlossaryClose.addEventListener('click', toggleGlossarySidebar);
+  elements.glossaryForm.addEventListener('submit', handleGlossarySubmit);
+  elements.btnGlossaryCancel.addEventListener('click', resetGlossaryForm);
+  elements.glossaryList.addEventListener('click', handleGlossaryAction);
+  let searchTimer = null;
+  elements.historySearch.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(loadHistory, 300);
+  });
+  [elements.historyDirection, elements.historyFrom, elements.historyTo].forEach(input => {
+    input.addEventListener('change', loadHistory);
+  });
+
   // 回到底部按钮点击事件
   elements.scrollToBottomBtn?.addEventListener('click', () => {
     elements.resultContentDoc.scrollTo({
@@ -107,43 +292,132 @@ function init() {
   console.log('职能沟通翻译助手已初始化');
 }
 
-// ========== 方向切换 ==========
-function setDirection(direction) {
-  if (state.isProcessing) return;
+// ========== 账号与工作区 ==========
+async function loadAccount() {
+  try {
+    const { mode, user, workspace } = await fetchMe();
+    state.user = user;
+    // 背景档案按工作区隔离，确认身份后再加载
+    loadProfiles();
+    if (!user) {
+      return;
+    }
 
-  state.direction = direction;
+    elements.accountName.textContent = user.displayName;
+    renderWorkspaceOptions(elements.workspaceSelect, user.teams, workspace.id);
+    // SSO 模式由单点登录系统管理登录状态
+    elements.btnLogout.classList.toggle('hidden', mode !== 'local');
+    elements.accountBar.classList.remove('hidden');
+    elements.accountBar.classList.add('flex');
+    hideLogin();
+  } catch (error) {
+    if (error.authRequired) {
+      showLogin();
+      return;
+    }
+    console.error('加载账号信息失败:', error);
+    showToast(error.message, 'error');
+  }
+}
 
-  // 更新按钮样式（适配卡片式布局）
-  const isPmToDev = direction === 'pm-to-dev';
+function showLogin() {
+  elements.loginModal.classList.remove('hidden');
+  elements.loginModal.classList.add('flex');
+  elements.loginUsername.focus();
+}
 
-  // PM to DEV 按钮
-  if (isPmToDev) {
-    elements.btnPmToDev.classList.remove('border-slate-200', 'bg-white');
-    elements.btnPmToDev.classList.add('border-blue-500', 'bg-blue-50');
-  } else {
-    elements.btnPmToDev.classList.remove('border-blue-500', 'bg-blue-50');
-    elements.btnPmToDev.classList.add('border-slate-200', 'bg-white');
+function hideLogin() {
+  elements.loginModal.classList.add('hidden');
+  elements.loginModal.classList.remove('flex');
+  elements.loginError.classList.add('hidden');
+}
+
+async function handleLogin(e) {
+  e.preventDefault();
+  elements.loginError.classList.add('hidden');
+
+  try {
+    await login(elements.loginUsername.value.trim(), elements.loginPassword.value);
+    elements.loginPassword.value = '';
+    await loadAccount();
+    refreshHistoryIfOpen();
+  } catch (error) {
+    elements.loginError.textContent = error.message;
+    elements.loginError.classList.remove('hidden');
   }
+}
 
-  // DEV to PM 按钮
-  if (!isPmToDev) {
-    elements.btnDevToPm.classList.remove('border-slate-200', 'bg-white');
-    elements.btnDevToPm.classList.add('border-blue-500', 'bg-blue-50');
-  } else {
-    elements.btnDevToPm.classList.remove('border-blue-500', 'bg-blue-50');
-    elements.btnDevToPm.classList.add('border-slate-200', 'bg-white');
+async function handleLogout() {
+  try {
+    await logout();
+  } catch (error) {
+    console.error('退出登录失败:', error);
+  }
+  state.user = null;
+  elements.accountBar.classList.add('hidden');
+  elements.accountBar.classList.remove('flex');
+  showLogin();
+}
+
+function handleWorkspaceChange() {
+  const option = elements.workspaceSelect.selectedOptions[0];
+  setWorkspace(elements.workspaceSelect.value);
+  // 历史记录、群机器人等按工作区隔离
+  state.historyId = null;
+  refreshHistoryIfOpen();
+  resetGlossaryForm();
+  refreshGlossaryIfOpen();
+  resetProfileForm();
+  loadProfiles();
+  showToast(`已切换到「${option.textContent}」`, 'success');
+}
+
+// ========== 加载翻译方向 ==========
+async function loadRoles() {
+  try {
+    state.roles = await fetchRoles();
+  } catch (error) {
+    console.error('加载翻译方向失败:', error);
+    showToast(error.message, 'error');
+    return;
   }
 
-  // 更新 aria-pressed 属性
-  elements.btnPmToDev.setAttribute('aria-pressed', isPmToDev);
-  elements.btnDevToPm.setAttribute('aria-pressed', !isPmToDev);
+  renderDirectionPicker(elements.directionPicker, state.roles, setDirection);
+
+  elements.historyDirection.innerHTML = '<option value="">全部方向</option>' + state.roles
+    .map(role => `<option value="${escapeHtml(role.id)}">${escapeHtml(role.source.label)} → ${escapeHtml(role.target.label)}</option>`)
+    .join('');
+
+  const initial = state.roles.some(role => role.id === state.direction)
+    ? state.direction
+    : state.roles[0]?.id;
+  if (initial) {
+    setDirection(initial);
+  }
+}
+
+/**
+ * 当前方向的角色对定义
+ */
+function getCurrentRole() {
+  return state.roles.find(role => role.id === state.direction);
+}
+
+// ========== 方向切换 ==========
+function setDirection(direction) {
+  if (state.isProcessing) return;
+
+  state.direction = direction;
+
+  // 更新卡片样式与 aria-pressed
+  highlightDirection(elements.directionPicker, direction);
 
   // 清空输入框
   elements.inputContent.value = '';
   updateCharCount();
 
   // 动态更新placeholder
-  elements.inputContent.placeholder = PLACEHOLDERS[direction];
+  elements.inputContent.placeholder = getCurrentRole()?.placeholder || '';
 }
 
 // ========== 模式切换 ==========
@@ -153,11 +427,23 @@ function handleModeChange(e) {
   console.log('模式切换:', state.mode);
 }
 
+function setMode(mode) {
+  state.mode = mode;
+  elements.modeInputs.forEach(input => {
+    input.checked = input.value === mode;
+  });
+}
+
 // ========== 填入示例 ==========
 function fillExample() {
   if (state.isProcessing) return;
 
-  const exampleList = EXAMPLES[state.direction];
+  const exampleList = getCurrentRole()?.examples || [];
+  if (exampleList.length === 0) {
+    showToast('当前方向暂无示例', 'info');
+    return;
+  }
+
   const randomIndex = Math.floor(Math.random() * exampleList.length);
   elements.inputContent.value = exampleList[randomIndex];
   updateCharCount();
@@ -193,6 +479,16 @@ async function handleStart() {
 
   // 保存状态
   state.originalText = content;
+  state.historyId = null;
+  elements.deliveryStatus.classList.add('hidden');
+  renderGlossaryUsed(elements.glossaryUsed);
+  renderConformance(elements.conformanceNote);
+  renderFidelity(elements.fidelityReport);
+  updateFidelityButton();
+  renderRating(elements.ratingButtons);
+  hideFeedbackForm();
+  state.sessionId = null;
+  elements.refineBar.classList.add('hidden');
 
   // 根据模式分发
   if (state.mode === 'direct') {
@@ -202,6 +498,15 @@ async function handleStart() {
   }
 }
 
+// ========== 请求失败提示 ==========
+function showRequestError(error) {
+  if (error.rateLimited) {
+    showRateLimited(elements.resultPanel, elements.resultContentDoc, error.message);
+  } else {
+    showError(elements.resultPanel, elements.resultContentDoc, error.message);
+  }
+}
+
 // ========== 快速直出模式（Direct） ==========
 async function runDirectMode() {
   state.isProcessing = true;
@@ -218,7 +523,7 @@ async function runDirectMode() {
   state.abortController = new AbortController();
 
   try {
-    const response = await callDirectAPI(state.direction, state.originalText, state.abortController.signal);
+    const response = await callDirectAPI(state.direction, state.originalText, state.profileId, state.abortController.signal);
 
     // 显示停止按钮
     elements.btnStop.classList.remove('hidden');
@@ -228,11 +533,19 @@ async function runDirectMode() {
     state.streamReader = await handleSSEStream(response, (chunk) => {
       state.fullResult += chunk;
       renderResult(elements.resultContentDoc, state.fullResult, true);
-    }, () => {
+    }, (data) => {
+      state.historyId = data.historyId || null;
+      // 服务端修复过章节时用修复后的完整结果替换流式内容
+      state.fullResult = data.markdown || state.fullResult;
       renderResult(elements.resultContentDoc, state.fullResult, false);
+      renderGlossaryUsed(elements.glossaryUsed, data.glossaryTerms);
+      renderConformance(elements.conformanceNote, data.conformance);
+      updateFidelityButton();
       showToast('生成完成', 'success');
       // 隐藏停止按钮
       elements.btnStop.classList.add('hidden');
+      elements.refineBar.classList.remove('hidden');
+      refreshHistoryIfOpen();
     });
 
   } catch (error) {
@@ -242,7 +555,7 @@ async function runDirectMode() {
     }
     console.error('生成错误:', error);
     showToast(error.message, 'error');
-    showError(elements.resultPanel, elements.resultContentDoc, error.message);
+    showRequestError(error);
   } finally {
     state.isProcessing = false;
     state.abortController = null;
@@ -267,7 +580,7 @@ async function runInteractiveMode() {
 
   try {
     // 分析阶段：获取问题清单
-    const response = await callAnalyzeAPI(state.direction, state.originalText, state.abortController.signal);
+    const response = await callAnalyzeAPI(state.direction, state.originalText, state.profileId, state.abortController.signal);
 
     // 处理 SSE 流
     let jsonReceived = false;
@@ -280,13 +593,15 @@ async function runInteractiveMode() {
         // Done事件，包含json
         if (data.json) {
           state.analysisJson = data.json;
+          state.sessionId = data.sessionId || null;
+          state.historyId = data.historyId || null;
           jsonReceived = true;
           console.log('收到分析结果:', state.analysisJson);
         }
       }
     );
 
-    if (!jsonReceived || !state.analysisJson) {
+    if (!jsonReceived || !state.analysisJson || !state.sessionId) {
       throw new Error('未收到分析结果');
     }
 
@@ -305,7 +620,7 @@ async function runInteractiveMode() {
     }
     console.error('分析错误:', error);
     showToast(error.message, 'error');
-    showError(elements.resultPanel, elements.resultContentDoc, error.message);
+    showRequestError(error);
   } finally {
     state.isProcessing = false;
     state.abortController = null;
@@ -340,9 +655,8 @@ async function submitAnswers() {
 
   try {
     const response = await callSynthesizeAPI(
-      state.analysisJson,
+      state.sessionId,
       answers,
-      state.originalText,
       state.abortController.signal
     );
 
@@ -355,11 +669,19 @@ async function submitAnswers() {
     state.streamReader = await handleSSEStream(response, (chunk) => {
       state.fullResult += chunk;
       renderResult(elements.resultContentDoc, state.fullResult, true);
-    }, () => {
+    }, (data) => {
+      state.historyId = data.historyId || null;
+      // 服务端修复过章节时用修复后的完整结果替换流式内容
+      state.fullResult = data.markdown || state.fullResult;
       renderResult(elements.resultContentDoc, state.fullResult, false);
+      renderGlossaryUsed(elements.glossaryUsed, data.glossaryTerms);
+      renderConformance(elements.conformanceNote, data.conformance);
+      updateFidelityButton();
       showToast('生成完成', 'success');
       // 隐藏停止按钮
       elements.btnStop.classList.add('hidden');
+      elements.refineBar.classList.remove('hidden');
+      refreshHistoryIfOpen();
     });
 
     // 滚动到结果
@@ -372,7 +694,7 @@ async function submitAnswers() {
     }
     console.error('生成错误:', error);
     showToast(error.message, 'error');
-    showError(elements.resultPanel, elements.resultContentDoc, error.message);
+    showRequestError(error);
   } finally {
     state.isProcessing = false;
     state.abortController = null;
@@ -383,10 +705,290 @@ async function submitAnswers() {
   }
 }
 
+// ========== 追问修改 ==========
+async function handleRefine() {
+  if (state.isProcessing) return;
+
+  const instruction = elements.refineInput.value.trim();
+  if (!instruction) {
+    showToast('请输入修改指令', 'error');
+    return;
+  }
+
+  if (!state.fullResult) {
+    showToast('没有可修改的结果', 'error');
+    return;
+  }
+
+  const previousResult = state.fullResult;
+  hideFeedbackForm();
+
+  state.isProcessing = true;
+  elements.btnRefine.disabled = true;
+  elements.btnStart.disabled = true;
+
+  // 创建AbortController
+  state.abortController = new AbortController();
+
+  try {
+    const response = await callRefineAPI(
+      state.direction,
+      state.originalText,
+      previousResult,
+      instruction,
+      state.historyId,
+      state.abortController.signal
+    );
+
+    // 显示停止按钮
+    elements.btnStop.classList.remove('hidden');
+    elements.refineInput.value = '';
+
+    state.fullResult = '';
+    state.streamReader = await handleSSEStream(response, (chunk) => {
+      state.fullResult += chunk;
+      renderResult(elements.resultContentDoc, state.fullResult, true);
+    }, (data) => {
+      state.fullResult = data.markdown || state.fullResult;
+      renderResult(elements.resultContentDoc, state.fullResult, false);
+      renderConformance(elements.conformanceNote, data.conformance);
+      // 结果已变化，之前的往返校验不再适用
+      renderFidelity(elements.fidelityReport);
+      showToast('修改完成', 'success');
+      elements.btnStop.classList.add('hidden');
+      refreshHistoryIfOpen();
+    });
+
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      console.log('请求已取消');
+      return;
+    }
+    console.error('修改错误:', error);
+    showToast(error.message, 'error');
+    // 恢复上一版结果
+    state.fullResult = previousResult;
+    renderResult(elements.resultContentDoc, state.fullResult, false);
+  } finally {
+    state.isProcessing = false;
+    state.abortController = null;
+    state.streamReader = null;
+    elements.btnRefine.disabled = false;
+    elements.btnStart.disabled = false;
+    elements.btnStop.classList.add('hidden');
+  }
+}
+
 // ========== 复制结果 ==========
 async function copyResult() {
-  const textToCopy = state.fullResult;
+  await copyText(state.fullResult);
+  recordOutcome(state.historyId, 'copied');
+}
 
+// ========== 评价与反馈 ==========
+/**
+ * 提交评价，成功后显示评论框
+ * @param {string} rating - 'up' | 'down'
+ * @param {number|null} sectionIndex - 章节序号，null 表示整个结果
+ * @returns {Promise<object|null>} 反馈，失败时为 null
+ */
+async function sendFeedback(rating, sectionIndex = null) {
+  if (!state.historyId || state.isProcessing) {
+    showToast('结果生成完成后才能评价', 'info');
+    return null;
+  }
+
+  try {
+    const feedback = await submitFeedback(state.historyId, rating, '', sectionIndex);
+    state.feedbackTarget = { rating, sectionIndex };
+    showFeedbackForm(elements.feedbackForm, feedback.section);
+    return feedback;
+  } catch (error) {
+    console.error('提交反馈失败:', error);
+    showToast(error.message, 'error');
+    return null;
+  }
+}
+
+/**
+ * 当前结果已保存且方向有反向时显示往返校验按钮
+ */
+function updateFidelityButton() {
+  const role = getCurrentRole();
+  elements.btnFidelity.classList.toggle('hidden', !(state.historyId && role && role.reverse));
+}
+
+/**
+ * 往返校验：把结果译回原角色的语言，显示保真度与差异
+ */
+async function runFidelityCheck() {
+  if (!state.historyId) {
+    showToast('结果生成完成后才能校验', 'info');
+    return;
+  }
+
+  elements.btnFidelity.disabled = true;
+  elements.btnFidelity.textContent = '🔁 校验中...';
+  try {
+    const fidelity = await checkFidelity(state.historyId);
+    renderFidelity(elements.fidelityReport, fidelity);
+    refreshHistoryIfOpen();
+  } catch (error) {
+    console.error('往返校验错误:', error);
+    showToast(error.message, 'error');
+  } finally {
+    elements.btnFidelity.disabled = false;
+    elements.btnFidelity.textContent = '🔁 往返校验';
+  }
+}
+
+async function rateResult(rating) {
+  if (await sendFeedback(rating)) {
+    renderRating(elements.ratingButtons, rating);
+  }
+}
+
+async function handleSectionRating(e) {
+  const button = e.target.closest('[data-section-rating]');
+  if (!button) return;
+
+  const sectionIndex = Number(button.dataset.sectionIndex);
+  const rating = button.dataset.sectionRating;
+  if (await sendFeedback(rating, sectionIndex)) {
+    renderSectionRating(elements.resultContentDoc, sectionIndex, rating);
+  }
+}
+
+async function handleFeedbackComment(e) {
+  e.preventDefault();
+  const comment = elements.feedbackForm.querySelector('input').value.trim();
+  if (!comment || !state.feedbackTarget || !state.historyId) {
+    hideFeedbackForm();
+    return;
+  }
+
+  try {
+    const { rating, sectionIndex } = state.feedbackTarget;
+    await submitFeedback(state.historyId, rating, comment, sectionIndex);
+    hideFeedbackForm();
+    showToast('感谢反馈', 'success');
+  } catch (error) {
+    console.error('提交反馈失败:', error);
+    showToast(error.message, 'error');
+  }
+}
+
+function hideFeedbackForm() {
+  state.feedbackTarget = null;
+  elements.feedbackForm.classList.add('hidden');
+}
+
+// ========== 导出结果 ==========
+/**
+ * 导出菜单点击：HTML 下载为文件，其余格式复制到剪贴板
+ */
+async function handleExport(e) {
+  const button = e.target.closest('[data-format]');
+  if (!button) return;
+
+  elements.exportMenu.classList.add('hidden');
+
+  if (!state.fullResult) {
+    showToast('没有可导出的内容', 'error');
+    return;
+  }
+
+  try {
+    const exported = await exportResult(state.direction, state.fullResult, button.dataset.format);
+    recordOutcome(state.historyId, 'exported');
+
+    if (exported.format === 'html') {
+      const blob = new Blob([exported.content], { type: exported.mimeType });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = exported.filename;
+      link.click();
+      URL.revokeObjectURL(link.href);
+      showToast('已下载 HTML 文件', 'success');
+      return;
+    }
+
+    await copyText(exported.content);
+  } catch (error) {
+    console.error('导出失败:', error);
+    showToast(error.message, 'error');
+  }
+}
+
+/**
+ * 展开"发送到群"菜单，每次展开时重新加载目标列表
+ */
+async function toggleSendMenu(e) {
+  e.stopPropagation();
+  elements.exportMenu.classList.add('hidden');
+
+  if (!elements.sendMenu.classList.contains('hidden')) {
+    elements.sendMenu.classList.add('hidden');
+    return;
+  }
+
+  try {
+    renderWebhookMenu(elements.sendMenu, await fetchWebhooks());
+    elements.sendMenu.classList.remove('hidden');
+  } catch (error) {
+    console.error('加载群机器人失败:', error);
+    showToast(error.message, 'error');
+  }
+}
+
+/**
+ * 发送群消息到选中的群机器人
+ */
+async function handleSend(e) {
+  const button = e.target.closest('[data-target-id]');
+  if (!button) return;
+
+  e.stopPropagation();
+  elements.sendMenu.classList.add('hidden');
+
+  if (!state.fullResult) {
+    showToast('没有可发送的内容', 'error');
+    return;
+  }
+
+  const targetName = button.textContent.trim();
+  elements.btnSend.disabled = true;
+  showDeliveryStatus(`正在发送到「${targetName}」...`, 'text-slate-500');
+
+  try {
+    const delivery = await sendToWebhook(button.dataset.targetId, state.direction, state.fullResult, state.historyId);
+    const retried = delivery.attempts > 1 ? `（重试 ${delivery.attempts - 1} 次）` : '';
+    showDeliveryStatus(`✓ 已发送到「${targetName}」${retried}`, 'text-green-600');
+    showToast('已发送到群', 'success');
+  } catch (error) {
+    console.error('发送失败:', error);
+    showDeliveryStatus(`✗ 发送到「${targetName}」失败：${error.message}`, 'text-red-600');
+    showToast(error.message, 'error');
+  } finally {
+    elements.btnSend.disabled = false;
+  }
+}
+
+/**
+ * 显示群消息投递状态
+ * @param {string} text - 状态文本
+ * @param {string} colorClass - 文字颜色
+ */
+function showDeliveryStatus(text, colorClass) {
+  elements.deliveryStatus.className = `mt-2 text-xs ${colorClass}`;
+  elements.deliveryStatus.textContent = text;
+}
+
+/**
+ * 复制文本到剪贴板
+ * @param {string} textToCopy - 待复制文本
+ */
+async function copyText(textToCopy) {
   if (!textToCopy) {
     showToast('没有可复制的内容', 'error');
     return;
@@ -408,6 +1010,328 @@ async function copyResult() {
   }
 }
 
+// ========== 历史记录 ==========
+function toggleHistorySidebar() {
+  const isHidden = elements.historySidebar.classList.toggle('hidden');
+  if (!isHidden) {
+    loadHistory();
+  }
+}
+
+function refreshHistoryIfOpen() {
+  if (!elements.historySidebar.classList.contains('hidden')) {
+    loadHistory();
+  }
+}
+
+async function loadHistory() {
+  try {
+    const { items } = await fetchHistory({
+      q: elements.historySearch.value.trim(),
+      direction: elements.historyDirection.value,
+      from: elements.historyFrom.value,
+      to: elements.historyTo.value
+    });
+    renderHistoryList(elements.historyList, items, state.roles);
+  } catch (error) {
+    console.error('加载历史失败:', error);
+    showToast(error.message, 'error');
+  }
+}
+
+async function handleClearHistory() {
+  if (!confirm('确定清空全部历史记录吗？')) return;
+
+  try {
+    await clearHistory();
+    showToast('历史记录已清空', 'success');
+    loadHistory();
+  } catch (error) {
+    console.error('清空历史失败:', error);
+    showToast(error.message, 'error');
+  }
+}
+
+async function handleHistoryAction(e) {
+  const button = e.target.closest('[data-action]');
+  const itemEl = e.target.closest('[data-history-id]');
+  if (!button || !itemEl) return;
+
+  const id = itemEl.dataset.historyId;
+
+  try {
+    switch (button.dataset.action) {
+      case 'open':
+        if (state.isProcessing) return;
+        openHistoryRecord(await fetchHistoryItem(id));
+        break;
+      case 'copy':
+        await copyText((await fetchHistoryItem(id)).result);
+        recordOutcome(id, 'copied');
+        break;
+      case 'rerun':
+        if (state.isProcessing) return;
+        await rerunHistoryRecord(await fetchHistoryItem(id));
+        break;
+      case 'delete':
+        await deleteHistoryItem(id);
+        itemEl.remove();
+        showToast('已删除', 'success');
+        break;
+    }
+  } catch (error) {
+    console.error('历史记录操作失败:', error);
+    showToast(error.message, 'error');
+  }
+}
+
+/**
+ * 恢复历史记录的方向、原文与模式
+ */
+function restoreHistoryInput(record) {
+  setDirection(record.direction);
+  setMode(record.mode);
+  // 档案已删除时不使用背景档案
+  selectProfile(state.profiles.some(profile => profile.id === record.profileId) ? record.profileId : '');
+  elements.inputContent.value = record.originalText;
+  updateCharCount();
+}
+
+/**
+ * 打开历史记录：已完成的显示结果；未完成的只恢复输入
+ * （分析会话可能已过期，需要重新运行）
+ */
+function openHistoryRecord(record) {
+  restoreHistoryInput(record);
+
+  if (!record.result) {
+    showToast('该记录尚未生成结果，可点击"重新运行"', 'info');
+    return;
+  }
+
+  state.originalText = record.originalText;
+  state.analysisJson = record.analysisJson;
+  state.sessionId = null;
+  state.historyId = record.id;
+  state.fullResult = record.result;
+
+  hideAllPanels(elements.welcomeState, elements.questionsPanel, elements.resultPanel);
+  elements.refineBar.classList.remove('hidden');
+  elements.resultPanel.classList.remove('hidden');
+  renderResult(elements.resultContentDoc, state.fullResult, false);
+  renderGlossaryUsed(elements.glossaryUsed, record.glossaryTerms);
+  renderConformance(elements.conformanceNote, record.conformance);
+  renderFidelity(elements.fidelityReport, record.fidelity);
+  updateFidelityButton();
+  renderRating(elements.ratingButtons, record.outcomes && record.outcomes.rating);
+  hideFeedbackForm();
+}
+
+/**
+ * 使用历史记录的输入重新运行
+ */
+async function rerunHistoryRecord(record) {
+  recordOutcome(record.id, 'regenerated');
+  restoreHistoryInput(record);
+  await handleStart();
+}
+
+// ========== 背景档案 ==========
+async function loadProfiles() {
+  try {
+    const { fields, profiles } = await fetchProfiles();
+    state.profileFieldDefs = fields;
+    state.profiles = profiles;
+  } catch (error) {
+    console.error('加载背景档案失败:', error);
+    return;
+  }
+
+  // 上次选择的档案已删除或不在当前工作区
+  if (!state.profiles.some(profile => profile.id === state.profileId)) {
+    selectProfile('');
+  }
+  renderProfileOptions(elements.profileSelect, state.profiles, state.profileId);
+  renderProfileList(elements.profileList, state.profiles, state.profileFieldDefs);
+}
+
+function selectProfile(profileId) {
+  state.profileId = profileId;
+  setSelectedProfile(profileId);
+  elements.profileSelect.value = profileId;
+}
+
+function toggleProfileSidebar() {
+  const isHidden = elements.profileSidebar.classList.toggle('hidden');
+  if (!isHidden) {
+    loadProfiles();
+  }
+}
+
+/**
+ * 清空表单，回到新建状态
+ */
+function resetProfileForm() {
+  state.editingProfileId = null;
+  elements.profileForm.reset();
+  elements.btnProfileSave.textContent = '添加';
+  elements.btnProfileCancel.classList.add('hidden');
+}
+
+async function handleProfileSubmit(e) {
+  e.preventDefault();
+
+  const profile = { name: elements.profileName.value.trim() };
+  elements.profileFields.forEach(input => {
+    profile[input.dataset.profileField] = input.value.trim();
+  });
+
+  elements.btnProfileSave.disabled = true;
+  try {
+    const saved = await saveProfile(profile, state.editingProfileId);
+    showToast(state.editingProfileId ? '档案已更新' : '档案已添加', 'success');
+    // 新建后直接选中
+    if (!state.editingProfileId) {
+      selectProfile(saved.id);
+    }
+    resetProfileForm();
+    loadProfiles();
+  } catch (error) {
+    console.error('保存背景档案失败:', error);
+    showToast(error.message, 'error');
+  } finally {
+    elements.btnProfileSave.disabled = false;
+  }
+}
+
+async function handleProfileAction(e) {
+  const button = e.target.closest('[data-action]');
+  const itemEl = e.target.closest('[data-profile-id]');
+  if (!button || !itemEl) return;
+
+  const profile = state.profiles.find(item => item.id === itemEl.dataset.profileId);
+  if (!profile) return;
+
+  switch (button.dataset.action) {
+    case 'edit':
+      state.editingProfileId = profile.id;
+      elements.profileName.value = profile.name;
+      elements.profileFields.forEach(input => {
+        input.value = profile[input.dataset.profileField] || '';
+      });
+      elements.btnProfileSave.textContent = '保存';
+      elements.btnProfileCancel.classList.remove('hidden');
+      elements.profileName.focus();
+      break;
+    case 'delete':
+      if (!confirm(`确定删除档案「${profile.name}」吗？`)) return;
+      try {
+        await deleteProfile(profile.id);
+        if (state.editingProfileId === profile.id) {
+          resetProfileForm();
+        }
+        showToast('已删除', 'success');
+        loadProfiles();
+      } catch (error) {
+        console.error('删除背景档案失败:', error);
+        showToast(error.message, 'error');
+      }
+      break;
+  }
+}
+
+// ========== 术语表 ==========
+function toggleGlossarySidebar() {
+  const isHidden = elements.glossarySidebar.classList.toggle('hidden');
+  if (!isHidden) {
+    loadGlossary();
+  }
+}
+
+function refreshGlossaryIfOpen() {
+  if (!elements.glossarySidebar.classList.contains('hidden')) {
+    loadGlossary();
+  }
+}
+
+async function loadGlossary() {
+  try {
+    state.glossaryEntries = await fetchGlossary();
+    renderGlossaryList(elements.glossaryList, state.glossaryEntries);
+  } catch (error) {
+    console.error('加载术语表失败:', error);
+    showToast(error.message, 'error');
+  }
+}
+
+/**
+ * 清空表单，回到新建状态
+ */
+function resetGlossaryForm() {
+  state.editingGlossaryId = null;
+  elements.glossaryForm.reset();
+  elements.btnGlossarySave.textContent = '添加';
+  elements.btnGlossaryCancel.classList.add('hidden');
+}
+
+async function handleGlossarySubmit(e) {
+  e.preventDefault();
+
+  const entry = {
+    term: elements.glossaryTerm.value.trim(),
+    aliases: elements.glossaryAliases.value.split(/[,，、]/).map(alias => alias.trim()).filter(Boolean),
+    definition: elements.glossaryDefinition.value.trim()
+  };
+
+  elements.btnGlossarySave.disabled = true;
+  try {
+    await saveGlossaryEntry(entry, state.editingGlossaryId);
+    showToast(state.editingGlossaryId ? '词条已更新' : '词条已添加', 'success');
+    resetGlossaryForm();
+    loadGlossary();
+  } catch (error) {
+    console.error('保存词条失败:', error);
+    showToast(error.message, 'error');
+  } finally {
+    elements.btnGlossarySave.disabled = false;
+  }
+}
+
+async function handleGlossaryAction(e) {
+  const button = e.target.closest('[data-action]');
+  const itemEl = e.target.closest('[data-glossary-id]');
+  if (!button || !itemEl) return;
+
+  const entry = state.glossaryEntries.find(item => item.id === itemEl.dataset.glossaryId);
+  if (!entry) return;
+
+  switch (button.dataset.action) {
+    case 'edit':
+      state.editingGlossaryId = entry.id;
+      elements.glossaryTerm.value = entry.term;
+      elements.glossaryAliases.value = entry.aliases.join(', ');
+      elements.glossaryDefinition.value = entry.definition;
+      elements.btnGlossarySave.textContent = '保存';
+      elements.btnGlossaryCancel.classList.remove('hidden');
+      elements.glossaryTerm.focus();
+      break;
+    case 'delete':
+      if (!confirm(`确定删除词条「${entry.term}」吗？`)) return;
+      try {
+        await deleteGlossaryEntry(entry.id);
+        if (state.editingGlossaryId === entry.id) {
+          resetGlossaryForm();
+        }
+        showToast('已删除', 'success');
+        loadGlossary();
+      } catch (error) {
+        console.error('删除词条失败:', error);
+        showToast(error.message, 'error');
+      }
+      break;
+  }
+}
+
 // ========== 取消请求处理函数 ==========
 function handleCancelRequest() {
   if (state.abortController) {
@@ -425,6 +1349,7 @@ function handleCancelRequest() {
   elements.btnStart.textContent = '开始翻译';
   elements.btnSubmitAnswers.disabled = false;
   elements.btnSkip.disabled = false;
+  elements.btnRefine.disabled = false;
 
   // 显示取消提示
   showCancelled(elements.resultContentDoc);
@@ -457,6 +1382,7 @@ function handleStopStreaming() {
   elements.btnStart.textContent = '开始翻译';
   elements.btnSubmitAnswers.disabled = false;
   elements.btnSkip.disabled = false;
+  elements.btnRefine.disabled = false;
 }
 
 // ========== 启动应用 ==========
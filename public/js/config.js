@@ -5,22 +5,5 @@
 // 最大字符数限制
 export const MAX_CHARS = 10000;
 
-// 示例内容
-export const EXAMPLES = {
-  'pm-to-dev': [
-    '我们需要一个智能推荐功能，提升用户停留时长。希望能根据用户的浏览历史和偏好，推荐他们可能感兴趣的内容。',
-    '希望用户可以通过手机号一键登录，提升注册转化率。目前很多用户在注册页面流失，我们需要简化这个流程。',
-    '需要做一个用户积分系统，用户完成任务（签到、分享、评论）可以获得积分，积分可以兑换优惠券或虚拟道具。'
-  ],
-  'dev-to-pm': [
-    '我们优化了数据库查询，通过添加复合索引和优化 SQL 语句，QPS 从 1000 提升到了 1300，提升了 30%。',
-    '重构了前端构建流程，引入了代码分割和懒加载，首屏加载时间从 3 秒降到了 1.2 秒，Lighthouse 性能评分从 45 提升到 82。',
-    '上线了 Redis 缓存集群，将热点数据缓存命中率提升到 95%，接口响应时间 P99 从 800ms 降到了 50ms，同时数据库连接数下降了 60%。'
-  ]
-};
-
-// Placeholder文本
-export const PLACEHOLDERS = {
-  'pm-to-dev': '例如：我们需要一个智能推荐功能，提升用户停留时长',
-  'dev-to-pm': '例如：我们优化了数据库查询，QPS从1000提升到了1300，提升了30%'
-};
+// 默认翻译方向（方向列表、示例和 placeholder 由 /api/roles 提供）
+export const DEFAULT_DIRECTION = 'pm-to-dev';
@@ -22,6 +22,7 @@ export function renderResult(resultContentDoc, markdown, isStreaming) {
     resultContentDoc.classList.add('typing-cursor');
   } else {
     resultContentDoc.classList.remove('typing-cursor');
+    addSectionFeedbackButtons(resultContentDoc);
   }
 
   // 智能滚动：仅当用户在底部时才自动滚动
@@ -43,6 +44,46 @@ export function renderResult(resultContentDoc, markdown, isStreaming) {
   }
 }
 
+/**
+ * 渲染翻译方向选择卡片
+ * @param {HTMLElement} container - 方向选择容器
+ * @param {Array} roles - 角色对列表（来自 /api/roles）
+ * @param {Function} onSelect - 点击卡片时的回调 (directionId) => {}
+ */
+export function renderDirectionPicker(container, roles, onSelect) {
+  container.innerHTML = '';
+
+  roles.forEach(role => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.dataset.direction = role.id;
+    button.className = 'group relative rounded-lg border-2 border-slate-200 bg-white p-3 text-left transition-all hover:border-blue-500 hover:shadow-md';
+    button.setAttribute('aria-pressed', 'false');
+    button.innerHTML = `
+      <div class="text-sm font-semibold text-slate-900 mb-1">${role.title}</div>
+      <div class="text-xs text-slate-600">${role.description}</div>
+    `;
+    button.addEventListener('click', () => onSelect(role.id));
+    container.appendChild(button);
+  });
+}
+
+/**
+ * 高亮当前选中的翻译方向
+ * @param {HTMLElement} container - 方向选择容器
+ * @param {string} directionId - 当前方向 ID
+ */
+export function highlightDirection(container, directionId) {
+  container.querySelectorAll('[data-direction]').forEach(button => {
+    const isActive = button.dataset.direction === directionId;
+    button.classList.toggle('border-blue-500', isActive);
+    button.classList.toggle('bg-blue-50', isActive);
+    button.classList.toggle('border-slate-200', !isActive);
+    button.classList.toggle('bg-white', !isActive);
+    button.setAttribute('aria-pressed', isActive);
+  });
+}
+
 /**
  * 显示问题列表
  * @param {HTMLElement} questionsPanel - 问题面板元素
@@ -222,6 +263,39 @@ export function showError(resultPanel, resultContentDoc, message) {
   `;
 }
 
+/**
+ * 渲染工作区下拉框
+ * @param {HTMLSelectElement} select - 下拉框
+ * @param {Array} teams - 用户所属的团队 [{ id, name }]
+ * @param {string} currentId - 当前工作区 ID
+ */
+export function renderWorkspaceOptions(select, teams, currentId) {
+  select.innerHTML = teams.map(team => `
+    <option value="${escapeHtml(team.id)}"${team.id === currentId ? ' selected' : ''}>${escapeHtml(team.name)}</option>
+  `).join('');
+  // 只有一个团队时不需要切换
+  select.classList.toggle('hidden', teams.length < 2);
+}
+
+/**
+ * 显示限流 / 超出每日预算的提示
+ * @param {HTMLElement} resultPanel - 结果面板
+ * @param {HTMLElement} resultContentDoc - 结果内容容器
+ * @param {string} message - 服务端返回的提示（含可重试时间）
+ */
+export function showRateLimited(resultPanel, resultContentDoc, message) {
+  resultPanel.classList.remove('hidden');
+  resultContentDoc.innerHTML = `
+    <div class="flex items-center justify-center h-full text-amber-600">
+      <div class="text-center">
+        <div class="text-4xl mb-2">⏳</div>
+        <div class="text-sm font-medium">${escapeHtml(message)}</div>
+        <div class="text-xs text-slate-500 mt-2">输入内容已保留，稍后可直接重新生成</div>
+      </div>
+    </div>
+  `;
+}
+
 /**
  * 显示取消状态
  * @param {HTMLElement} resultContentDoc - 结果内容容器
@@ -304,3 +378,306 @@ export function collectAnswers(questionsContainer) {
 
   return answers;
 }
+
+/**
+ * 转义 HTML 特殊字符
+ * @param {string} text - 原始文本
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * 渲染历史记录列表
+ * @param {HTMLElement} container - 列表容器
+ * @param {Array} items - 历史记录摘要（来自 /api/history）
+ * @param {Array} roles - 角色对列表，用于显示方向名称
+ */
+export function renderHistoryList(container, items, roles) {
+  if (items.length === 0) {
+    container.innerHTML = '<div class="py-12 text-center text-xs text-slate-500">暂无历史记录</div>';
+    return;
+  }
+
+  const roleTitles = Object.fromEntries(
+    roles.map(role => [role.id, `${role.source.label} → ${role.target.label}`])
+  );
+
+  container.innerHTML = items.map(item => {
+    const modeLabel = item.mode === 'interactive' ? '🎯 智能补齐' : '⚡ 快速直出';
+    const statusBadge = item.hasResult
+      ? ''
+      : '<span class="rounded-full bg-amber-100 px-2 py-0.5 text-xs text-amber-800">待回答</span>';
+
+    return `
+      <div class="rounded-lg border bg-white p-3 shadow-sm" data-history-id="${escapeHtml(item.id)}">
+        <div class="flex items-center justify-between gap-2 text-xs text-slate-500">
+          <span>${escapeHtml(roleTitles[item.direction] || item.direction)} · ${modeLabel}</span>
+          ${statusBadge}
+        </div>
+        <div class="mt-2 line-clamp-3 text-sm text-slate-800">${escapeHtml(item.preview)}</div>
+        <div class="mt-2 flex items-center justify-between">
+          <span class="text-xs text-slate-400">${new Date(item.createdAt).toLocaleString()}</span>
+          <div class="flex gap-1">
+            <button type="button" data-action="open" class="rounded border px-2 py-1 text-xs hover:bg-slate-50">打开</button>
+            <button type="button" data-action="copy" class="rounded border px-2 py-1 text-xs hover:bg-slate-50" ${item.hasResult ? '' : 'disabled'}>复制</button>
+            <button type="button" data-action="rerun" class="rounded border px-2 py-1 text-xs hover:bg-slate-50">重新运行</button>
+            <button type="button" data-action="delete" class="rounded border border-red-200 px-2 py-1 text-xs text-red-600 hover:bg-red-50">删除</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * 渲染术语表词条列表
+ * @param {HTMLElement} container - 列表容器
+ * @param {Array} entries - 词条（来自 /api/glossary）
+ */
+export function renderGlossaryList(container, entries) {
+  if (entries.length === 0) {
+    container.innerHTML = '<div class="py-12 text-center text-xs text-slate-500">还没有词条</div>';
+    return;
+  }
+
+  container.innerHTML = entries.map(entry => `
+    <div class="rounded-lg border bg-white p-3 shadow-sm" data-glossary-id="${escapeHtml(entry.id)}">
+      <div class="flex items-start justify-between gap-2">
+        <div class="text-sm font-medium text-slate-800">${escapeHtml(entry.term)}</div>
+        <div class="flex flex-shrink-0 gap-1">
+          <button type="button" data-action="edit" class="rounded border px-2 py-1 text-xs hover:bg-slate-50">编辑</button>
+          <button type="button" data-action="delete" class="rounded border border-red-200 px-2 py-1 text-xs text-red-600 hover:bg-red-50">删除</button>
+        </div>
+      </div>
+      ${entry.aliases.length > 0 ? `<div class="mt-1 text-xs text-slate-400">又称：${entry.aliases.map(escapeHtml).join('、')}</div>` : ''}
+      <div class="mt-2 text-xs text-slate-600">${escapeHtml(entry.definition)}</div>
+    </div>
+  `).join('');
+}
+
+/**
+ * 渲染背景档案下拉框
+ * @param {HTMLSelectElement} select - 下拉框
+ * @param {Array} profiles - 档案列表
+ * @param {string} currentId - 当前选中的档案 ID
+ */
+export function renderProfileOptions(select, profiles, currentId) {
+  select.innerHTML = '<option value="">不使用背景档案</option>' + profiles.map(profile => `
+    <option value="${escapeHtml(profile.id)}"${profile.id === currentId ? ' selected' : ''}>${escapeHtml(profile.name)}</option>
+  `).join('');
+}
+
+/**
+ * 渲染背景档案列表
+ * @param {HTMLElement} container - 列表容器
+ * @param {Array} profiles - 档案列表
+ * @param {Array} fields - 字段定义 [{ id, label }]（来自 /api/profiles）
+ */
+export function renderProfileList(container, profiles, fields) {
+  if (profiles.length === 0) {
+    container.innerHTML = '<div class="py-12 text-center text-xs text-slate-500">还没有背景档案</div>';
+    return;
+  }
+
+  container.innerHTML = profiles.map(profile => `
+    <div class="rounded-lg border bg-white p-3 shadow-sm" data-profile-id="${escapeHtml(profile.id)}">
+      <div class="flex items-start justify-between gap-2">
+        <div class="text-sm font-medium text-slate-800">${escapeHtml(profile.name)}</div>
+        <div class="flex flex-shrink-0 gap-1">
+          <button type="button" data-action="edit" class="rounded border px-2 py-1 text-xs hover:bg-slate-50">编辑</button>
+          <button type="button" data-action="delete" class="rounded border border-red-200 px-2 py-1 text-xs text-red-600 hover:bg-red-50">删除</button>
+        </div>
+      </div>
+      <dl class="mt-2 space-y-1 text-xs text-slate-600">
+        ${fields.filter(field => profile[field.id]).map(field => `
+          <div><dt class="inline text-slate-400">${escapeHtml(field.label)}：</dt><dd class="inline">${escapeHtml(profile[field.id])}</dd></div>
+        `).join('')}
+      </dl>
+    </div>
+  `).join('');
+}
+
+/**
+ * 显示本次翻译注入提示词的团队术语
+ * @param {HTMLElement} element - 提示元素
+ * @param {Array<string>} terms - 词条名（done 事件的 glossaryTerms）
+ */
+export function renderGlossaryUsed(element, terms = []) {
+  element.classList.toggle('hidden', terms.length === 0);
+  element.textContent = terms.length > 0 ? `📖 已按团队术语表理解：${terms.join('、')}` : '';
+}
+
+/**
+ * 显示结果的输出结构一致性：自动修复的章节，以及修复后仍不符合的章节
+ * @param {HTMLElement} element - 提示元素
+ * @param {object|null} conformance - done 事件或历史记录中的一致性报告
+ */
+export function renderConformance(element, conformance = null) {
+  const lines = [];
+  if (conformance && conformance.repaired.length > 0) {
+    lines.push(`🔧 已自动补全不符合输出结构的章节：${conformance.repaired.join('、')}`);
+  }
+  const issues = conformance ? conformance.sections.filter(section => section.status !== 'ok') : [];
+  if (issues.length > 0) {
+    lines.push(`⚠️ 以下章节仍不符合输出结构：${issues.map(issue => `${issue.heading}（${issue.problems.join('；')}）`).join('、')}`);
+  }
+
+  element.classList.toggle('hidden', lines.length === 0);
+  element.textContent = lines.join('\n');
+}
+
+/**
+ * 往返校验的一条差异
+ * @param {string} sign - 差异符号：− 遗漏、+ 新增、≠ 矛盾
+ * @param {string} text - 差异内容
+ * @param {string} evidence - 原话依据
+ * @param {string} tone - 配色 class
+ */
+function fidelityRow(sign, text, evidence, tone) {
+  return `
+    <li class="flex gap-2 rounded px-2 py-1 ${tone}">
+      <span class="font-mono font-semibold">${sign}</span>
+      <span>${escapeHtml(text)}${evidence ? `<span class="block opacity-70">「${escapeHtml(evidence)}」</span>` : ''}</span>
+    </li>
+  `;
+}
+
+/**
+ * 显示往返校验报告：保真度得分、遗漏 / 新增 / 矛盾清单与回译全文
+ * @param {HTMLElement} container - 报告容器
+ * @param {object|null} fidelity - 校验报告，null 时隐藏
+ */
+export function renderFidelity(container, fidelity = null) {
+  container.classList.toggle('hidden', !fidelity);
+  if (!fidelity) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const tone = fidelity.score >= 80 ? 'text-emerald-600' : fidelity.score >= 60 ? 'text-amber-600' : 'text-red-600';
+  const rows = [
+    ...fidelity.dropped.map(item => fidelityRow('−', `遗漏：${item.fact}`, item.evidence, 'bg-red-50 text-red-700')),
+    ...fidelity.added.map(item => fidelityRow('+', `新增假设：${item.assumption}`, item.evidence, 'bg-emerald-50 text-emerald-700')),
+    ...fidelity.contradictions.map(item => fidelityRow(
+      '≠',
+      `矛盾：${item.note || '说法不一致'}`,
+      `原文：${item.original} / 结果：${item.translated}`,
+      'bg-amber-50 text-amber-700'
+    ))
+  ];
+
+  container.innerHTML = `
+    <div class="flex items-center justify-between">
+      <span class="font-medium text-slate-700">🔁 往返校验</span>
+      <span class="font-semibold ${tone}">保真度 ${fidelity.score}</span>
+    </div>
+    ${fidelity.summary ? `<p class="mt-1 text-slate-500">${escapeHtml(fidelity.summary)}</p>` : ''}
+    <ul class="mt-2 space-y-1">
+      ${rows.join('') || '<li class="text-slate-500">没有发现遗漏、新增或矛盾</li>'}
+    </ul>
+    <details class="mt-2">
+      <summary class="cursor-pointer text-slate-500">查看回译</summary>
+      <pre class="mt-1 whitespace-pre-wrap rounded border bg-white p-2 font-sans">${escapeHtml(fidelity.backTranslation)}</pre>
+    </details>
+  `;
+}
+
+/**
+ * 在结果的每个 ## 章节标题后加上 👍 / 👎 按钮
+ * @param {HTMLElement} resultContentDoc - 结果容器
+ */
+function addSectionFeedbackButtons(resultContentDoc) {
+  resultContentDoc.querySelectorAll('h2').forEach((heading, index) => {
+    const buttons = document.createElement('span');
+    buttons.className = 'not-prose ml-2 inline-flex gap-1 align-middle';
+    buttons.innerHTML = ['up', 'down'].map(rating => `
+      <button
+        type="button"
+        data-section-index="${index}"
+        data-section-rating="${rating}"
+        title="${rating === 'up' ? '这一节有用' : '这一节有问题'}"
+        class="rounded border bg-white px-1.5 text-xs font-normal opacity-60 hover:opacity-100"
+      >${rating === 'up' ? '👍' : '👎'}</button>
+    `).join('');
+    heading.appendChild(buttons);
+  });
+}
+
+/**
+ * 标记章节的评价
+ * @param {HTMLElement} resultContentDoc - 结果容器
+ * @param {number} sectionIndex - 章节序号
+ * @param {string} rating - 'up' | 'down'
+ */
+export function renderSectionRating(resultContentDoc, sectionIndex, rating) {
+  resultContentDoc.querySelectorAll(`[data-section-index="${sectionIndex}"]`).forEach(button => {
+    const active = button.dataset.sectionRating === rating;
+    button.classList.toggle('opacity-60', !active);
+    button.classList.toggle('border-slate-400', active);
+  });
+}
+
+/**
+ * 显示反馈评论框
+ * @param {HTMLFormElement} form - 评论表单
+ * @param {string|null} sectionTitle - 章节标题，null 表示整个结果
+ */
+export function showFeedbackForm(form, sectionTitle) {
+  form.querySelector('[data-feedback-target]').textContent = sectionTitle ? `「${sectionTitle}」` : '整体结果';
+  form.querySelector('input').value = '';
+  form.classList.remove('hidden');
+  form.querySelector('input').focus();
+}
+
+/**
+ * 标记当前结果的评价
+ * @param {NodeList} buttons - 带 data-rating 的评价按钮
+ * @param {string|null} rating - 'up' | 'down' | null
+ */
+export function renderRating(buttons, rating = null) {
+  buttons.forEach(button => {
+    const active = button.dataset.rating === rating;
+    button.classList.toggle('bg-slate-100', active);
+    button.classList.toggle('border-slate-400', active);
+    button.setAttribute('aria-pressed', String(active));
+  });
+}
+
+/**
+ * 渲染"发送到群"菜单，按团队分组
+ * @param {HTMLElement} container - 菜单容器
+ * @param {Array} targets - Webhook 目标列表
+ */
+export function renderWebhookMenu(container, targets) {
+  if (targets.length === 0) {
+    container.innerHTML = `
+      <p class="px-3 py-2 text-xs text-slate-500">
+        还没有配置群机器人，可通过 <code>POST /api/webhooks</code> 添加
+      </p>
+    `;
+    return;
+  }
+
+  const groups = {};
+  targets.forEach(target => {
+    const team = target.team || '未分组';
+    (groups[team] = groups[team] || []).push(target);
+  });
+
+  container.innerHTML = Object.entries(groups).map(([team, items]) => `
+    <p class="px-3 pt-2 pb-1 text-xs text-slate-400">${escapeHtml(team)}</p>
+    ${items.map(target => `
+      <button type="button" data-target-id="${escapeHtml(target.id)}" class="block w-full px-3 py-2 text-left hover:bg-slate-50">
+        ${escapeHtml(target.name)}
+      </button>
+    `).join('')}
+  `).join('');
+}
+
@@ -0,0 +1,59 @@
+/**
+ * 密码与令牌散列
+ * - 密码：scrypt + 随机盐，格式 scrypt$<salt>$<hash>
+ * - 令牌：只保存 SHA-256 摘要，明文仅在签发时返回一次
+ */
+
+const crypto = require('crypto');
+const { API_TOKEN_PREFIX } = require('../utils/constants');
+
+const KEY_LENGTH = 64;
+
+/**
+ * 计算密码散列
+ * @param {string} password - 明文密码
+ * @returns {string}
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+/**
+ * 校验密码（恒定时间比较）
+ * @param {string} password - 明文密码
+ * @param {string} stored - hashPassword 的结果
+ * @returns {boolean}
+ */
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * 生成令牌明文
+ */
+function generateToken() {
+  return `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+/**
+ * 令牌摘要
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  generateToken,
+  hashToken,
+};
@@ -0,0 +1,63 @@
+/**
+ * SSO 身份提供方
+ * 每个提供方实现 identify(req)，返回 { username, displayName, teams, admin } 或 null；
+ * 以 AUTH_MODE 的取值注册，新增 SSO 方式时在 PROVIDERS 中添加即可
+ *
+ * API 令牌与网页登录令牌不经过提供方，由认证中间件统一校验
+ */
+
+const { DEFAULT_TEAM_SLUG } = require('../utils/constants');
+
+/**
+ * 逗号分隔的列表
+ */
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * 请求头中的非 ASCII 值通常经过 URL 编码
+ */
+function decodeHeader(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * 请求头身份：由前置的 SSO 代理（oauth2-proxy、企业网关等）认证后写入请求头
+ * 服务必须只能经由该代理访问，且代理需覆盖客户端自带的同名请求头
+ * - AUTH_USER_HEADER：用户名（默认 X-Forwarded-User）
+ * - AUTH_NAME_HEADER：显示名（默认 X-Forwarded-Name）
+ * - AUTH_TEAMS_HEADER：逗号分隔的团队 slug（默认 X-Forwarded-Groups），缺省时加入默认团队
+ * - AUTH_ADMINS：逗号分隔的管理员用户名
+ */
+const headerProvider = {
+  identify(req) {
+    const username = req.get(process.env.AUTH_USER_HEADER || 'X-Forwarded-User');
+    if (!username || !username.trim()) {
+      return null;
+    }
+
+    const name = username.trim();
+    const displayName = req.get(process.env.AUTH_NAME_HEADER || 'X-Forwarded-Name');
+    const teams = splitList(req.get(process.env.AUTH_TEAMS_HEADER || 'X-Forwarded-Groups'));
+
+    return {
+      username: name,
+      displayName: displayName ? decodeHeader(displayName.trim()) : name,
+      teams: teams.length > 0 ? teams : [DEFAULT_TEAM_SLUG],
+      admin: splitList(process.env.AUTH_ADMINS).includes(name)
+    };
+  }
+};
+
+const PROVIDERS = {
+  header: headerProvider
+};
+
+module.exports = {
+  PROVIDERS,
+};
@@ -0,0 +1,223 @@
+/**
+ * 批量翻译执行器
+ * 以有限并发逐条处理任务中的条目，每条的状态与结果实时写回任务存储，并通过事件通知进度：
+ * - 'item'：(jobId, item, counts) 条目开始或结束
+ * - 'done'：(jobId, summary) 任务结束（完成或取消）
+ *
+ * 智能补齐条目不会等待回答，所有问题按 default_assumption 作答
+ */
+
+const EventEmitter = require('events');
+const DirectTranslator = require('../translators/direct-translator');
+const InteractiveTranslator = require('../translators/interactive-translator');
+const jobStore = require('../storage/job-store');
+const historyStore = require('../storage/history-store');
+const budgetStore = require('../storage/budget-store');
+const glossaryStore = require('../storage/glossary-store');
+const logger = require('../utils/logger');
+const { TRANSLATION_MODE } = require('../utils/constants');
+
+/**
+ * 把回调式的流式接口包装为 Promise
+ */
+function runStream(start) {
+  return new Promise((resolve, reject) => {
+    start((result, meta) => resolve({ result, model: meta.model }), reject);
+  });
+}
+
+class BatchRunner extends EventEmitter {
+  constructor() {
+    super();
+    this.directTranslator = new DirectTranslator();
+    // 正在执行的任务 ID
+    this.running = new Set();
+    // 已请求取消的任务 ID
+    this.cancelled = new Set();
+  }
+
+  /**
+   * 翻译单个条目
+   * @param {object} item - 条目
+   * @param {object} requester - 用量归属 { client, userId, teamId }
+   * @param {object[]} glossary - 条目中命中的团队术语
+   * @returns {Promise<{ result: string, model: string, analysisJson?: object, answers?: object[] }>}
+   */
+  async translate(item, requester, glossary = []) {
+    const noop = () => {};
+
+    const scope = budgetStore.exceeded(requester.client);
+    if (scope) {
+      throw new Error(`${scope === 'global' ? '服务今日总用量' : '你今日的用量'}已达上限，请明天再试`);
+    }
+
+    if (item.mode !== TRANSLATION_MODE.INTERACTIVE) {
+      return runStream((onDone, onError) => this.directTranslator.translateStream(
+        item.direction, item.content, noop, onDone, onError, { requester, context: item.context, glossary }
+      ));
+    }
+
+    const interactiveTranslator = new InteractiveTranslator();
+    const { result: analysisJson } = await runStream((onDone, onError) => interactiveTranslator.analyzeStream({
+      direction: item.direction,
+      content: item.content,
+      context: item.context,
+      requester,
+      glossary,
+      onChunk: noop,
+      onDone,
+      onError
+    }));
+
+    const answers = (analysisJson.missing_info || []).map(question => ({
+      id: question.id,
+      answer: question.default_assumption || ''
+    }));
+
+    const synthesized = await runStream((onDone, onError) => interactiveTranslator.synthesizeStream({
+      direction: item.direction,
+      analysisJson,
+      answers,
+      originalText: item.content,
+      context: item.context,
+      requester,
+      glossary,
+      onChunk: noop,
+      onDone,
+      onError
+    }));
+
+    return { ...synthesized, analysisJson, answers };
+  }
+
+  /**
+   * 处理单个条目，失败只影响该条目
+   */
+  async processItem(jobId, index) {
+    const job = jobStore.get(jobId);
+    const item = jobStore.updateItem(jobId, index, { status: 'running', startedAt: new Date().toISOString() });
+    if (!item) {
+      return;
+    }
+    this.emit('item', jobId, item, jobStore.countItems(job));
+
+    let changes;
+    try {
+      const owner = { userId: job.userId, teamId: job.teamId };
+      const requester = { client: job.client, ...owner };
+      const glossary = glossaryStore.match([item.content, item.context].filter(Boolean).join('\n'), job.teamId);
+      const glossaryTerms = glossary.map(entry => entry.term);
+      const { result, model, analysisJson, answers } = await this.translate(item, requester, glossary);
+      const record = historyStore.create({
+        direction: item.direction,
+        mode: item.mode,
+        originalText: item.content,
+        context: item.context,
+        analysisJson,
+        answers,
+        result,
+        model,
+        glossaryTerms,
+        ...owner
+      });
+      changes = { status: 'completed', result, model, answers: answers || [], glossaryTerms, historyId: record.id, error: null };
+    } catch (error) {
+      logger.logError('BATCH_ITEM', error);
+      changes = { status: 'failed', error: error.message || '翻译失败' };
+    }
+
+    const updated = jobStore.updateItem(jobId, index, { ...changes, finishedAt: new Date().toISOString() });
+    if (updated) {
+      this.emit('item', jobId, updated, jobStore.countItems(job));
+    }
+  }
+
+  /**
+   * 开始（或继续）执行任务，不等待完成
+   * @param {string} jobId - 任务 ID
+   */
+  start(jobId) {
+    if (this.running.has(jobId)) {
+      return;
+    }
+
+    this.running.add(jobId);
+    this.run(jobId)
+      .catch(error => logger.logError('BATCH_JOB', error))
+      .finally(() => {
+        this.running.delete(jobId);
+        this.cancelled.delete(jobId);
+      });
+  }
+
+  async run(jobId) {
+    const job = jobStore.update(jobId, { status: 'running' });
+    const queue = job.items.filter(item => item.status === 'pending').map(item => item.index);
+    logger.logInfo('BATCH_START', { jobId, pending: queue.length, concurrency: job.concurrency });
+
+    const worker = async () => {
+      while (queue.length > 0 && !this.cancelled.has(jobId)) {
+        await this.processItem(jobId, queue.shift());
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(job.concurrency, queue.length) }, worker));
+
+    // 已被删除的任务不再更新
+    if (!jobStore.get(jobId)) {
+      return;
+    }
+
+    const status = this.cancelled.has(jobId) ? 'cancelled' : 'completed';
+    if (status === 'cancelled') {
+      job.items.forEach(item => {
+        if (item.status === 'pending') {
+          item.status = 'cancelled';
+        }
+      });
+    }
+
+    const finished = jobStore.update(jobId, { status });
+    const summary = jobStore.summarize(finished);
+    logger.logInfo('BATCH_DONE', summary);
+    this.emit('done', jobId, summary);
+  }
+
+  /**
+   * 取消任务：进行中的条目继续完成，未开始的条目标记为已取消
+   * @returns {boolean} 任务是否仍在执行（执行结束时会发出 done 事件）
+   */
+  cancel(jobId) {
+    if (this.running.has(jobId)) {
+      this.cancelled.add(jobId);
+      return true;
+    }
+    return false;
+  }
+
+  isRunning(jobId) {
+    return this.running.has(jobId);
+  }
+
+  /**
+   * 服务启动时继续处理上次未完成的任务
+   * 上次中断时正在处理的条目重新排队
+   */
+  resume() {
+    jobStore.list()
+      .filter(job => job.status === 'queued' || job.status === 'running')
+      .forEach(job => {
+        job.items.forEach(item => {
+          if (item.status === 'running') {
+            item.status = 'pending';
+          }
+        });
+        logger.logInfo('BATCH_RESUME', { jobId: job.id });
+        this.start(job.id);
+      });
+  }
+}
+
+// 单例模式
+const batchRunner = new BatchRunner();
+
+module.exports = batchRunner;
@@ -0,0 +1,174 @@
+/**
+ * 批量任务条目解析
+ * 支持 JSONL（每行一个 JSON 对象）和带表头的 CSV，字段：
+ * - direction：翻译方向 ID，缺省时使用任务级的 direction
+ * - content：待翻译内容
+ * - mode：direct | interactive，缺省为 direct
+ * - context：可选的补充上下文（智能补齐）
+ * - ref / id / key / title：可选的条目标识，如需求单号，用于报告
+ */
+
+const roleRegistry = require('../roles/registry');
+const { TRANSLATION_MODE, MAX_CONTENT_LENGTH } = require('../utils/constants');
+
+const REF_FIELDS = ['ref', 'id', 'key', 'title'];
+
+/**
+ * 解析 JSONL
+ * @returns {{ records: object[], errors: string[] }}
+ */
+function parseJsonl(text) {
+  const records = [];
+  const errors = [];
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+    try {
+      const record = JSON.parse(line);
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        throw new Error('不是 JSON 对象');
+      }
+      records.push(record);
+    } catch (error) {
+      errors.push(`第 ${index + 1} 行：${error.message}`);
+    }
+  });
+
+  return { records, errors };
+}
+
+/**
+ * 解析 CSV（RFC 4180：双引号包裹的字段可包含逗号、换行，"" 表示引号）
+ * @returns {string[][]} 行列表
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+/**
+ * 解析带表头的 CSV 为对象列表
+ * @returns {{ records: object[], errors: string[] }}
+ */
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) {
+    return { records: [], errors: [] };
+  }
+
+  const columns = header.map(name => name.trim().toLowerCase());
+  if (!columns.includes('content')) {
+    return { records: [], errors: ['CSV 表头缺少 content 列'] };
+  }
+
+  const records = rows.map(cells => {
+    const record = {};
+    columns.forEach((column, index) => {
+      if (column && cells[index] !== undefined && cells[index] !== '') {
+        record[column] = cells[index];
+      }
+    });
+    return record;
+  });
+
+  return { records, errors: [] };
+}
+
+/**
+ * 校验并规范化条目
+ * @param {object[]} records - 解析得到的原始条目
+ * @param {object} defaults - 任务级默认值 { direction, mode }
+ * @returns {{ items: object[], errors: string[] }}
+ */
+function normalizeItems(records, defaults = {}) {
+  const items = [];
+  const errors = [];
+  const modes = Object.values(TRANSLATION_MODE);
+
+  records.forEach((record, index) => {
+    const label = `第 ${index + 1} 条`;
+    const direction = record.direction || defaults.direction;
+    const mode = record.mode || defaults.mode || TRANSLATION_MODE.DIRECT;
+    const content = typeof record.content === 'string' ? record.content.trim() : '';
+
+    if (!direction || !roleRegistry.has(direction)) {
+      errors.push(`${label}：无效的翻译方向「${direction || ''}」`);
+      return;
+    }
+    if (!modes.includes(mode)) {
+      errors.push(`${label}：无效的模式「${mode}」，可选值: ${modes.join(', ')}`);
+      return;
+    }
+    if (!content) {
+      errors.push(`${label}：内容为空`);
+      return;
+    }
+    if (content.length > MAX_CONTENT_LENGTH) {
+      errors.push(`${label}：内容过长，请控制在${MAX_CONTENT_LENGTH}字符以内`);
+      return;
+    }
+
+    const refField = REF_FIELDS.find(field => record[field] !== undefined && record[field] !== '');
+    items.push({
+      ref: refField ? String(record[refField]).trim() : '',
+      direction,
+      mode,
+      content,
+      context: typeof record.context === 'string' ? record.context.trim() : ''
+    });
+  });
+
+  return { items, errors };
+}
+
+module.exports = {
+  parseJsonl,
+  parseCsv,
+  parseCsvRows,
+  normalizeItems,
+};
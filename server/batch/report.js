@@ -0,0 +1,77 @@
+/**
+ * 批量任务报告
+ * - Markdown：汇总 + 每个条目一节，结果中的标题下降一级
+ * - CSV：每个条目一行，带 BOM 以便 Excel 正确识别 UTF-8
+ */
+
+const roleRegistry = require('../roles/registry');
+const { toCsvTable } = require('../utils/csv');
+
+const CSV_COLUMNS = ['index', 'ref', 'direction', 'mode', 'status', 'content', 'result', 'error', 'model', 'historyId'];
+
+const STATUS_LABELS = {
+  pending: '未开始',
+  running: '进行中',
+  completed: '完成',
+  failed: '失败',
+  cancelled: '已取消'
+};
+
+function directionLabel(direction) {
+  const pair = roleRegistry.get(direction);
+  return pair ? `${pair.source.label} → ${pair.target.label}` : direction;
+}
+
+/**
+ * 条目标题：优先使用 ref，否则取内容首行
+ */
+function itemTitle(item) {
+  const firstLine = item.content.split('\n')[0].trim();
+  const preview = firstLine.length > 40 ? `${firstLine.slice(0, 40)}…` : firstLine;
+  return item.ref ? `${item.ref} ${preview}` : preview;
+}
+
+/**
+ * 生成 Markdown 报告
+ * @param {object} job - 任务（含条目）
+ * @param {object} counts - 条目计数
+ * @returns {string}
+ */
+function toMarkdown(job, counts) {
+  const lines = [
+    `# 批量翻译报告${job.name ? `：${job.name}` : ''}`,
+    '',
+    `共 ${counts.total} 条：完成 ${counts.completed}，失败 ${counts.failed}${counts.cancelled ? `，已取消 ${counts.cancelled}` : ''} · 创建于 ${job.createdAt}`,
+    ''
+  ];
+
+  job.items.forEach(item => {
+    lines.push(`## ${item.index + 1}. ${itemTitle(item)}`, '');
+    lines.push(`> ${directionLabel(item.direction)} · ${item.mode === 'interactive' ? '智能补齐' : '快速直出'} · ${STATUS_LABELS[item.status]}`, '');
+
+    if (item.status === 'completed') {
+      // 结果中的标题下降一级，保持报告层级
+      lines.push(item.result.replace(/^(#{1,5})(\s)/gm, '#$1$2'), '');
+    } else if (item.status === 'failed') {
+      lines.push(`❌ 失败：${item.error}`, '');
+    }
+  });
+
+  return `${lines.join('\n').trim()}\n`;
+}
+
+/**
+ * 生成 CSV
+ * @param {object} job - 任务（含条目）
+ * @returns {string}
+ */
+function toCsv(job) {
+  return toCsvTable(CSV_COLUMNS, job.items.map(item => CSV_COLUMNS.map(column => (
+    column === 'index' ? item.index + 1 : item[column]
+  ))));
+}
+
+module.exports = {
+  toMarkdown,
+  toCsv,
+};
@@ -0,0 +1,266 @@
+/**
+ * IM 机器人会话编排（与平台无关）
+ * 平台适配层负责验签、解析请求与渲染消息，这里只处理翻译流程：
+ * - 直出：调用 DirectTranslator.translateStream（不转发片段），结果回复到会话
+ * - 智能补齐：分析后把问题以按钮形式发到会话，全部回答（或选择按默认假设生成）后合成
+ *
+ * 回复的消息是与平台无关的对象，由适配层渲染：
+ * - { type: 'text', text }
+ * - { type: 'result', title, text }
+ * - { type: 'questions', sessionId, questions, answers, status }
+ */
+
+const DirectTranslator = require('../translators/direct-translator');
+const InteractiveTranslator = require('../translators/interactive-translator');
+const roleRegistry = require('../roles/registry');
+const historyStore = require('../storage/history-store');
+const sessionStore = require('../storage/session-store');
+const budgetStore = require('../storage/budget-store');
+const glossaryStore = require('../storage/glossary-store');
+const accountStore = require('../storage/account-store');
+const promptRegistry = require('../prompts/prompt-registry');
+const logger = require('../utils/logger');
+const { authEnabled } = require('../middleware/auth');
+const { TRANSLATION_MODE, DEFAULT_TEAM_SLUG } = require('../utils/constants');
+
+/**
+ * 会话中机器人问答的状态
+ * - waiting：等待按钮回答
+ * - synthesizing：正在合成
+ * - done：已生成结果
+ */
+const BOT_STATUS = {
+  WAITING: 'waiting',
+  SYNTHESIZING: 'synthesizing',
+  DONE: 'done',
+};
+
+/**
+ * 机器人请求的发起方
+ * 按平台、IM 工作区与 IM 用户区分客户端，用于每日预算与用量归属；
+ * 启用认证时记录归属 BOT_TEAM 指定的团队（slug 或 ID），未配置时归属默认团队
+ * @param {object} sender
+ * @param {string} sender.platform - 'slack' | 'feishu'
+ * @param {string} sender.workspace - Slack team_id / 飞书 tenant_key
+ * @param {string} sender.user - Slack user_id / 飞书 open_id
+ * @returns {{ client: string, userId: null, teamId: string|null }}
+ */
+function botRequester({ platform, workspace, user }) {
+  let teamId = null;
+  if (authEnabled()) {
+    const team = accountStore.getTeam(process.env.BOT_TEAM || DEFAULT_TEAM_SLUG);
+    teamId = team ? team.id : null;
+  }
+  return { client: `bot:${platform}:${workspace || '-'}:${user || '-'}`, userId: null, teamId };
+}
+
+/**
+ * 把回调式的流式接口包装为 Promise
+ */
+function runStream(start) {
+  return new Promise((resolve, reject) => {
+    start((result, meta) => resolve({ result, model: meta.model, conformance: meta.conformance }), reject);
+  });
+}
+
+function resultMessage(direction, result) {
+  const pair = roleRegistry.require(direction);
+  return { type: 'result', title: `${pair.source.label} → ${pair.target.label}`, text: result };
+}
+
+function questionsMessage(session) {
+  return {
+    type: 'questions',
+    sessionId: session.id,
+    questions: session.analysisJson.missing_info || [],
+    answers: session.bot.answers,
+    status: session.bot.status
+  };
+}
+
+/**
+ * 回复失败只记录日志，避免异步流程中出现未处理的 rejection
+ */
+async function safeReply(conversation, message) {
+  try {
+    await conversation.reply(message);
+  } catch (error) {
+    logger.logError('BOT_REPLY', error);
+  }
+}
+
+class BotService {
+  /**
+   * @param {object} config
+   * @param {DirectTranslator} config.directTranslator - 可选，默认新建
+   * @param {InteractiveTranslator} config.interactiveTranslator - 可选，默认每次调用时新建（构造时会校验 API 配置）
+   */
+  constructor(config = {}) {
+    this.directTranslator = config.directTranslator || new DirectTranslator();
+    this.interactiveTranslator = config.interactiveTranslator || null;
+  }
+
+  getInteractiveTranslator() {
+    return this.interactiveTranslator || new InteractiveTranslator();
+  }
+
+  /**
+   * 执行翻译指令。调用方应先应答平台请求，再异步调用本方法
+   * @param {object} command - parseCommand 的结果 { mode, direction, content }
+   * @param {object} conversation - 会话 { platform, reply(message) }
+   * @param {object} requester - 发起方，见 botRequester()
+   */
+  async runCommand(command, conversation, requester) {
+    const { mode, direction, content } = command;
+    const noop = () => {};
+    logger.logInfo('BOT_COMMAND', { platform: conversation.platform, mode, direction, contentLength: content.length, client: requester.client });
+
+    try {
+      const scope = budgetStore.exceeded(requester.client);
+      if (scope) {
+        throw new Error(`${scope === 'global' ? '服务今日总用量' : '你今日的用量'}已达上限，请明天再试`);
+      }
+
+      const owner = { userId: requester.userId, teamId: requester.teamId };
+      const glossary = glossaryStore.match(content, requester.teamId);
+      const glossaryTerms = glossary.map(entry => entry.term);
+
+      if (mode === TRANSLATION_MODE.DIRECT) {
+        const { result, model, conformance } = await runStream((onDone, onError) => this.directTranslator.translateStream(
+          direction, content, noop, onDone, onError, { requester, glossary }
+        ));
+        historyStore.create({ direction, mode, originalText: content, result, model, glossaryTerms, conformance, ...owner });
+        await conversation.reply(resultMessage(direction, result));
+        return;
+      }
+
+      const { result: analysisJson, model } = await runStream((onDone, onError) => this.getInteractiveTranslator().analyzeStream({
+        direction,
+        content,
+        requester,
+        glossary,
+        onChunk: noop,
+        onDone,
+        onError
+      }));
+      const record = historyStore.create({
+        direction,
+        mode,
+        status: 'analyzed',
+        originalText: content,
+        analysisJson,
+        model,
+        glossaryTerms,
+        ...owner
+      });
+      const session = sessionStore.create({ direction, content, analysisJson, historyId: record.id, ...owner });
+      session.bot = { answers: {}, status: BOT_STATUS.WAITING, requester, glossary };
+
+      if (analysisJson.can_proceed_directly || (analysisJson.missing_info || []).length === 0) {
+        await this.synthesize(session, conversation);
+        return;
+      }
+
+      await conversation.reply(questionsMessage(session));
+    } catch (error) {
+      logger.logError('BOT_COMMAND', error);
+      await safeReply(conversation, { type: 'text', text: `翻译失败：${error.message}` });
+    }
+  }
+
+  /**
+   * 记录按钮回答，所有问题都回答后开始合成（不等待合成完成）
+   * @param {string} sessionId - 会话 ID
+   * @param {string} questionId - 问题 ID
+   * @param {string} answer - 选中的选项
+   * @param {object} conversation - 会话
+   * @returns {object|null} 更新后的问题消息，供平台替换原消息；会话不存在或已过期时返回 null
+   */
+  answer(sessionId, questionId, answer, conversation) {
+    const session = sessionStore.get(sessionId);
+    if (!session || !session.bot) {
+      return null;
+    }
+
+    const questions = session.analysisJson.missing_info || [];
+    if (session.bot.status === BOT_STATUS.WAITING && questions.some(question => question.id === questionId)) {
+      session.bot.answers[questionId] = answer;
+
+      if (questions.every(question => session.bot.answers[question.id])) {
+        session.bot.status = BOT_STATUS.SYNTHESIZING;
+        this.synthesize(session, conversation);
+      }
+    }
+
+    return questionsMessage(session);
+  }
+
+  /**
+   * 跳过未回答的问题，按默认假设生成
+   * @returns {object|null} 同 answer()
+   */
+  skip(sessionId, conversation) {
+    const session = sessionStore.get(sessionId);
+    if (!session || !session.bot) {
+      return null;
+    }
+
+    if (session.bot.status === BOT_STATUS.WAITING) {
+      session.bot.status = BOT_STATUS.SYNTHESIZING;
+      this.synthesize(session, conversation);
+    }
+
+    return questionsMessage(session);
+  }
+
+  /**
+   * 合成并回复结果；失败时恢复为等待状态，允许再次点击
+   */
+  async synthesize(session, conversation) {
+    session.bot.status = BOT_STATUS.SYNTHESIZING;
+    const answers = Object.entries(session.bot.answers).map(([id, answer]) => ({ id, answer }));
+
+    let synthesized;
+    try {
+      synthesized = await runStream((onDone, onError) => this.getInteractiveTranslator().synthesizeStream({
+        direction: session.direction,
+        analysisJson: session.analysisJson,
+        answers,
+        originalText: session.content,
+        context: session.context,
+        requester: session.bot.requester,
+        glossary: session.bot.glossary,
+        onChunk: () => {},
+        onDone,
+        onError
+      }));
+    } catch (error) {
+      logger.logError('BOT_SYNTHESIZE', error);
+      session.bot.status = BOT_STATUS.WAITING;
+      await safeReply(conversation, { type: 'text', text: `生成失败：${error.message}，可重新点击按钮重试` });
+      return;
+    }
+
+    const { result, model, conformance } = synthesized;
+    historyStore.update(session.historyId, {
+      answers,
+      result,
+      model,
+      conformance,
+      promptVersion: promptRegistry.activeVersion(),
+      status: 'completed'
+    });
+    session.bot.status = BOT_STATUS.DONE;
+    await safeReply(conversation, resultMessage(session.direction, result));
+  }
+}
+
+// 单例模式
+const botService = new BotService();
+
+module.exports = {
+  BotService,
+  botService,
+  botRequester,
+  BOT_STATUS,
+};
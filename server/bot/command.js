@@ -0,0 +1,73 @@
+/**
+ * 机器人指令解析
+ * 格式：/translate [-i] <方向> <内容>，-i 表示智能补齐（先提问再生成）
+ */
+
+const roleRegistry = require('../roles/registry');
+const { TRANSLATION_MODE, MAX_CONTENT_LENGTH } = require('../utils/constants');
+
+const COMMAND = '/translate';
+const INTERACTIVE_FLAGS = ['-i', '--interactive', 'interactive'];
+const HELP_WORDS = ['', 'help', '帮助'];
+
+/**
+ * 使用说明
+ */
+function helpText() {
+  const directions = roleRegistry.list()
+    .map(pair => `• ${pair.id}：${pair.source.label} → ${pair.target.label}`)
+    .join('\n');
+
+  return `用法：${COMMAND} [-i] <方向> <内容>
+-i 表示智能补齐：先就缺失信息提问，回答后再生成
+
+可用方向：
+${directions}`;
+}
+
+/**
+ * 解析指令文本
+ * @param {string} text - 指令文本，可带 /translate 前缀（飞书消息中还会带 @机器人 占位）
+ * @returns {{ help: true } | { error: string } | { mode: string, direction: string, content: string }}
+ */
+function parseCommand(text) {
+  let rest = (text || '')
+    .replace(/@_user_\d+/g, '')
+    .trim();
+
+  if (rest.startsWith(COMMAND)) {
+    rest = rest.slice(COMMAND.length).trim();
+  }
+
+  if (HELP_WORDS.includes(rest.toLowerCase())) {
+    return { help: true };
+  }
+
+  let mode = TRANSLATION_MODE.DIRECT;
+  const [first] = rest.split(/\s+/, 1);
+  if (INTERACTIVE_FLAGS.includes(first.toLowerCase())) {
+    mode = TRANSLATION_MODE.INTERACTIVE;
+    rest = rest.slice(first.length).trim();
+  }
+
+  const match = rest.match(/^(\S+)\s+([\s\S]+)$/);
+  if (!match) {
+    return { error: `缺少翻译方向或内容\n\n${helpText()}` };
+  }
+
+  const [, direction, content] = match;
+  if (!roleRegistry.has(direction)) {
+    return { error: `未知的翻译方向「${direction}」\n\n${helpText()}` };
+  }
+
+  if (content.trim().length > MAX_CONTENT_LENGTH) {
+    return { error: `内容过长，请控制在${MAX_CONTENT_LENGTH}字符以内` };
+  }
+
+  return { mode, direction, content: content.trim() };
+}
+
+module.exports = {
+  parseCommand,
+  helpText,
+};
@@ -0,0 +1,245 @@
+/**
+ * 飞书适配层
+ * - 验签：配置 FEISHU_ENCRYPT_KEY 时，X-Lark-Signature = SHA256(timestamp + nonce + encrypt key + 原始请求体)，
+ *   请求体为 AES-256-CBC 加密的 { encrypt }；配置 FEISHU_VERIFICATION_TOKEN 时校验请求中的 token
+ * - 回复：以应用身份调用"回复消息"接口，reply_in_thread 使整个问答在同一话题内
+ */
+
+const crypto = require('crypto');
+const { toFeishu } = require('../delivery/im-formatters');
+const { BOT_STATUS } = require('./bot-service');
+const { BOT_REQUEST_MAX_AGE_SECONDS, BOT_API_TIMEOUT_MS } = require('../utils/constants');
+
+/**
+ * 解密 { encrypt } 请求体
+ * 密钥为 SHA256(encrypt key)，密文前 16 字节为 IV
+ */
+function decrypt(encrypted, encryptKey) {
+  const key = crypto.createHash('sha256').update(encryptKey).digest();
+  const buffer = Buffer.from(encrypted, 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-cbc', key, buffer.subarray(0, 16));
+  return Buffer.concat([decipher.update(buffer.subarray(16)), decipher.final()]).toString('utf8');
+}
+
+/**
+ * 校验并解析回调请求
+ * @param {string} rawBody - 原始请求体
+ * @param {object} headers - 请求头
+ * @returns {{ payload: object } | { error: string }}
+ */
+function verifyRequest(rawBody, headers) {
+  const encryptKey = process.env.FEISHU_ENCRYPT_KEY;
+  const verificationToken = process.env.FEISHU_VERIFICATION_TOKEN;
+  let payload;
+
+  try {
+    payload = JSON.parse(rawBody);
+  } catch (error) {
+    return { error: '请求体不是有效的 JSON' };
+  }
+
+  if (encryptKey) {
+    if (!payload.encrypt) {
+      return { error: '请求体未加密' };
+    }
+
+    try {
+      payload = JSON.parse(decrypt(payload.encrypt, encryptKey));
+    } catch (error) {
+      return { error: '请求体解密失败' };
+    }
+
+    // 配置回调地址时的 url_verification 请求不带签名头
+    if (payload.type !== 'url_verification') {
+      const timestamp = headers['x-lark-request-timestamp'];
+      const nonce = headers['x-lark-request-nonce'];
+      const signature = headers['x-lark-signature'];
+      if (!timestamp || !nonce || !signature) {
+        return { error: '缺少签名' };
+      }
+
+      if (Math.abs(Date.now() / 1000 - Number(timestamp)) > BOT_REQUEST_MAX_AGE_SECONDS) {
+        return { error: '请求已过期' };
+      }
+
+      const expected = crypto.createHash('sha256').update(`${timestamp}${nonce}${encryptKey}${rawBody}`).digest('hex');
+      if (expected.length !== signature.length || !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))) {
+        return { error: '签名校验失败' };
+      }
+    }
+  }
+
+  if (verificationToken) {
+    const token = payload.header ? payload.header.token : payload.token;
+    if (token !== verificationToken) {
+      return { error: 'Verification Token 不匹配' };
+    }
+  }
+
+  return { payload };
+}
+
+/**
+ * 问题消息：消息卡片，每个问题一段说明加一排选项按钮
+ */
+function renderQuestions({ sessionId, questions, answers, status }) {
+  const elements = [{
+    tag: 'div',
+    text: { tag: 'lark_md', content: '点击选项回答；未回答的问题按默认假设处理' }
+  }];
+
+  questions.forEach((question, index) => {
+    const answer = answers[question.id];
+    const lines = [`**${index + 1}. ${question.question}**`];
+    if (question.reason) {
+      lines.push(question.reason);
+    }
+    if (answer) {
+      lines.push(`✅ ${answer}`);
+    }
+    elements.push({ tag: 'div', text: { tag: 'lark_md', content: lines.join('\n') } });
+
+    const options = question.options && question.options.length > 0 ? question.options : [question.default_assumption];
+    if (!answer && status === BOT_STATUS.WAITING) {
+      elements.push({
+        tag: 'action',
+        actions: options.filter(Boolean).map(option => ({
+          tag: 'button',
+          type: 'default',
+          text: { tag: 'plain_text', content: option },
+          value: { sessionId, questionId: question.id, answer: option }
+        }))
+      });
+    }
+  });
+
+  elements.push(status === BOT_STATUS.WAITING
+    ? {
+      tag: 'action',
+      actions: [{
+        tag: 'button',
+        type: 'primary',
+        text: { tag: 'plain_text', content: '按默认假设生成' },
+        value: { sessionId, skip: true }
+      }]
+    }
+    : {
+      tag: 'note',
+      elements: [{ tag: 'plain_text', content: status === BOT_STATUS.DONE ? '✅ 已生成，见话题回复' : '⏳ 正在生成结果…' }]
+    });
+
+  return {
+    config: { wide_screen_mode: true, update_multi: true },
+    header: { template: 'blue', title: { tag: 'plain_text', content: '需要补充以下信息' } },
+    elements
+  };
+}
+
+/**
+ * 把与平台无关的消息渲染为 { msg_type, content }，content 为对象
+ */
+function render(message) {
+  if (message.type === 'result') {
+    return { msg_type: 'post', content: toFeishu({ title: message.title, text: message.text }).content.post };
+  }
+  if (message.type === 'questions') {
+    return { msg_type: 'interactive', content: renderQuestions(message) };
+  }
+  return { msg_type: 'text', content: { text: message.text } };
+}
+
+function apiBaseURL() {
+  return process.env.FEISHU_API_BASE_URL || 'https://open.feishu.cn';
+}
+
+// tenant_access_token 缓存
+let cachedToken = null;
+
+/**
+ * 获取 tenant_access_token（提前一分钟刷新）
+ */
+async function getTenantToken() {
+  if (cachedToken && cachedToken.expiresAt > Date.now()) {
+    return cachedToken.token;
+  }
+
+  const response = await fetch(`${apiBaseURL()}/open-apis/auth/v3/tenant_access_token/internal`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json; charset=utf-8' },
+    body: JSON.stringify({ app_id: process.env.FEISHU_APP_ID, app_secret: process.env.FEISHU_APP_SECRET }),
+    signal: AbortSignal.timeout(BOT_API_TIMEOUT_MS)
+  });
+
+  const data = await response.json();
+  if (data.code !== 0) {
+    throw new Error(`获取飞书 tenant_access_token 失败：${data.msg || response.status}`);
+  }
+
+  cachedToken = {
+    token: data.tenant_access_token,
+    expiresAt: Date.now() + (data.expire - 60) * 1000
+  };
+  return cachedToken.token;
+}
+
+/**
+ * 在话题中回复消息
+ * @param {string} messageId - 被回复的消息 ID
+ * @param {object} body - render() 的结果
+ */
+async function replyMessage(messageId, body) {
+  const token = await getTenantToken();
+  const response = await fetch(`${apiBaseURL()}/open-apis/im/v1/messages/${messageId}/reply`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      Authorization: `Bearer ${token}`
+    },
+    body: JSON.stringify({
+      msg_type: body.msg_type,
+      content: JSON.stringify(body.content),
+      reply_in_thread: true
+    }),
+    signal: AbortSignal.timeout(BOT_API_TIMEOUT_MS)
+  });
+
+  const data = await response.json();
+  if (data.code !== 0) {
+    throw new Error(`飞书回复消息失败：${data.msg || response.status}`);
+  }
+}
+
+/**
+ * 创建会话
+ * @param {string} messageId - 用户发出指令的消息，或按钮所在的卡片消息
+ * @returns {{ platform: string, reply: function }}
+ */
+function createConversation(messageId) {
+  return {
+    platform: 'feishu',
+    reply: message => replyMessage(messageId, render(message))
+  };
+}
+
+/**
+ * 从消息事件中取出文本
+ * @returns {string|null} 非文本消息返回 null
+ */
+function messageText(message) {
+  if (!message || message.message_type !== 'text') {
+    return null;
+  }
+
+  try {
+    return JSON.parse(message.content).text || '';
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  verifyRequest,
+  render,
+  createConversation,
+  messageText,
+};
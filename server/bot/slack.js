@@ -0,0 +1,187 @@
+/**
+ * Slack 适配层
+ * - 验签：X-Slack-Signature = v0=HMAC-SHA256(signing secret, "v0:{timestamp}:{原始请求体}")
+ * - 回复：配置了 SLACK_BOT_TOKEN 时用 chat.postMessage，第一条回复作为话题，后续回复进入该话题；
+ *   否则通过 response_url 发到频道
+ */
+
+const crypto = require('crypto');
+const { toSlack } = require('../delivery/im-formatters');
+const { BOT_STATUS } = require('./bot-service');
+const { BOT_REQUEST_MAX_AGE_SECONDS, BOT_API_TIMEOUT_MS } = require('../utils/constants');
+
+// 按钮文字上限
+const BUTTON_TEXT_LIMIT = 75;
+
+/**
+ * 校验请求签名
+ * @param {string} rawBody - 原始请求体
+ * @param {object} headers - 请求头
+ * @param {string} secret - Signing Secret
+ * @returns {boolean}
+ */
+function verifySignature(rawBody, headers, secret) {
+  const timestamp = headers['x-slack-request-timestamp'];
+  const signature = headers['x-slack-signature'];
+  if (!timestamp || !signature) {
+    return false;
+  }
+
+  // 拒绝过旧的请求，防止重放
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > BOT_REQUEST_MAX_AGE_SECONDS) {
+    return false;
+  }
+
+  const expected = `v0=${crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${rawBody}`).digest('hex')}`;
+  return expected.length === signature.length
+    && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+}
+
+function escapeMrkdwn(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * 问题消息：每个问题一个 section，未回答的问题下方是选项按钮
+ */
+function renderQuestions({ sessionId, questions, answers, status }) {
+  const blocks = [{
+    type: 'section',
+    text: { type: 'mrkdwn', text: '*需要补充以下信息*，点击选项回答；未回答的问题按默认假设处理' }
+  }];
+
+  questions.forEach((question, index) => {
+    const answer = answers[question.id];
+    const lines = [`*${index + 1}. ${escapeMrkdwn(question.question)}*`];
+    if (question.reason) {
+      lines.push(`_${escapeMrkdwn(question.reason)}_`);
+    }
+    if (answer) {
+      lines.push(`✅ ${escapeMrkdwn(answer)}`);
+    }
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: lines.join('\n') } });
+
+    const options = question.options && question.options.length > 0 ? question.options : [question.default_assumption];
+    if (!answer && status === BOT_STATUS.WAITING) {
+      blocks.push({
+        type: 'actions',
+        block_id: `question_${index}`,
+        elements: options.filter(Boolean).map((option, optionIndex) => ({
+          type: 'button',
+          text: { type: 'plain_text', text: option.slice(0, BUTTON_TEXT_LIMIT) },
+          action_id: `answer_${optionIndex}`,
+          value: JSON.stringify({ sessionId, questionId: question.id, answer: option })
+        }))
+      });
+    }
+  });
+
+  if (status === BOT_STATUS.WAITING) {
+    blocks.push({
+      type: 'actions',
+      block_id: 'footer',
+      elements: [{
+        type: 'button',
+        style: 'primary',
+        text: { type: 'plain_text', text: '按默认假设生成' },
+        action_id: 'skip',
+        value: JSON.stringify({ sessionId })
+      }]
+    });
+  } else {
+    blocks.push({
+      type: 'context',
+      elements: [{
+        type: 'mrkdwn',
+        text: status === BOT_STATUS.DONE ? '✅ 已生成，见话题回复' : '⏳ 正在生成结果…'
+      }]
+    });
+  }
+
+  return { text: '需要补充以下信息', blocks };
+}
+
+/**
+ * 把与平台无关的消息渲染为 Slack 消息体
+ */
+function render(message) {
+  if (message.type === 'result') {
+    return toSlack({ title: message.title, text: message.text });
+  }
+  if (message.type === 'questions') {
+    return renderQuestions(message);
+  }
+  return { text: message.text };
+}
+
+/**
+ * 调用 Slack Web API
+ */
+async function callApi(method, body) {
+  const baseURL = process.env.SLACK_API_BASE_URL || 'https://slack.com/api';
+  const response = await fetch(`${baseURL}/${method}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      Authorization: `Bearer ${process.env.SLACK_BOT_TOKEN}`
+    },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(BOT_API_TIMEOUT_MS)
+  });
+
+  const data = await response.json();
+  if (!data.ok) {
+    throw new Error(`Slack ${method} 失败：${data.error || response.status}`);
+  }
+  return data;
+}
+
+/**
+ * 通过 response_url 回复
+ */
+async function respond(responseUrl, body) {
+  const response = await fetch(responseUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json; charset=utf-8' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(BOT_API_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Slack response_url 回复失败：HTTP ${response.status}`);
+  }
+}
+
+/**
+ * 创建会话
+ * @param {object} options
+ * @param {string} options.channel - 频道 ID
+ * @param {string} options.threadTs - 话题根消息的 ts，缺省时第一条回复成为话题
+ * @param {string} options.responseUrl - 斜杠指令或交互回调中的 response_url
+ * @returns {{ platform: string, reply: function }}
+ */
+function createConversation({ channel, threadTs, responseUrl }) {
+  let rootTs = threadTs;
+
+  return {
+    platform: 'slack',
+    async reply(message) {
+      const body = render(message);
+
+      if (process.env.SLACK_BOT_TOKEN && channel) {
+        const data = await callApi('chat.postMessage', { channel, thread_ts: rootTs, ...body });
+        rootTs = rootTs || data.ts;
+        return;
+      }
+
+      await respond(responseUrl, { response_type: 'in_channel', replace_original: false, ...body });
+    }
+  };
+}
+
+module.exports = {
+  verifySignature,
+  render,
+  respond,
+  createConversation,
+};
@@ -0,0 +1,234 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const promptRegistry = require('../prompts/prompt-registry');
+const { CACHE_MAX_ENTRIES, CACHE_TTL_MINUTES } = require('../utils/constants');
+
+/**
+ * 规范化输入内容：统一换行、合并空白、去除首尾空白
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeContent(text) {
+  return (text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * 提示词版本：当前生效的模板版本 ID 加 System Prompt 内容的短哈希，提示词一改缓存自动失效
+ * 版本 ID 含全部模板的内容摘要，用户消息模板的修改也会让缓存失效；实验变体中为变体的版本
+ * @param {string} prompt - System Prompt
+ * @returns {string}
+ */
+function promptVersion(prompt) {
+  const hash = crypto.createHash('sha256').update(prompt || '').digest('hex').slice(0, 12);
+  return `${promptRegistry.activeVersion()}:${hash}`;
+}
+
+/**
+ * 翻译结果缓存（LRU）
+ * 内存中按 Map 插入顺序维护最近使用，可选持久化到 DATA_DIR/response-cache.json
+ */
+class ResponseCache {
+  constructor() {
+    this.enabled = process.env.CACHE_ENABLED !== 'false';
+    this.maxEntries = parseInt(process.env.CACHE_MAX_ENTRIES, 10) || CACHE_MAX_ENTRIES;
+    this.ttl = (parseInt(process.env.CACHE_TTL_MINUTES, 10) || CACHE_TTL_MINUTES) * 60 * 1000;
+    this.persistEnabled = process.env.CACHE_PERSIST === 'true';
+
+    const dataDir = process.env.DATA_DIR || path.join(__dirname, '../data');
+    this.dataDir = dataDir;
+    this.filePath = path.join(dataDir, 'response-cache.json');
+
+    this.entries = new Map();
+    this.counters = {};
+
+    if (this.enabled && this.persistEnabled) {
+      this.load();
+    }
+  }
+
+  /**
+   * 生成缓存键
+   * @param {object} parts - { direction, mode, content, context, glossary, model, promptVersion }
+   * @returns {string}
+   */
+  buildKey(parts) {
+    const key = {
+      direction: parts.direction,
+      mode: parts.mode,
+      content: normalizeContent(parts.content),
+      context: normalizeContent(parts.context),
+      model: parts.model,
+      promptVersion: parts.promptVersion
+    };
+    // 注入的术语会改变提示词；没有命中词条时保持原有的键不变
+    if (parts.glossary && parts.glossary.length > 0) {
+      key.glossary = parts.glossary.map(entry => [entry.term, entry.aliases, entry.definition]);
+    }
+    const payload = JSON.stringify(key);
+    return crypto.createHash('sha256').update(payload).digest('hex');
+  }
+
+  /**
+   * 按模式累加计数
+   */
+  count(mode, field) {
+    if (!this.counters[mode]) {
+      this.counters[mode] = { hits: 0, misses: 0, bypassed: 0 };
+    }
+    this.counters[mode][field]++;
+  }
+
+  /**
+   * 读取缓存（命中时移到最近使用的位置）
+   * @param {string} key - 缓存键
+   * @param {string} mode - 用于计数的模式
+   * @returns {object|null} 缓存的值
+   */
+  get(key, mode) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) {
+        this.entries.delete(key);
+      }
+      this.count(mode, 'misses');
+      return null;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.count(mode, 'hits');
+    return entry.value;
+  }
+
+  /**
+   * 写入缓存，超出容量时淘汰最久未使用的条目
+   * @param {string} key - 缓存键
+   * @param {object} value - 缓存值
+   */
+  set(key, value) {
+    if (!this.enabled) {
+      return;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttl });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    this.persist();
+  }
+
+  /**
+   * 记录一次跳过缓存的请求
+   * @param {string} mode - 模式
+   */
+  markBypass(mode) {
+    this.count(mode, 'bypassed');
+  }
+
+  /**
+   * 清空缓存
+   * @returns {number} 清除的条数
+   */
+  clear() {
+    const count = this.entries.size;
+    this.entries.clear();
+    this.persist();
+    return count;
+  }
+
+  /**
+   * 统计信息
+   */
+  stats() {
+    const totals = { hits: 0, misses: 0, bypassed: 0 };
+    Object.values(this.counters).forEach(counter => {
+      totals.hits += counter.hits;
+      totals.misses += counter.misses;
+      totals.bypassed += counter.bypassed;
+    });
+
+    return {
+      enabled: this.enabled,
+      persistent: this.persistEnabled,
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      ...totals,
+      byMode: this.counters
+    };
+  }
+
+  /**
+   * 从文件加载
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return;
+      }
+      const now = Date.now();
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      (Array.isArray(data) ? data : []).forEach(([key, entry]) => {
+        if (entry && entry.expiresAt > now) {
+          this.entries.set(key, entry);
+        }
+      });
+    } catch (error) {
+      logger.logError('CACHE_LOAD', error);
+    }
+  }
+
+  /**
+   * 写回文件（仅在开启持久化时）
+   */
+  persist() {
+    if (!this.persistEnabled) {
+      return;
+    }
+
+    try {
+      if (!fs.existsSync(this.dataDir)) {
+        fs.mkdirSync(this.dataDir, { recursive: true });
+      }
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(Array.from(this.entries.entries())), 'utf8');
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      logger.logError('CACHE_PERSIST', error);
+    }
+  }
+}
+
+/**
+ * 将缓存的完整文本按固定长度切片，通过 onChunk 回放
+ * @param {string} text - 完整文本
+ * @param {function} onChunk - 片段回调
+ * @param {number} size - 每片字符数
+ */
+function replayChunks(text, onChunk, size = 40) {
+  for (let i = 0; i < text.length; i += size) {
+    onChunk(text.slice(i, i + size));
+  }
+}
+
+// 单例模式
+const responseCache = new ResponseCache();
+
+module.exports = {
+  responseCache,
+  normalizeContent,
+  promptVersion,
+  replayChunks,
+};
@@ -0,0 +1,118 @@
+/**
+ * 群消息格式转换
+ * 把结果中 --- 之间的群消息（Markdown 子集）转换为各 IM 平台机器人的消息体
+ */
+
+// Slack section 文本上限
+const SLACK_SECTION_LIMIT = 3000;
+// 企业微信 markdown 内容上限（字节）
+const WECOM_CONTENT_LIMIT = 4096;
+
+/**
+ * 截断到指定字节数（UTF-8）
+ */
+function truncateBytes(text, maxBytes) {
+  if (Buffer.byteLength(text, 'utf8') <= maxBytes) {
+    return text;
+  }
+  let result = text;
+  while (Buffer.byteLength(`${result}…`, 'utf8') > maxBytes) {
+    result = result.slice(0, -1);
+  }
+  return `${result}…`;
+}
+
+/**
+ * Slack：mrkdwn 中粗体为 *x*，链接为 <url|text>，需要转义 & < >；没有标题语法，标题转为粗体
+ */
+function toSlack({ title, text }) {
+  const mrkdwn = text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\*\*(.+?)\*\*/g, '*$1*')
+    .replace(/^#{1,6}\s+(.+)$/gm, '*$1*')
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '<$2|$1>');
+
+  // 超长内容拆成多个 section
+  const blocks = [{ type: 'header', text: { type: 'plain_text', text: title.slice(0, 150) } }];
+  for (let i = 0; i < mrkdwn.length; i += SLACK_SECTION_LIMIT) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: mrkdwn.slice(i, i + SLACK_SECTION_LIMIT) } });
+  }
+
+  return { text: `${title}\n${text}`.slice(0, SLACK_SECTION_LIMIT), blocks };
+}
+
+/**
+ * 飞书：富文本 post，每行一个段落，粗体与链接拆成独立元素，标题行整行加粗
+ */
+function toFeishu({ title, text }) {
+  const content = text.split('\n').map(line => {
+    const heading = line.match(/^#{1,6}\s+(.+)$/);
+    if (heading) {
+      return [{ tag: 'text', text: heading[1], style: ['bold'] }];
+    }
+
+    const elements = [];
+    const pattern = /\*\*(.+?)\*\*|\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g;
+    let last = 0;
+    let match;
+
+    while ((match = pattern.exec(line)) !== null) {
+      if (match.index > last) {
+        elements.push({ tag: 'text', text: line.slice(last, match.index) });
+      }
+      elements.push(match[1] !== undefined
+        ? { tag: 'text', text: match[1], style: ['bold'] }
+        : { tag: 'a', text: match[2], href: match[3] });
+      last = pattern.lastIndex;
+    }
+
+    if (last < line.length || elements.length === 0) {
+      elements.push({ tag: 'text', text: line.slice(last) });
+    }
+    return elements;
+  });
+
+  return {
+    msg_type: 'post',
+    content: {
+      post: {
+        zh_cn: { title, content }
+      }
+    }
+  };
+}
+
+/**
+ * 钉钉：markdown 消息，单个换行不生效，行尾补两个空格
+ */
+function toDingtalk({ title, text }) {
+  return {
+    msgtype: 'markdown',
+    markdown: {
+      title,
+      text: `#### ${title}\n\n${text.split('\n').join('  \n')}`
+    }
+  };
+}
+
+/**
+ * 企业微信：markdown 消息，内容不超过 4096 字节
+ */
+function toWecom({ title, text }) {
+  return {
+    msgtype: 'markdown',
+    markdown: {
+      content: truncateBytes(`**${title}**\n${text}`, WECOM_CONTENT_LIMIT)
+    }
+  };
+}
+
+module.exports = {
+  toSlack,
+  toFeishu,
+  toDingtalk,
+  toWecom,
+  truncateBytes,
+};
@@ -0,0 +1,180 @@
+/**
+ * 群机器人 Webhook 投递
+ * 按平台转换消息体、签名，失败时按指数退避重试
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { toSlack, toFeishu, toDingtalk, toWecom } = require('./im-formatters');
+const { WEBHOOK_MAX_ATTEMPTS, WEBHOOK_TIMEOUT_MS } = require('../utils/constants');
+
+/**
+ * 平台定义
+ * - format: ({ title, text }) => 请求体
+ * - check: (status, bodyText) => 错误信息，成功时返回 null
+ * - rateLimitCodes: 平台返回的限流错误码（可重试）
+ */
+const PLATFORMS = {
+  slack: {
+    label: 'Slack',
+    format: toSlack,
+    check: (status, bodyText) => (bodyText.trim() === 'ok' ? null : bodyText.trim() || `HTTP ${status}`)
+  },
+  feishu: {
+    label: '飞书',
+    format: toFeishu,
+    check: (status, bodyText) => {
+      const data = parseJson(bodyText);
+      const code = data ? (data.code ?? data.StatusCode) : undefined;
+      return code === 0 ? null : (data && (data.msg || data.StatusMessage)) || `HTTP ${status}`;
+    },
+    codeOf: data => data.code,
+    rateLimitCodes: [9499, 11232]
+  },
+  dingtalk: {
+    label: '钉钉',
+    format: toDingtalk,
+    check: (status, bodyText) => {
+      const data = parseJson(bodyText);
+      return data && data.errcode === 0 ? null : (data && data.errmsg) || `HTTP ${status}`;
+    },
+    codeOf: data => data.errcode,
+    rateLimitCodes: [130101]
+  },
+  wecom: {
+    label: '企业微信',
+    format: toWecom,
+    check: (status, bodyText) => {
+      const data = parseJson(bodyText);
+      return data && data.errcode === 0 ? null : (data && data.errmsg) || `HTTP ${status}`;
+    },
+    codeOf: data => data.errcode,
+    rateLimitCodes: [45009]
+  }
+};
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * HMAC-SHA256 签名（钉钉、飞书的加签机制）
+ * 钉钉以 secret 为密钥签名 "timestamp\nsecret"；飞书以 "timestamp\nsecret" 为密钥签名空串
+ */
+function sign(platform, secret, timestamp) {
+  const stringToSign = `${timestamp}\n${secret}`;
+  const hmac = platform === 'dingtalk'
+    ? crypto.createHmac('sha256', secret).update(stringToSign)
+    : crypto.createHmac('sha256', stringToSign).update('');
+  return hmac.digest('base64');
+}
+
+/**
+ * 构造请求地址与请求体（含签名）
+ */
+function buildRequest(target, message) {
+  const platform = PLATFORMS[target.platform];
+  const body = platform.format(message);
+  let url = target.url;
+
+  if (target.secret && target.platform === 'dingtalk') {
+    const timestamp = Date.now();
+    const signature = encodeURIComponent(sign('dingtalk', target.secret, timestamp));
+    url += `${url.includes('?') ? '&' : '?'}timestamp=${timestamp}&sign=${signature}`;
+  }
+
+  if (target.secret && target.platform === 'feishu') {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    body.timestamp = timestamp;
+    body.sign = sign('feishu', target.secret, timestamp);
+  }
+
+  return { url, body };
+}
+
+/**
+ * 单次发送
+ * @returns {Promise<{ ok: boolean, retryable: boolean, error?: string }>}
+ */
+async function attemptDelivery(target, message) {
+  const platform = PLATFORMS[target.platform];
+  const { url, body } = buildRequest(target, message);
+
+  let response;
+  let bodyText;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    bodyText = await response.text();
+  } catch (error) {
+    // 网络错误、超时
+    return { ok: false, retryable: true, error: error.message };
+  }
+
+  if (response.status === 429 || response.status >= 500) {
+    return { ok: false, retryable: true, error: `HTTP ${response.status}` };
+  }
+
+  const error = response.ok ? platform.check(response.status, bodyText) : `HTTP ${response.status}: ${bodyText.slice(0, 200)}`;
+  if (!error) {
+    return { ok: true, retryable: false };
+  }
+
+  const data = parseJson(bodyText);
+  const code = data && platform.codeOf ? platform.codeOf(data) : undefined;
+  return { ok: false, retryable: (platform.rateLimitCodes || []).includes(code), error };
+}
+
+/**
+ * 投递消息（带重试）
+ * @param {object} target - Webhook 目标 { id, name, platform, url, secret }
+ * @param {object} message - { title, text }
+ * @returns {Promise<object>} 投递结果 { targetId, targetName, platform, status, attempts, error, at }
+ */
+async function deliver(target, message) {
+  const maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || WEBHOOK_MAX_ATTEMPTS;
+  const baseDelay = parseInt(process.env.WEBHOOK_RETRY_DELAY_MS, 10) || 500;
+
+  let result;
+  let attempts = 0;
+
+  while (attempts < maxAttempts) {
+    attempts++;
+    result = await attemptDelivery(target, message);
+    if (result.ok || !result.retryable) {
+      break;
+    }
+
+    if (attempts < maxAttempts) {
+      logger.logInfo('WEBHOOK_RETRY', { target: target.name, platform: target.platform, attempts, error: result.error });
+      await new Promise(resolve => setTimeout(resolve, baseDelay * 2 ** (attempts - 1)));
+    }
+  }
+
+  const delivery = {
+    targetId: target.id,
+    targetName: target.name,
+    platform: target.platform,
+    status: result.ok ? 'delivered' : 'failed',
+    attempts,
+    error: result.ok ? null : result.error,
+    at: new Date().toISOString()
+  };
+
+  logger.logInfo('WEBHOOK_DELIVERY', delivery);
+  return delivery;
+}
+
+module.exports = {
+  PLATFORMS,
+  deliver,
+  sign,
+};
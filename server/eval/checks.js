@@ -0,0 +1,107 @@
+/**
+ * 评测的确定性检查
+ * - headings：输出结构（OUTPUT_STRUCTURES）中的 ## 章节都出现
+ * - fields：各章节按 OUTPUT_SECTIONS 解析后内容完整
+ * - imBlock：群消息章节包含 --- 包裹的可直接粘贴的正文
+ * - numericCriteria：验收标准中至少有 N 条带数字的可量化标准（输出结构含「验收标准」时默认开启）
+ * - forbidden：不出现面向该读者禁用的行话
+ * - required：出现指定的关键词
+ */
+
+const { splitSections, parseStructuredResult } = require('../utils/structured-result');
+const { outputStructureOf, structureSections, messageBlockProblem } = require('../utils/conformance');
+
+const ACCEPTANCE_LABEL = '验收标准';
+
+/**
+ * 取群消息中「验收标准」下的各条标准
+ * 同一行冒号后的内容算一条，其后缩进或列表形式的行各算一条，遇到下一个编号项或 --- 结束
+ * @param {string} message - 群消息章节正文
+ * @returns {string[]|null} 没有验收标准时返回 null
+ */
+function acceptanceCriteria(message) {
+  const lines = message.split('\n');
+  const start = lines.findIndex(line => line.includes(ACCEPTANCE_LABEL));
+  if (start === -1) {
+    return null;
+  }
+
+  const items = [];
+  const inline = lines[start].split(/[：:]/).slice(1).join('：').replace(/\*\*/g, '').trim();
+  if (inline) {
+    items.push(inline);
+  }
+
+  for (const line of lines.slice(start + 1)) {
+    if (line.trim() === '---' || /^\d+\.\s/.test(line)) {
+      break;
+    }
+    const item = line.replace(/^\s*(?:[-*]|\d+\.)\s+/, '').trim();
+    if (item) {
+      items.push(item);
+    }
+  }
+  return items;
+}
+
+function check(id, passed, detail = '') {
+  return { id, passed, detail };
+}
+
+/**
+ * 对一次输出执行确定性检查
+ * @param {string} result - 翻译结果
+ * @param {object} options
+ * @param {object} options.pair - 角色对（含 outputStructure、sections）
+ * @param {string} options.mode - 'direct' | 'interactive'
+ * @param {object} options.checks - 用例的 checks 配置
+ * @param {string[]} options.forbidden - 数据集按读者配置的禁用词
+ * @returns {{ id: string, passed: boolean, detail: string }[]}
+ */
+function runChecks(result, { pair, mode, checks = {}, forbidden = [] }) {
+  const results = [];
+  const outputStructure = outputStructureOf(pair, mode);
+  const sections = splitSections(result);
+
+  const missing = structureSections(outputStructure)
+    .filter(({ marker }) => !sections.some(section => section.heading.includes(marker)))
+    .map(({ heading }) => heading);
+  results.push(check('headings', missing.length === 0, missing.length > 0 ? `缺少章节：${missing.join('、')}` : ''));
+
+  const { errors } = parseStructuredResult(result, pair.sections);
+  results.push(check('fields', errors.length === 0, errors.join('；')));
+
+  const messageDef = pair.sections.find(def => def.type === 'message');
+  const messageSection = messageDef && sections.find(section => section.heading.includes(messageDef.marker));
+  const messageBody = messageSection ? messageSection.body : '';
+  const messageProblem = messageBlockProblem(messageBody);
+  results.push(check('imBlock', !messageProblem, messageProblem || ''));
+
+  const numeric = checks.numericCriteria ?? outputStructure.includes(ACCEPTANCE_LABEL);
+  if (numeric) {
+    const min = numeric === true ? 1 : numeric;
+    const criteria = acceptanceCriteria(messageBody);
+    const quantified = (criteria || []).filter(item => /\d/.test(item));
+    results.push(check('numericCriteria', quantified.length >= min,
+      criteria ? `可量化的验收标准 ${quantified.length} 条（至少 ${min} 条）` : '群消息中没有验收标准'));
+  }
+
+  const banned = [...new Set([...forbidden, ...(checks.forbidden || [])])];
+  if (banned.length > 0) {
+    const lower = result.toLowerCase();
+    const hits = banned.filter(term => lower.includes(term.toLowerCase()));
+    results.push(check('forbidden', hits.length === 0, hits.length > 0 ? `出现禁用词：${hits.join('、')}` : ''));
+  }
+
+  if (checks.required && checks.required.length > 0) {
+    const absent = checks.required.filter(term => !result.includes(term));
+    results.push(check('required', absent.length === 0, absent.length > 0 ? `缺少关键词：${absent.join('、')}` : ''));
+  }
+
+  return results;
+}
+
+module.exports = {
+  runChecks,
+  acceptanceCriteria,
+};
@@ -0,0 +1,134 @@
+/**
+ * 评测数据集：读取与校验
+ *
+ * 数据集为 JSON 文件：
+ * {
+ *   name?: string,
+ *   forbidden?: { [目标角色 ID]: string[] },   // 按结果读者统一禁用的行话
+ *   rubric?: [{ id, description }],            // LLM 评审的评分维度，缺省使用 judge.js 中的默认维度
+ *   cases: [{
+ *     id, direction, mode?: 'direct' | 'interactive', content, context?,
+ *     answers?: [{ match, answer }],           // 智能补齐的预设回答：match 为问题 ID 或问题中包含的文字
+ *     checks?: { forbidden?: string[], required?: string[], numericCriteria?: boolean | number }
+ *   }]
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const roleRegistry = require('../roles/registry');
+const { MAX_CONTENT_LENGTH, TRANSLATION_MODE } = require('../utils/constants');
+
+const CASE_ID_PATTERN = /^[A-Za-z0-9_.-]{1,60}$/;
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+}
+
+/**
+ * 校验单个用例
+ * @returns {string|null} 错误信息
+ */
+function validateCase(item) {
+  if (!item || typeof item.id !== 'string' || !CASE_ID_PATTERN.test(item.id)) {
+    return 'id 只能包含字母、数字和 _ . -，长度 1-60';
+  }
+  if (!roleRegistry.has(item.direction)) {
+    return `无效的翻译方向「${item.direction}」，可选值: ${roleRegistry.ids().join(', ')}`;
+  }
+  if (item.mode !== undefined && !Object.values(TRANSLATION_MODE).includes(item.mode)) {
+    return `无效的模式，可选值: ${Object.values(TRANSLATION_MODE).join(', ')}`;
+  }
+  if (typeof item.content !== 'string' || !item.content.trim() || item.content.length > MAX_CONTENT_LENGTH) {
+    return `content 不能为空，且不超过 ${MAX_CONTENT_LENGTH} 字符`;
+  }
+  if (item.context !== undefined && typeof item.context !== 'string') {
+    return 'context 必须是字符串';
+  }
+  if (item.answers !== undefined) {
+    const valid = Array.isArray(item.answers) && item.answers.every(answer => answer
+      && typeof answer.match === 'string' && answer.match.trim()
+      && typeof answer.answer === 'string');
+    if (!valid) {
+      return 'answers 必须是 [{ match, answer }] 数组';
+    }
+  }
+
+  const checks = item.checks || {};
+  for (const key of ['forbidden', 'required']) {
+    if (checks[key] !== undefined && !isStringArray(checks[key])) {
+      return `checks.${key} 必须是非空字符串数组`;
+    }
+  }
+  const numeric = checks.numericCriteria;
+  if (numeric !== undefined && typeof numeric !== 'boolean' && !(Number.isInteger(numeric) && numeric > 0)) {
+    return 'checks.numericCriteria 必须是布尔值或正整数';
+  }
+  return null;
+}
+
+/**
+ * 读取并校验数据集
+ * @param {string} filePath - 数据集路径
+ * @returns {{ name: string, forbidden: object, rubric: object[]|null, cases: object[] }}
+ * @throws {Error} 文件无法读取或内容不合法时抛出，错误信息列出所有问题
+ */
+function loadDataset(filePath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`无法读取数据集 ${filePath}：${error.message}`);
+  }
+
+  if (!data || !Array.isArray(data.cases) || data.cases.length === 0) {
+    throw new Error('数据集必须包含非空的 cases 数组');
+  }
+
+  const errors = [];
+  const ids = new Set();
+  data.cases.forEach((item, index) => {
+    const error = validateCase(item);
+    if (error) {
+      errors.push(`第 ${index + 1} 个用例${item && item.id ? `（${item.id}）` : ''}：${error}`);
+    } else if (ids.has(item.id)) {
+      errors.push(`第 ${index + 1} 个用例：id 重复「${item.id}」`);
+    } else {
+      ids.add(item.id);
+    }
+  });
+
+  const forbidden = data.forbidden || {};
+  if (typeof forbidden !== 'object' || Array.isArray(forbidden) || !Object.values(forbidden).every(isStringArray)) {
+    errors.push('forbidden 必须是 { 角色 ID: 字符串数组 }');
+  }
+
+  const rubric = data.rubric || null;
+  if (rubric && !(Array.isArray(rubric) && rubric.length > 0 && rubric.every(item => item
+    && typeof item.id === 'string' && item.id.trim()
+    && typeof item.description === 'string' && item.description.trim()))) {
+    errors.push('rubric 必须是 [{ id, description }] 数组');
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`数据集不合法：\n${errors.join('\n')}`);
+  }
+
+  return {
+    name: data.name || path.basename(filePath, path.extname(filePath)),
+    forbidden,
+    rubric,
+    cases: data.cases.map(item => ({
+      ...item,
+      mode: item.mode || TRANSLATION_MODE.DIRECT,
+      context: item.context || '',
+      answers: item.answers || [],
+      checks: item.checks || {}
+    }))
+  };
+}
+
+module.exports = {
+  loadDataset,
+  validateCase,
+};
@@ -0,0 +1,96 @@
+/**
+ * LLM 评审：按评分维度给翻译结果打 1-5 分
+ * 评审提示词固定在此处，不随被测的提示词模板版本变化
+ */
+
+const roleRegistry = require('../roles/registry');
+const { extractJson } = require('../utils/analysis-json');
+const { LLM_STAGES } = require('../utils/constants');
+
+const DEFAULT_RUBRIC = [
+  { id: 'faithful', description: '忠实于原文：没有编造原文之外的事实，必要的假设已明确标注' },
+  { id: 'audience', description: '贴合读者：用目标角色熟悉的语言表达，专业术语有解释或已转化' },
+  { id: 'actionable', description: '可执行：读者拿到后能直接行动，范围、标准与下一步清晰' }
+];
+
+const MIN_SCORE = 1;
+const MAX_SCORE = 5;
+
+function buildSystemPrompt(rubric) {
+  return `你是严格的跨职能沟通评审，负责评估一段「职能沟通翻译」结果的质量。
+
+# 评分维度
+${rubric.map(item => `- ${item.id}：${item.description}`).join('\n')}
+
+# 要求
+- 每个维度打 ${MIN_SCORE}-${MAX_SCORE} 的整数分，${MAX_SCORE} 分为可以直接使用、无需修改
+- 只依据原文、补充背景和回答判断，不要因为篇幅长短加减分
+- 只输出 JSON：{"scores": {${rubric.map(item => `"${item.id}": 分数`).join(', ')}}, "comment": "一句话说明主要扣分点"}`;
+}
+
+function buildUserMessage(testCase, output) {
+  const pair = roleRegistry.require(testCase.direction);
+  const parts = [
+    `[翻译方向]: ${pair.source.label} → ${pair.target.label}`,
+    `[原文]:\n${testCase.content}`
+  ];
+  if (testCase.context) {
+    parts.push(`[补充背景]:\n${testCase.context}`);
+  }
+  if (output.answers && output.answers.length > 0) {
+    parts.push(`[用户回答]:\n${output.answers.map(item => `- ${item.question || item.id}：${item.answer}`).join('\n')}`);
+  }
+  parts.push(`[翻译结果]:\n${output.result}`);
+  return parts.join('\n\n');
+}
+
+/**
+ * 创建评审函数
+ * @param {object} options
+ * @param {ModelRouter} options.router - 评审使用的模型路由
+ * @param {object[]} options.rubric - 评分维度，缺省使用 DEFAULT_RUBRIC
+ * @returns {function(object, object): Promise<{ score: number|null, scores: object, comment: string, model: string, error?: string }>}
+ *   score 为各维度平均分归一化到 0-1
+ */
+function createJudge({ router, rubric = DEFAULT_RUBRIC }) {
+  const systemPrompt = buildSystemPrompt(rubric);
+
+  return async function judge(testCase, output) {
+    const model = router.primaryModel(LLM_STAGES.DIRECT);
+    try {
+      const { response, endpoint } = await router.complete(LLM_STAGES.DIRECT, {
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: buildUserMessage(testCase, output) }
+        ],
+        temperature: 0,
+        response_format: { type: 'json_object' }
+      }, { mode: 'eval-judge', direction: testCase.direction });
+
+      const json = extractJson(response.choices[0]?.message?.content);
+      const scores = {};
+      for (const { id } of rubric) {
+        const value = json.scores && Number(json.scores[id]);
+        if (!Number.isInteger(value) || value < MIN_SCORE || value > MAX_SCORE) {
+          throw new Error(`评审结果缺少维度「${id}」的有效分数`);
+        }
+        scores[id] = value;
+      }
+
+      const average = Object.values(scores).reduce((sum, value) => sum + value, 0) / rubric.length;
+      return {
+        score: Number(((average - MIN_SCORE) / (MAX_SCORE - MIN_SCORE)).toFixed(4)),
+        scores,
+        comment: typeof json.comment === 'string' ? json.comment : '',
+        model: endpoint.model
+      };
+    } catch (error) {
+      return { score: null, scores: {}, comment: '', model, error: error.message };
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_RUBRIC,
+  createJudge,
+};
@@ -0,0 +1,197 @@
+/**
+ * 评测报告：汇总一次运行，比较基线与候选两组配置，并输出 Markdown
+ */
+
+function ratio(count, total) {
+  return total > 0 ? Number((count / total).toFixed(4)) : null;
+}
+
+function average(values) {
+  const valid = values.filter(value => value !== null && value !== undefined);
+  return valid.length > 0 ? Number((valid.reduce((sum, value) => sum + value, 0) / valid.length).toFixed(4)) : null;
+}
+
+function percent(value) {
+  return value === null ? '-' : `${(value * 100).toFixed(1)}%`;
+}
+
+function signed(value, format = percent) {
+  if (value === null) return '-';
+  return `${value > 0 ? '+' : ''}${format(value)}`;
+}
+
+/**
+ * 汇总一次运行
+ * @param {object} run - runEvaluation 的返回值
+ * @returns {object} { config, total, passed, errored, passRate, judgeScore, judgeErrors, checks: { [检查项]: { total, passed, passRate } } }
+ */
+function summarize(run) {
+  const checks = {};
+  run.cases.forEach(item => {
+    item.checks.forEach(({ id, passed }) => {
+      checks[id] = checks[id] || { total: 0, passed: 0 };
+      checks[id].total += 1;
+      checks[id].passed += passed ? 1 : 0;
+    });
+  });
+  Object.values(checks).forEach(stat => {
+    stat.passRate = ratio(stat.passed, stat.total);
+  });
+
+  const passed = run.cases.filter(item => item.passed).length;
+  return {
+    config: run.config,
+    total: run.cases.length,
+    passed,
+    errored: run.cases.filter(item => item.error).length,
+    passRate: ratio(passed, run.cases.length),
+    judgeScore: average(run.cases.map(item => item.judge && item.judge.score)),
+    judgeErrors: run.cases.filter(item => item.judge && item.judge.error).length,
+    checks
+  };
+}
+
+/**
+ * 比较两次运行（用例按 id 对齐）
+ * @param {object} baseline - 基线运行
+ * @param {object} candidate - 候选运行
+ * @returns {object} { baseline, candidate, delta: { passRate, judgeScore }, cases, regressions, improvements }
+ */
+function compareRuns(baseline, candidate) {
+  const baseSummary = summarize(baseline);
+  const candidateSummary = summarize(candidate);
+  const baseCases = new Map(baseline.cases.map(item => [item.id, item]));
+
+  const cases = candidate.cases.filter(item => baseCases.has(item.id)).map(item => {
+    const base = baseCases.get(item.id);
+    const baseJudge = base.judge ? base.judge.score : null;
+    const candidateJudge = item.judge ? item.judge.score : null;
+
+    let change = 'same';
+    if (base.passed && !item.passed) change = 'regressed';
+    if (!base.passed && item.passed) change = 'improved';
+
+    return {
+      id: item.id,
+      direction: item.direction,
+      mode: item.mode,
+      change,
+      baseline: { passed: base.passed, judgeScore: baseJudge },
+      candidate: { passed: item.passed, judgeScore: candidateJudge },
+      // 候选配置新出现的失败检查项
+      newFailures: item.error
+        ? [`error: ${item.error}`]
+        : item.checks.filter(check => !check.passed && !base.checks.some(prev => prev.id === check.id && !prev.passed))
+          .map(check => `${check.id}: ${check.detail}`),
+      judgeDelta: baseJudge !== null && candidateJudge !== null ? Number((candidateJudge - baseJudge).toFixed(4)) : null
+    };
+  });
+
+  const diff = (a, b) => (a !== null && b !== null ? Number((b - a).toFixed(4)) : null);
+  return {
+    baseline: baseSummary,
+    candidate: candidateSummary,
+    delta: {
+      passRate: diff(baseSummary.passRate, candidateSummary.passRate),
+      judgeScore: diff(baseSummary.judgeScore, candidateSummary.judgeScore)
+    },
+    cases,
+    regressions: cases.filter(item => item.change === 'regressed').map(item => item.id),
+    improvements: cases.filter(item => item.change === 'improved').map(item => item.id)
+  };
+}
+
+function configLabel(config) {
+  return `${config.name}（提示词 ${config.promptVersion}，模型 ${config.model}）`;
+}
+
+function judgeErrorNote(summary) {
+  return summary.judgeErrors > 0 ? `，${summary.judgeErrors} 个用例评审出错未计分` : '';
+}
+
+/**
+ * 单次运行的 Markdown 报告
+ */
+function summaryToMarkdown(run) {
+  const summary = summarize(run);
+  const lines = [
+    `# 评测报告：${configLabel(summary.config)}`,
+    '',
+    `通过 ${summary.passed}/${summary.total}（${percent(summary.passRate)}）${summary.errored ? `，出错 ${summary.errored}` : ''}${summary.judgeScore !== null ? `，评审得分 ${percent(summary.judgeScore)}` : ''}${judgeErrorNote(summary)}`,
+    '',
+    '| 检查项 | 通过率 |',
+    '|---|---|',
+    ...Object.entries(summary.checks).map(([id, stat]) => `| ${id} | ${stat.passed}/${stat.total}（${percent(stat.passRate)}） |`),
+    '',
+    '## 未通过的用例',
+    ''
+  ];
+
+  const failed = run.cases.filter(item => !item.passed);
+  if (failed.length === 0) {
+    lines.push('无');
+  }
+  failed.forEach(item => {
+    const reasons = item.error ? [`出错：${item.error}`] : item.checks.filter(check => !check.passed).map(check => `${check.id}：${check.detail}`);
+    lines.push(`- **${item.id}**（${item.direction} · ${item.mode}）${reasons.join('；')}`);
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * 对比报告的 Markdown
+ */
+function comparisonToMarkdown(comparison) {
+  const { baseline, candidate, delta } = comparison;
+  const checkIds = [...new Set([...Object.keys(baseline.checks), ...Object.keys(candidate.checks)])];
+  const checkRate = (summary, id) => (summary.checks[id] ? summary.checks[id].passRate : null);
+
+  const lines = [
+    '# 评测对比报告',
+    '',
+    `- 基线：${configLabel(baseline.config)}${judgeErrorNote(baseline)}`,
+    `- 候选：${configLabel(candidate.config)}${judgeErrorNote(candidate)}`,
+    '',
+    '| 指标 | 基线 | 候选 | 变化 |',
+    '|---|---|---|---|',
+    `| 通过率 | ${percent(baseline.passRate)} | ${percent(candidate.passRate)} | ${signed(delta.passRate)} |`,
+    `| 评审得分 | ${percent(baseline.judgeScore)} | ${percent(candidate.judgeScore)} | ${signed(delta.judgeScore)} |`,
+    ...checkIds.map(id => {
+      const before = checkRate(baseline, id);
+      const after = checkRate(candidate, id);
+      return `| ${id} | ${percent(before)} | ${percent(after)} | ${signed(before !== null && after !== null ? after - before : null)} |`;
+    }),
+    '',
+    `## 退步的用例（${comparison.regressions.length}）`,
+    ''
+  ];
+
+  const regressed = comparison.cases.filter(item => item.change === 'regressed');
+  if (regressed.length === 0) {
+    lines.push('无');
+  }
+  regressed.forEach(item => {
+    lines.push(`- **${item.id}**（${item.direction} · ${item.mode}）${item.newFailures.join('；')}`);
+  });
+
+  lines.push('', `## 改进的用例（${comparison.improvements.length}）`, '');
+  lines.push(comparison.improvements.length > 0 ? comparison.improvements.map(id => `- ${id}`).join('\n') : '无');
+
+  const judged = comparison.cases.filter(item => item.judgeDelta !== null && item.judgeDelta !== 0);
+  if (judged.length > 0) {
+    lines.push('', '## 评审得分变化', '', '| 用例 | 基线 | 候选 | 变化 |', '|---|---|---|---|');
+    judged.sort((a, b) => a.judgeDelta - b.judgeDelta).forEach(item => {
+      lines.push(`| ${item.id} | ${percent(item.baseline.judgeScore)} | ${percent(item.candidate.judgeScore)} | ${signed(item.judgeDelta)} |`);
+    });
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  summarize,
+  compareRuns,
+  summaryToMarkdown,
+  comparisonToMarkdown,
+};
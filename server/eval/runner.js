@@ -0,0 +1,140 @@
+/**
+ * 评测执行：在指定的提示词版本与模型下逐个运行数据集用例并检查输出
+ */
+
+const DirectTranslator = require('../translators/direct-translator');
+const InteractiveTranslator = require('../translators/interactive-translator');
+const roleRegistry = require('../roles/registry');
+const promptRegistry = require('../prompts/prompt-registry');
+const { modelRouter } = require('../llm/model-router');
+const { runChecks } = require('./checks');
+const { TRANSLATION_MODE, LLM_STAGES } = require('../utils/constants');
+
+/**
+ * 把回调式的流式接口包装为 Promise
+ */
+function runStream(start) {
+  return new Promise((resolve, reject) => {
+    start((result, meta) => resolve({ result, model: meta.model }), reject);
+  });
+}
+
+/**
+ * 按预设回答答题：match 等于问题 ID 或包含在问题中即命中，未命中的问题使用默认假设
+ * @param {object[]} questions - missing_info
+ * @param {object[]} script - 用例的 answers [{ match, answer }]
+ * @returns {{ id: string, question: string, answer: string, scripted: boolean }[]}
+ */
+function scriptedAnswers(questions, script) {
+  return questions.map(question => {
+    const hit = script.find(item => item.match === question.id || question.question.includes(item.match));
+    return {
+      id: question.id,
+      question: question.question,
+      answer: hit ? hit.answer : (question.default_assumption || ''),
+      scripted: !!hit
+    };
+  });
+}
+
+/**
+ * 运行单个用例
+ * @returns {Promise<{ result: string, model: string, analysis?: object, answers?: object[] }>}
+ */
+async function translateCase(testCase, router) {
+  const { direction, content, context } = testCase;
+
+  if (testCase.mode !== TRANSLATION_MODE.INTERACTIVE) {
+    const translator = new DirectTranslator({ router });
+    return runStream((onDone, onError) => translator.translateStream(
+      direction, content, () => {}, onDone, onError, { bypassCache: true, context }
+    ));
+  }
+
+  const translator = new InteractiveTranslator({ router });
+  const { result: analysis } = await runStream((onDone, onError) => translator.analyzeStream({
+    direction, content, context, bypassCache: true, onChunk: () => {}, onDone, onError
+  }));
+
+  const answers = analysis.can_proceed_directly ? [] : scriptedAnswers(analysis.missing_info || [], testCase.answers);
+  const synthesized = await runStream((onDone, onError) => translator.synthesizeStream({
+    direction,
+    analysisJson: analysis,
+    answers: answers.map(({ id, answer }) => ({ id, answer })),
+    originalText: content,
+    context,
+    onChunk: () => {},
+    onDone,
+    onError
+  }));
+  return { ...synthesized, analysis, answers };
+}
+
+/**
+ * 在一组配置下运行数据集
+ * @param {object} dataset - loadDataset 的返回值
+ * @param {object} config - { name, promptVersion?: 模板版本目录名, model?: 覆盖所有阶段的主模型 }
+ * @param {object} options
+ * @param {function} options.judge - 可选，createJudge 返回的评审函数
+ * @param {function} options.onCase - 每个用例完成后的回调 (caseResult, index, total) => {}
+ * @returns {Promise<object>} { config: { name, promptVersion, model }, cases }
+ */
+async function runEvaluation(dataset, config, { judge = null, onCase = () => {} } = {}) {
+  const router = config.model ? modelRouter.withPrimary({ model: config.model }) : modelRouter;
+  const promptVersion = promptRegistry.withVersion(config.promptVersion || null, () => promptRegistry.activeVersion());
+  const cases = [];
+
+  for (const [index, testCase] of dataset.cases.entries()) {
+    const pair = roleRegistry.require(testCase.direction);
+    const startTime = Date.now();
+    const caseResult = {
+      id: testCase.id,
+      direction: testCase.direction,
+      mode: testCase.mode,
+      passed: false,
+      checks: [],
+      judge: null,
+      result: '',
+      model: null,
+      durationMs: 0,
+      error: null
+    };
+
+    try {
+      const output = await promptRegistry.withVersion(config.promptVersion || null, () => translateCase(testCase, router));
+      Object.assign(caseResult, {
+        result: output.result,
+        model: output.model,
+        ...(output.analysis ? { analysis: output.analysis, answers: output.answers } : {})
+      });
+
+      caseResult.checks = runChecks(output.result, {
+        pair,
+        mode: testCase.mode,
+        checks: testCase.checks,
+        forbidden: dataset.forbidden[pair.target.id] || []
+      });
+      caseResult.passed = caseResult.checks.every(item => item.passed);
+
+      if (judge) {
+        caseResult.judge = await judge(testCase, output);
+      }
+    } catch (error) {
+      caseResult.error = error.message;
+    }
+
+    caseResult.durationMs = Date.now() - startTime;
+    cases.push(caseResult);
+    onCase(caseResult, index, dataset.cases.length);
+  }
+
+  return {
+    config: { name: config.name, promptVersion, model: router.primaryModel(LLM_STAGES.DIRECT) },
+    cases
+  };
+}
+
+module.exports = {
+  runEvaluation,
+  scriptedAnswers,
+};
@@ -0,0 +1,156 @@
+/**
+ * 提示词 A/B 实验：请求分配、按变体执行与结果信号记录
+ */
+
+const crypto = require('crypto');
+const experimentStore = require('../storage/experiment-store');
+const historyStore = require('../storage/history-store');
+const promptRegistry = require('../prompts/prompt-registry');
+const logger = require('../utils/logger');
+const { requesterOf } = require('../middleware/auth');
+
+// 前端为每个浏览器会话生成的 ID，stickiness 为 'session' 时按它分配
+const SESSION_HEADER = 'X-Session-Id';
+const MAX_SESSION_ID_LENGTH = 100;
+
+/**
+ * 分配单位：同一单位总是落在同一个变体
+ * 按会话分配但请求未携带会话 ID 时退回按用户 / 客户端分配
+ */
+function unitOf(req, stickiness) {
+  const sessionId = req.get(SESSION_HEADER);
+  if (stickiness === 'session' && sessionId && sessionId.length <= MAX_SESSION_ID_LENGTH) {
+    return `session:${sessionId}`;
+  }
+  return requesterOf(req).client;
+}
+
+/**
+ * 按权重把分配单位确定性地映射到变体，无需保存分配关系
+ */
+function pickVariant(experiment, unit) {
+  const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+  const hash = crypto.createHash('sha256').update(`${experiment.id}:${unit}`).digest();
+  const point = (hash.readUInt32BE(0) / 0x100000000) * totalWeight;
+
+  let upper = 0;
+  for (const variant of experiment.variants) {
+    upper += variant.weight;
+    if (point < upper) {
+      return variant;
+    }
+  }
+  return experiment.variants.at(-1);
+}
+
+/**
+ * 变体对应的提示词版本是否可用（模板被改坏时不再分配到该变体）
+ */
+function isUsable(variant) {
+  if (!variant.version) {
+    return true;
+  }
+  try {
+    promptRegistry.getVersion(variant.version);
+    return true;
+  } catch (error) {
+    logger.logError('EXPERIMENT_VARIANT', error);
+    return false;
+  }
+}
+
+/**
+ * 为请求分配实验变体
+ * @param {object} req - Express 请求
+ * @param {string} direction - 方向 ID
+ * @param {string} mode - 'direct' | 'interactive'
+ * @returns {{ id: string, variant: string, version: string|null }|null} 没有运行中的实验时返回 null
+ */
+function assignExperiment(req, direction, mode) {
+  const experiment = experimentStore.findRunning(direction, mode);
+  if (!experiment) {
+    return null;
+  }
+
+  const variant = pickVariant(experiment, unitOf(req, experiment.stickiness));
+  if (!isUsable(variant)) {
+    return null;
+  }
+  return { id: experiment.id, variant: variant.id, version: variant.version || null };
+}
+
+/**
+ * 历史记录所属的实验变体，用于追问修改沿用同一版本提示词
+ * @param {object} stamp - 历史记录中的 experiment 字段 { id, variant }
+ * @returns {{ id, variant, version }|null} 实验或变体已删除时返回 null
+ */
+function findAssignment(stamp) {
+  const experiment = stamp && experimentStore.get(stamp.id);
+  const variant = experiment && experiment.variants.find(item => item.id === stamp.variant);
+  if (!variant || !isUsable(variant)) {
+    return null;
+  }
+  return { id: experiment.id, variant: variant.id, version: variant.version || null };
+}
+
+/**
+ * 在变体的提示词版本下执行 fn；没有分配时使用当前版本
+ * @param {object|null} assignment - assignExperiment 的返回值
+ * @param {function} fn
+ */
+function runWithVariant(assignment, fn) {
+  return promptRegistry.withVersion(assignment ? assignment.version : null, fn);
+}
+
+/**
+ * 记录一次运行，返回写入历史记录的 experiment 字段
+ * @param {object|null} assignment
+ * @returns {{ id: string, variant: string }|null}
+ */
+function recordRun(assignment) {
+  if (!assignment) {
+    return null;
+  }
+  experimentStore.increment(assignment.id, assignment.variant, 'runs');
+  return { id: assignment.id, variant: assignment.variant };
+}
+
+/**
+ * 记录结果使用信号
+ * 同一条记录的同一信号只计入一次实验统计；评价以最后一次为准
+ * @param {object} record - 历史记录
+ * @param {string} type - OUTCOME_TYPES 中的值
+ * @param {string} rating - type 为 'rated' 时的 'up' | 'down'
+ * @returns {object} 更新后的 outcomes
+ */
+function recordOutcome(record, type, rating = null) {
+  const outcomes = { ...(record.outcomes || {}) };
+  const stamp = record.experiment;
+
+  if (type === 'rated') {
+    const previous = outcomes.rating || null;
+    outcomes.rating = rating;
+    if (stamp && previous !== rating) {
+      if (previous) {
+        experimentStore.increment(stamp.id, stamp.variant, previous === 'up' ? 'ratedUp' : 'ratedDown', -1);
+      }
+      experimentStore.increment(stamp.id, stamp.variant, rating === 'up' ? 'ratedUp' : 'ratedDown');
+    }
+  } else {
+    if (stamp && !outcomes[type]) {
+      experimentStore.increment(stamp.id, stamp.variant, type);
+    }
+    outcomes[type] = (outcomes[type] || 0) + 1;
+  }
+
+  historyStore.update(record.id, { outcomes });
+  return outcomes;
+}
+
+module.exports = {
+  assignExperiment,
+  findAssignment,
+  runWithVariant,
+  recordRun,
+  recordOutcome
+};
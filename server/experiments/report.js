@@ -0,0 +1,88 @@
+/**
+ * 实验报告：按变体汇总运行次数与各使用信号的比例，并与对照组（第一个变体）比较
+ */
+
+// 参与比较的信号：出现该信号的运行数 / 运行数
+const SIGNALS = ['copied', 'exported', 'refined', 'regenerated'];
+
+function ratio(count, total) {
+  return total > 0 ? Number((count / total).toFixed(4)) : null;
+}
+
+/**
+ * 两个比例之差的 z 值（合并方差），样本为空或方差为 0 时返回 null
+ * |z| > 1.96 约等于 95% 置信水平下差异显著
+ */
+function zScore(count, total, baseCount, baseTotal) {
+  if (total === 0 || baseTotal === 0) {
+    return null;
+  }
+  const pooled = (count + baseCount) / (total + baseTotal);
+  const variance = pooled * (1 - pooled) * (1 / total + 1 / baseTotal);
+  if (variance === 0) {
+    return null;
+  }
+  return Number(((count / total - baseCount / baseTotal) / Math.sqrt(variance)).toFixed(2));
+}
+
+/**
+ * 评价得分：(好评 - 差评) / 评价数，范围 -1 ~ 1
+ */
+function ratingScore(stats) {
+  const rated = stats.ratedUp + stats.ratedDown;
+  return rated > 0 ? Number(((stats.ratedUp - stats.ratedDown) / rated).toFixed(4)) : null;
+}
+
+/**
+ * 生成实验报告
+ * @param {object} experiment - 实验
+ * @returns {object}
+ */
+function buildReport(experiment) {
+  const [control] = experiment.variants;
+  const base = experiment.stats[control.id];
+
+  const variants = experiment.variants.map(variant => {
+    const stats = experiment.stats[variant.id];
+    const signals = {};
+    SIGNALS.forEach(signal => {
+      signals[signal] = { count: stats[signal], rate: ratio(stats[signal], stats.runs) };
+    });
+
+    const report = {
+      id: variant.id,
+      version: variant.version,
+      weight: variant.weight,
+      runs: stats.runs,
+      signals,
+      rating: { up: stats.ratedUp, down: stats.ratedDown, score: ratingScore(stats) }
+    };
+
+    if (variant.id !== control.id) {
+      report.comparedToControl = {};
+      SIGNALS.forEach(signal => {
+        const rate = signals[signal].rate;
+        const baseRate = ratio(base[signal], base.runs);
+        report.comparedToControl[signal] = {
+          delta: rate !== null && baseRate !== null ? Number((rate - baseRate).toFixed(4)) : null,
+          zScore: zScore(stats[signal], stats.runs, base[signal], base.runs)
+        };
+      });
+    }
+
+    return report;
+  });
+
+  return {
+    id: experiment.id,
+    name: experiment.name,
+    direction: experiment.direction,
+    mode: experiment.mode,
+    status: experiment.status,
+    control: control.id,
+    totalRuns: variants.reduce((sum, variant) => sum + variant.runs, 0),
+    variants
+  };
+}
+
+module.exports = { buildReport };
@@ -0,0 +1,169 @@
+/**
+ * 导出用的中间文档模型
+ * 把 Markdown 结果按 Output Structure 章节拆分，并解析为与目标格式无关的块结构：
+ * - { type: 'paragraph', text }
+ * - { type: 'heading', level, text }
+ * - { type: 'list', ordered, items: [text] }
+ * - { type: 'quote', blocks }   两个 --- 之间的群消息
+ * - { type: 'code', language, text }
+ */
+
+const { splitSections, parseList } = require('../utils/structured-result');
+
+// 群消息中视为验收标准的条目标签
+const ACCEPTANCE_LABELS = ['验收标准', '期望结果'];
+
+/**
+ * 把一段 Markdown 解析为块列表
+ * @param {string} markdown
+ * @returns {object[]}
+ */
+function parseBlocks(markdown) {
+  const blocks = [];
+  const lines = (markdown || '').split('\n');
+  let paragraph = [];
+  let list = null;
+
+  const flush = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'paragraph', text: paragraph.join('\n') });
+      paragraph = [];
+    }
+    if (list) {
+      blocks.push(list);
+      list = null;
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmed = line.trim();
+
+    // 代码块
+    const fence = trimmed.match(/^```(\w*)/);
+    if (fence) {
+      flush();
+      const code = [];
+      for (i++; i < lines.length && !lines[i].trim().startsWith('```'); i++) {
+        code.push(lines[i]);
+      }
+      blocks.push({ type: 'code', language: fence[1], text: code.join('\n') });
+      continue;
+    }
+
+    // 群消息：两个 --- 之间的内容
+    if (trimmed === '---') {
+      flush();
+      const inner = [];
+      for (i++; i < lines.length && lines[i].trim() !== '---'; i++) {
+        inner.push(lines[i]);
+      }
+      blocks.push({ type: 'quote', blocks: parseBlocks(inner.join('\n')) });
+      continue;
+    }
+
+    if (!trimmed) {
+      flush();
+      continue;
+    }
+
+    const heading = trimmed.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      flush();
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+      continue;
+    }
+
+    const bullet = trimmed.match(/^[-*]\s+(.*)$/);
+    const numbered = trimmed.match(/^\d+[.)]\s+(.*)$/);
+    if (bullet || numbered) {
+      const ordered = !!numbered;
+      if (paragraph.length > 0 || (list && list.ordered !== ordered)) {
+        flush();
+      }
+      if (!list) {
+        list = { type: 'list', ordered, items: [] };
+      }
+      list.items.push((bullet || numbered)[1]);
+      continue;
+    }
+
+    // 普通文本：列表之后的文本另起段落
+    if (list) {
+      flush();
+    }
+    paragraph.push(trimmed);
+  }
+
+  flush();
+  return blocks;
+}
+
+/**
+ * 从群消息中取标题：关于"**[标题]**"
+ */
+function extractTitle(markdown) {
+  const match = (markdown || '').match(/关于\s*[“"]\s*\*\*(.+?)\*\*\s*[”"]/);
+  return match ? match[1].replace(/^\[|\]$/g, '').trim() : '';
+}
+
+/**
+ * 从群消息的列表中提取验收标准，按分号拆分为多条
+ * @param {object[]} sections - 文档章节
+ * @returns {string[]}
+ */
+function extractAcceptanceCriteria(sections) {
+  const message = sections.find(section => section.type === 'message');
+  if (!message) {
+    return [];
+  }
+
+  return parseList(message.body.replace(/^\s*\d+[.)]\s+/gm, '- '))
+    .filter(item => ACCEPTANCE_LABELS.some(label => item.label.includes(label)))
+    .flatMap(item => item.content.split(/[；;]/))
+    .map(text => text.trim().replace(/[。.]$/, ''))
+    .filter(Boolean);
+}
+
+/**
+ * 构建导出文档
+ * @param {string} markdown - 翻译结果
+ * @param {object} pair - 角色对定义（用于读取 sections 章节定义）
+ * @returns {object} { title, preamble, sections, acceptanceCriteria }
+ */
+function buildDocument(markdown, pair) {
+  const sectionDefs = pair.sections || [];
+  const firstHeading = (markdown || '').search(/^##\s+/m);
+  const preambleText = firstHeading === -1 ? markdown : markdown.slice(0, firstHeading);
+
+  const sections = splitSections(markdown).map(section => {
+    const def = sectionDefs.find(item => section.heading.includes(item.marker));
+    return {
+      heading: section.heading,
+      field: def ? def.field : null,
+      type: def ? def.type : 'text',
+      body: section.body,
+      blocks: parseBlocks(section.body),
+      // 固定标签的章节（如粗估建议）按键值对导出为表格
+      pairs: def && def.type === 'fields' ? parseList(section.body) : null
+    };
+  });
+
+  const summary = sections.find(section => section.field === 'summary');
+  const fallbackTitle = (summary ? summary.body : markdown || '').replace(/[*#`]/g, '').trim().split('\n')[0];
+
+  return {
+    title: extractTitle(markdown) || fallbackTitle.slice(0, 60) || pair.title || '翻译结果',
+    direction: pair.id,
+    preamble: parseBlocks(preambleText),
+    sections,
+    acceptanceCriteria: extractAcceptanceCriteria(sections)
+  };
+}
+
+module.exports = {
+  parseBlocks,
+  buildDocument,
+  extractTitle,
+  extractAcceptanceCriteria,
+};
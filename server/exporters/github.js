@@ -0,0 +1,53 @@
+/**
+ * GitHub Issue Markdown 导出
+ * 群消息转为引用块，验收标准转为任务复选框
+ */
+
+function renderBlocks(blocks) {
+  return blocks.map(block => {
+    switch (block.type) {
+      case 'heading':
+        return `${'#'.repeat(Math.min(block.level + 1, 6))} ${block.text}`;
+      case 'list':
+        return block.items.map((item, index) => `${block.ordered ? `${index + 1}.` : '-'} ${item}`).join('\n');
+      case 'quote':
+        return renderBlocks(block.blocks).split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+      case 'code':
+        return `\`\`\`${block.language}\n${block.text}\n\`\`\``;
+      default:
+        // GFM 中单个换行不断行，行尾两个空格强制换行
+        return block.text.split('\n').join('  \n');
+    }
+  }).join('\n\n');
+}
+
+function renderSection(section) {
+  const heading = `## ${section.heading}`;
+
+  if (section.pairs && section.pairs.length > 0) {
+    const rows = section.pairs.map(pair => `| ${pair.label || '-'} | ${pair.content.replace(/\|/g, '\\|')} |`);
+    return [heading, '', '| 项目 | 内容 |', '| --- | --- |', ...rows].join('\n');
+  }
+
+  return `${heading}\n\n${renderBlocks(section.blocks)}`;
+}
+
+/**
+ * @param {object} doc - buildDocument() 的返回值
+ * @returns {string}
+ */
+function renderGithub(doc) {
+  const parts = [];
+  if (doc.preamble.length > 0) {
+    parts.push(renderBlocks(doc.preamble));
+  }
+  doc.sections.forEach(section => parts.push(renderSection(section)));
+
+  if (doc.acceptanceCriteria.length > 0) {
+    parts.push(`## ✅ 验收标准\n\n${doc.acceptanceCriteria.map(item => `- [ ] ${item}`).join('\n')}`);
+  }
+
+  return parts.join('\n\n');
+}
+
+module.exports = renderGithub;
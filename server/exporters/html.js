@@ -0,0 +1,132 @@
+/**
+ * HTML 导出
+ * 提供两种输出：Confluence 存储格式（XHTML + 宏）与独立 HTML 页面
+ */
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 行内格式（先转义再替换，链接只允许 http/https）
+ */
+function inline(text) {
+  return escapeHtml(text)
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/`([^`]+)`/g, '<code>$1</code>')
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '<a href="$2">$1</a>');
+}
+
+/**
+ * 渲染块列表
+ * @param {object[]} blocks
+ * @param {object} options - { quote: (innerHtml) => string, code: (block) => string }
+ */
+function renderBlocks(blocks, options) {
+  return blocks.map(block => {
+    switch (block.type) {
+      case 'heading': {
+        const level = Math.min(block.level + 1, 6);
+        return `<h${level}>${inline(block.text)}</h${level}>`;
+      }
+      case 'list': {
+        const tag = block.ordered ? 'ol' : 'ul';
+        return `<${tag}>${block.items.map(item => `<li>${inline(item)}</li>`).join('')}</${tag}>`;
+      }
+      case 'quote':
+        return options.quote(renderBlocks(block.blocks, options));
+      case 'code':
+        return options.code(block);
+      default:
+        // XHTML 要求自闭合的 <br />
+        return `<p>${block.text.split('\n').map(inline).join('<br />')}</p>`;
+    }
+  }).join('\n');
+}
+
+function renderPairs(pairs) {
+  const rows = pairs.map(pair => `<tr><th>${inline(pair.label || '-')}</th><td>${inline(pair.content)}</td></tr>`);
+  return `<table><tbody>${rows.join('')}</tbody></table>`;
+}
+
+function renderBody(doc, options) {
+  const parts = [];
+  if (doc.preamble.length > 0) {
+    parts.push(renderBlocks(doc.preamble, options));
+  }
+
+  doc.sections.forEach(section => {
+    parts.push(`<h2>${inline(section.heading)}</h2>`);
+    parts.push(section.pairs && section.pairs.length > 0
+      ? renderPairs(section.pairs)
+      : renderBlocks(section.blocks, options));
+  });
+
+  return parts.join('\n');
+}
+
+/**
+ * Confluence 存储格式：群消息用 info 宏，代码用 code 宏
+ * @param {object} doc - buildDocument() 的返回值
+ * @returns {string}
+ */
+function renderConfluence(doc) {
+  return renderBody(doc, {
+    quote: inner => `<ac:structured-macro ac:name="info"><ac:rich-text-body>${inner}</ac:rich-text-body></ac:structured-macro>`,
+    code: block => [
+      '<ac:structured-macro ac:name="code">',
+      block.language ? `<ac:parameter ac:name="language">${escapeHtml(block.language)}</ac:parameter>` : '',
+      `<ac:plain-text-body><![CDATA[${block.text.replace(/]]>/g, ']]]]><![CDATA[>')}]]></ac:plain-text-body>`,
+      '</ac:structured-macro>'
+    ].join('')
+  });
+}
+
+const PAGE_STYLE = `body{font-family:-apple-system,BlinkMacSystemFont,"Segoe UI","PingFang SC","Microsoft YaHei",sans-serif;max-width:820px;margin:40px auto;padding:0 20px;color:#1e293b;line-height:1.7}
+h1{font-size:24px;border-bottom:1px solid #e2e8f0;padding-bottom:8px}
+h2{font-size:18px;margin-top:28px}
+blockquote{margin:12px 0;padding:12px 16px;background:#f8fafc;border-left:4px solid #94a3b8;border-radius:4px}
+table{border-collapse:collapse;width:100%}
+th,td{border:1px solid #e2e8f0;padding:6px 10px;text-align:left;vertical-align:top}
+th{background:#f1f5f9;width:25%}
+pre{background:#0f172a;color:#e2e8f0;padding:12px;border-radius:6px;overflow-x:auto}
+code{font-family:Menlo,Consolas,monospace}`;
+
+/**
+ * 独立 HTML 页面
+ * @param {object} doc - buildDocument() 的返回值
+ * @returns {string}
+ */
+function renderHtml(doc) {
+  const body = renderBody(doc, {
+    quote: inner => `<blockquote>${inner}</blockquote>`,
+    code: block => `<pre><code>${escapeHtml(block.text)}</code></pre>`
+  });
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(doc.title)}</title>
+<style>
+${PAGE_STYLE}
+</style>
+</head>
+<body>
+<h1>${escapeHtml(doc.title)}</h1>
+${body}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  renderConfluence,
+  renderHtml,
+  escapeHtml,
+};
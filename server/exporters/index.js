@@ -0,0 +1,53 @@
+/**
+ * 结果导出
+ * 把 Markdown 翻译结果转换为 Jira / GitHub Issue / Confluence / 独立 HTML
+ */
+
+const roleRegistry = require('../roles/registry');
+const { buildDocument } = require('./document');
+const renderJira = require('./jira');
+const renderGithub = require('./github');
+const { renderConfluence, renderHtml } = require('./html');
+
+/**
+ * 支持的导出格式
+ * - render: (doc) => string
+ * - mimeType / extension: 下载文件时使用
+ */
+const EXPORT_FORMATS = {
+  jira: { label: 'Jira', render: renderJira, mimeType: 'text/plain', extension: 'txt' },
+  github: { label: 'GitHub Issue', render: renderGithub, mimeType: 'text/markdown', extension: 'md' },
+  confluence: { label: 'Confluence', render: renderConfluence, mimeType: 'application/xhtml+xml', extension: 'xml' },
+  html: { label: 'HTML', render: renderHtml, mimeType: 'text/html', extension: 'html' }
+};
+
+/**
+ * 导出结果
+ * @param {object} options
+ * @param {string} options.direction - 方向 ID
+ * @param {string} options.result - Markdown 翻译结果
+ * @param {string} options.format - EXPORT_FORMATS 中的键
+ * @returns {{ format, title, content, mimeType, filename }}
+ */
+function exportResult({ direction, result, format }) {
+  const exporter = EXPORT_FORMATS[format];
+  if (!exporter) {
+    throw new Error(`不支持的导出格式: ${format}`);
+  }
+
+  const doc = buildDocument(result, roleRegistry.require(direction));
+  const safeTitle = doc.title.replace(/[\\/:*?"<>|\s]+/g, '-').slice(0, 40) || 'export';
+
+  return {
+    format,
+    title: doc.title,
+    content: exporter.render(doc),
+    mimeType: exporter.mimeType,
+    filename: `${safeTitle}.${exporter.extension}`
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportResult,
+};
@@ -0,0 +1,75 @@
+/**
+ * Jira Wiki Markup 导出
+ */
+
+/**
+ * 行内格式：**粗体** → *粗体*，`代码` → {{代码}}，[文字](链接) → [文字|链接]
+ */
+function inline(text) {
+  return text
+    .replace(/([{}])/g, '\\$1')
+    .replace(/\*\*(.+?)\*\*/g, '*$1*')
+    .replace(/`([^`]+)`/g, '{{$1}}')
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '[$1|$2]');
+}
+
+/**
+ * 表格单元格中的竖线需要转义
+ */
+function cell(text) {
+  return inline(text).replace(/\|/g, '\\|');
+}
+
+function renderBlocks(blocks) {
+  return blocks.map(block => {
+    switch (block.type) {
+      case 'heading':
+        return `h${Math.min(block.level + 1, 6)}. ${inline(block.text)}`;
+      case 'list':
+        return block.items.map(item => `${block.ordered ? '#' : '*'} ${inline(item)}`).join('\n');
+      case 'quote':
+        return `{quote}\n${renderBlocks(block.blocks)}\n{quote}`;
+      case 'code':
+        return `{code${block.language ? `:${block.language}` : ''}}\n${block.text}\n{code}`;
+      default:
+        // Jira 中单个换行不会断行，用 \\ 强制换行
+        return block.text.split('\n').map(inline).join(' \\\\\n');
+    }
+  }).join('\n\n');
+}
+
+/**
+ * 渲染章节：群消息用面板包裹，固定标签的章节输出为表格
+ */
+function renderSection(section) {
+  const heading = `h2. ${inline(section.heading)}`;
+
+  if (section.type === 'message') {
+    const inner = section.blocks.length === 1 && section.blocks[0].type === 'quote'
+      ? section.blocks[0].blocks
+      : section.blocks;
+    return `${heading}\n{panel:bgColor=#f4f5f7}\n${renderBlocks(inner)}\n{panel}`;
+  }
+
+  if (section.pairs && section.pairs.length > 0) {
+    const rows = section.pairs.map(pair => `||${cell(pair.label || '-')}|${cell(pair.content)}|`);
+    return `${heading}\n${rows.join('\n')}`;
+  }
+
+  return `${heading}\n${renderBlocks(section.blocks)}`;
+}
+
+/**
+ * @param {object} doc - buildDocument() 的返回值
+ * @returns {string}
+ */
+function renderJira(doc) {
+  const parts = [];
+  if (doc.preamble.length > 0) {
+    parts.push(renderBlocks(doc.preamble));
+  }
+  doc.sections.forEach(section => parts.push(renderSection(section)));
+  return parts.join('\n\n');
+}
+
+module.exports = renderJira;
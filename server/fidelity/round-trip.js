@@ -0,0 +1,161 @@
+/**
+ * 往返校验：把翻译结果用反向方向的直出提示词译回（如 PM → Dev → PM），
+ * 再让模型比对回译与原文，列出遗漏的事实、新增的假设和矛盾之处，并据此计算保真度得分
+ */
+
+const UNIFIED_PROMPTS = require('../prompts/prompts');
+const roleRegistry = require('../roles/registry');
+const logger = require('../utils/logger');
+const { modelRouter } = require('../llm/model-router');
+const { extractJson } = require('../utils/analysis-json');
+const { MAX_TOKENS, LLM_STAGES } = require('../utils/constants');
+
+// 每条差异扣除的分数：矛盾最严重，新增假设可能是提示词要求的默认假设，扣分最少
+const PENALTIES = {
+  dropped: 15,
+  added: 5,
+  contradictions: 25
+};
+
+// 各类差异条目的字段
+const ITEM_FIELDS = {
+  dropped: ['fact', 'evidence'],
+  added: ['assumption', 'evidence'],
+  contradictions: ['original', 'translated', 'note']
+};
+
+/**
+ * 保真度得分：100 分起，按差异条数扣分，最低 0 分
+ * @param {{ dropped: object[], added: object[], contradictions: object[] }} diff
+ * @returns {number}
+ */
+function scoreFidelity(diff) {
+  const penalty = Object.entries(PENALTIES).reduce((sum, [key, weight]) => sum + diff[key].length * weight, 0);
+  return Math.max(100 - penalty, 0);
+}
+
+/**
+ * 校验并规整比对结果
+ * @param {string} text - 模型输出
+ * @returns {{ dropped: object[], added: object[], contradictions: object[], summary: string }}
+ * @throws {Error} 不是有效的比对结果时抛出
+ */
+function parseComparison(text) {
+  let json;
+  try {
+    json = extractJson(text);
+  } catch (error) {
+    throw new Error('AI 返回的比对结果不是有效的 JSON');
+  }
+
+  const diff = { summary: typeof json.summary === 'string' ? json.summary.trim() : '' };
+  for (const [key, fields] of Object.entries(ITEM_FIELDS)) {
+    const items = json[key] === undefined ? [] : json[key];
+    if (!Array.isArray(items)) {
+      throw new Error(`AI 返回的比对结果中 ${key} 不是数组`);
+    }
+    diff[key] = items
+      .filter(item => item && typeof item === 'object')
+      .map(item => Object.fromEntries(fields.map(field => [field, typeof item[field] === 'string' ? item[field].trim() : ''])))
+      .filter(item => item[fields[0]]);
+  }
+  return diff;
+}
+
+/**
+ * 补充背景与用户回答，比对时不算作新增
+ */
+function formatSupplement(context = '', answers = []) {
+  const lines = answers
+    .filter(item => item && item.answer)
+    .map(item => `- ${item.question || item.id}：${item.answer}`);
+  return [context.trim(), lines.join('\n')].filter(Boolean).join('\n\n');
+}
+
+/**
+ * 调用模型并返回文本
+ */
+async function completeText(router, params, meta) {
+  logger.logLlmRequest({
+    model: router.primaryModel(LLM_STAGES.VERIFY),
+    direction: meta.direction,
+    mode: meta.mode,
+    stream: false,
+    messages: params.messages
+  });
+
+  const { endpoint, response } = await router.complete(LLM_STAGES.VERIFY, { max_tokens: MAX_TOKENS, ...params }, meta);
+  return { text: response.choices[0]?.message?.content || '', model: endpoint.model };
+}
+
+/**
+ * 执行往返校验
+ * @param {object} options
+ * @param {string} options.direction - 翻译方向 ID
+ * @param {string} options.originalText - 原文
+ * @param {string} options.result - 翻译结果
+ * @param {string} options.context - 补充背景（可选）
+ * @param {array} options.answers - 智能补齐的回答（可选）
+ * @param {object} options.requester - 发起方（可选），用于预算与用量归属
+ * @param {ModelRouter} options.router - 模型路由，默认使用共享实例
+ * @returns {Promise<object>} { reverseDirection, backTranslation, score, dropped, added, contradictions, summary, model, createdAt }
+ * @throws {Error} 方向没有反向、模型调用失败或比对结果无效时抛出
+ */
+async function checkRoundTrip(options) {
+  const { direction, originalText, result, context = '', answers = [], requester, router = modelRouter } = options;
+  const pair = roleRegistry.require(direction);
+  const reverse = roleRegistry.reverseOf(direction);
+  if (!reverse) {
+    throw new Error('该翻译方向没有反向翻译，无法做往返校验');
+  }
+
+  // 回译只看翻译结果本身，不提供补充背景，避免把结果中缺失的信息补回来
+  const back = await completeText(router, {
+    messages: [
+      { role: 'system', content: reverse.prompts.direct },
+      { role: 'user', content: UNIFIED_PROMPTS.getDirectUserPrompt(reverse.source.label, result) }
+    ]
+  }, { mode: 'fidelity-back-translate', direction: reverse.id, requester });
+
+  const comparison = await completeText(router, {
+    messages: [
+      { role: 'system', content: UNIFIED_PROMPTS.getFidelityCheckSystemPrompt() },
+      {
+        role: 'user',
+        content: UNIFIED_PROMPTS.getFidelityCheckUserPrompt({
+          sourceLabel: pair.source.label,
+          targetLabel: pair.target.label,
+          original: originalText,
+          supplement: formatSupplement(context, answers),
+          result,
+          backTranslation: back.text
+        })
+      }
+    ],
+    temperature: 0,
+    response_format: { type: 'json_object' }
+  }, { mode: 'fidelity-compare', direction, requester });
+
+  const diff = parseComparison(comparison.text);
+  logger.logInfo('FIDELITY_CHECK', {
+    direction,
+    dropped: diff.dropped.length,
+    added: diff.added.length,
+    contradictions: diff.contradictions.length
+  });
+
+  return {
+    reverseDirection: reverse.id,
+    backTranslation: back.text,
+    score: scoreFidelity(diff),
+    ...diff,
+    model: comparison.model,
+    createdAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  PENALTIES,
+  scoreFidelity,
+  checkRoundTrip,
+};
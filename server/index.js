@@ -4,19 +4,126 @@ const express = require('express');
 const path = require('path');
 const DirectTranslator = require('./translators/direct-translator');
 const InteractiveTranslator = require('./translators/interactive-translator');
+const roleRegistry = require('./roles/registry');
+const promptRegistry = require('./prompts/prompt-registry');
+const historyStore = require('./storage/history-store');
+const sessionStore = require('./storage/session-store');
+const historyRouter = require('./routes/history');
+const cacheRouter = require('./routes/cache');
+const statsRouter = require('./routes/stats');
+const exportRouter = require('./routes/export');
+const webhooksRouter = require('./routes/webhooks');
+const botRouter = require('./routes/bot');
+const batchRouter = require('./routes/batch');
+const authRouter = require('./routes/auth');
+const adminRouter = require('./routes/admin');
+const accountStore = require('./storage/account-store');
+const glossaryStore = require('./storage/glossary-store');
+const profileStore = require('./storage/profile-store');
+const glossaryRouter = require('./routes/glossary');
+const profilesRouter = require('./routes/profiles');
+const experimentsRouter = require('./routes/experiments');
+const feedbackRouter = require('./routes/feedback');
+const fidelityRouter = require('./routes/fidelity');
+const batchRunner = require('./batch/batch-runner');
+const { assignExperiment, findAssignment, runWithVariant, recordRun, recordOutcome } = require('./experiments/assignment');
+const { rateLimit, checkBudget } = require('./middleware/rate-limit');
+const { authMode, authEnabled, authenticate, ownerOf, inWorkspace, requesterOf } = require('./middleware/auth');
 const { setupSSE, sendSSEChunk, sendSSEConnected, sendSSEDone, sendSSEError } = require('./middleware/sse');
-const { validateEnvVars, validateTranslateRequest, validateSynthesizeRequest } = require('./middleware/validation');
+const {
+  validateEnvVars,
+  validateTranslateRequest,
+  validateSynthesizeRequest,
+  validateRefineRequest
+} = require('./middleware/validation');
+const { modelRouter } = require('./llm/model-router');
+const { responseCache } = require('./cache/response-cache');
+const { parseStructuredResult } = require('./utils/structured-result');
+const { TRANSLATION_MODE, OUTPUT_FORMAT, AUTH_MODE } = require('./utils/constants');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// 部署在反向代理后时按 X-Forwarded-For 识别客户端 IP（限流与预算按客户端计算）
+// 取值：true、代理层数，或 Express 支持的地址列表（如 loopback）
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy === 'true' || trustProxy);
+}
+
 // 中间件
-app.use(express.json());
+// 保留原始请求体，供机器人回调验签；批量任务一次可提交上百条，放宽大小限制
+app.use(express.json({
+  limit: '5mb',
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.static(path.join(__dirname, '../public')));
 
+// 认证与工作区（AUTH_MODE=none 时不生效）
+app.use('/api', authenticate);
+
 // 创建翻译器实例
 const directTranslator = new DirectTranslator();
 
+/**
+ * format 为 json 时把结果拆分为结构化对象并校验
+ * 需在写入历史之前调用，不符合输出结构的结果不保存
+ * @param {string} direction - 翻译方向
+ * @param {string} format - 'markdown' | 'json'
+ * @param {string} result - 翻译结果
+ * @returns {{ structured: object|null, error: string|null }}
+ */
+function structureResult(direction, format, result) {
+  if (format !== OUTPUT_FORMAT.JSON) {
+    return { structured: null, error: null };
+  }
+
+  const { data, errors } = parseStructuredResult(result, roleRegistry.require(direction).sections);
+  if (errors.length > 0) {
+    return { structured: null, error: `AI 返回的结果不符合输出结构：${errors.slice(0, 3).join('；')}` };
+  }
+  return { structured: { direction, ...data }, error: null };
+}
+
+/**
+ * 发送完成事件
+ * @param {Response} res - Express response 对象
+ * @param {object} data - 完成事件数据
+ * @param {object|null} structured - structureResult 的结构化结果，不为空时作为 result 字段附带
+ */
+function sendResultDone(res, data, structured) {
+  sendSSEDone(res, structured ? { ...data, result: structured } : data);
+  res.end();
+}
+
+/**
+ * 完成事件中的输出结构一致性报告
+ * 结果经过章节修复时附带修复后的完整 Markdown，前端用它替换流式显示的内容
+ * @param {string} result - 最终结果
+ * @param {object} conformance - 一致性报告
+ */
+function conformanceData(result, conformance) {
+  return { conformance, ...(conformance.repaired.length > 0 && { markdown: result }) };
+}
+
+/**
+ * 翻译请求的补充背景：所选背景档案在前，请求中的 context 在后
+ * @returns {string}
+ */
+function requestContext(req) {
+  const profileContext = req.profile ? profileStore.toContext(req.profile) : '';
+  return [profileContext, (req.body.context || '').trim()].filter(Boolean).join('\n\n');
+}
+
+/**
+ * 当前工作区的术语表中，原文（含补充背景）命中的词条
+ * @returns {{ glossary: object[], glossaryTerms: string[] }}
+ */
+function matchGlossary(req, ...texts) {
+  const glossary = glossaryStore.match(texts.filter(Boolean).join('\n'), ownerOf(req).teamId);
+  return { glossary, glossaryTerms: glossary.map(entry => entry.term) };
+}
+
 /**
  * 健康检查
  */
@@ -26,36 +133,78 @@ app.get('/api/health', (req, res) => {
     timestamp: new Date().toISOString(),
     apiKeyConfigured: !!process.env.LLM_API_KEY,
     apiBaseConfigured: !!process.env.LLM_API_BASE_URL,
-    modelConfigured: !!process.env.LLM_MODEL
+    modelConfigured: !!process.env.LLM_MODEL,
+    // 各阶段的模型链与最近一次实际服务的模型
+    models: modelRouter.describe(),
+    cache: responseCache.stats(),
+    // 当前生效的提示词模板版本
+    prompts: promptRegistry.describe()
   });
 });
 
+/**
+ * 可用的翻译方向（角色对）
+ * GET /api/roles
+ */
+app.get('/api/roles', (req, res) => {
+  res.json({ roles: roleRegistry.toPublicList() });
+});
+
 /**
  * 直接模式翻译接口
  * POST /api/direct
- * Body: { direction: 'pm-to-dev' | 'dev-to-pm', content: string }
+ * Body: {
+ *   direction: string (见 /api/roles),
+ *   content: string,
+ *   context?: string,   // 补充背景
+ *   profileId?: string, // 背景档案，与 context 一起作为补充背景
+ *   format?: 'markdown' | 'json', // json 时 done 事件附带按章节拆分的 result 对象
+ *   noCache?: boolean
+ * }
  */
-app.post('/api/direct', validateEnvVars, validateTranslateRequest, async (req, res) => {
-  const { direction, content } = req.body;
+app.post('/api/direct', validateEnvVars, validateTranslateRequest, rateLimit('direct'), checkBudget, async (req, res) => {
+  const { direction, content, format, noCache } = req.body;
+  const context = requestContext(req);
+  const { glossary, glossaryTerms } = matchGlossary(req, content, context);
+  const assignment = assignExperiment(req, direction, TRANSLATION_MODE.DIRECT);
 
   setupSSE(res);
   sendSSEConnected(res);
 
   try {
-    await directTranslator.translateStream(
+    await runWithVariant(assignment, () => directTranslator.translateStream(
       direction,
       content.trim(),
       (chunk) => sendSSEChunk(res, chunk),
-      () => {
-        sendSSEDone(res);
-        res.end();
+      (result, { model, conformance }) => {
+        const { structured, error } = structureResult(direction, format, result);
+        if (error) {
+          sendSSEError(res, error);
+          return res.end();
+        }
+
+        const record = historyStore.create({
+          direction,
+          mode: TRANSLATION_MODE.DIRECT,
+          originalText: content.trim(),
+          context,
+          profileId: req.profile ? req.profile.id : null,
+          result,
+          model,
+          glossaryTerms,
+          conformance,
+          experiment: recordRun(assignment),
+          ...ownerOf(req)
+        });
+        sendResultDone(res, { historyId: record.id, model, glossaryTerms, ...conformanceData(result, conformance) }, structured);
       },
       (error) => {
         console.error('翻译错误:', error);
         sendSSEError(res, error.message || '翻译过程中发生错误');
         res.end();
-      }
-    );
+      },
+      { bypassCache: noCache === true, requester: requesterOf(req), context, glossary }
+    ));
   } catch (error) {
     console.error('请求处理错误:', error);
     sendSSEError(res, '服务器内部错误');
@@ -64,18 +213,95 @@ app.post('/api/direct', validateEnvVars, validateTranslateRequest, async (req, r
 });
 
 
+/**
+ * 追问修改接口：基于已完成的结果按指令修订
+ * POST /api/refine
+ * Body: {
+ *   direction: string,
+ *   originalText: string,
+ *   result: string,       // 当前显示的翻译结果
+ *   instruction: string,  // 修改指令，如"把群消息缩短一些"
+ *   historyId?: string    // 提供时沿用该记录的补充背景，并把修改结果写回
+ * }
+ */
+app.post('/api/refine', validateEnvVars, validateRefineRequest, rateLimit('direct'), checkBudget, async (req, res) => {
+  const { direction, originalText, result, instruction, historyId } = req.body;
+  const found = historyId && historyStore.get(historyId);
+  const record = found && inWorkspace(req, found) ? found : null;
+  // 修改结果会写回该记录，方向必须一致
+  if (record && record.direction !== direction) {
+    return res.status(400).json({ error: '翻译方向与历史记录不一致' });
+  }
+  const context = record ? record.context : '';
+  const { glossary, glossaryTerms } = matchGlossary(req, originalText, context);
+  // 实验中的记录沿用原变体的提示词版本
+  const assignment = record ? findAssignment(record.experiment) : null;
+
+  setupSSE(res);
+  sendSSEConnected(res);
+
+  try {
+    await runWithVariant(assignment, () => directTranslator.refineStream({
+      direction,
+      originalText: originalText.trim(),
+      previousResult: result,
+      instruction: instruction.trim(),
+      requester: requesterOf(req),
+      context,
+      glossary,
+      onChunk: (chunk) => sendSSEChunk(res, chunk),
+      onDone: (refined, { model, conformance }) => {
+        if (record) {
+          recordOutcome(record, 'refined');
+          const promptVersion = promptRegistry.activeVersion();
+          historyStore.update(record.id, {
+            result: refined,
+            model,
+            promptVersion,
+            conformance,
+            // 结果已变化，之前的往返校验不再适用
+            fidelity: null,
+            refinements: [
+              ...(record.refinements || []),
+              { instruction: instruction.trim(), promptVersion, createdAt: new Date().toISOString() }
+            ]
+          });
+        }
+        sendSSEDone(res, {
+          historyId: record ? record.id : null,
+          model,
+          glossaryTerms,
+          ...conformanceData(refined, conformance)
+        });
+        res.end();
+      },
+      onError: (error) => {
+        console.error('修改错误:', error);
+        sendSSEError(res, error.message || '修改过程中发生错误');
+        res.end();
+      }
+    }));
+  } catch (error) {
+    console.error('请求处理错误:', error);
+    sendSSEError(res, '服务器内部错误');
+    res.end();
+  }
+});
 
 /**
  * 交互式翻译 API
  */
 
 /**
- * 分析阶段：结构化分析(返回JSON)
+ * 分析阶段：结构化分析(返回JSON)，并创建服务端会话
  * POST /api/interactive/analyze
- * Body: { direction: 'pm-to-dev' | 'dev-to-pm', content: string, context?: string }
+ * Body: { direction: string (见 /api/roles), content: string, context?: string, profileId?: string, noCache?: boolean }
  */
-app.post('/api/interactive/analyze', validateEnvVars, validateTranslateRequest, async (req, res) => {
-  const { direction, content, context } = req.body;
+app.post('/api/interactive/analyze', validateEnvVars, validateTranslateRequest, rateLimit('analyze'), checkBudget, async (req, res) => {
+  const { direction, content, noCache } = req.body;
+  const context = requestContext(req);
+  const { glossary, glossaryTerms } = matchGlossary(req, content, context);
+  const assignment = assignExperiment(req, direction, TRANSLATION_MODE.INTERACTIVE);
 
   setupSSE(res);
   sendSSEConnected(res);
@@ -83,13 +309,38 @@ app.post('/api/interactive/analyze', validateEnvVars, validateTranslateRequest,
   try {
     const interactiveTranslator = new InteractiveTranslator();
 
-    await interactiveTranslator.analyzeStream({
+    await runWithVariant(assignment, () => interactiveTranslator.analyzeStream({
       direction,
       content: content.trim(),
-      context: context || '',
+      context,
+      bypassCache: noCache === true,
+      requester: requesterOf(req),
+      glossary,
       onChunk: (chunk) => sendSSEChunk(res, chunk),
-      onDone: (json) => {
-        sendSSEDone(res, { json });
+      onDone: (json, { model }) => {
+        const record = historyStore.create({
+          direction,
+          mode: TRANSLATION_MODE.INTERACTIVE,
+          status: 'analyzed',
+          originalText: content.trim(),
+          context,
+          profileId: req.profile ? req.profile.id : null,
+          analysisJson: json,
+          model,
+          glossaryTerms,
+          experiment: recordRun(assignment),
+          ...ownerOf(req)
+        });
+        const session = sessionStore.create({
+          direction,
+          content: content.trim(),
+          context,
+          analysisJson: json,
+          historyId: record.id,
+          experiment: assignment,
+          ...ownerOf(req)
+        });
+        sendSSEDone(res, { json, sessionId: session.id, historyId: record.id, model, glossaryTerms });
         res.end();
       },
       onError: (error) => {
@@ -97,7 +348,7 @@ app.post('/api/interactive/analyze', validateEnvVars, validateTranslateRequest,
         sendSSEError(res, error.message || '分析过程中发生错误');
         res.end();
       }
-    });
+    }));
   } catch (error) {
     console.error('请求处理错误:', error);
     sendSSEError(res, '服务器内部错误');
@@ -106,17 +357,18 @@ app.post('/api/interactive/analyze', validateEnvVars, validateTranslateRequest,
 });
 
 /**
- * 合成阶段：基于JSON+answers生成最终翻译稿
+ * 合成阶段：基于会话中的分析 JSON + answers 生成最终翻译稿
  * POST /api/interactive/synthesize
  * Body: {
- *   analysisJson: object,
- *   answers: [{id, answer}],
- *   originalText: string,
- *   context?: string
+ *   sessionId: string,     // 分析阶段 done 事件返回的会话 ID
+ *   answers: [{id, answer}], // id 必须来自会话中的 missing_info
+ *   format?: 'markdown' | 'json'
  * }
  */
-app.post('/api/interactive/synthesize', validateEnvVars, validateSynthesizeRequest, async (req, res) => {
-  const { analysisJson, answers, originalText, context } = req.body;
+app.post('/api/interactive/synthesize', validateEnvVars, validateSynthesizeRequest, rateLimit('synthesize'), checkBudget, async (req, res) => {
+  const { answers, format } = req.body;
+  const session = req.interactiveSession;
+  const { glossary, glossaryTerms } = matchGlossary(req, session.content, session.context);
 
   setupSSE(res);
   sendSSEConnected(res);
@@ -124,22 +376,49 @@ app.post('/api/interactive/synthesize', validateEnvVars, validateSynthesizeReque
   try {
     const interactiveTranslator = new InteractiveTranslator();
 
-    await interactiveTranslator.synthesizeStream({
-      analysisJson,
+    await runWithVariant(findAssignment(session.experiment), () => interactiveTranslator.synthesizeStream({
+      direction: session.direction,
+      analysisJson: session.analysisJson,
       answers,
-      originalText: originalText.trim(),
-      context: context || '',
+      originalText: session.content,
+      context: session.context,
+      requester: requesterOf(req),
+      glossary,
       onChunk: (chunk) => sendSSEChunk(res, chunk),
-      onDone: () => {
-        sendSSEDone(res);
-        res.end();
+      onDone: (result, { model, conformance }) => {
+        const { structured, error } = structureResult(session.direction, format, result);
+        if (error) {
+          sendSSEError(res, error);
+          return res.end();
+        }
+
+        const changes = {
+          answers,
+          result,
+          model,
+          glossaryTerms,
+          conformance,
+          fidelity: null,
+          promptVersion: promptRegistry.activeVersion(),
+          status: 'completed'
+        };
+        const record = (session.historyId && historyStore.update(session.historyId, changes)) || historyStore.create({
+          direction: session.direction,
+          mode: TRANSLATION_MODE.INTERACTIVE,
+          originalText: session.content,
+          context: session.context,
+          analysisJson: session.analysisJson,
+          ...changes,
+          ...ownerOf(req)
+        });
+        sendResultDone(res, { historyId: record.id, model, glossaryTerms, ...conformanceData(result, conformance) }, structured);
       },
       onError: (error) => {
         console.error('合成错误:', error);
         sendSSEError(res, error.message || '合成过程中发生错误');
         res.end();
       }
-    });
+    }));
   } catch (error) {
     console.error('请求处理错误:', error);
     sendSSEError(res, '服务器内部错误');
@@ -147,6 +426,76 @@ app.post('/api/interactive/synthesize', validateEnvVars, validateSynthesizeReque
   }
 });
 
+/**
+ * 翻译历史
+ */
+app.use('/api/history', historyRouter);
+
+/**
+ * 响应缓存
+ */
+app.use('/api/cache', cacheRouter);
+
+/**
+ * Token 用量与费用统计
+ */
+app.use('/api/stats', statsRouter);
+
+/**
+ * 结果导出（Jira / GitHub Issue / Confluence / HTML）
+ */
+app.use('/api/export', exportRouter);
+
+/**
+ * 群机器人 Webhook（Slack / 飞书 / 钉钉 / 企业微信）
+ */
+app.use('/api/webhooks', webhooksRouter);
+
+/**
+ * IM 机器人回调（Slack 斜杠指令 / 飞书消息事件）
+ */
+app.use('/api/bot', botRouter);
+
+/**
+ * 批量翻译任务
+ */
+app.use('/api/batch', batchRouter);
+
+/**
+ * 团队术语表
+ */
+app.use('/api/glossary', glossaryRouter);
+
+/**
+ * 项目背景档案
+ */
+app.use('/api/profiles', profilesRouter);
+
+/**
+ * 提示词 A/B 实验
+ */
+app.use('/api/experiments', experimentsRouter);
+
+/**
+ * 结果反馈
+ */
+app.use('/api/feedback', feedbackRouter);
+
+/**
+ * 往返校验
+ */
+app.use('/api/fidelity', fidelityRouter);
+
+/**
+ * 登录与个人 API 令牌
+ */
+app.use('/api/auth', authRouter);
+
+/**
+ * 账号与团队管理
+ */
+app.use('/api/admin', adminRouter);
+
 // 启动服务器
 app.listen(PORT, () => {
   console.log(`
@@ -168,5 +517,20 @@ app.listen(PORT, () => {
   } else {
     console.log(`✓ 使用模型: ${process.env.LLM_MODEL}`);
     console.log(`✓ API 地址: ${process.env.LLM_API_BASE_URL}`);
+    Object.entries(modelRouter.describe()).forEach(([stage, { chain }]) => {
+      console.log(`✓ ${stage}: ${chain.join(' → ')}`);
+    });
   }
+
+  // 认证：首次启动时创建管理员
+  if (authEnabled()) {
+    accountStore.bootstrap(process.env.AUTH_ADMIN_USERNAME, process.env.AUTH_ADMIN_PASSWORD);
+    console.log(`✓ 认证方式: ${authMode()}`);
+    if (accountStore.listUsers().length === 0 && authMode() === AUTH_MODE.LOCAL) {
+      console.warn('⚠️  尚无账号，请配置 AUTH_ADMIN_USERNAME 与 AUTH_ADMIN_PASSWORD 创建管理员');
+    }
+  }
+
+  // 继续处理上次未完成的批量任务
+  batchRunner.resume();
 });
@@ -0,0 +1,400 @@
+const OpenAI = require('openai');
+const logger = require('../utils/logger');
+const usageStore = require('../storage/usage-store');
+const budgetStore = require('../storage/budget-store');
+const { priceTable, computeCost } = require('./pricing');
+const { DEFAULT_MODEL, LLM_STAGES } = require('../utils/constants');
+
+/**
+ * 未单独配置时继承的阶段（refine、verify 默认沿用 direct 的配置）
+ */
+const STAGE_INHERITS = {
+  [LLM_STAGES.REFINE]: LLM_STAGES.DIRECT,
+  [LLM_STAGES.VERIFY]: LLM_STAGES.DIRECT
+};
+
+/**
+ * 解析回退列表
+ * 支持 JSON 数组 [{ model, baseURL?, apiKey? }] 或逗号分隔的模型名（沿用主端点）
+ * @param {string} value - 环境变量值
+ * @returns {object[]}
+ */
+function parseFallbacks(value) {
+  if (!value || !value.trim()) {
+    return [];
+  }
+
+  const trimmed = value.trim();
+  if (trimmed.startsWith('[')) {
+    try {
+      const list = JSON.parse(trimmed);
+      return Array.isArray(list) ? list.filter(item => item && item.model) : [];
+    } catch (error) {
+      logger.logError('LLM_FALLBACKS_PARSE', error);
+      return [];
+    }
+  }
+
+  return trimmed.split(',').map(model => model.trim()).filter(Boolean).map(model => ({ model }));
+}
+
+/**
+ * 从环境变量读取各阶段的路由配置
+ * - 默认端点：LLM_API_BASE_URL / LLM_API_KEY / LLM_MODEL
+ * - 阶段覆盖：LLM_<STAGE>_MODEL / LLM_<STAGE>_API_BASE_URL / LLM_<STAGE>_API_KEY
+ * - 回退列表：LLM_<STAGE>_FALLBACKS，未配置时使用全局 LLM_FALLBACKS
+ * @param {object} env - 环境变量
+ * @returns {object} { [stage]: { primary, fallbacks } }
+ */
+function routesFromEnv(env = process.env) {
+  const base = {
+    baseURL: env.LLM_API_BASE_URL,
+    apiKey: env.LLM_API_KEY,
+    model: env.LLM_MODEL || DEFAULT_MODEL
+  };
+  const globalFallbacks = parseFallbacks(env.LLM_FALLBACKS);
+
+  const readStage = (stage) => {
+    const prefix = `LLM_${stage.toUpperCase()}_`;
+    return {
+      baseURL: env[`${prefix}API_BASE_URL`],
+      apiKey: env[`${prefix}API_KEY`],
+      model: env[`${prefix}MODEL`],
+      fallbacks: env[`${prefix}FALLBACKS`]
+    };
+  };
+
+  const routes = {};
+  for (const stage of Object.values(LLM_STAGES)) {
+    const own = readStage(stage);
+    const inherited = STAGE_INHERITS[stage] ? readStage(STAGE_INHERITS[stage]) : {};
+
+    const primary = {
+      baseURL: own.baseURL || inherited.baseURL || base.baseURL,
+      apiKey: own.apiKey || inherited.apiKey || base.apiKey,
+      model: own.model || inherited.model || base.model
+    };
+
+    const fallbackValue = own.fallbacks || inherited.fallbacks;
+    const fallbacks = fallbackValue ? parseFallbacks(fallbackValue) : globalFallbacks;
+
+    routes[stage] = {
+      primary,
+      // 回退端点未指定的字段沿用该阶段主端点
+      fallbacks: fallbacks.map(item => ({
+        baseURL: item.baseURL || primary.baseURL,
+        apiKey: item.apiKey || primary.apiKey,
+        model: item.model
+      }))
+    };
+  }
+
+  return routes;
+}
+
+/**
+ * 粗略估算 token 数：中日韩字符按每字 1 个，其余按每 4 个字符 1 个
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  const cjk = (text.match(/[\u3000-\u9fff\uac00-\ud7af\uff00-\uffef]/g) || []).length;
+  return cjk + Math.ceil((text.length - cjk) / 4);
+}
+
+/**
+ * 中途失败或被中止的流没有 usage 片段，但已生成的部分仍会计费，按请求与已收到的内容估算
+ * @param {object[]} messages - 请求的对话
+ * @param {string} completion - 已收到的内容
+ * @returns {object} 与服务商 usage 字段同结构
+ */
+function estimateUsage(messages, completion) {
+  const promptTokens = (messages || []).reduce((sum, message) => sum + estimateTokens(String(message.content || '')), 0);
+  const completionTokens = estimateTokens(completion);
+  return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+}
+
+/**
+ * 端点的可读标识（不含密钥）
+ */
+function describeEndpoint(endpoint) {
+  let host = endpoint.baseURL || '';
+  try {
+    host = new URL(endpoint.baseURL).host;
+  } catch (error) {
+    // baseURL 不是合法 URL 时原样展示
+  }
+  return `${endpoint.model}@${host}`;
+}
+
+/**
+ * 按阶段路由模型，主端点在首个 token 前失败时依次尝试回退端点
+ */
+class ModelRouter {
+  /**
+   * @param {object} routes - 同 routesFromEnv() 的返回结构
+   */
+  constructor(routes = routesFromEnv()) {
+    this.routes = routes;
+    this.clients = new Map();
+    // 每个阶段最近一次实际服务的端点
+    this.lastServed = {};
+  }
+
+  /**
+   * 以指定端点覆盖所有阶段的主端点，返回新的路由（回退链不变）
+   * @param {object} override - { apiKey?, baseURL?, model? }，未提供的字段保持原配置
+   * @returns {ModelRouter}
+   */
+  withPrimary(override) {
+    const routes = {};
+    for (const [stage, route] of Object.entries(this.routes)) {
+      const primary = { ...route.primary };
+      for (const field of ['apiKey', 'baseURL', 'model']) {
+        if (override[field]) {
+          primary[field] = override[field];
+        }
+      }
+      routes[stage] = { primary, fallbacks: route.fallbacks };
+    }
+    return new ModelRouter(routes);
+  }
+
+  /**
+   * 获取（并缓存）端点对应的 OpenAI 客户端
+   */
+  getClient(endpoint) {
+    const cacheKey = `${endpoint.baseURL}|${endpoint.apiKey}`;
+    if (!this.clients.has(cacheKey)) {
+      this.clients.set(cacheKey, new OpenAI({
+        apiKey: endpoint.apiKey,
+        baseURL: endpoint.baseURL
+      }));
+    }
+    return this.clients.get(cacheKey);
+  }
+
+  /**
+   * 阶段的端点链：主端点 + 回退端点
+   * @param {string} stage - LLM_STAGES 中的值
+   */
+  getChain(stage) {
+    const route = this.routes[stage];
+    if (!route) {
+      throw new Error(`未知的模型路由阶段: ${stage}`);
+    }
+    return [route.primary, ...route.fallbacks];
+  }
+
+  /**
+   * 阶段主模型名（用于调用前的日志）
+   */
+  primaryModel(stage) {
+    return this.getChain(stage)[0].model;
+  }
+
+  /**
+   * 记录实际服务的端点
+   */
+  markServed(stage, endpoint, attempt) {
+    this.lastServed[stage] = {
+      model: endpoint.model,
+      endpoint: describeEndpoint(endpoint),
+      fallback: attempt > 0,
+      at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * 计算并记录一次调用的用量与费用
+   * @param {string} stage - 阶段
+   * @param {object} endpoint - 实际服务的端点
+   * @param {object} meta - { mode, direction, requester }
+   * @param {object|null} rawUsage - 服务商返回的 usage 字段
+   * @returns {object} { promptTokens, completionTokens, totalTokens, cost }
+   */
+  recordUsage(stage, endpoint, meta, rawUsage) {
+    const promptTokens = rawUsage ? rawUsage.prompt_tokens : null;
+    const completionTokens = rawUsage ? rawUsage.completion_tokens : null;
+    const usage = {
+      promptTokens: promptTokens ?? null,
+      completionTokens: completionTokens ?? null,
+      totalTokens: rawUsage ? (rawUsage.total_tokens ?? null) : null,
+      cost: computeCost(endpoint.model, promptTokens, completionTokens, priceTable)
+    };
+
+    usageStore.record({
+      mode: meta.mode || stage,
+      direction: meta.direction,
+      model: endpoint.model,
+      userId: meta.requester?.userId,
+      teamId: meta.requester?.teamId,
+      ...usage
+    });
+    budgetStore.record(meta.requester?.client, usage);
+    return usage;
+  }
+
+  /**
+   * 记录一次端点失败
+   */
+  logFailure(stage, endpoint, error, hasNext) {
+    logger.logError('LLM_FALLBACK', error);
+    logger.logInfo('LLM_FALLBACK', {
+      stage,
+      failed: describeEndpoint(endpoint),
+      willRetry: hasNext
+    });
+  }
+
+  /**
+   * 打开流式调用
+   * 读取到第一个内容片段（或流结束）才算成功，此前的错误会切换到下一个端点
+   * @param {string} stage - LLM_STAGES 中的值
+   * @param {object} params - chat.completions.create 参数（不含 model / stream）
+   * @param {object} meta - 用量统计维度 { mode, direction, requester }，requester 为发起方 { client, userId, teamId }
+   * @returns {Promise<{ endpoint: object, stream: AsyncIterable, usage: object }>}
+   *   usage 在流结束（读取完毕、失败或被中止）后填入 { promptTokens, completionTokens, totalTokens, cost }
+   */
+  async openStream(stage, params, meta = {}) {
+    const chain = this.getChain(stage);
+    let lastError;
+
+    for (let attempt = 0; attempt < chain.length; attempt++) {
+      const endpoint = chain[attempt];
+      let iterator = null;
+
+      try {
+        const response = await this.getClient(endpoint).chat.completions.create({
+          ...params,
+          model: endpoint.model,
+          stream: true,
+          // 请求服务商在流末尾附带 usage 片段（不支持时可通过 LLM_STREAM_USAGE=false 关闭）
+          ...(process.env.LLM_STREAM_USAGE !== 'false' && { stream_options: { include_usage: true } })
+        });
+
+        iterator = response[Symbol.asyncIterator]();
+        const buffered = [];
+        let finished = false;
+
+        // 缓冲到第一个带内容的片段为止
+        while (true) {
+          const { value, done } = await iterator.next();
+          if (done) {
+            finished = true;
+            break;
+          }
+          buffered.push(value);
+          if (value.choices?.[0]?.delta?.content) {
+            break;
+          }
+        }
+
+        this.markServed(stage, endpoint, attempt);
+
+        const router = this;
+        const usage = { promptTokens: null, completionTokens: null, totalTokens: null, cost: null };
+        const stream = (async function* replay() {
+          let rawUsage = null;
+          let completion = '';
+          let completed = false;
+          const track = (value) => {
+            rawUsage = value.usage || rawUsage;
+            completion += value.choices?.[0]?.delta?.content || '';
+          };
+          try {
+            for (const value of buffered) {
+              track(value);
+              yield value;
+            }
+            if (!finished) {
+              for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+                track(next.value);
+                yield next.value;
+              }
+            }
+            completed = true;
+          } finally {
+            // 中途失败或消费方提前结束时同样记录用量，没有 usage 片段则按已收到的内容估算
+            if (!completed && !rawUsage) {
+              rawUsage = estimateUsage(params.messages, completion);
+              logger.logInfo('LLM_USAGE_ESTIMATED', { stage, model: endpoint.model, ...rawUsage });
+            }
+            Object.assign(usage, router.recordUsage(stage, endpoint, meta, rawUsage));
+            // 消费方提前结束时关闭底层连接
+            if (iterator.return) {
+              await iterator.return();
+            }
+          }
+        })();
+
+        return { endpoint, stream, usage };
+      } catch (error) {
+        lastError = error;
+        this.logFailure(stage, endpoint, error, attempt < chain.length - 1);
+        // 关闭失败端点的连接后再尝试下一个
+        if (iterator && iterator.return) {
+          await iterator.return().catch(() => {});
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * 非流式调用，失败时依次尝试回退端点
+   * @param {string} stage - LLM_STAGES 中的值
+   * @param {object} params - chat.completions.create 参数（不含 model）
+   * @param {object} meta - 用量统计维度 { mode, direction, requester }，requester 为发起方 { client, userId, teamId }
+   * @returns {Promise<{ endpoint: object, response: object, usage: object }>}
+   */
+  async complete(stage, params, meta = {}) {
+    const chain = this.getChain(stage);
+    let lastError;
+
+    for (let attempt = 0; attempt < chain.length; attempt++) {
+      const endpoint = chain[attempt];
+
+      try {
+        const response = await this.getClient(endpoint).chat.completions.create({
+          ...params,
+          model: endpoint.model
+        });
+        this.markServed(stage, endpoint, attempt);
+        const usage = this.recordUsage(stage, endpoint, meta, response.usage);
+        return { endpoint, response, usage };
+      } catch (error) {
+        lastError = error;
+        this.logFailure(stage, endpoint, error, attempt < chain.length - 1);
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * 路由配置与最近服务情况（供健康检查展示，不含密钥）
+   */
+  describe() {
+    const result = {};
+    for (const stage of Object.keys(this.routes)) {
+      result[stage] = {
+        chain: this.getChain(stage).map(describeEndpoint),
+        lastServed: this.lastServed[stage] || null
+      };
+    }
+    return result;
+  }
+}
+
+// 共享实例（按环境变量配置）
+const modelRouter = new ModelRouter();
+
+module.exports = {
+  ModelRouter,
+  modelRouter,
+  routesFromEnv,
+  parseFallbacks,
+  describeEndpoint,
+};
@@ -0,0 +1,81 @@
+const logger = require('../utils/logger');
+
+/**
+ * 内置价格表（美元 / 百万 tokens，仅供参考，以服务商官网为准）
+ * 可通过 LLM_PRICES 环境变量覆盖或补充，格式同下：
+ * {"my-model": {"input": 1, "output": 2}}
+ */
+const DEFAULT_PRICES = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'deepseek-chat': { input: 0.27, output: 1.1 },
+};
+
+/**
+ * 读取价格表：内置价格 + LLM_PRICES 覆盖
+ * @param {object} env - 环境变量
+ * @returns {object} { [model]: { input, output } }
+ */
+function loadPriceTable(env = process.env) {
+  const table = { ...DEFAULT_PRICES };
+  if (!env.LLM_PRICES) {
+    return table;
+  }
+
+  try {
+    const custom = JSON.parse(env.LLM_PRICES);
+    for (const [model, price] of Object.entries(custom)) {
+      if (price && typeof price.input === 'number' && typeof price.output === 'number') {
+        table[model] = { input: price.input, output: price.output };
+      }
+    }
+  } catch (error) {
+    logger.logError('LLM_PRICES_PARSE', error);
+  }
+  return table;
+}
+
+/**
+ * 查找模型价格：先精确匹配，再按最长前缀匹配（如 gpt-4o-2024-08-06 → gpt-4o）
+ * @param {string} model - 模型名
+ * @param {object} table - 价格表
+ * @returns {object|null}
+ */
+function findPrice(model, table) {
+  if (!model) {
+    return null;
+  }
+  if (table[model]) {
+    return table[model];
+  }
+
+  const prefix = Object.keys(table)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? table[prefix] : null;
+}
+
+/**
+ * 计算一次调用的费用（美元）
+ * @returns {number|null} 未知模型或缺少 token 数时返回 null
+ */
+function computeCost(model, promptTokens, completionTokens, table) {
+  const price = findPrice(model, table);
+  if (!price || promptTokens == null || completionTokens == null) {
+    return null;
+  }
+  return (promptTokens * price.input + completionTokens * price.output) / 1e6;
+}
+
+// 启动时加载的价格表
+const priceTable = loadPriceTable();
+
+module.exports = {
+  DEFAULT_PRICES,
+  priceTable,
+  loadPriceTable,
+  findPrice,
+  computeCost,
+};
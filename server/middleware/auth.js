@@ -0,0 +1,134 @@
+/**
+ * 认证与工作区中间件
+ * AUTH_MODE=none（默认）时不做认证，所有数据不区分团队；
+ * 启用后每个请求需携带令牌（Authorization: Bearer）或由 SSO 代理传入身份，
+ * 并在用户所属的团队中选定工作区（X-Workspace 请求头，缺省为第一个团队）
+ */
+
+const accountStore = require('../storage/account-store');
+const tokenStore = require('../storage/token-store');
+const { PROVIDERS } = require('../auth/providers');
+const { AUTH_MODE } = require('../utils/constants');
+
+// 无需登录即可访问的接口（相对 /api）；机器人回调各自验签
+const PUBLIC_PATHS = ['/health', '/roles', '/auth/config', '/auth/login'];
+const PUBLIC_PREFIXES = ['/bot/'];
+
+/**
+ * 当前认证方式
+ */
+function authMode() {
+  const mode = process.env.AUTH_MODE || AUTH_MODE.NONE;
+  return Object.values(AUTH_MODE).includes(mode) ? mode : AUTH_MODE.NONE;
+}
+
+function authEnabled() {
+  return authMode() !== AUTH_MODE.NONE;
+}
+
+/**
+ * 读取 Bearer 令牌
+ */
+function bearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * 认证中间件，挂载于 /api
+ * 成功后设置 req.user、req.team，令牌认证时还有 req.authToken
+ */
+function authenticate(req, res, next) {
+  if (!authEnabled() || PUBLIC_PATHS.includes(req.path) || PUBLIC_PREFIXES.some(prefix => req.path.startsWith(prefix))) {
+    return next();
+  }
+
+  let user = null;
+  const token = bearerToken(req);
+  if (token) {
+    const record = tokenStore.verify(token);
+    if (!record) {
+      return res.status(401).json({ error: '登录已过期或令牌无效，请重新登录' });
+    }
+    user = accountStore.getUser(record.userId);
+    req.authToken = record;
+  } else if (PROVIDERS[authMode()]) {
+    const identity = PROVIDERS[authMode()].identify(req);
+    user = identity && accountStore.provision(identity);
+  }
+
+  if (!user) {
+    return res.status(401).json({ error: '请先登录' });
+  }
+
+  const requested = req.get('X-Workspace');
+  const teamId = requested
+    ? user.teamIds.find(id => id === requested || accountStore.getTeam(id)?.slug === requested)
+    : user.teamIds[0];
+
+  if (requested && !teamId) {
+    return res.status(403).json({ error: '你不是该团队的成员' });
+  }
+  if (!teamId) {
+    return res.status(403).json({ error: '尚未加入任何团队，请联系管理员' });
+  }
+
+  req.user = user;
+  req.team = accountStore.getTeam(teamId);
+  next();
+}
+
+/**
+ * 仅管理员可访问（未启用认证时放行）
+ */
+function requireAdmin(req, res, next) {
+  if (authEnabled() && req.user?.role !== 'admin') {
+    return res.status(403).json({ error: '需要管理员权限' });
+  }
+  next();
+}
+
+/**
+ * 新建记录的归属
+ * @returns {{ userId: string|null, teamId: string|null }}
+ */
+function ownerOf(req) {
+  return {
+    userId: req.user ? req.user.id : null,
+    teamId: req.team ? req.team.id : null
+  };
+}
+
+/**
+ * 记录是否属于当前工作区（未启用认证时都可见）
+ */
+function inWorkspace(req, record) {
+  return !req.team || (!!record && record.teamId === req.team.id);
+}
+
+/**
+ * 限流与预算使用的客户端标识：已登录时按用户，否则按 IP（部署在反向代理后时需配置 TRUST_PROXY）
+ */
+function clientId(req) {
+  return req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+}
+
+/**
+ * LLM 调用的发起方，用于预算与用量归属
+ * @returns {{ client: string, userId: string|null, teamId: string|null }}
+ */
+function requesterOf(req) {
+  return { client: clientId(req), ...ownerOf(req) };
+}
+
+module.exports = {
+  authMode,
+  authEnabled,
+  authenticate,
+  requireAdmin,
+  ownerOf,
+  inWorkspace,
+  clientId,
+  requesterOf,
+};
@@ -0,0 +1,112 @@
+/**
+ * 限流与每日预算中间件
+ * - 限流：按客户端、按接口类别（direct / analyze / synthesize / login）的固定窗口计数
+ * - 预算：全局与单个客户端的每日 token 数、费用上限，调用前检查当天已消耗的量
+ * 超出时返回 429 与 Retry-After 头
+ */
+
+const budgetStore = require('../storage/budget-store');
+const { clientId } = require('./auth');
+const { RATE_LIMIT_WINDOW_MS, RATE_LIMITS } = require('../utils/constants');
+
+/**
+ * 读取非负整数环境变量，未配置时返回默认值
+ */
+function readLimit(name, defaultValue) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : defaultValue;
+}
+
+/**
+ * 每分钟请求数上限，0 表示不限
+ * 环境变量 RATE_LIMIT_DIRECT / RATE_LIMIT_ANALYZE / RATE_LIMIT_SYNTHESIZE / RATE_LIMIT_LOGIN
+ */
+const limits = Object.fromEntries(Object.entries(RATE_LIMITS).map(([category, defaultValue]) => (
+  [category, readLimit(`RATE_LIMIT_${category.toUpperCase()}`, defaultValue)]
+)));
+
+// 计数窗口：`${category}|${client}` -> { count, resetAt }
+const windows = new Map();
+
+/**
+ * 等待时长的可读形式
+ */
+function formatWait(seconds) {
+  if (seconds < 60) {
+    return `${seconds} 秒`;
+  }
+  if (seconds < 3600) {
+    return `${Math.ceil(seconds / 60)} 分钟`;
+  }
+  return `${Math.ceil(seconds / 3600)} 小时`;
+}
+
+function tooManyRequests(res, retryAfter, error) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error, retryAfter });
+}
+
+/**
+ * 清理已过期的计数窗口
+ */
+function pruneWindows(now) {
+  windows.forEach((entry, key) => {
+    if (entry.resetAt <= now) {
+      windows.delete(key);
+    }
+  });
+}
+
+/**
+ * 限流中间件
+ * @param {string} category - 接口类别，RATE_LIMITS 中的键
+ */
+function rateLimit(category) {
+  return (req, res, next) => {
+    req.clientId = clientId(req);
+
+    const limit = limits[category];
+    if (!limit) {
+      return next();
+    }
+
+    const now = Date.now();
+    if (windows.size > 10000) {
+      pruneWindows(now);
+    }
+
+    const key = `${category}|${req.clientId}`;
+    let entry = windows.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + RATE_LIMIT_WINDOW_MS };
+      windows.set(key, entry);
+    }
+
+    if (entry.count >= limit) {
+      const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+      return tooManyRequests(res, retryAfter, `请求过于频繁，请 ${formatWait(retryAfter)}后再试`);
+    }
+
+    entry.count++;
+    next();
+  };
+}
+
+/**
+ * 每日预算检查（放在 rateLimit 之后，使用其设置的 req.clientId）
+ */
+function checkBudget(req, res, next) {
+  const scope = budgetStore.exceeded(req.clientId);
+  if (!scope) {
+    return next();
+  }
+
+  const retryAfter = budgetStore.secondsUntilReset();
+  const who = scope === 'global' ? '服务今日总用量' : '你今日的用量';
+  return tooManyRequests(res, retryAfter, `${who}已达上限，额度将在 ${formatWait(retryAfter)}后重置`);
+}
+
+module.exports = {
+  rateLimit,
+  checkBudget,
+};
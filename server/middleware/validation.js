@@ -2,7 +2,47 @@
  * 请求验证中间件
  */
 
-const { DIRECTION, MAX_CONTENT_LENGTH } = require('../utils/constants');
+const {
+  MAX_CONTENT_LENGTH,
+  MAX_CONTEXT_LENGTH,
+  MAX_RESULT_LENGTH,
+  MAX_INSTRUCTION_LENGTH,
+  MAX_ANSWER_LENGTH,
+  OUTPUT_FORMAT
+} = require('../utils/constants');
+const roleRegistry = require('../roles/registry');
+const sessionStore = require('../storage/session-store');
+const profileStore = require('../storage/profile-store');
+const { inWorkspace } = require('./auth');
+
+/**
+ * 无效方向的错误提示
+ */
+function invalidDirectionMessage() {
+  return `无效的翻译方向，可选值: ${roleRegistry.ids().join(', ')}`;
+}
+
+/**
+ * 校验结果格式参数
+ * @param {string} format - 请求中的 format，未提供时为 markdown
+ * @param {string} direction - 方向 ID
+ * @returns {string|null} 错误信息
+ */
+function outputFormatError(format, direction) {
+  if (format === undefined || format === OUTPUT_FORMAT.MARKDOWN) {
+    return null;
+  }
+
+  if (format !== OUTPUT_FORMAT.JSON) {
+    return `无效的 format，可选值: ${Object.values(OUTPUT_FORMAT).join(', ')}`;
+  }
+
+  if (!roleRegistry.require(direction).sections) {
+    return '该翻译方向不支持 JSON 格式输出';
+  }
+
+  return null;
+}
 
 /**
  * 验证环境变量是否配置
@@ -31,14 +71,15 @@ function validateEnvVars(req, res, next) {
 
 /**
  * 验证翻译请求参数 (用于 /api/direct 和 /api/interactive/analyze)
+ * 指定了背景档案时挂载到 req.profile
  */
 function validateTranslateRequest(req, res, next) {
   const { direction, content } = req.body;
 
   // 验证 direction
-  if (!direction || !Object.values(DIRECTION).includes(direction)) {
+  if (!direction || !roleRegistry.has(direction)) {
     return res.status(400).json({
-      error: '无效的翻译方向，请使用 pm-to-dev 或 dev-to-pm'
+      error: invalidDirectionMessage()
     });
   }
 
@@ -56,18 +97,124 @@ function validateTranslateRequest(req, res, next) {
     });
   }
 
+  const { context, profileId } = req.body;
+
+  if (context !== undefined && typeof context !== 'string') {
+    return res.status(400).json({
+      error: 'context 必须是字符串'
+    });
+  }
+
+  if (context && context.length > MAX_CONTEXT_LENGTH) {
+    return res.status(400).json({
+      error: `补充背景过长，请控制在${MAX_CONTEXT_LENGTH}字符以内`
+    });
+  }
+
+  if (profileId !== undefined && profileId !== null) {
+    const profile = typeof profileId === 'string' && profileStore.get(profileId);
+    if (!profile || !inWorkspace(req, profile)) {
+      return res.status(400).json({
+        error: '背景档案不存在'
+      });
+    }
+    req.profile = profile;
+  }
+
+  const formatError = outputFormatError(req.body.format, direction);
+  if (formatError) {
+    return res.status(400).json({
+      error: formatError
+    });
+  }
+
   next();
 }
 
 /**
  * 验证合成阶段请求参数
+ * 通过 sessionId 取回分析阶段的会话，挂载到 req.interactiveSession
  */
 function validateSynthesizeRequest(req, res, next) {
-  const { analysisJson, answers, originalText } = req.body;
+  const { sessionId, answers } = req.body;
+
+  if (!sessionId) {
+    return res.status(400).json({
+      error: '缺少 sessionId 参数'
+    });
+  }
+
+  const session = sessionStore.get(sessionId);
+  if (!session || !inWorkspace(req, session)) {
+    return res.status(404).json({
+      error: '会话不存在或已过期，请重新分析'
+    });
+  }
 
-  if (!analysisJson) {
+  if (!answers || !Array.isArray(answers)) {
     return res.status(400).json({
-      error: '缺少 analysisJson 参数'
+      error: 'answers 必须是数组'
+    });
+  }
+
+  const questionIds = new Set((session.analysisJson.missing_info || []).map(item => item.id));
+  const answeredIds = new Set();
+
+  for (const item of answers) {
+    if (!item || typeof item.id !== 'string' || typeof item.answer !== 'string') {
+      return res.status(400).json({
+        error: 'answers 中的每一项必须是 { id: string, answer: string }'
+      });
+    }
+
+    if (!questionIds.has(item.id)) {
+      return res.status(400).json({
+        error: `未知的问题 ID: ${item.id}`
+      });
+    }
+
+    if (answeredIds.has(item.id)) {
+      return res.status(400).json({
+        error: `问题 ${item.id} 的回答重复`
+      });
+    }
+    answeredIds.add(item.id);
+
+    if (item.answer.length > MAX_ANSWER_LENGTH) {
+      return res.status(400).json({
+        error: `回答过长，请控制在${MAX_ANSWER_LENGTH}字符以内`
+      });
+    }
+  }
+
+  const formatError = outputFormatError(req.body.format, session.direction);
+  if (formatError) {
+    return res.status(400).json({
+      error: formatError
+    });
+  }
+
+  req.interactiveSession = session;
+  next();
+}
+
+/**
+ * 验证追问修改请求参数
+ */
+function validateRefineRequest(req, res, next) {
+  const { direction, originalText, result, instruction } = req.body;
+
+  if (!direction || !roleRegistry.has(direction)) {
+    return res.status(400).json({
+      error: invalidDirectionMessage()
+    });
+  }
+
+  const nonString = Object.entries({ originalText, result, instruction })
+    .find(([, value]) => value !== undefined && value !== null && typeof value !== 'string');
+  if (nonString) {
+    return res.status(400).json({
+      error: `${nonString[0]} 必须是字符串`
     });
   }
 
@@ -77,9 +224,33 @@ function validateSynthesizeRequest(req, res, next) {
     });
   }
 
-  if (!answers || !Array.isArray(answers)) {
+  if (originalText.length > MAX_CONTENT_LENGTH) {
     return res.status(400).json({
-      error: 'answers 必须是数组'
+      error: `输入内容过长，请控制在${MAX_CONTENT_LENGTH}字符以内`
+    });
+  }
+
+  if (!result || result.trim().length === 0) {
+    return res.status(400).json({
+      error: '缺少需要修改的翻译结果'
+    });
+  }
+
+  if (result.length > MAX_RESULT_LENGTH) {
+    return res.status(400).json({
+      error: `翻译结果过长，请控制在${MAX_RESULT_LENGTH}字符以内`
+    });
+  }
+
+  if (!instruction || instruction.trim().length === 0) {
+    return res.status(400).json({
+      error: '请输入修改指令'
+    });
+  }
+
+  if (instruction.length > MAX_INSTRUCTION_LENGTH) {
+    return res.status(400).json({
+      error: `修改指令过长，请控制在${MAX_INSTRUCTION_LENGTH}字符以内`
     });
   }
 
@@ -90,4 +261,5 @@ module.exports = {
   validateEnvVars,
   validateTranslateRequest,
   validateSynthesizeRequest,
+  validateRefineRequest,
 };
@@ -0,0 +1,323 @@
+/**
+ * OpenAI 兼容的模拟 LLM 服务
+ * 用于本地开发与端到端测试：按脚本流式返回 chat.completion.chunk，
+ * 对 JSON 模式（response_format）返回预置的 Analysis JSON，并支持注入故障。
+ *
+ * 单独运行：npm run mock（默认端口 4010，LLM_API_BASE_URL 设为 http://localhost:4010/v1）
+ */
+
+const http = require('http');
+
+/**
+ * 故障类型
+ * - status：返回指定 HTTP 状态码（如 429 / 500）
+ * - malformed：返回无法解析的 JSON（流式时为首个片段）
+ * - disconnect：流式输出若干片段后直接断开连接
+ * - content：用指定文本代替默认回复
+ */
+const FAULT_TYPES = ['status', 'malformed', 'disconnect', 'content'];
+
+/**
+ * 默认的 Analysis JSON
+ * @param {string} directionKey - 如 'PM_TO_DEV'
+ */
+function cannedAnalysis(directionKey) {
+  return {
+    direction: directionKey,
+    intent: '模拟分析：梳理需求要点',
+    confidence_score: 0.6,
+    structured_data: {
+      logic_core: '模拟的核心逻辑',
+      constraints: ['模拟约束'],
+      tech_context: ['模拟技术背景']
+    },
+    missing_info: [
+      {
+        id: 'q1',
+        priority: 'HIGH',
+        question: '预计的并发量是多少？',
+        reason: '影响架构选型',
+        options: ['< 100 QPS', '100-1000 QPS', '> 1000 QPS'],
+        default_assumption: '< 100 QPS'
+      }
+    ],
+    can_proceed_directly: false
+  };
+}
+
+/**
+ * 默认的翻译结果（包含原文片段，便于断言）
+ * @param {string} lastUserMessage - 最后一条用户消息
+ */
+function cannedTranslation(lastUserMessage) {
+  return `## 🚀 一句话同步
+模拟翻译结果
+
+## 💬 给开发发的群消息
+---
+@开发 ${lastUserMessage.replace(/\s+/g, ' ').slice(0, 80)}
+---`;
+}
+
+class MockLlmServer {
+  /**
+   * @param {object} options
+   * @param {number} options.chunkSize - 每个流式片段的字符数
+   * @param {number} options.chunkDelayMs - 片段之间的间隔
+   */
+  constructor(options = {}) {
+    this.chunkSize = options.chunkSize || 16;
+    this.chunkDelayMs = options.chunkDelayMs || 0;
+    this.faults = [];
+    this.requests = [];
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  /**
+   * 启动监听
+   * @param {number} port - 端口，0 表示随机端口
+   * @returns {Promise<string>} baseURL，如 http://127.0.0.1:4010/v1
+   */
+  listen(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', () => {
+        resolve(this.baseURL);
+      });
+    });
+  }
+
+  get baseURL() {
+    return `http://127.0.0.1:${this.server.address().port}/v1`;
+  }
+
+  /**
+   * 停止监听
+   */
+  close() {
+    return new Promise(resolve => {
+      if (this.server.closeAllConnections) {
+        this.server.closeAllConnections();
+      }
+      this.server.close(() => resolve());
+    });
+  }
+
+  /**
+   * 追加故障，每个请求按顺序消费一项
+   * @param {...object} faults - 如 { status: 429 }、{ disconnect: true }、{ content: '...' }
+   */
+  enqueue(...faults) {
+    faults.forEach(fault => {
+      if (!fault || !FAULT_TYPES.some(type => type in fault)) {
+        throw new Error(`未知的故障配置: ${JSON.stringify(fault)}`);
+      }
+      this.faults.push(fault);
+    });
+  }
+
+  /**
+   * 清空故障队列与请求记录
+   */
+  reset() {
+    this.faults = [];
+    this.requests = [];
+  }
+
+  /**
+   * 读取请求体
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => resolve(body));
+      req.on('error', reject);
+    });
+  }
+
+  sendJson(res, status, data, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(data));
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    // 控制接口：供单独运行时注入故障、查看请求
+    if (url.pathname === '/__mock/faults') {
+      if (req.method === 'POST') {
+        try {
+          const { faults = [] } = JSON.parse(await this.readBody(req) || '{}');
+          this.enqueue(...faults);
+          return this.sendJson(res, 200, { queued: this.faults.length });
+        } catch (error) {
+          return this.sendJson(res, 400, { error: error.message });
+        }
+      }
+      if (req.method === 'DELETE') {
+        this.reset();
+        return this.sendJson(res, 200, { queued: 0 });
+      }
+    }
+
+    if (url.pathname === '/__mock/requests' && req.method === 'GET') {
+      return this.sendJson(res, 200, { requests: this.requests });
+    }
+
+    if (req.method !== 'POST' || !url.pathname.endsWith('/chat/completions')) {
+      return this.sendJson(res, 404, { error: { message: 'Not found' } });
+    }
+
+    let body;
+    try {
+      body = JSON.parse(await this.readBody(req));
+    } catch (error) {
+      return this.sendJson(res, 400, { error: { message: 'Invalid JSON body' } });
+    }
+
+    this.requests.push(body);
+    const fault = this.faults.shift() || {};
+
+    if (fault.status) {
+      // retry-after-ms 让 SDK 的自动重试不必等待默认退避时间
+      return this.sendJson(res, fault.status, {
+        error: { message: `Mock error ${fault.status}`, type: 'mock_error' }
+      }, { 'retry-after-ms': '10' });
+    }
+
+    const text = fault.content !== undefined ? fault.content : this.buildReply(body);
+
+    if (body.stream) {
+      return this.stream(res, body, text, fault);
+    }
+
+    if (fault.malformed) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end('{"id": "mock", "choices": [');
+    }
+
+    return this.sendJson(res, 200, {
+      id: 'chatcmpl-mock',
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: body.model,
+      choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }],
+      usage: this.buildUsage(body, text)
+    });
+  }
+
+  /**
+   * 模拟的 token 用量：按字符数粗略估算
+   */
+  buildUsage(body, text) {
+    const promptChars = (body.messages || []).reduce((sum, message) => sum + (message.content || '').length, 0);
+    const promptTokens = Math.ceil(promptChars / 2);
+    const completionTokens = Math.ceil(text.length / 2);
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    };
+  }
+
+  /**
+   * 默认回复：JSON 模式返回 Analysis JSON，否则返回翻译文本
+   */
+  buildReply(body) {
+    const messages = body.messages || [];
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+
+    if (body.response_format && body.response_format.type === 'json_object') {
+      // 取 System Prompt 中 Schema 声明的第一个 direction 值
+      const system = messages.find(message => message.role === 'system');
+      const match = system && system.content.match(/"direction":\s*"([A-Z_]+)"/);
+      return JSON.stringify(cannedAnalysis(match ? match[1] : 'PM_TO_DEV'));
+    }
+
+    return cannedTranslation(lastUser ? lastUser.content : '');
+  }
+
+  /**
+   * 流式输出
+   */
+  async stream(res, body, text, fault) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+
+    if (fault.malformed) {
+      res.write('data: {"id": "mock", "choices": [\n\n');
+      return res.end();
+    }
+
+    const pieces = [];
+    for (let i = 0; i < text.length; i += this.chunkSize) {
+      pieces.push(text.slice(i, i + this.chunkSize));
+    }
+
+    for (let index = 0; index < pieces.length; index++) {
+      // 输出一半后断开
+      if (fault.disconnect && index >= Math.max(1, Math.floor(pieces.length / 2))) {
+        // 先让已写入的片段发出去，再断开
+        await new Promise(resolve => setTimeout(resolve, 20));
+        res.socket.destroy();
+        return;
+      }
+
+      res.write(`data: ${JSON.stringify({
+        id: 'chatcmpl-mock',
+        object: 'chat.completion.chunk',
+        created: Math.floor(Date.now() / 1000),
+        model: body.model,
+        choices: [{ index: 0, delta: { content: pieces[index] }, finish_reason: null }]
+      })}\n\n`);
+
+      if (this.chunkDelayMs) {
+        await new Promise(resolve => setTimeout(resolve, this.chunkDelayMs));
+      }
+    }
+
+    res.write(`data: ${JSON.stringify({
+      id: 'chatcmpl-mock',
+      object: 'chat.completion.chunk',
+      created: Math.floor(Date.now() / 1000),
+      model: body.model,
+      choices: [{ index: 0, delta: {}, finish_reason: 'stop' }]
+    })}\n\n`);
+
+    // 客户端请求了 stream_options.include_usage 时，附带 usage 片段
+    if (body.stream_options && body.stream_options.include_usage) {
+      res.write(`data: ${JSON.stringify({
+        id: 'chatcmpl-mock',
+        object: 'chat.completion.chunk',
+        created: Math.floor(Date.now() / 1000),
+        model: body.model,
+        choices: [],
+        usage: this.buildUsage(body, text)
+      })}\n\n`);
+    }
+
+    res.write('data: [DONE]\n\n');
+    res.end();
+  }
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_LLM_PORT, 10) || 4010;
+  const mock = new MockLlmServer({
+    chunkDelayMs: parseInt(process.env.MOCK_LLM_CHUNK_DELAY_MS, 10) || 30
+  });
+  mock.listen(port).then(baseURL => {
+    console.log(`✓ 模拟 LLM 服务已启动: ${baseURL}`);
+    console.log('  注入故障: POST /__mock/faults {"faults":[{"status":429}]}');
+  });
+}
+
+module.exports = {
+  MockLlmServer,
+  cannedAnalysis,
+  cannedTranslation,
+};
@@ -0,0 +1,329 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const logger = require('../utils/logger');
+
+/**
+ * 模板文件扩展名
+ */
+const TEMPLATE_EXT = '.md';
+
+/**
+ * 变更后等待的时间，编辑器保存时往往连续触发多次事件
+ */
+const RELOAD_DEBOUNCE_MS = 100;
+
+/**
+ * 模板标签：{{name}} 变量、{{#name}}...{{/name}} 有值时输出、{{^name}}...{{/name}} 无值时输出
+ */
+const TAG_PATTERN = /\{\{([#^/]?)([A-Za-z][A-Za-z0-9]*)\}\}/g;
+const SECTION_PATTERN = /\{\{([#^])([A-Za-z][A-Za-z0-9]*)\}\}([\s\S]*?)\{\{\/\2\}\}/g;
+
+/**
+ * 变量是否视为"有值"：空字符串、空数组、false、null/undefined 均视为无值
+ */
+function isPresent(value) {
+  return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+/**
+ * 渲染模板
+ * @param {string} template - 模板文本
+ * @param {object} variables - 变量值
+ * @returns {string}
+ */
+function renderTemplate(template, variables = {}) {
+  let text = template;
+  // 区块可以嵌套不同名的区块，由内向外反复展开
+  let previous;
+  do {
+    previous = text;
+    text = text.replace(SECTION_PATTERN, (match, type, name, inner) => {
+      const present = isPresent(variables[name]);
+      return (type === '#') === present ? inner : '';
+    });
+  } while (text !== previous);
+
+  return text.replace(TAG_PATTERN, (match, type, name) => {
+    const value = variables[name];
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+/**
+ * 检查模板语法与变量
+ * @param {string} name - 模板名，用于错误信息
+ * @param {string} template - 模板文本
+ * @param {object} spec - { variables: 允许的变量, required: 必须出现的变量, contains: 必须包含的文本 }
+ * @returns {string[]} 错误列表
+ */
+function checkTemplate(name, template, spec = {}) {
+  const errors = [];
+  const allowed = spec.variables || [];
+  const used = new Set();
+  const open = [];
+
+  for (const [, type, variable] of template.matchAll(TAG_PATTERN)) {
+    if (!allowed.includes(variable)) {
+      errors.push(`${name}: 未知变量 {{${type}${variable}}}，可用变量: ${allowed.join(', ') || '无'}`);
+      continue;
+    }
+    used.add(variable);
+    if (type === '#' || type === '^') {
+      open.push(variable);
+    } else if (type === '/') {
+      if (open.pop() !== variable) {
+        errors.push(`${name}: 区块 {{/${variable}}} 没有对应的开始标签`);
+      }
+    }
+  }
+  open.forEach(variable => errors.push(`${name}: 区块 {{#${variable}}} 没有闭合`));
+
+  (spec.required || [])
+    .filter(variable => !used.has(variable))
+    .forEach(variable => errors.push(`${name}: 缺少变量 {{${variable}}}`));
+
+  (spec.contains || [])
+    .filter(text => !template.includes(text))
+    .forEach(text => errors.push(`${name}: 缺少必需内容 "${text}"`));
+
+  return errors;
+}
+
+/**
+ * 提示词模板注册表
+ * 模板按版本存放在 PROMPT_TEMPLATES_DIR（默认 server/prompts/templates）下的子目录中，
+ * 每个版本包含一组 .md 模板文件；启动时整体校验，文件变更后自动重新加载，
+ * 新版本校验失败时继续使用上一个可用版本。
+ * A/B 实验可以让单个请求改用其他版本（withVersion），请求内的渲染与版本戳都跟随该版本
+ */
+class PromptRegistry {
+  constructor() {
+    this.templatesDir = process.env.PROMPT_TEMPLATES_DIR || path.join(__dirname, 'templates');
+    this.spec = {};
+    this.current = null;
+    // 实验变体使用的其他版本，模板变更后清空重新加载
+    this.loaded = new Map();
+    this.scope = new AsyncLocalStorage();
+    // 目录 → fs.FSWatcher
+    this.watchers = new Map();
+    this.reloadTimer = null;
+  }
+
+  /**
+   * 加载并校验模板，校验失败时抛出错误
+   * @param {object} spec - 模板名（相对版本目录、不含扩展名）→ { variables, required, contains }
+   */
+  init(spec) {
+    this.spec = spec;
+    this.current = this.load();
+    logger.setPromptVersionSource(() => this.activeVersion());
+    logger.logInfo('PROMPT_LOAD', { version: this.current.id, dir: this.current.dir });
+
+    if (process.env.PROMPT_HOT_RELOAD !== 'false') {
+      this.watch();
+    }
+  }
+
+  /**
+   * 所有版本目录，按版本号从旧到新排序
+   * @returns {string[]}
+   */
+  versions() {
+    if (!fs.existsSync(this.templatesDir)) {
+      return [];
+    }
+    return fs.readdirSync(this.templatesDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name)
+      .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }));
+  }
+
+  /**
+   * 读取并校验一个版本的模板
+   * 未指定时使用 PROMPT_VERSION，仍未配置则使用最新版本
+   * @returns {{ version: string, id: string, dir: string, templates: object, loadedAt: string }}
+   */
+  load(version = process.env.PROMPT_VERSION) {
+    const name = version || this.versions().at(-1);
+    if (!name) {
+      throw new Error(`提示词模板目录为空: ${this.templatesDir}`);
+    }
+
+    const dir = path.join(this.templatesDir, name);
+    if (!fs.existsSync(dir)) {
+      throw new Error(`提示词模板版本不存在: ${name}`);
+    }
+
+    const templates = {};
+    const errors = [];
+    const hash = crypto.createHash('sha256');
+
+    Object.keys(this.spec).sort().forEach(templateName => {
+      const filePath = path.join(dir, `${templateName}${TEMPLATE_EXT}`);
+      if (!fs.existsSync(filePath)) {
+        errors.push(`${templateName}: 模板文件不存在`);
+        return;
+      }
+      // 文件末尾的换行不属于模板内容
+      const template = fs.readFileSync(filePath, 'utf8').replace(/\r\n/g, '\n').replace(/\n$/, '');
+      errors.push(...checkTemplate(templateName, template, this.spec[templateName]));
+      templates[templateName] = template;
+      hash.update(`${templateName}\0${template}\0`);
+    });
+
+    if (errors.length > 0) {
+      throw new Error(`提示词模板 ${name} 校验失败:\n${errors.join('\n')}`);
+    }
+
+    return {
+      version: name,
+      // 版本目录 + 内容摘要，同一版本目录下的模板被修改后 ID 也会变化
+      id: `${name}@${hash.digest('hex').slice(0, 8)}`,
+      dir,
+      templates,
+      loadedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * 重新加载；失败时保留当前版本
+   * @returns {boolean} 是否切换到了新的版本 ID
+   */
+  reload() {
+    this.loaded.clear();
+    try {
+      const next = this.load();
+      if (next.id === this.current.id) {
+        return false;
+      }
+
+      const previous = this.current.id;
+      this.current = next;
+      logger.logInfo('PROMPT_RELOAD', { from: previous, to: next.id });
+      return true;
+    } catch (error) {
+      logger.logError('PROMPT_RELOAD', error);
+      return false;
+    }
+  }
+
+  /**
+   * 监听模板目录及其子目录，变更后重新加载
+   * Linux 上 recursive 监听无法 unref，这里为每个目录单独建立监听，新增的目录在下次变更时补上
+   */
+  watch() {
+    const dirs = [this.templatesDir];
+    for (let i = 0; i < dirs.length; i++) {
+      try {
+        fs.readdirSync(dirs[i], { withFileTypes: true })
+          .filter(entry => entry.isDirectory())
+          .forEach(entry => dirs.push(path.join(dirs[i], entry.name)));
+      } catch (error) {
+        // 目录在遍历过程中被删除
+      }
+    }
+
+    dirs.filter(dir => !this.watchers.has(dir)).forEach(dir => {
+      try {
+        const watcher = fs.watch(dir, () => this.scheduleReload());
+        // 监听不应阻止命令行工具退出
+        watcher.unref();
+        watcher.on('error', () => {
+          watcher.close();
+          this.watchers.delete(dir);
+        });
+        this.watchers.set(dir, watcher);
+      } catch (error) {
+        logger.logError('PROMPT_WATCH', error);
+      }
+    });
+  }
+
+  /**
+   * 合并短时间内的多次变更后重新加载
+   */
+  scheduleReload() {
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = setTimeout(() => {
+      this.watch();
+      this.reload();
+    }, RELOAD_DEBOUNCE_MS);
+    this.reloadTimer.unref();
+  }
+
+  /**
+   * 按版本目录名获取已校验的模板，供实验变体使用；校验失败时抛出错误
+   * @param {string} version - 版本目录名，如 'v2'
+   */
+  getVersion(version) {
+    if (this.current && version === this.current.version) {
+      return this.current;
+    }
+    if (!this.loaded.has(version)) {
+      this.loaded.set(version, this.load(version));
+    }
+    return this.loaded.get(version);
+  }
+
+  /**
+   * 在指定版本下执行 fn，期间（包括其中的异步回调）渲染的模板与版本戳都使用该版本
+   * @param {string|null} version - 版本目录名，为空时使用当前版本
+   * @param {function} fn
+   */
+  withVersion(version, fn) {
+    if (!version) {
+      return fn();
+    }
+    return this.scope.run(this.getVersion(version), fn);
+  }
+
+  /**
+   * 当前请求使用的模板：实验变体指定的版本，或全局生效的版本
+   */
+  resolve() {
+    return this.scope.getStore() || this.current;
+  }
+
+  /**
+   * 当前生效的版本 ID，如 "v1@3fa2c1d0"
+   * @returns {string}
+   */
+  activeVersion() {
+    const current = this.resolve();
+    return current ? current.id : null;
+  }
+
+  /**
+   * 渲染当前版本中的模板
+   * @param {string} name - 模板名，如 'pmToDev/analysis'
+   * @param {object} variables - 变量值
+   * @returns {string}
+   */
+  render(name, variables = {}) {
+    const current = this.resolve();
+    const template = current && current.templates[name];
+    if (template === undefined) {
+      throw new Error(`未知的提示词模板: ${name}`);
+    }
+    return renderTemplate(template, variables);
+  }
+
+  /**
+   * 健康检查中展示的信息
+   */
+  describe() {
+    return {
+      version: this.activeVersion(),
+      available: this.versions(),
+      loadedAt: this.current ? this.current.loadedAt : null,
+      hotReload: this.watchers.size > 0
+    };
+  }
+}
+
+// 单例模式
+const promptRegistry = new PromptRegistry();
+
+module.exports = promptRegistry;
@@ -1,12 +1,18 @@
 /**
  * 职能沟通翻译助手 - 统一提示词库
  *
- * 包含三种模式：
+ * 包含四种模式：
  * 1. Analysis - 交互式模式第一步：结构化分析，识别缺口
  * 2. Synthesis - 交互式模式第二步：基于分析生成最终翻译
  * 3. Direct - 快速直出模式：单次调用直接翻译
+ * 4. Refine - 追问修改：基于已有结果按用户指令修订
+ *
+ * 提示词正文存放在 templates/<版本>/ 下的模板文件中，由 prompt-registry 加载、校验并热更新；
+ * 这里负责声明模板清单、填充变量，并保持原有的导出结构
  */
 
+const promptRegistry = require('./prompt-registry');
+
 // ==========================================
 // 常量定义
 // ==========================================
@@ -16,242 +22,246 @@
  */
 const DIRECTIONS = {
   PM_TO_DEV: 'PM_TO_DEV',
-  DEV_TO_PM: 'DEV_TO_PM'
+  DEV_TO_PM: 'DEV_TO_PM',
+  QA_TO_DEV: 'QA_TO_DEV',
+  DESIGNER_TO_DEV: 'DESIGNER_TO_DEV',
+  OPS_TO_PM: 'OPS_TO_PM',
+  DEV_TO_LEADERSHIP: 'DEV_TO_LEADERSHIP'
 };
 
-// ==========================================
-// 共享模板片段
-// ==========================================
-
 /**
- * Analysis 阶段的 JSON Schema（两个方向完全共享）
+ * 方向常量 → 提示词键名（同时也是模板版本目录下的子目录名）
  */
-const ANALYSIS_JSON_SCHEMA_BASE = `{
-  "direction": "PM_TO_DEV"|"DEV_TO_PM",
-  "intent": "string",
-  "confidence_score": number,
-  "structured_data": {
-    "logic_core": "string",
-    "constraints": ["string"],
-    "tech_context": ["string"]
-  },
-  "missing_info": [
-    {
-      "id": "string",
-      "priority": "HIGH"|"MEDIUM",
-      "question": "string",
-      "reason": "string",
-      "options": ["string"],
-      "default_assumption": "string"
-    }
-  ],
-  "can_proceed_directly": boolean
-}`;
+const PROMPT_KEYS = {
+  [DIRECTIONS.PM_TO_DEV]: 'pmToDev',
+  [DIRECTIONS.DEV_TO_PM]: 'devToPm',
+  [DIRECTIONS.QA_TO_DEV]: 'qaToDev',
+  [DIRECTIONS.DESIGNER_TO_DEV]: 'designerToDev',
+  [DIRECTIONS.OPS_TO_PM]: 'opsToPm',
+  [DIRECTIONS.DEV_TO_LEADERSHIP]: 'devToLeadership'
+};
 
 /**
- * 共享的 Output Structure 模板
- * 这些模板在 Synthesis 和 Direct 模式之间共用，减少重复并确保一致性
+ * Analysis JSON Schema 中 direction 字段允许的取值（PM ↔ Dev 两个方向完全共享）
  */
-const OUTPUT_STRUCTURES = {
-  /**
-   * PM → Dev 方向的输出结构
-   * @param {string} mode - 'synthesis' | 'direct'
-   */
-  pmToDev: (mode = 'synthesis') => `# Output Structure
-## 🚀 ${mode === 'synthesis' ? '需求技术同步' : '一句话同步'}
-[一句话点明需求核心与技术价值]
-
-## 💬 给开发发的群消息
----
-@开发
-关于"**[标题]**"需求，核心逻辑如下：
-1. **意图**：...
-2. **关键逻辑**：...
-3. **技术关注点**：[如：接口限流/幂等性/数据一致性]
-4. **验收标准**：...
----
-
-## 🛠 技术视角解构
-- **数据/埋点**：[所需字段、归因、上报时机]
-- **逻辑边界**：[异常处理、边界Case、逆向流程]
-- **非功能性**：[性能、缓存、安全]
-- **技术方案建议**：[架构建议、技术选型]
-
-## ⏳ 粗估建议
-- **复杂度**：[简单/中等/复杂]
-- **基准人天**：[如：3-5人天，注：基于...假设]`,
-
-  /**
-   * Dev → PM 方向的输出结构
-   * @param {string} mode - 'synthesis' | 'direct'
-   */
-  devToPm: (mode = 'synthesis') => `# Output Structure
-## 🎯 业务价值核心
-[一句话总结：这个改进对用户/业务意味着什么]
-
-## 💬 给产品发的群消息
----
-@产品
-关于"**[技术项]**"的最新进展/方案：
-1. **用户感知**：... [如：再也不会转圈了]
-2. **支持能力**：... [如：可以支撑下周的大促活动]
-3. **上线计划**：... [含灰度/回滚策略]
-4. **配合建议**：... [如：需产品侧确认文案/规则]
----
-
-## 📈 价值深度解析
-- **用户路径影响**：[哪个环节变爽了/变稳了]
-- **指标映射**：[技术提升 -> 业务收益，如：QPS提升 -> 支撑更大规模活动]
-- **风险与兼容性**：[若不做会怎样 / 是否有业务副作用 / 兼容逻辑]
-- **商业影响**：[成本节省/稳定性红利/未来扩展性]`
+const ANALYSIS_SCHEMA_DIRECTIONS = {
+  pmToDev: [DIRECTIONS.PM_TO_DEV, DIRECTIONS.DEV_TO_PM],
+  devToPm: [DIRECTIONS.PM_TO_DEV, DIRECTIONS.DEV_TO_PM],
+  qaToDev: [DIRECTIONS.QA_TO_DEV],
+  designerToDev: [DIRECTIONS.DESIGNER_TO_DEV],
+  opsToPm: [DIRECTIONS.OPS_TO_PM],
+  devToLeadership: [DIRECTIONS.DEV_TO_LEADERSHIP]
 };
 
 /**
- * 通用约束规则（所有模式和方向共享）
+ * 各方向 Output Structure 的章节定义（用于 format: "json" 的结构化输出）
+ * - field: 结构化结果中的字段名
+ * - marker: 章节标题中的 emoji，Synthesis / Direct 两种模式的标题文字不同，emoji 相同
+ * - title: 校验失败时展示的章节名称
+ * - type: 'text' 正文 | 'message' 两个 --- 之间的群消息 | 'list' "- **标签**：内容" 列表 | 'fields' 固定标签的列表
+ * - keys: type 为 'fields' 时，字段名 → 列表标签
  */
-const COMMON_CONSTRAINTS = `- **IM 友好**：【给产品/开发发的群消息】部分必须清晰、简单直观、有说服力，适合直接粘贴。
-- **语境**：中国互联网职场交流常用表达。`;
+const OUTPUT_SECTIONS = {
+  pmToDev: [
+    { field: 'summary', marker: '🚀', title: '需求技术同步', type: 'text' },
+    { field: 'imMessage', marker: '💬', title: '群消息', type: 'message' },
+    { field: 'breakdown', marker: '🛠', title: '技术视角解构', type: 'list' },
+    { field: 'estimate', marker: '⏳', title: '粗估建议', type: 'fields', keys: { complexity: '复杂度', baselineDays: '基准人天' } }
+  ],
+  devToPm: [
+    { field: 'summary', marker: '🎯', title: '业务价值核心', type: 'text' },
+    { field: 'imMessage', marker: '💬', title: '群消息', type: 'message' },
+    { field: 'valueAnalysis', marker: '📈', title: '价值深度解析', type: 'list' }
+  ],
+  qaToDev: [
+    { field: 'summary', marker: '🐞', title: '缺陷技术同步', type: 'text' },
+    { field: 'imMessage', marker: '💬', title: '群消息', type: 'message' },
+    { field: 'breakdown', marker: '🔍', title: '技术排查线索', type: 'list' },
+    { field: 'fixAdvice', marker: '⏳', title: '修复建议', type: 'fields', keys: { severity: '严重级别', priority: '修复优先级' } }
+  ],
+  designerToDev: [
+    { field: 'summary', marker: '🎨', title: '设计实现同步', type: 'text' },
+    { field: 'imMessage', marker: '💬', title: '群消息', type: 'message' },
+    { field: 'breakdown', marker: '🧩', title: '实现要点拆解', type: 'list' },
+    { field: 'estimate', marker: '⏳', title: '粗估建议', type: 'fields', keys: { complexity: '复杂度', baselineDays: '基准人天' } }
+  ],
+  opsToPm: [
+    { field: 'summary', marker: '📌', title: '运维事项结论', type: 'text' },
+    { field: 'imMessage', marker: '💬', title: '群消息', type: 'message' },
+    { field: 'impactAnalysis', marker: '📊', title: '业务影响分析', type: 'list' }
+  ],
+  devToLeadership: [
+    { field: 'summary', marker: '🧭', title: '决策摘要', type: 'text' },
+    { field: 'imMessage', marker: '💬', title: '群消息', type: 'message' },
+    { field: 'decisionPoints', marker: '📈', title: '决策要点', type: 'list' }
+  ]
+};
 
 // ==========================================
-// 第一阶段：结构化分析 (Analysis)
-// 用于识别缺口并生成澄清问题清单
+// 模板清单
+// 模板名 → { variables: 允许的变量, required: 必须出现的变量, contains: 必须包含的文本 }
 // ==========================================
 
-const ANALYSIS_PROMPTS = {
-  pmToDev: {
-    system: `你是一位资深架构师(Tech Lead)。任务：分析产品经理输入的【模糊需求】，识别技术落地前的关键信息缺口。
-
-硬规则：
-1. 必须严格按以下 JSON Schema 输出结果，不得输出任何 Markdown、解释性文字、代码围栏、前后缀文本:
-${ANALYSIS_JSON_SCHEMA_BASE}
-
-2. 识别核心：数据源、异常边界、性能指标、外部依赖。
-3. 缺失信息应按优先级排序，只列出真正阻塞开发的问题（最多3个）。
-4. **默认假设机制（重要）**：对于每个缺失信息(missing_info)，必须基于行业标准给出 \`default_assumption\`。
-   - 例如：未提并发量，默认假设 QPS<100；未提数据时效，默认假设 T+1。
-   - 这样如果用户不回答，我们可以直接使用默认假设。
-5. confidence_score 表示对需求理解的信心度（0-1），低于0.7时应设置 can_proceed_directly 为 false。
-6. 如果输入信息充分（confidence_score >= 0.8），可以设置 can_proceed_directly 为 true。`,
-
-    getUserPrompt: (text, context = "") => {
-      return `请分析以下产品需求并输出 JSON：
-
-[需求内容]:
-${text}
+const USER_INPUT_VARIABLES = ['text', 'context', 'glossary'];
 
-${context ? `[补充背景]:\n${context}\n` : ''}请严格按 System 要求的 JSON Schema 格式输出结果。不要使用 Markdown 代码围栏。`;
-    }
+const TEMPLATE_SPEC = {
+  'shared/constraints': {},
+  'shared/analysis-schema': { variables: ['directions'], required: ['directions'] },
+  'shared/analysis-repair': { variables: ['errors'], required: ['errors'] },
+  'shared/glossary': { variables: ['entries'], required: ['entries'] },
+  'shared/synthesis-user': {
+    variables: ['analysis', 'answers', ...USER_INPUT_VARIABLES],
+    required: ['analysis', 'answers', 'text']
   },
-
-  devToPm: {
-    system: `你是一位懂业务的技术负责人。任务：分析开发输入的【技术项/成果】，识别其对应的业务价值缺口。
-
-硬规则：
-1. 必须严格按以下 JSON Schema 输出结果，不得输出任何 Markdown、解释性文字、代码围栏、前后缀文本:
-${ANALYSIS_JSON_SCHEMA_BASE}
-
-2. 识别核心：受影响场景、可量化指标、业务副作用、交付风险。
-3. 缺失信息应按优先级排序，只列出真正影响业务价值表达的问题（最多3个）。
-4. **默认假设机制（重要）**：对于每个缺失信息，必须基于业务常识给出 \`default_assumption\`。
-   - 例如：未提具体收益，默认假设“提升了系统稳定性/用户体验”。`,
-
-
-    getUserPrompt: (text, context = "") => {
-      return `请分析以下技术项并输出 JSON：
-
-[技术方案/成果]:
-${text}
-
-${context ? `[补充背景]:\n${context}\n` : ''}请严格按 System 要求的 JSON Schema 格式输出结果。不要使用 Markdown 代码围栏。`;
-    }
+  'shared/direct-user': { variables: ['sourceLabel', ...USER_INPUT_VARIABLES], required: ['text'] },
+  'shared/refine-system': { variables: ['systemPrompt'], required: ['systemPrompt'] },
+  'shared/refine-user': { variables: ['instruction'], required: ['instruction'] },
+  'shared/section-repair': { variables: ['problems', 'sections'], required: ['problems', 'sections'] },
+  'shared/fidelity-check': {},
+  'shared/fidelity-check-user': {
+    variables: ['sourceLabel', 'targetLabel', 'original', 'supplement', 'result', 'backTranslation'],
+    required: ['original', 'result', 'backTranslation']
   }
 };
 
-// ==========================================
-// 第二阶段：内容合成引擎 (Synthesis)
-// 用于生成最终提供给对方的翻译结果
-// ==========================================
-
-const SYNTHESIS_PROMPTS = {
-  pmToDev: `# Role
-你是一位资深 Tech Lead，擅长将产品需求翻译为严谨的技术语言。
-
-# Constraints & Rules
-1. **事实来源优先级**：用户补充回答 > Analysis中的默认假设(default_assumption) > 原始输入。
-2. **拒绝留白**：若用户未回答某问题，**直接采用 Analysis 阶段生成的默认假设**，不要再次询问。
-3. **语义转换**：将业务词汇(如"快/稳")转化为指标(QPS/Latency/SLA)。
-4. **验收标准具体化**：给出可量化、可验证的验收标准，避免模糊描述。
-5. **拒绝废话**：如果输入不涉及算法，不要输出算法标题；如果不涉及埋点，不要强行写埋点。动态调整章节内容。
-${COMMON_CONSTRAINTS}
+Object.values(PROMPT_KEYS).forEach(key => {
+  TEMPLATE_SPEC[`${key}/analysis`] = { variables: ['schema'], required: ['schema'] };
+  TEMPLATE_SPEC[`${key}/analysis-user`] = { variables: USER_INPUT_VARIABLES, required: ['text'] };
+  TEMPLATE_SPEC[`${key}/synthesis`] = { variables: ['constraints', 'outputStructure'], required: ['outputStructure'] };
+  TEMPLATE_SPEC[`${key}/direct`] = { variables: ['constraints', 'outputStructure'], required: ['outputStructure'] };
+  // 结构化输出按章节 emoji 切分，模板中必须保留每个章节的标记
+  TEMPLATE_SPEC[`${key}/output-structure`] = {
+    variables: ['synthesis'],
+    contains: OUTPUT_SECTIONS[key].map(section => `## ${section.marker}`)
+  };
+});
 
-${OUTPUT_STRUCTURES.pmToDev('synthesis')}`,
-
-  devToPm: `# Role
-你是一位精通业务的研发专家，擅长将技术成果翻译为可感知的业务价值。
-
-# Constraints & Rules
-1. **事实来源优先级**：用户补充回答 > Analysis中的默认假设(default_assumption) > 原始输入。
-2. **拒绝留白**：若用户未回答某问题，**直接采用 Analysis 阶段生成的默认假设**，不要再次询问。
-3. **价值降维**：将技术指标映射到用户体验、商业收益或风险控制上（如：QPS+30% → 页面秒开；延迟-50% → 转化率预估提升X%）。
-4. **明确后果**：强调"如果不做这个，业务会面临什么具体痛点"。
-5. **拒绝废话**：如果不涉及某个维度（如成本、性能、用户体验），不要强行输出该章节。动态调整内容。
-${COMMON_CONSTRAINTS}
-
-${OUTPUT_STRUCTURES.devToPm('synthesis')}`
-};
+promptRegistry.init(TEMPLATE_SPEC);
 
 // ==========================================
-// Direct 直接翻译模式
-// 用于简单场景的快速翻译
+// 共享模板片段
 // ==========================================
 
-const ONESHOT_PROMPTS = {
-  pmToDev: `# Role
-你是一位精通技术架构的资深 Tech Lead，擅长将模糊的产品需求(PRD)翻译为开发可直接评估的"技术语言"。
-
-# Task
-将输入的需求内容重构成开发视角。
-若原始信息不足，请基于行业标准实践（Best Practices）给出默认技术基准（例如：移动端默认考虑多端适配，海量数据默认考虑索引与读写分离），不要向用户提问。
+/**
+ * 生成 Analysis 阶段的 JSON Schema
+ * @param {string[]} directionKeys - 允许出现在 direction 字段中的方向值
+ * @returns {string} JSON Schema 文本
+ */
+function buildAnalysisJsonSchema(directionKeys) {
+  return promptRegistry.render('shared/analysis-schema', {
+    directions: directionKeys.map(key => `"${key}"`).join('|')
+  });
+}
 
+/**
+ * 通用约束规则（所有模式和方向共享）
+ * @returns {string}
+ */
+function getCommonConstraints() {
+  return promptRegistry.render('shared/constraints');
+}
 
-# Constraints & Rules
-1. **语义转换**：将业务词汇(如"快/稳")转化为指标(QPS/Latency/SLA)。
-2. **验收标准具体化**：给出可量化、可验证的验收标准，避免模糊描述。
-3. **拒绝废话**：如果输入不涉及算法，不要输出算法标题；如果不涉及埋点，不要强行写埋点。动态调整章节内容。
-${COMMON_CONSTRAINTS}
+/**
+ * 共享的 Output Structure 模板
+ * 这些模板在 Synthesis 和 Direct 模式之间共用，减少重复并确保一致性
+ * 每个方向为 (mode = 'synthesis' | 'direct') => string，两种模式的首个标题文字不同
+ */
+const OUTPUT_STRUCTURES = {};
+Object.values(PROMPT_KEYS).forEach(key => {
+  OUTPUT_STRUCTURES[key] = (mode = 'synthesis') => promptRegistry.render(`${key}/output-structure`, {
+    synthesis: mode === 'synthesis'
+  });
+});
 
-${OUTPUT_STRUCTURES.pmToDev('direct')}`,
+/**
+ * 团队术语表片段：原文中出现的内部用语及其释义，没有命中词条时为空字符串
+ * @param {object[]} glossary - 命中的词条 [{ term, aliases, definition }]
+ * @returns {string}
+ */
+function formatGlossary(glossary = []) {
+  if (glossary.length === 0) {
+    return '';
+  }
 
-  devToPm: `# Role
-你是一位懂业务的资深产品研发专家，擅长将枯燥的技术指标/方案翻译为产品经理可直接决策的"业务价值"。
+  const lines = glossary.map(entry => {
+    const aliases = entry.aliases && entry.aliases.length > 0 ? `（又称：${entry.aliases.join('、')}）` : '';
+    return `- **${entry.term}**${aliases}：${entry.definition}`;
+  });
+  return promptRegistry.render('shared/glossary', { entries: lines.join('\n') });
+}
 
-# Task
-将输入的技术内容重构为产品/业务视角。
-若业务场景不明确，请基于该技术手段常见的业务增益（Value Addition）进行专业假设（例如：缓存优化默认假设为提升高并发下的响应速度），直接输出价值分析。
+/**
+ * 用户输入类模板的公共变量
+ */
+function userInputVariables(text, context = '', glossary = []) {
+  return { text, context, glossary: formatGlossary(glossary) };
+}
 
-# Constraints & Rules
-1. **价值降维**：将技术参数(QPS+30%)转化为用户感知(页面秒开)或商业收益(降低流失)。
-2. **明确后果**：如果不做这个技术改进，业务上会有什么具体痛点？
-3. **拒绝废话**：如果不涉及某个维度（如成本、性能、用户体验），不要强行输出该章节。动态调整内容。
-${COMMON_CONSTRAINTS}
+// ==========================================
+// 三种模式的提示词
+// 通过 getter 在每次读取时按当前模板版本渲染，模板热更新后立即生效
+// ==========================================
 
-${OUTPUT_STRUCTURES.devToPm('direct')}`
+/**
+ * 渲染方向的 Synthesis / Direct System Prompt
+ * @param {string} key - 提示词键名
+ * @param {string} mode - 'synthesis' | 'direct'
+ */
+function renderTranslationPrompt(key, mode) {
+  return promptRegistry.render(`${key}/${mode}`, {
+    constraints: getCommonConstraints(),
+    outputStructure: OUTPUT_STRUCTURES[key](mode)
+  });
+}
 
-};
+const ANALYSIS_PROMPTS = {};
+const SYNTHESIS_PROMPTS = {};
+const ONESHOT_PROMPTS = {};
+
+Object.values(PROMPT_KEYS).forEach(key => {
+  ANALYSIS_PROMPTS[key] = {
+    get system() {
+      return promptRegistry.render(`${key}/analysis`, {
+        schema: buildAnalysisJsonSchema(ANALYSIS_SCHEMA_DIRECTIONS[key])
+      });
+    },
+    getUserPrompt: (text, context = '', glossary = []) =>
+      promptRegistry.render(`${key}/analysis-user`, userInputVariables(text, context, glossary))
+  };
+
+  Object.defineProperty(SYNTHESIS_PROMPTS, key, {
+    enumerable: true,
+    get: () => renderTranslationPrompt(key, 'synthesis')
+  });
+  Object.defineProperty(ONESHOT_PROMPTS, key, {
+    enumerable: true,
+    get: () => renderTranslationPrompt(key, 'direct')
+  });
+});
 
 // ==========================================
 // 辅助函数
 // ==========================================
 
+/**
+ * 构建 Analysis JSON 修复指令（校验失败时发回模型）
+ * @param {string[]} errors - 校验错误列表
+ * @returns {string}
+ */
+function getAnalysisRepairPrompt(errors) {
+  return promptRegistry.render('shared/analysis-repair', {
+    errors: errors.map((error, index) => `${index + 1}. ${error}`).join('\n')
+  });
+}
+
 /**
  * 获取 Synthesis 阶段的 System Prompt
- * @param {string} direction - 翻译方向 'PM_TO_DEV' | 'DEV_TO_PM'
+ * @param {string} direction - 翻译方向，DIRECTIONS 中的值
  * @returns {string} System prompt (Role、Constraints、Output Structure)
  */
 function getSynthesisSystemPrompt(direction) {
-  return direction === DIRECTIONS.PM_TO_DEV
-    ? SYNTHESIS_PROMPTS.pmToDev
-    : SYNTHESIS_PROMPTS.devToPm;
+  const promptKey = PROMPT_KEYS[direction] || PROMPT_KEYS[DIRECTIONS.DEV_TO_PM];
+  return SYNTHESIS_PROMPTS[promptKey];
 }
 
 /**
@@ -259,21 +269,85 @@ function getSynthesisSystemPrompt(direction) {
  * @param {object} analysisJson - Analysis 阶段返回的 JSON
  * @param {array} answers - 用户对问题的回答
  * @param {string} originalText - 原始输入文本
+ * @param {string} context - 补充背景（可选，与分析阶段相同）
+ * @param {object[]} glossary - 原文中命中的团队术语（可选）
  * @returns {string} User prompt (实际输入数据)
  */
-function getSynthesisUserPrompt(analysisJson, answers, originalText) {
-  return `请基于以下背景完成最终的翻译重构。严格遵循 Output Structure，动态调整章节内容。
+function getSynthesisUserPrompt(analysisJson, answers, originalText, context = '', glossary = []) {
+  return promptRegistry.render('shared/synthesis-user', {
+    analysis: JSON.stringify(analysisJson, null, 2),
+    answers: JSON.stringify(answers, null, 2),
+    ...userInputVariables(originalText, context, glossary)
+  });
+}
+
+/**
+ * 获取 Direct / Refine 模式的用户消息
+ * @param {string} sourceLabel - 输入方角色名称，如"产品经理"
+ * @param {string} content - 原始输入
+ * @param {string} context - 补充背景（可选）
+ * @param {object[]} glossary - 原文中命中的团队术语（可选）
+ * @returns {string}
+ */
+function getDirectUserPrompt(sourceLabel, content, context = '', glossary = []) {
+  return promptRegistry.render('shared/direct-user', {
+    sourceLabel,
+    ...userInputVariables(content, context, glossary)
+  });
+}
 
-# 输入上下文 (数据源)
+/**
+ * 构建追问修改的 System Prompt（在原方向的 System Prompt 之后追加修订规则）
+ * @param {string} baseSystemPrompt - 原方向的 Direct System Prompt
+ * @returns {string}
+ */
+function getRefineSystemPrompt(baseSystemPrompt) {
+  return promptRegistry.render('shared/refine-system', { systemPrompt: baseSystemPrompt });
+}
+
+/**
+ * 构建追问修改的用户指令消息
+ * @param {string} instruction - 用户的修改指令
+ * @returns {string}
+ */
+function getRefineUserPrompt(instruction) {
+  return promptRegistry.render('shared/refine-user', { instruction });
+}
 
-## 分析中间件数据
-${JSON.stringify(analysisJson, null, 2)}
+/**
+ * 构建章节修复指令（结果不符合 Output Structure 时发回模型，只重写有问题的章节）
+ * @param {{ heading: string, problems: string[] }[]} issues - 有问题的章节
+ * @param {string[]} templates - 这些章节在 Output Structure 中的原文
+ * @returns {string}
+ */
+function getSectionRepairPrompt(issues, templates) {
+  return promptRegistry.render('shared/section-repair', {
+    problems: issues.map((issue, index) => `${index + 1}. 「${issue.heading}」：${issue.problems.join('；')}`).join('\n'),
+    sections: templates.join('\n\n')
+  });
+}
 
-## 用户对问题的回答
-${JSON.stringify(answers, null, 2)}
+/**
+ * 获取往返校验的 System Prompt（比对原文与回译）
+ * @returns {string}
+ */
+function getFidelityCheckSystemPrompt() {
+  return promptRegistry.render('shared/fidelity-check', {});
+}
 
-## 原始输入文本
-${originalText}`;
+/**
+ * 获取往返校验的用户消息
+ * @param {object} options
+ * @param {string} options.sourceLabel - 原文角色名称
+ * @param {string} options.targetLabel - 翻译结果的读者角色名称
+ * @param {string} options.original - 原文
+ * @param {string} options.supplement - 补充背景与用户回答（可选）
+ * @param {string} options.result - 翻译结果
+ * @param {string} options.backTranslation - 回译
+ * @returns {string}
+ */
+function getFidelityCheckUserPrompt(options) {
+  return promptRegistry.render('shared/fidelity-check-user', options);
 }
 
 // ==========================================
@@ -283,6 +357,11 @@ ${originalText}`;
 const UNIFIED_PROMPTS = {
   // 常量
   DIRECTIONS,
+  PROMPT_KEYS,
+
+  // 共享模板片段
+  OUTPUT_STRUCTURES,
+  OUTPUT_SECTIONS,
 
   // 三种模式的 prompts
   analysis: ANALYSIS_PROMPTS,
@@ -290,8 +369,19 @@ const UNIFIED_PROMPTS = {
   direct: ONESHOT_PROMPTS,
 
   // 辅助函数
+  formatGlossary,
   getSynthesisSystemPrompt,
-  getSynthesisUserPrompt
+  getSynthesisUserPrompt,
+  getDirectUserPrompt,
+  getRefineSystemPrompt,
+  getRefineUserPrompt,
+  getAnalysisRepairPrompt,
+  getSectionRepairPrompt,
+  getFidelityCheckSystemPrompt,
+  getFidelityCheckUserPrompt,
+
+  // 当前生效的模板版本 ID
+  activeVersion: () => promptRegistry.activeVersion()
 };
 
 module.exports = UNIFIED_PROMPTS;
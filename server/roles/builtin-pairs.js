@@ -0,0 +1,142 @@
+/**
+ * 内置角色对定义
+ *
+ * 字段说明：
+ * - id: 方向 ID（请求参数 direction 的取值）
+ * - key: Analysis JSON 中 direction 字段的取值
+ * - source / target: 输入方与接收方角色 { id, label }
+ * - title / description: 前端方向选择卡片文案
+ * - prompts: { analysis: { system, getUserPrompt(text, context, glossary) }, synthesis, direct }
+ * - outputStructure: (mode) => Output Structure 模板
+ * - sections: Output Structure 的章节定义（可选，提供后支持 format: "json"）
+ * - placeholder / examples: 输入框占位文本与"填入示例"内容
+ */
+
+const UNIFIED_PROMPTS = require('../prompts/prompts');
+const { DIRECTION } = require('../utils/constants');
+
+const { DIRECTIONS, PROMPT_KEYS, OUTPUT_STRUCTURES, OUTPUT_SECTIONS } = UNIFIED_PROMPTS;
+
+/**
+ * 按方向常量收集 prompts.js 中的三种提示词、输出结构与章节定义
+ * 提示词以 getter 读取，模板热更新后无需重新注册
+ * @param {string} key - 方向常量，如 'PM_TO_DEV'
+ */
+function promptsFor(key) {
+  const promptKey = PROMPT_KEYS[key];
+  return {
+    prompts: {
+      analysis: UNIFIED_PROMPTS.analysis[promptKey],
+      get synthesis() {
+        return UNIFIED_PROMPTS.synthesis[promptKey];
+      },
+      get direct() {
+        return UNIFIED_PROMPTS.direct[promptKey];
+      }
+    },
+    outputStructure: OUTPUT_STRUCTURES[promptKey],
+    sections: OUTPUT_SECTIONS[promptKey]
+  };
+}
+
+const ROLES = {
+  PM: { id: 'pm', label: '产品经理' },
+  DEV: { id: 'dev', label: '开发工程师' },
+  QA: { id: 'qa', label: '测试工程师' },
+  DESIGNER: { id: 'designer', label: '设计师' },
+  OPS: { id: 'ops', label: '运维工程师' },
+  LEADERSHIP: { id: 'leadership', label: '管理层' }
+};
+
+module.exports = [
+  {
+    id: DIRECTION.PM_TO_DEV,
+    key: DIRECTIONS.PM_TO_DEV,
+    source: ROLES.PM,
+    target: ROLES.DEV,
+    title: '我是产品经理',
+    description: '把需求翻译给开发',
+    ...promptsFor(DIRECTIONS.PM_TO_DEV),
+    placeholder: '例如：我们需要一个智能推荐功能，提升用户停留时长',
+    examples: [
+      '我们需要一个智能推荐功能，提升用户停留时长。希望能根据用户的浏览历史和偏好，推荐他们可能感兴趣的内容。',
+      '希望用户可以通过手机号一键登录，提升注册转化率。目前很多用户在注册页面流失，我们需要简化这个流程。',
+      '需要做一个用户积分系统，用户完成任务（签到、分享、评论）可以获得积分，积分可以兑换优惠券或虚拟道具。'
+    ]
+  },
+  {
+    id: DIRECTION.DEV_TO_PM,
+    key: DIRECTIONS.DEV_TO_PM,
+    source: ROLES.DEV,
+    target: ROLES.PM,
+    title: '我是开发工程师',
+    description: '把技术翻译给产品',
+    ...promptsFor(DIRECTIONS.DEV_TO_PM),
+    placeholder: '例如：我们优化了数据库查询，QPS从1000提升到了1300，提升了30%',
+    examples: [
+      '我们优化了数据库查询，通过添加复合索引和优化 SQL 语句，QPS 从 1000 提升到了 1300，提升了 30%。',
+      '重构了前端构建流程，引入了代码分割和懒加载，首屏加载时间从 3 秒降到了 1.2 秒，Lighthouse 性能评分从 45 提升到 82。',
+      '上线了 Redis 缓存集群，将热点数据缓存命中率提升到 95%，接口响应时间 P99 从 800ms 降到了 50ms，同时数据库连接数下降了 60%。'
+    ]
+  },
+  {
+    id: DIRECTION.QA_TO_DEV,
+    key: DIRECTIONS.QA_TO_DEV,
+    source: ROLES.QA,
+    target: ROLES.DEV,
+    title: '我是测试工程师',
+    description: '把缺陷翻译给开发',
+    ...promptsFor(DIRECTIONS.QA_TO_DEV),
+    placeholder: '例如：iOS 上支付完成后偶尔一直转圈，订单状态没更新',
+    examples: [
+      'iOS 上支付完成后偶尔一直转圈，返回订单列表发现状态还是待支付，过几分钟又好了。安卓暂时没发现。',
+      '导出报表的时候选了一整年的数据，点导出没反应，等了很久浏览器提示页面无响应。',
+      '回归测试发现改了头像以后，评论区里的旧评论头像还是原来的，要清缓存才会变。'
+    ]
+  },
+  {
+    id: DIRECTION.DESIGNER_TO_DEV,
+    key: DIRECTIONS.DESIGNER_TO_DEV,
+    source: ROLES.DESIGNER,
+    target: ROLES.DEV,
+    title: '我是设计师',
+    description: '把设计翻译给开发',
+    ...promptsFor(DIRECTIONS.DESIGNER_TO_DEV),
+    placeholder: '例如：首页卡片改成大图瀑布流，整体更轻盈、有呼吸感',
+    examples: [
+      '首页的内容卡片改成大图瀑布流，整体要更轻盈、有呼吸感，滑动的时候卡片有一点点浮起来的感觉。',
+      '新版设置页按分组折叠，每组右侧有开关，切换的时候要有反馈，深色模式也要支持。',
+      '结算页底部的支付按钮要一直吸底，金额变化的时候数字滚动一下，突出优惠金额。'
+    ]
+  },
+  {
+    id: DIRECTION.OPS_TO_PM,
+    key: DIRECTIONS.OPS_TO_PM,
+    source: ROLES.OPS,
+    target: ROLES.PM,
+    title: '我是运维工程师',
+    description: '把运维事项翻译给产品',
+    ...promptsFor(DIRECTIONS.OPS_TO_PM),
+    placeholder: '例如：昨晚 22:10 网关节点 OOM，5xx 错误率升到 8%，持续 12 分钟',
+    examples: [
+      '昨晚 22:10 网关有两个节点 OOM，5xx 错误率升到 8%，持续了 12 分钟，扩容并调整 JVM 参数后恢复。',
+      '下周三凌晨 2 点到 4 点要做数据库主从切换和版本升级，期间写操作可能有 30 秒左右的闪断。',
+      '目前订单库磁盘使用率 85%，按现在的增长速度大促前会打满，需要做历史数据归档。'
+    ]
+  },
+  {
+    id: DIRECTION.DEV_TO_LEADERSHIP,
+    key: DIRECTIONS.DEV_TO_LEADERSHIP,
+    source: ROLES.DEV,
+    target: ROLES.LEADERSHIP,
+    title: '我向管理层汇报',
+    description: '把技术翻译给管理层',
+    ...promptsFor(DIRECTIONS.DEV_TO_LEADERSHIP),
+    placeholder: '例如：计划把单体服务拆成订单、库存、支付三个微服务',
+    examples: [
+      '计划把现有单体服务拆成订单、库存、支付三个微服务，预计 3 个人做 2 个月，拆完后发布互不影响。',
+      'CI 流水线从 Jenkins 迁到 GitLab CI，构建时间从 25 分钟降到 8 分钟，每月省下一台构建机。',
+      '日志系统从 ELK 换成 Loki，存储成本预计下降 60%，但迁移期间有两周需要双写。'
+    ]
+  }
+];
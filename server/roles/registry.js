@@ -0,0 +1,149 @@
+/**
+ * 角色对注册表
+ * 每个翻译方向（角色对）声明自己的提示词、输出结构和示例，
+ * 验证、翻译器和前端方向选择器都从这里读取
+ */
+
+const BUILTIN_ROLE_PAIRS = require('./builtin-pairs');
+
+const REQUIRED_FIELDS = ['id', 'key', 'source', 'target', 'prompts', 'outputStructure'];
+const REQUIRED_PROMPTS = ['analysis', 'synthesis', 'direct'];
+
+class RoleRegistry {
+  constructor() {
+    this.pairs = new Map();
+  }
+
+  /**
+   * 注册角色对
+   * @param {object} definition - 角色对定义，字段见 builtin-pairs.js
+   * @returns {object} 注册后的定义
+   */
+  register(definition) {
+    for (const field of REQUIRED_FIELDS) {
+      if (!definition[field]) {
+        throw new Error(`角色对定义缺少字段: ${field}`);
+      }
+    }
+
+    for (const stage of REQUIRED_PROMPTS) {
+      if (!definition.prompts[stage]) {
+        throw new Error(`角色对 ${definition.id} 缺少 ${stage} 提示词`);
+      }
+    }
+
+    if (typeof definition.prompts.analysis.getUserPrompt !== 'function') {
+      throw new Error(`角色对 ${definition.id} 的 analysis 提示词缺少 getUserPrompt`);
+    }
+
+    if (this.pairs.has(definition.id)) {
+      throw new Error(`角色对已存在: ${definition.id}`);
+    }
+
+    const pair = {
+      examples: [],
+      placeholder: '',
+      ...definition
+    };
+
+    this.pairs.set(pair.id, pair);
+    return pair;
+  }
+
+  /**
+   * 是否存在指定方向
+   * @param {string} id - 方向 ID，如 'pm-to-dev'
+   */
+  has(id) {
+    return this.pairs.has(id);
+  }
+
+  /**
+   * 获取角色对，不存在时返回 undefined
+   * @param {string} id - 方向 ID
+   */
+  get(id) {
+    return this.pairs.get(id);
+  }
+
+  /**
+   * 获取角色对，不存在时抛出错误
+   * @param {string} id - 方向 ID
+   */
+  require(id) {
+    const pair = this.pairs.get(id);
+    if (!pair) {
+      throw new Error(`未知的翻译方向: ${id}`);
+    }
+    return pair;
+  }
+
+  /**
+   * 按 Analysis JSON 中的 direction 值（如 'PM_TO_DEV'）查找角色对
+   * @param {string} key - 方向常量
+   */
+  findByKey(key) {
+    for (const pair of this.pairs.values()) {
+      if (pair.key === key) {
+        return pair;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * 反向的角色对：来源与目标角色互换，如 pm-to-dev 的反向为 dev-to-pm
+   * @param {string} id - 方向 ID
+   * @returns {object|undefined}
+   */
+  reverseOf(id) {
+    const pair = this.require(id);
+    for (const candidate of this.pairs.values()) {
+      if (candidate.source.id === pair.target.id && candidate.target.id === pair.source.id) {
+        return candidate;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * 所有方向 ID
+   * @returns {string[]}
+   */
+  ids() {
+    return Array.from(this.pairs.keys());
+  }
+
+  /**
+   * 所有角色对定义
+   * @returns {object[]}
+   */
+  list() {
+    return Array.from(this.pairs.values());
+  }
+
+  /**
+   * 前端可见的角色对信息（不含提示词）
+   * @returns {object[]}
+   */
+  toPublicList() {
+    return this.list().map(pair => ({
+      id: pair.id,
+      key: pair.key,
+      source: pair.source,
+      target: pair.target,
+      title: pair.title,
+      description: pair.description,
+      placeholder: pair.placeholder,
+      examples: pair.examples,
+      // 反向方向 ID，有值时支持往返校验
+      reverse: this.reverseOf(pair.id)?.id || null
+    }));
+  }
+}
+
+// 单例模式
+const registry = new RoleRegistry();
+BUILTIN_ROLE_PAIRS.forEach(pair => registry.register(pair));
+
+module.exports = registry;
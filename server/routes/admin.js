@@ -0,0 +1,205 @@
+/**
+ * 账号与团队管理（仅管理员）
+ * 挂载于 /api/admin
+ */
+
+const express = require('express');
+const accountStore = require('../storage/account-store');
+const tokenStore = require('../storage/token-store');
+const { authEnabled, requireAdmin } = require('../middleware/auth');
+const { MIN_PASSWORD_LENGTH } = require('../utils/constants');
+
+const router = express.Router();
+
+const USERNAME_PATTERN = /^[A-Za-z0-9._@-]{2,64}$/;
+const TEAM_SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{1,39}$/;
+const ROLES = ['admin', 'member'];
+
+router.use((req, res, next) => {
+  if (!authEnabled()) {
+    return res.status(400).json({ error: '未启用认证' });
+  }
+  next();
+}, requireAdmin);
+
+/**
+ * 团队 ID 或 slug 列表转换为团队 ID
+ * @returns {{ teamIds: string[] }|{ error: string }}
+ */
+function resolveTeams(teams) {
+  if (!Array.isArray(teams)) {
+    return { error: 'teams 必须是数组' };
+  }
+
+  const teamIds = [];
+  for (const idOrSlug of teams) {
+    const team = typeof idOrSlug === 'string' && accountStore.getTeam(idOrSlug);
+    if (!team) {
+      return { error: `团队不存在：${idOrSlug}` };
+    }
+    if (!teamIds.includes(team.id)) {
+      teamIds.push(team.id);
+    }
+  }
+  return { teamIds };
+}
+
+/**
+ * 校验用户字段
+ * @param {object} data - 请求体
+ * @param {boolean} partial - 更新时允许只提供部分字段
+ * @returns {string|null} 错误信息
+ */
+function validateUser(data, partial = false) {
+  if (!partial && (typeof data.username !== 'string' || !USERNAME_PATTERN.test(data.username))) {
+    return '用户名只能包含字母、数字和 . _ @ -，长度 2-64';
+  }
+  if ((!partial || data.password !== undefined) && (typeof data.password !== 'string' || data.password.length < MIN_PASSWORD_LENGTH)) {
+    return `密码至少 ${MIN_PASSWORD_LENGTH} 位`;
+  }
+  if (data.role !== undefined && !ROLES.includes(data.role)) {
+    return `无效的角色，可选值: ${ROLES.join(', ')}`;
+  }
+  if (data.displayName !== undefined && typeof data.displayName !== 'string') {
+    return 'displayName 必须是字符串';
+  }
+  return null;
+}
+
+/**
+ * 用户列表
+ * GET /api/admin/users
+ */
+router.get('/users', (req, res) => {
+  res.json({ users: accountStore.listUsers().map(user => accountStore.toPublicUser(user)) });
+});
+
+/**
+ * 新建本地账号
+ * POST /api/admin/users
+ * Body: { username, password, displayName?, role?: 'admin' | 'member', teams?: string[] }
+ */
+router.post('/users', (req, res) => {
+  const error = validateUser(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (accountStore.findUser(req.body.username)) {
+    return res.status(409).json({ error: '用户名已存在' });
+  }
+
+  const resolved = resolveTeams(req.body.teams || []);
+  if (resolved.error) {
+    return res.status(400).json({ error: resolved.error });
+  }
+
+  const { username, password, displayName, role } = req.body;
+  const user = accountStore.createUser({
+    username,
+    password,
+    displayName: displayName ? displayName.trim() : '',
+    role,
+    teamIds: resolved.teamIds
+  });
+  res.status(201).json(accountStore.toPublicUser(user));
+});
+
+/**
+ * 更新用户（重置密码后该用户需要重新登录）
+ * PUT /api/admin/users/:id
+ * Body: { displayName?, role?, teams?, password? }
+ */
+router.put('/users/:id', (req, res) => {
+  const user = accountStore.getUser(req.params.id);
+  if (!user) {
+    return res.status(404).json({ error: '用户不存在' });
+  }
+
+  const error = validateUser(req.body, true);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const changes = {};
+  if (req.body.displayName !== undefined) {
+    changes.displayName = req.body.displayName.trim() || user.username;
+  }
+  if (req.body.role !== undefined) {
+    changes.role = req.body.role;
+  }
+  if (req.body.teams !== undefined) {
+    const resolved = resolveTeams(req.body.teams);
+    if (resolved.error) {
+      return res.status(400).json({ error: resolved.error });
+    }
+    changes.teamIds = resolved.teamIds;
+  }
+  if (req.body.password !== undefined) {
+    changes.password = req.body.password;
+    tokenStore.revokeAll(user.id, 'session');
+  }
+
+  res.json(accountStore.toPublicUser(accountStore.updateUser(user.id, changes)));
+});
+
+/**
+ * 删除用户，同时吊销其所有令牌
+ * DELETE /api/admin/users/:id
+ */
+router.delete('/users/:id', (req, res) => {
+  if (req.params.id === req.user.id) {
+    return res.status(400).json({ error: '不能删除自己' });
+  }
+  if (!accountStore.removeUser(req.params.id)) {
+    return res.status(404).json({ error: '用户不存在' });
+  }
+  tokenStore.revokeAll(req.params.id);
+  res.json({ deleted: 1 });
+});
+
+/**
+ * 团队列表
+ * GET /api/admin/teams
+ */
+router.get('/teams', (req, res) => {
+  const users = accountStore.listUsers();
+  res.json({
+    teams: accountStore.listTeams().map(team => ({
+      ...team,
+      memberCount: users.filter(user => user.teamIds.includes(team.id)).length
+    }))
+  });
+});
+
+/**
+ * 新建团队
+ * POST /api/admin/teams
+ * Body: { slug, name? }
+ */
+router.post('/teams', (req, res) => {
+  const { slug, name } = req.body;
+  if (typeof slug !== 'string' || !TEAM_SLUG_PATTERN.test(slug)) {
+    return res.status(400).json({ error: 'slug 只能包含小写字母、数字和 -，长度 2-40' });
+  }
+  if (name !== undefined && typeof name !== 'string') {
+    return res.status(400).json({ error: 'name 必须是字符串' });
+  }
+  if (accountStore.getTeam(slug)) {
+    return res.status(409).json({ error: '团队已存在' });
+  }
+
+  res.status(201).json(accountStore.createTeam({ slug, name: name ? name.trim() : '' }));
+});
+
+/**
+ * 删除团队（成员保留，只移除团队关系；团队的历史记录等数据不再可见）
+ * DELETE /api/admin/teams/:id
+ */
+router.delete('/teams/:id', (req, res) => {
+  if (!accountStore.removeTeam(req.params.id)) {
+    return res.status(404).json({ error: '团队不存在' });
+  }
+  res.json({ deleted: 1 });
+});
+
+module.exports = router;
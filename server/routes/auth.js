@@ -0,0 +1,149 @@
+/**
+ * 登录与个人 API 令牌
+ * 挂载于 /api/auth
+ */
+
+const express = require('express');
+const accountStore = require('../storage/account-store');
+const tokenStore = require('../storage/token-store');
+const { verifyPassword } = require('../auth/passwords');
+const { authMode, authEnabled } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rate-limit');
+const { AUTH_MODE, AUTH_SESSION_TTL_HOURS, MIN_PASSWORD_LENGTH } = require('../utils/constants');
+
+const router = express.Router();
+
+const MAX_TOKEN_NAME_LENGTH = 60;
+const MAX_TOKEN_DAYS = 3650;
+
+/**
+ * 需要已登录的用户（未启用认证时没有用户）
+ */
+function requireUser(req, res, next) {
+  if (!req.user) {
+    return res.status(400).json({ error: '未启用认证' });
+  }
+  next();
+}
+
+/**
+ * 认证方式（无需登录）
+ * GET /api/auth/config
+ */
+router.get('/config', (req, res) => {
+  res.json({ mode: authMode() });
+});
+
+/**
+ * 账号密码登录，返回网页使用的登录令牌
+ * POST /api/auth/login
+ * Body: { username, password }
+ */
+router.post('/login', rateLimit('login'), (req, res) => {
+  if (authMode() !== AUTH_MODE.LOCAL) {
+    return res.status(400).json({ error: '当前认证方式不支持账号密码登录' });
+  }
+
+  const { username, password } = req.body;
+  if (typeof username !== 'string' || typeof password !== 'string' || !username.trim() || !password) {
+    return res.status(400).json({ error: '请输入用户名和密码' });
+  }
+
+  const user = accountStore.findUser(username.trim());
+  if (!user || !verifyPassword(password, user.passwordHash)) {
+    return res.status(401).json({ error: '用户名或密码错误' });
+  }
+
+  const ttlHours = parseInt(process.env.AUTH_SESSION_TTL_HOURS, 10) || AUTH_SESSION_TTL_HOURS;
+  const expiresAt = new Date(Date.now() + ttlHours * 3600 * 1000).toISOString();
+  const { token } = tokenStore.issue({ userId: user.id, type: 'session', name: req.get('User-Agent') || '', expiresAt });
+  accountStore.updateUser(user.id, { lastLoginAt: new Date().toISOString() });
+
+  res.json({ token, expiresAt, user: accountStore.toPublicUser(user) });
+});
+
+/**
+ * 退出登录：吊销当前登录令牌
+ * POST /api/auth/logout
+ */
+router.post('/logout', requireUser, (req, res) => {
+  if (req.authToken && req.authToken.type === 'session') {
+    tokenStore.revoke(req.authToken.id, req.user.id);
+  }
+  res.json({ loggedOut: true });
+});
+
+/**
+ * 当前用户与工作区
+ * GET /api/auth/me
+ */
+router.get('/me', (req, res) => {
+  if (!authEnabled()) {
+    return res.json({ mode: authMode(), user: null, workspace: null });
+  }
+  res.json({ mode: authMode(), user: accountStore.toPublicUser(req.user), workspace: req.team });
+});
+
+/**
+ * 修改密码（本地账号），成功后所有登录令牌失效，需要重新登录
+ * PUT /api/auth/password
+ * Body: { currentPassword, newPassword }
+ */
+router.put('/password', requireUser, (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  if (req.user.source !== 'local') {
+    return res.status(400).json({ error: 'SSO 账号请在单点登录系统中修改密码' });
+  }
+  if (typeof currentPassword !== 'string' || !verifyPassword(currentPassword, req.user.passwordHash)) {
+    return res.status(401).json({ error: '当前密码错误' });
+  }
+  if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `新密码至少 ${MIN_PASSWORD_LENGTH} 位` });
+  }
+
+  accountStore.updateUser(req.user.id, { password: newPassword });
+  tokenStore.revokeAll(req.user.id, 'session');
+  res.json({ updated: true });
+});
+
+/**
+ * 个人 API 令牌列表
+ * GET /api/auth/tokens
+ */
+router.get('/tokens', requireUser, (req, res) => {
+  res.json({ tokens: tokenStore.list(req.user.id, 'api').map(record => tokenStore.toPublic(record)) });
+});
+
+/**
+ * 创建个人 API 令牌，明文只在响应中出现一次
+ * POST /api/auth/tokens
+ * Body: { name, expiresInDays? }
+ */
+router.post('/tokens', requireUser, (req, res) => {
+  const { name, expiresInDays } = req.body;
+  if (typeof name !== 'string' || !name.trim() || name.length > MAX_TOKEN_NAME_LENGTH) {
+    return res.status(400).json({ error: `请填写令牌名称（不超过 ${MAX_TOKEN_NAME_LENGTH} 字）` });
+  }
+  if (expiresInDays !== undefined && (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_TOKEN_DAYS)) {
+    return res.status(400).json({ error: `expiresInDays 必须是 1-${MAX_TOKEN_DAYS} 之间的整数` });
+  }
+
+  const expiresAt = expiresInDays ? new Date(Date.now() + expiresInDays * 86400 * 1000).toISOString() : null;
+  const { token, record } = tokenStore.issue({ userId: req.user.id, type: 'api', name: name.trim(), expiresAt });
+  res.status(201).json({ ...tokenStore.toPublic(record), token });
+});
+
+/**
+ * 吊销个人 API 令牌
+ * DELETE /api/auth/tokens/:id
+ */
+router.delete('/tokens/:id', requireUser, (req, res) => {
+  const record = tokenStore.list(req.user.id, 'api').find(item => item.id === req.params.id);
+  if (!record) {
+    return res.status(404).json({ error: '令牌不存在' });
+  }
+  tokenStore.revoke(record.id, req.user.id);
+  res.json({ deleted: 1 });
+});
+
+module.exports = router;
@@ -0,0 +1,251 @@
+/**
+ * 批量翻译任务 API
+ * 挂载于 /api/batch
+ */
+
+const express = require('express');
+const jobStore = require('../storage/job-store');
+const batchRunner = require('../batch/batch-runner');
+const { parseJsonl, parseCsv, normalizeItems } = require('../batch/items');
+const { toMarkdown, toCsv } = require('../batch/report');
+const { setupSSE, sendSSEEvent, sendSSEConnected, sendSSEDone } = require('../middleware/sse');
+const { validateEnvVars } = require('../middleware/validation');
+const { ownerOf, inWorkspace, requesterOf } = require('../middleware/auth');
+const { rateLimit, checkBudget } = require('../middleware/rate-limit');
+const { BATCH_MAX_ITEMS, BATCH_CONCURRENCY, BATCH_MAX_CONCURRENCY } = require('../utils/constants');
+
+const router = express.Router();
+
+// 直接上传文件内容时的请求体类型
+const RAW_TYPES = {
+  'text/csv': 'csv',
+  'application/x-ndjson': 'jsonl',
+  'application/jsonl': 'jsonl'
+};
+
+const FINISHED_STATUSES = ['completed', 'cancelled'];
+
+/**
+ * 当前工作区中的任务
+ */
+function findJob(req) {
+  const job = jobStore.get(req.params.id);
+  return job && inWorkspace(req, job) ? job : null;
+}
+
+/**
+ * 读取条目：JSON 请求体中的 items 数组 / data + format，或直接上传的 CSV、JSONL
+ * @returns {{ records: object[], errors: string[] } | { error: string }}
+ */
+function readRecords(req) {
+  const rawFormat = RAW_TYPES[req.get('Content-Type')?.split(';')[0].trim()];
+  if (rawFormat) {
+    const text = typeof req.body === 'string' ? req.body : '';
+    return rawFormat === 'csv' ? parseCsv(text) : parseJsonl(text);
+  }
+
+  const { items, format, data } = req.body || {};
+  if (Array.isArray(items)) {
+    return { records: items, errors: [] };
+  }
+  if (typeof data === 'string') {
+    if (format === 'csv') {
+      return parseCsv(data);
+    }
+    if (format === 'jsonl') {
+      return parseJsonl(data);
+    }
+    return { error: '无效的 format，可选值: jsonl, csv' };
+  }
+
+  return { error: '请提供 items 数组，或 data 与 format（jsonl / csv）' };
+}
+
+/**
+ * 任务级参数：JSON 请求体或查询参数
+ */
+function jobOptions(req) {
+  const source = typeof req.body === 'object' && !Array.isArray(req.body) && req.body ? { ...req.query, ...req.body } : req.query;
+  return {
+    name: typeof source.name === 'string' ? source.name.trim() : '',
+    direction: source.direction,
+    mode: source.mode,
+    concurrency: source.concurrency
+  };
+}
+
+/**
+ * 创建任务
+ * POST /api/batch
+ * Body（JSON）: {
+ *   items?: [{ direction?, content, mode?, context?, ref? }],
+ *   format?: 'jsonl' | 'csv', data?: string,  // 与 items 二选一
+ *   direction?: string,   // 条目未指定方向时使用
+ *   mode?: 'direct' | 'interactive',
+ *   concurrency?: number,
+ *   name?: string
+ * }
+ * 也可以直接上传文件内容（Content-Type: text/csv 或 application/x-ndjson），任务级参数放在查询参数中
+ * 创建任务计入直出限流；条目的用量计入创建者的每日预算
+ */
+router.post(
+  '/',
+  validateEnvVars,
+  rateLimit('direct'),
+  checkBudget,
+  express.text({ type: Object.keys(RAW_TYPES), limit: '5mb' }),
+  (req, res) => {
+    const parsed = readRecords(req);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const options = jobOptions(req);
+    const { items, errors } = normalizeItems(parsed.records, options);
+    const allErrors = [...parsed.errors, ...errors];
+    if (allErrors.length > 0) {
+      return res.status(400).json({ error: `条目格式有误：${allErrors.slice(0, 5).join('；')}`, errors: allErrors });
+    }
+
+    if (items.length === 0) {
+      return res.status(400).json({ error: '没有可翻译的条目' });
+    }
+    if (items.length > BATCH_MAX_ITEMS) {
+      return res.status(400).json({ error: `条目过多，单个任务最多 ${BATCH_MAX_ITEMS} 条` });
+    }
+
+    const defaultConcurrency = parseInt(process.env.BATCH_CONCURRENCY, 10) || BATCH_CONCURRENCY;
+    const concurrency = options.concurrency === undefined ? defaultConcurrency : parseInt(options.concurrency, 10);
+    if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > BATCH_MAX_CONCURRENCY) {
+      return res.status(400).json({ error: `concurrency 必须是 1-${BATCH_MAX_CONCURRENCY} 之间的整数` });
+    }
+
+    const job = jobStore.create({ name: options.name, concurrency, items, ...requesterOf(req) });
+    batchRunner.start(job.id);
+    res.status(202).json(jobStore.summarize(job));
+  }
+);
+
+/**
+ * 任务列表
+ * GET /api/batch
+ */
+router.get('/', (req, res) => {
+  res.json({ jobs: jobStore.list(ownerOf(req).teamId).map(job => jobStore.summarize(job)) });
+});
+
+/**
+ * 任务详情（轮询进度）
+ * GET /api/batch/:id
+ */
+router.get('/:id', (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: '任务不存在' });
+  }
+  res.json({ ...jobStore.summarize(job), items: job.items });
+});
+
+/**
+ * 进度事件流
+ * GET /api/batch/:id/events
+ * 事件：progress（当前摘要）→ item（条目开始 / 结束）… → done（任务结束）
+ */
+router.get('/:id/events', (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: '任务不存在' });
+  }
+
+  setupSSE(res);
+  sendSSEConnected(res);
+  sendSSEEvent(res, 'progress', jobStore.summarize(job));
+
+  if (FINISHED_STATUSES.includes(job.status) && !batchRunner.isRunning(job.id)) {
+    sendSSEDone(res, jobStore.summarize(job));
+    return res.end();
+  }
+
+  const onItem = (jobId, item, counts) => {
+    if (jobId === job.id) {
+      const { index, ref, status, error, historyId } = item;
+      sendSSEEvent(res, 'item', { index, ref, status, error, historyId, counts });
+    }
+  };
+  const onDone = (jobId, summary) => {
+    if (jobId === job.id) {
+      sendSSEDone(res, summary);
+      res.end();
+    }
+  };
+  const unsubscribe = () => {
+    batchRunner.off('item', onItem);
+    batchRunner.off('done', onDone);
+  };
+
+  batchRunner.on('item', onItem);
+  batchRunner.on('done', onDone);
+  res.on('close', unsubscribe);
+});
+
+/**
+ * 下载报告
+ * GET /api/batch/:id/report?format=markdown|csv
+ */
+router.get('/:id/report', (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: '任务不存在' });
+  }
+  if (!FINISHED_STATUSES.includes(job.status) || batchRunner.isRunning(job.id)) {
+    return res.status(409).json({ error: '任务尚未完成' });
+  }
+
+  const format = req.query.format || 'markdown';
+  const basename = `batch-${job.id.slice(0, 8)}`;
+
+  if (format === 'csv') {
+    res.type('text/csv; charset=utf-8');
+    res.attachment(`${basename}.csv`);
+    return res.send(toCsv(job));
+  }
+  if (format === 'markdown') {
+    res.type('text/markdown; charset=utf-8');
+    res.attachment(`${basename}.md`);
+    return res.send(toMarkdown(job, jobStore.countItems(job)));
+  }
+
+  res.status(400).json({ error: '无效的 format，可选值: markdown, csv' });
+});
+
+/**
+ * 取消任务：未开始的条目不再处理
+ * POST /api/batch/:id/cancel
+ */
+router.post('/:id/cancel', (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: '任务不存在' });
+  }
+  if (!batchRunner.cancel(job.id)) {
+    return res.status(409).json({ error: '任务已结束' });
+  }
+  res.json(jobStore.summarize(job));
+});
+
+/**
+ * 删除任务（进行中的任务需先取消）
+ * DELETE /api/batch/:id
+ */
+router.delete('/:id', (req, res) => {
+  if (!findJob(req)) {
+    return res.status(404).json({ error: '任务不存在' });
+  }
+  if (batchRunner.isRunning(req.params.id)) {
+    return res.status(409).json({ error: '任务进行中，请先取消' });
+  }
+  jobStore.remove(req.params.id);
+  res.json({ deleted: 1 });
+});
+
+module.exports = router;
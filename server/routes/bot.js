@@ -0,0 +1,203 @@
+/**
+ * IM 机器人回调 API
+ * 挂载于 /api/bot
+ *
+ * 所有回调先验签并立即应答（平台要求 3 秒内响应），翻译在后台进行，结果回复到原会话
+ */
+
+const express = require('express');
+const slack = require('../bot/slack');
+const feishu = require('../bot/feishu');
+const { botService, botRequester } = require('../bot/bot-service');
+const { parseCommand, helpText } = require('../bot/command');
+const roleRegistry = require('../roles/registry');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Slack 以表单格式提交，保留原始请求体用于验签
+router.use(express.urlencoded({
+  extended: false,
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
+
+/**
+ * Slack 验签中间件
+ */
+function verifySlack(req, res, next) {
+  const secret = process.env.SLACK_SIGNING_SECRET;
+  if (!secret) {
+    return res.status(503).json({ error: '服务器未配置 SLACK_SIGNING_SECRET' });
+  }
+
+  if (!slack.verifySignature((req.rawBody || '').toString('utf8'), req.headers, secret)) {
+    return res.status(401).json({ error: '签名校验失败' });
+  }
+
+  next();
+}
+
+/**
+ * 后台执行，不阻塞应答
+ */
+function runInBackground(task) {
+  Promise.resolve().then(task).catch(error => logger.logError('BOT_BACKGROUND', error));
+}
+
+/**
+ * Slack 斜杠指令
+ * POST /api/bot/slack/commands
+ * 表单字段：text, team_id, channel_id, user_id, response_url 等
+ */
+router.post('/slack/commands', verifySlack, (req, res) => {
+  const command = parseCommand(req.body.text);
+
+  if (command.help || command.error) {
+    return res.json({ response_type: 'ephemeral', text: command.error || helpText() });
+  }
+
+  const pair = roleRegistry.require(command.direction);
+  res.json({
+    response_type: 'ephemeral',
+    text: `⏳ 正在翻译（${pair.source.label} → ${pair.target.label}），完成后发到频道`
+  });
+
+  const conversation = slack.createConversation({
+    channel: req.body.channel_id,
+    responseUrl: req.body.response_url
+  });
+  const requester = botRequester({ platform: 'slack', workspace: req.body.team_id, user: req.body.user_id });
+  runInBackground(() => botService.runCommand(command, conversation, requester));
+});
+
+/**
+ * Slack 交互回调（问题按钮）
+ * POST /api/bot/slack/actions
+ * 表单字段：payload（block_actions JSON）
+ */
+router.post('/slack/actions', verifySlack, (req, res) => {
+  let payload;
+  try {
+    payload = JSON.parse(req.body.payload);
+  } catch (error) {
+    return res.status(400).json({ error: 'payload 不是有效的 JSON' });
+  }
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return res.status(400).json({ error: 'payload 必须是 JSON 对象' });
+  }
+
+  const action = payload.type === 'block_actions' && payload.actions && payload.actions[0];
+  res.status(200).end();
+  if (!action) {
+    return;
+  }
+
+  let value;
+  try {
+    value = JSON.parse(action.value);
+  } catch (error) {
+    return;
+  }
+  if (!value || typeof value !== 'object') {
+    return;
+  }
+
+  const message = payload.message || {};
+  const conversation = slack.createConversation({
+    channel: payload.channel && payload.channel.id,
+    threadTs: message.thread_ts || message.ts,
+    responseUrl: payload.response_url
+  });
+
+  const updated = action.action_id === 'skip'
+    ? botService.skip(value.sessionId, conversation)
+    : botService.answer(value.sessionId, value.questionId, value.answer, conversation);
+
+  runInBackground(() => slack.respond(payload.response_url, updated
+    ? { replace_original: true, ...slack.render(updated) }
+    : { response_type: 'ephemeral', replace_original: false, text: '会话已过期，请重新发起 /translate' }));
+});
+
+// 飞书会在超时或失败时重推事件，按 event_id 去重
+const seenFeishuEvents = new Set();
+const SEEN_EVENTS_LIMIT = 1000;
+
+function isDuplicateEvent(eventId) {
+  if (!eventId) {
+    return false;
+  }
+  if (seenFeishuEvents.has(eventId)) {
+    return true;
+  }
+
+  seenFeishuEvents.add(eventId);
+  if (seenFeishuEvents.size > SEEN_EVENTS_LIMIT) {
+    seenFeishuEvents.delete(seenFeishuEvents.values().next().value);
+  }
+  return false;
+}
+
+/**
+ * 飞书事件与卡片回调
+ * POST /api/bot/feishu/events
+ * - url_verification：返回 challenge
+ * - im.message.receive_v1：解析消息中的指令
+ * - card.action.trigger：问题按钮，直接在响应中返回更新后的卡片
+ */
+router.post('/feishu/events', (req, res) => {
+  if (!process.env.FEISHU_ENCRYPT_KEY && !process.env.FEISHU_VERIFICATION_TOKEN) {
+    return res.status(503).json({ error: '服务器未配置 FEISHU_ENCRYPT_KEY 或 FEISHU_VERIFICATION_TOKEN' });
+  }
+
+  const { payload, error } = feishu.verifyRequest((req.rawBody || '').toString('utf8'), req.headers);
+  if (error) {
+    return res.status(401).json({ error });
+  }
+
+  if (payload.type === 'url_verification') {
+    return res.json({ challenge: payload.challenge });
+  }
+
+  const header = payload.header || {};
+  const event = payload.event || {};
+  if (isDuplicateEvent(header.event_id)) {
+    return res.json({});
+  }
+
+  if (header.event_type === 'card.action.trigger') {
+    const value = (event.action && event.action.value) || {};
+    const conversation = feishu.createConversation(event.context && event.context.open_message_id);
+    const updated = value.skip
+      ? botService.skip(value.sessionId, conversation)
+      : botService.answer(value.sessionId, value.questionId, value.answer, conversation);
+
+    if (!updated) {
+      return res.json({ toast: { type: 'error', content: '会话已过期，请重新发起翻译' } });
+    }
+    return res.json({ card: { type: 'raw', data: feishu.render(updated).content } });
+  }
+
+  res.json({});
+
+  if (header.event_type !== 'im.message.receive_v1' || !event.sender || event.sender.sender_type !== 'user') {
+    return;
+  }
+
+  const text = feishu.messageText(event.message);
+  if (text === null) {
+    return;
+  }
+
+  const conversation = feishu.createConversation(event.message.message_id);
+  const command = parseCommand(text);
+  const requester = botRequester({
+    platform: 'feishu',
+    workspace: header.tenant_key,
+    user: event.sender.sender_id && event.sender.sender_id.open_id
+  });
+  runInBackground(() => (command.help || command.error
+    ? conversation.reply({ type: 'text', text: command.error || helpText() })
+    : botService.runCommand(command, conversation, requester)));
+});
+
+module.exports = router;
@@ -0,0 +1,29 @@
+/**
+ * 响应缓存 API
+ * 挂载于 /api/cache
+ */
+
+const express = require('express');
+const { responseCache } = require('../cache/response-cache');
+const { requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * 缓存统计（命中 / 未命中 / 跳过次数）
+ * GET /api/cache
+ */
+router.get('/', (req, res) => {
+  res.json(responseCache.stats());
+});
+
+/**
+ * 清空缓存（计数保留）；缓存为所有团队共用，启用认证时仅管理员可清空
+ * DELETE /api/cache
+ */
+router.delete('/', requireAdmin, (req, res) => {
+  const deleted = responseCache.clear();
+  res.json({ deleted });
+});
+
+module.exports = router;
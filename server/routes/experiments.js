@@ -0,0 +1,196 @@
+/**
+ * 提示词 A/B 实验 API（启用认证时仅管理员）
+ * 挂载于 /api/experiments
+ */
+
+const express = require('express');
+const experimentStore = require('../storage/experiment-store');
+const roleRegistry = require('../roles/registry');
+const promptRegistry = require('../prompts/prompt-registry');
+const { buildReport } = require('../experiments/report');
+const { requireAdmin, ownerOf } = require('../middleware/auth');
+const { TRANSLATION_MODE, EXPERIMENT_MAX_VARIANTS, EXPERIMENT_MAX_COUNT } = require('../utils/constants');
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 60;
+const VARIANT_ID_PATTERN = /^[A-Za-z0-9_-]{1,20}$/;
+const STICKINESS = ['user', 'session'];
+const STATUSES = ['running', 'stopped'];
+
+router.use(requireAdmin);
+
+/**
+ * 校验变体列表
+ * @returns {string|null} 错误信息
+ */
+function validateVariants(variants) {
+  if (!Array.isArray(variants) || variants.length < 2 || variants.length > EXPERIMENT_MAX_VARIANTS) {
+    return `variants 必须是 2-${EXPERIMENT_MAX_VARIANTS} 个变体的数组`;
+  }
+
+  const ids = new Set();
+  for (const variant of variants) {
+    if (!variant || typeof variant.id !== 'string' || !VARIANT_ID_PATTERN.test(variant.id)) {
+      return '变体 id 只能包含字母、数字、_ 和 -，长度 1-20';
+    }
+    if (ids.has(variant.id)) {
+      return `变体 id 重复：${variant.id}`;
+    }
+    ids.add(variant.id);
+
+    if (variant.weight !== undefined && (typeof variant.weight !== 'number' || !(variant.weight > 0) || variant.weight > 100)) {
+      return `变体 ${variant.id} 的 weight 必须是 0-100 之间的正数`;
+    }
+
+    // 未指定版本的变体使用当前生效的版本（对照组）
+    if (variant.version !== undefined && variant.version !== null) {
+      if (typeof variant.version !== 'string') {
+        return `变体 ${variant.id} 的 version 必须是模板版本目录名`;
+      }
+      try {
+        promptRegistry.getVersion(variant.version);
+      } catch (error) {
+        return `变体 ${variant.id} 的提示词版本不可用：${error.message}`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 校验实验字段
+ * @returns {string|null} 错误信息
+ */
+function validateExperiment(data) {
+  if (typeof data.name !== 'string' || !data.name.trim() || data.name.length > MAX_NAME_LENGTH) {
+    return `请填写实验名称（不超过 ${MAX_NAME_LENGTH} 字）`;
+  }
+  if (!data.direction || !roleRegistry.has(data.direction)) {
+    return `无效的翻译方向，可选值: ${roleRegistry.ids().join(', ')}`;
+  }
+  if (!Object.values(TRANSLATION_MODE).includes(data.mode)) {
+    return `无效的模式，可选值: ${Object.values(TRANSLATION_MODE).join(', ')}`;
+  }
+  if (data.stickiness !== undefined && !STICKINESS.includes(data.stickiness)) {
+    return `无效的分配粒度，可选值: ${STICKINESS.join(', ')}`;
+  }
+  return validateVariants(data.variants);
+}
+
+/**
+ * 对外展示的实验信息
+ */
+function toPublic(experiment) {
+  const { stats, ...rest } = experiment;
+  return {
+    ...rest,
+    runs: Object.values(stats).reduce((sum, item) => sum + item.runs, 0)
+  };
+}
+
+/**
+ * 实验列表
+ * GET /api/experiments
+ */
+router.get('/', (req, res) => {
+  res.json({ experiments: experimentStore.list().map(toPublic) });
+});
+
+/**
+ * 新建并开始实验
+ * POST /api/experiments
+ * Body: {
+ *   name, direction, mode: 'direct' | 'interactive',
+ *   stickiness?: 'user' | 'session',
+ *   variants: [{ id, version?: 模板版本目录名（缺省为当前版本）, weight?: 默认 1 }]
+ * }
+ */
+router.post('/', (req, res) => {
+  const error = validateExperiment(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (experimentStore.list().length >= EXPERIMENT_MAX_COUNT) {
+    return res.status(400).json({ error: `最多保存 ${EXPERIMENT_MAX_COUNT} 个实验，请先删除已结束的实验` });
+  }
+
+  const { name, direction, mode, stickiness, variants } = req.body;
+  const running = experimentStore.findRunning(direction, mode);
+  if (running) {
+    return res.status(409).json({ error: `该方向和模式已有运行中的实验「${running.name}」` });
+  }
+
+  const experiment = experimentStore.create({
+    name: name.trim(),
+    direction,
+    mode,
+    stickiness,
+    variants: variants.map(variant => ({
+      id: variant.id,
+      version: variant.version || null,
+      weight: variant.weight || 1
+    })),
+    userId: ownerOf(req).userId
+  });
+  res.status(201).json(toPublic(experiment));
+});
+
+/**
+ * 修改名称或暂停 / 恢复实验（变体在创建后不可修改，避免统计口径混杂）
+ * PUT /api/experiments/:id
+ * Body: { name?, status?: 'running' | 'stopped' }
+ */
+router.put('/:id', (req, res) => {
+  const experiment = experimentStore.get(req.params.id);
+  if (!experiment) {
+    return res.status(404).json({ error: '实验不存在' });
+  }
+
+  const { name, status } = req.body;
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH)) {
+    return res.status(400).json({ error: `请填写实验名称（不超过 ${MAX_NAME_LENGTH} 字）` });
+  }
+  if (status !== undefined && !STATUSES.includes(status)) {
+    return res.status(400).json({ error: `无效的状态，可选值: ${STATUSES.join(', ')}` });
+  }
+
+  if (status === 'running') {
+    const running = experimentStore.findRunning(experiment.direction, experiment.mode, experiment.id);
+    if (running) {
+      return res.status(409).json({ error: `该方向和模式已有运行中的实验「${running.name}」` });
+    }
+  }
+
+  const changes = {};
+  if (name !== undefined) changes.name = name.trim();
+  if (status !== undefined) changes.status = status;
+  res.json(toPublic(experimentStore.update(experiment.id, changes)));
+});
+
+/**
+ * 删除实验（历史记录中的实验标记保留）
+ * DELETE /api/experiments/:id
+ */
+router.delete('/:id', (req, res) => {
+  if (!experimentStore.remove(req.params.id)) {
+    return res.status(404).json({ error: '实验不存在' });
+  }
+  res.json({ deleted: 1 });
+});
+
+/**
+ * 实验报告：各变体的运行次数、使用信号比例与评价，及与对照组的差异
+ * GET /api/experiments/:id/report
+ */
+router.get('/:id/report', (req, res) => {
+  const experiment = experimentStore.get(req.params.id);
+  if (!experiment) {
+    return res.status(404).json({ error: '实验不存在' });
+  }
+  res.json(buildReport(experiment));
+});
+
+module.exports = router;
@@ -0,0 +1,72 @@
+/**
+ * 结果导出 API
+ * 挂载于 /api/export
+ */
+
+const express = require('express');
+const historyStore = require('../storage/history-store');
+const { recordOutcome } = require('../experiments/assignment');
+const { inWorkspace } = require('../middleware/auth');
+const roleRegistry = require('../roles/registry');
+const { EXPORT_FORMATS, exportResult } = require('../exporters');
+const { MAX_RESULT_LENGTH } = require('../utils/constants');
+
+const router = express.Router();
+
+/**
+ * 导出翻译结果
+ * POST /api/export
+ * Body: {
+ *   format: 'jira' | 'github' | 'confluence' | 'html',
+ *   historyId?: string,             // 提供时从历史记录读取方向与结果
+ *   direction?: string,
+ *   result?: string,
+ *   download?: boolean              // true 时直接返回文件
+ * }
+ */
+router.post('/', (req, res) => {
+  const { format, historyId, download } = req.body;
+  let { direction, result } = req.body;
+
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({
+      error: `无效的导出格式，可选值: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+    });
+  }
+
+  let record = null;
+  if (historyId) {
+    record = historyStore.get(historyId);
+    if (!record || !inWorkspace(req, record)) {
+      return res.status(404).json({ error: '历史记录不存在' });
+    }
+    ({ direction, result } = record);
+  }
+
+  if (!direction || !roleRegistry.has(direction)) {
+    return res.status(400).json({ error: `无效的翻译方向，可选值: ${roleRegistry.ids().join(', ')}` });
+  }
+
+  if (!result || typeof result !== 'string' || result.trim().length === 0) {
+    return res.status(400).json({ error: '没有可导出的结果' });
+  }
+
+  if (result.length > MAX_RESULT_LENGTH) {
+    return res.status(400).json({ error: `翻译结果过长，请控制在${MAX_RESULT_LENGTH}字符以内` });
+  }
+
+  const exported = exportResult({ direction, result, format });
+  if (record) {
+    recordOutcome(record, 'exported');
+  }
+
+  if (download) {
+    res.type(exported.mimeType);
+    res.attachment(exported.filename);
+    return res.send(exported.content);
+  }
+
+  res.json(exported);
+});
+
+module.exports = router;
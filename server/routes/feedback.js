@@ -0,0 +1,207 @@
+/**
+ * 结果反馈 API
+ * 挂载于 /api/feedback
+ * 提交反馈对所有人开放；查询、导出与删除仅管理员（未启用认证时不限制）
+ */
+
+const express = require('express');
+const feedbackStore = require('../storage/feedback-store');
+const historyStore = require('../storage/history-store');
+const roleRegistry = require('../roles/registry');
+const { recordOutcome } = require('../experiments/assignment');
+const { splitSections } = require('../utils/structured-result');
+const { toCsvTable } = require('../utils/csv');
+const { requireAdmin, ownerOf, inWorkspace, requesterOf } = require('../middleware/auth');
+const { TRANSLATION_MODE, FEEDBACK_PAGE_SIZE, FEEDBACK_MAX_COMMENT_LENGTH } = require('../utils/constants');
+
+const router = express.Router();
+
+const RATINGS = ['up', 'down'];
+const SCOPES = ['result', 'section'];
+
+const CSV_COLUMNS = [
+  'createdAt', 'id', 'historyId', 'rating', 'section', 'comment',
+  'direction', 'mode', 'model', 'promptVersion', 'experiment',
+  'originalText', 'context', 'analysisJson', 'answers', 'sectionText', 'result',
+  'userId', 'teamId'
+];
+
+/**
+ * 提交者看到的反馈
+ */
+function toSummary(feedback) {
+  return {
+    id: feedback.id,
+    createdAt: feedback.createdAt,
+    updatedAt: feedback.updatedAt,
+    historyId: feedback.historyId,
+    section: feedback.section,
+    sectionIndex: feedback.sectionIndex,
+    rating: feedback.rating,
+    comment: feedback.comment
+  };
+}
+
+/**
+ * 管理员看到的反馈：不含提交者的客户端标识
+ */
+function toAdmin(feedback) {
+  const { client, ...rest } = feedback;
+  return rest;
+}
+
+/**
+ * CSV 单元格：对象字段序列化为 JSON
+ */
+function csvValue(feedback, column) {
+  switch (column) {
+    case 'experiment':
+      return feedback.experiment ? `${feedback.experiment.id}:${feedback.experiment.variant}` : '';
+    case 'analysisJson':
+      return feedback.analysisJson ? JSON.stringify(feedback.analysisJson) : '';
+    case 'answers':
+      return feedback.answers.length > 0 ? JSON.stringify(feedback.answers) : '';
+    default:
+      return feedback[column];
+  }
+}
+
+/**
+ * 解析查询条件
+ * @returns {{ filters: object }|{ error: string }}
+ */
+function parseFilters(query) {
+  const { rating, scope, section, direction, mode, model, promptVersion, teamId, q, from, to } = query;
+
+  if (rating && !RATINGS.includes(rating)) {
+    return { error: `无效的评价，可选值: ${RATINGS.join(', ')}` };
+  }
+  if (scope && !SCOPES.includes(scope)) {
+    return { error: `无效的范围，可选值: ${SCOPES.join(', ')}` };
+  }
+  if (direction && !roleRegistry.has(direction)) {
+    return { error: `无效的翻译方向，可选值: ${roleRegistry.ids().join(', ')}` };
+  }
+  if (mode && !Object.values(TRANSLATION_MODE).includes(mode)) {
+    return { error: `无效的模式，可选值: ${Object.values(TRANSLATION_MODE).join(', ')}` };
+  }
+
+  return {
+    filters: {
+      rating, scope, section, direction, mode, model, promptVersion, teamId, q, from, to,
+      hasComment: query.hasComment === 'true'
+    }
+  };
+}
+
+/**
+ * 提交反馈；同一人对同一结果（或同一章节）再次提交时覆盖之前的反馈
+ * POST /api/feedback
+ * Body: {
+ *   historyId,
+ *   rating: 'up' | 'down',
+ *   comment?: string,
+ *   sectionIndex?: number          // 结果中第几个 ## 章节（从 0 开始），缺省为整个结果
+ * }
+ */
+router.post('/', (req, res) => {
+  const { historyId, rating, comment, sectionIndex } = req.body;
+
+  const record = typeof historyId === 'string' && historyStore.get(historyId);
+  if (!record || !inWorkspace(req, record)) {
+    return res.status(404).json({ error: '历史记录不存在' });
+  }
+  if (!record.result) {
+    return res.status(400).json({ error: '该记录尚未生成结果' });
+  }
+
+  if (!RATINGS.includes(rating)) {
+    return res.status(400).json({ error: 'rating 必须是 up 或 down' });
+  }
+  if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+    return res.status(400).json({ error: 'comment 必须是字符串' });
+  }
+  if (comment && comment.length > FEEDBACK_MAX_COMMENT_LENGTH) {
+    return res.status(400).json({ error: `评论不能超过 ${FEEDBACK_MAX_COMMENT_LENGTH} 字` });
+  }
+
+  let section = null;
+  if (sectionIndex !== undefined && sectionIndex !== null) {
+    const sections = splitSections(record.result);
+    if (!Number.isInteger(sectionIndex) || !sections[sectionIndex]) {
+      return res.status(400).json({ error: `sectionIndex 必须是 0-${sections.length - 1} 之间的整数` });
+    }
+    section = { index: sectionIndex, ...sections[sectionIndex] };
+  }
+
+  const { feedback, created } = feedbackStore.submit({
+    record,
+    section,
+    rating,
+    comment: comment ? comment.trim() : '',
+    client: requesterOf(req).client,
+    ...ownerOf(req)
+  });
+
+  // 对整个结果的评价同时计入提示词实验的结果信号
+  if (!section) {
+    recordOutcome(record, 'rated', rating);
+  }
+
+  res.status(created ? 201 : 200).json(toSummary(feedback));
+});
+
+/**
+ * 查询反馈（管理员）
+ * GET /api/feedback?rating=&scope=&section=&direction=&mode=&model=&promptVersion=&teamId=&hasComment=&q=&from=&to=&limit=&offset=
+ */
+router.get('/', requireAdmin, (req, res) => {
+  const { filters, error } = parseFilters(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || FEEDBACK_PAGE_SIZE, FEEDBACK_PAGE_SIZE);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const all = feedbackStore.list(filters);
+
+  res.json({
+    total: all.length,
+    limit,
+    offset,
+    counts: {
+      up: all.filter(item => item.rating === 'up').length,
+      down: all.filter(item => item.rating === 'down').length
+    },
+    items: all.slice(offset, offset + limit).map(toAdmin)
+  });
+});
+
+/**
+ * 按查询条件导出 CSV（管理员）
+ * GET /api/feedback/export?<与查询相同的条件>
+ */
+router.get('/export', requireAdmin, (req, res) => {
+  const { filters, error } = parseFilters(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const items = feedbackStore.list(filters);
+  res.type('text/csv; charset=utf-8');
+  res.attachment(`feedback-${new Date().toISOString().slice(0, 10)}.csv`);
+  res.send(toCsvTable(CSV_COLUMNS, items.map(item => CSV_COLUMNS.map(column => csvValue(item, column)))));
+});
+
+/**
+ * 删除反馈（管理员）
+ * DELETE /api/feedback/:id
+ */
+router.delete('/:id', requireAdmin, (req, res) => {
+  if (!feedbackStore.remove(req.params.id)) {
+    return res.status(404).json({ error: '反馈不存在' });
+  }
+  res.json({ deleted: 1 });
+});
+
+module.exports = router;
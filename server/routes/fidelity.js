@@ -0,0 +1,62 @@
+/**
+ * 往返校验 API
+ * 挂载于 /api/fidelity
+ */
+
+const express = require('express');
+const historyStore = require('../storage/history-store');
+const roleRegistry = require('../roles/registry');
+const { checkRoundTrip } = require('../fidelity/round-trip');
+const { validateEnvVars } = require('../middleware/validation');
+const { rateLimit, checkBudget } = require('../middleware/rate-limit');
+const { inWorkspace, requesterOf } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * 回答附上问题原文，便于比对时识别用户补充的信息
+ */
+function answersWithQuestions(record) {
+  const questions = (record.analysisJson && record.analysisJson.missing_info) || [];
+  return (record.answers || []).map(item => {
+    const question = questions.find(entry => entry.id === item.id);
+    return { ...item, question: question ? question.question : '' };
+  });
+}
+
+/**
+ * 对历史记录的结果做往返校验，报告写回记录的 fidelity 字段
+ * POST /api/fidelity
+ * Body: { historyId: string }
+ */
+router.post('/', validateEnvVars, rateLimit('direct'), checkBudget, async (req, res) => {
+  const found = historyStore.get(req.body.historyId);
+  const record = found && inWorkspace(req, found) ? found : null;
+  if (!record) {
+    return res.status(404).json({ error: '记录不存在' });
+  }
+  if (!record.result) {
+    return res.status(400).json({ error: '该记录尚未生成结果' });
+  }
+  if (!roleRegistry.has(record.direction) || !roleRegistry.reverseOf(record.direction)) {
+    return res.status(400).json({ error: '该翻译方向没有反向翻译，无法做往返校验' });
+  }
+
+  try {
+    const fidelity = await checkRoundTrip({
+      direction: record.direction,
+      originalText: record.originalText,
+      result: record.result,
+      context: record.context,
+      answers: answersWithQuestions(record),
+      requester: requesterOf(req)
+    });
+    historyStore.update(record.id, { fidelity });
+    res.json({ historyId: record.id, fidelity });
+  } catch (error) {
+    console.error('往返校验错误:', error);
+    res.status(502).json({ error: error.message || '往返校验失败' });
+  }
+});
+
+module.exports = router;
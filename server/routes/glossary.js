@@ -0,0 +1,170 @@
+/**
+ * 团队术语表 API
+ * 挂载于 /api/glossary
+ */
+
+const express = require('express');
+const glossaryStore = require('../storage/glossary-store');
+const { ownerOf, inWorkspace } = require('../middleware/auth');
+const {
+  GLOSSARY_MAX_ENTRIES,
+  GLOSSARY_MAX_TERM_LENGTH,
+  GLOSSARY_MAX_DEFINITION_LENGTH
+} = require('../utils/constants');
+
+const router = express.Router();
+
+const MAX_ALIASES = 10;
+
+/**
+ * 对外展示的词条信息
+ */
+function toPublic(entry) {
+  return {
+    id: entry.id,
+    term: entry.term,
+    aliases: entry.aliases,
+    definition: entry.definition,
+    createdAt: entry.createdAt,
+    updatedAt: entry.updatedAt
+  };
+}
+
+/**
+ * 是否为合法的词条名或别名
+ */
+function isValidName(name) {
+  return typeof name === 'string' && !!name.trim() && name.trim().length <= GLOSSARY_MAX_TERM_LENGTH;
+}
+
+/**
+ * 校验词条字段
+ * @param {object} data - 请求体
+ * @param {boolean} partial - 更新时允许只提供部分字段
+ * @returns {string|null} 错误信息
+ */
+function validateEntry(data, partial = false) {
+  if ((!partial || data.term !== undefined) && !isValidName(data.term)) {
+    return `请填写词条名（不超过 ${GLOSSARY_MAX_TERM_LENGTH} 字）`;
+  }
+
+  if ((!partial || data.definition !== undefined)
+    && (typeof data.definition !== 'string' || !data.definition.trim() || data.definition.length > GLOSSARY_MAX_DEFINITION_LENGTH)) {
+    return `请填写释义（不超过 ${GLOSSARY_MAX_DEFINITION_LENGTH} 字）`;
+  }
+
+  if (data.aliases !== undefined) {
+    if (!Array.isArray(data.aliases) || data.aliases.length > MAX_ALIASES) {
+      return `aliases 必须是数组，最多 ${MAX_ALIASES} 个`;
+    }
+    if (!data.aliases.every(isValidName)) {
+      return `别名不能为空，且不超过 ${GLOSSARY_MAX_TERM_LENGTH} 字`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 去除首尾空白并去重（不区分大小写），同时去掉与词条名相同的别名
+ */
+function normalizeAliases(aliases, term) {
+  const seen = new Set([term.toLowerCase()]);
+  return aliases.map(alias => alias.trim()).filter(alias => {
+    const key = alias.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * 当前工作区中的词条
+ */
+function findEntry(req) {
+  const entry = glossaryStore.get(req.params.id);
+  return entry && inWorkspace(req, entry) ? entry : null;
+}
+
+/**
+ * 词条列表
+ * GET /api/glossary
+ */
+router.get('/', (req, res) => {
+  res.json({ entries: glossaryStore.list(ownerOf(req).teamId).map(toPublic) });
+});
+
+/**
+ * 新建词条
+ * POST /api/glossary
+ * Body: { term, definition, aliases?: string[] }
+ */
+router.post('/', (req, res) => {
+  const error = validateEntry(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const owner = ownerOf(req);
+  const maxEntries = parseInt(process.env.GLOSSARY_MAX_ENTRIES, 10) || GLOSSARY_MAX_ENTRIES;
+  if (glossaryStore.list(owner.teamId).length >= maxEntries) {
+    return res.status(400).json({ error: `术语表最多 ${maxEntries} 个词条` });
+  }
+
+  const term = req.body.term.trim();
+  const aliases = normalizeAliases(req.body.aliases || [], term);
+  const conflict = glossaryStore.findConflict([term, ...aliases], owner.teamId);
+  if (conflict) {
+    return res.status(409).json({ error: `与已有词条「${conflict.term}」重名` });
+  }
+
+  const entry = glossaryStore.create({
+    term,
+    aliases,
+    definition: req.body.definition.trim(),
+    ...owner
+  });
+  res.status(201).json(toPublic(entry));
+});
+
+/**
+ * 更新词条
+ * PUT /api/glossary/:id
+ */
+router.put('/:id', (req, res) => {
+  const entry = findEntry(req);
+  if (!entry) {
+    return res.status(404).json({ error: '词条不存在' });
+  }
+
+  const error = validateEntry(req.body, true);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const term = req.body.term !== undefined ? req.body.term.trim() : entry.term;
+  const aliases = normalizeAliases(req.body.aliases !== undefined ? req.body.aliases : entry.aliases, term);
+  const conflict = glossaryStore.findConflict([term, ...aliases], entry.teamId, entry.id);
+  if (conflict) {
+    return res.status(409).json({ error: `与已有词条「${conflict.term}」重名` });
+  }
+
+  const changes = { term, aliases };
+  if (req.body.definition !== undefined) {
+    changes.definition = req.body.definition.trim();
+  }
+  res.json(toPublic(glossaryStore.update(entry.id, changes)));
+});
+
+/**
+ * 删除词条
+ * DELETE /api/glossary/:id
+ */
+router.delete('/:id', (req, res) => {
+  if (!findEntry(req) || !glossaryStore.remove(req.params.id)) {
+    return res.status(404).json({ error: '词条不存在' });
+  }
+  res.json({ deleted: 1 });
+});
+
+module.exports = router;
@@ -0,0 +1,118 @@
+/**
+ * 翻译历史 API
+ * 挂载于 /api/history
+ */
+
+const express = require('express');
+const historyStore = require('../storage/history-store');
+const { recordOutcome } = require('../experiments/assignment');
+const { ownerOf, inWorkspace } = require('../middleware/auth');
+const { HISTORY_PAGE_SIZE, OUTCOME_TYPES } = require('../utils/constants');
+
+const router = express.Router();
+
+// 列表中原文预览的长度
+const PREVIEW_LENGTH = 120;
+
+// 字符串类型的查询参数；重复传入（?q=a&q=b）或嵌套传入（?q[a]=1）时 Express 会解析为数组或对象
+const STRING_FILTERS = ['q', 'direction', 'mode', 'from', 'to'];
+
+/**
+ * 列表项：不含分析 JSON 和完整结果
+ */
+function toSummary(record) {
+  return {
+    id: record.id,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+    direction: record.direction,
+    mode: record.mode,
+    status: record.status,
+    preview: record.originalText.slice(0, PREVIEW_LENGTH),
+    hasResult: !!record.result
+  };
+}
+
+/**
+ * 查询历史
+ * GET /api/history?q=&direction=&mode=&from=&to=&limit=&offset=
+ */
+router.get('/', (req, res) => {
+  const invalid = STRING_FILTERS.find(name => req.query[name] !== undefined && typeof req.query[name] !== 'string');
+  if (invalid) {
+    return res.status(400).json({ error: `查询参数 ${invalid} 只能传一个字符串` });
+  }
+
+  const { q, direction, mode, from, to } = req.query;
+  if ([from, to].some(value => value && Number.isNaN(Date.parse(value)))) {
+    return res.status(400).json({ error: '日期格式应为 YYYY-MM-DD 或 ISO 时间' });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || HISTORY_PAGE_SIZE, HISTORY_PAGE_SIZE);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  const { teamId } = ownerOf(req);
+  const { items, total } = historyStore.list({ q, direction, mode, from, to, teamId, limit, offset });
+
+  res.json({
+    total,
+    limit,
+    offset,
+    items: items.map(toSummary)
+  });
+});
+
+/**
+ * 获取单条历史
+ * GET /api/history/:id
+ */
+router.get('/:id', (req, res) => {
+  const record = historyStore.get(req.params.id);
+  if (!record || !inWorkspace(req, record)) {
+    return res.status(404).json({ error: '历史记录不存在' });
+  }
+  res.json(record);
+});
+
+/**
+ * 记录结果使用信号（复制、导出、追问修改、重新生成、评价），用于提示词实验统计
+ * POST /api/history/:id/outcomes
+ * Body: { type: 'copied' | 'exported' | 'refined' | 'regenerated' | 'rated', rating?: 'up' | 'down' }
+ */
+router.post('/:id/outcomes', (req, res) => {
+  const record = historyStore.get(req.params.id);
+  if (!record || !inWorkspace(req, record)) {
+    return res.status(404).json({ error: '历史记录不存在' });
+  }
+
+  const { type, rating } = req.body;
+  if (!OUTCOME_TYPES.includes(type)) {
+    return res.status(400).json({ error: `无效的信号类型，可选值: ${OUTCOME_TYPES.join(', ')}` });
+  }
+  if (type === 'rated' && !['up', 'down'].includes(rating)) {
+    return res.status(400).json({ error: 'rating 必须是 up 或 down' });
+  }
+
+  res.json({ outcomes: recordOutcome(record, type, type === 'rated' ? rating : null) });
+});
+
+/**
+ * 清空历史（启用认证时只清空当前工作区）
+ * DELETE /api/history
+ */
+router.delete('/', (req, res) => {
+  const deleted = historyStore.clear(ownerOf(req).teamId);
+  res.json({ deleted });
+});
+
+/**
+ * 删除单条历史
+ * DELETE /api/history/:id
+ */
+router.delete('/:id', (req, res) => {
+  if (!inWorkspace(req, historyStore.get(req.params.id)) || !historyStore.remove(req.params.id)) {
+    return res.status(404).json({ error: '历史记录不存在' });
+  }
+  res.json({ deleted: 1 });
+});
+
+module.exports = router;
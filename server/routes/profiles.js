@@ -0,0 +1,149 @@
+/**
+ * 项目背景档案 API
+ * 挂载于 /api/profiles
+ */
+
+const express = require('express');
+const profileStore = require('../storage/profile-store');
+const { ownerOf, inWorkspace } = require('../middleware/auth');
+const { PROFILE_FIELDS, PROFILE_MAX_COUNT, PROFILE_FIELD_MAX_LENGTH } = require('../utils/constants');
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 60;
+
+/**
+ * 对外展示的档案信息
+ */
+function toPublic(profile) {
+  const data = { id: profile.id, name: profile.name };
+  Object.keys(PROFILE_FIELDS).forEach(field => {
+    data[field] = profile[field];
+  });
+  return { ...data, createdAt: profile.createdAt, updatedAt: profile.updatedAt };
+}
+
+/**
+ * 校验档案字段
+ * @param {object} data - 请求体
+ * @param {boolean} partial - 更新时允许只提供部分字段
+ * @returns {string|null} 错误信息
+ */
+function validateProfile(data, partial = false) {
+  if ((!partial || data.name !== undefined)
+    && (typeof data.name !== 'string' || !data.name.trim() || data.name.length > MAX_NAME_LENGTH)) {
+    return `请填写档案名称（不超过 ${MAX_NAME_LENGTH} 字）`;
+  }
+
+  for (const [field, label] of Object.entries(PROFILE_FIELDS)) {
+    if (data[field] === undefined) continue;
+    if (typeof data[field] !== 'string' || data[field].length > PROFILE_FIELD_MAX_LENGTH) {
+      return `${label}（${field}）必须是不超过 ${PROFILE_FIELD_MAX_LENGTH} 字的字符串`;
+    }
+  }
+
+  if (!partial && !Object.keys(PROFILE_FIELDS).some(field => data[field] && data[field].trim())) {
+    return `请至少填写一项背景：${Object.values(PROFILE_FIELDS).join('、')}`;
+  }
+
+  return null;
+}
+
+/**
+ * 请求体中的档案字段（去除首尾空白）
+ */
+function pickFields(data) {
+  const fields = {};
+  ['name', ...Object.keys(PROFILE_FIELDS)].forEach(field => {
+    if (data[field] !== undefined) {
+      fields[field] = data[field].trim();
+    }
+  });
+  return fields;
+}
+
+/**
+ * 同一工作区中的同名档案
+ */
+function findByName(name, teamId, excludeId = null) {
+  return profileStore.list(teamId).find(profile => profile.id !== excludeId && profile.name === name) || null;
+}
+
+/**
+ * 当前工作区中的档案
+ */
+function findProfile(req) {
+  const profile = profileStore.get(req.params.id);
+  return profile && inWorkspace(req, profile) ? profile : null;
+}
+
+/**
+ * 档案列表
+ * GET /api/profiles
+ */
+router.get('/', (req, res) => {
+  res.json({
+    fields: Object.entries(PROFILE_FIELDS).map(([id, label]) => ({ id, label })),
+    profiles: profileStore.list(ownerOf(req).teamId).map(toPublic)
+  });
+});
+
+/**
+ * 新建档案
+ * POST /api/profiles
+ * Body: { name, techStack?, teamSize?, traffic?, sla?, compliance?, notes? }
+ */
+router.post('/', (req, res) => {
+  const error = validateProfile(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const owner = ownerOf(req);
+  if (profileStore.list(owner.teamId).length >= PROFILE_MAX_COUNT) {
+    return res.status(400).json({ error: `最多保存 ${PROFILE_MAX_COUNT} 个背景档案` });
+  }
+
+  const fields = pickFields(req.body);
+  if (findByName(fields.name, owner.teamId)) {
+    return res.status(409).json({ error: '已存在同名档案' });
+  }
+
+  res.status(201).json(toPublic(profileStore.create({ ...fields, ...owner })));
+});
+
+/**
+ * 更新档案
+ * PUT /api/profiles/:id
+ */
+router.put('/:id', (req, res) => {
+  const profile = findProfile(req);
+  if (!profile) {
+    return res.status(404).json({ error: '背景档案不存在' });
+  }
+
+  const error = validateProfile(req.body, true);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const fields = pickFields(req.body);
+  if (fields.name && findByName(fields.name, profile.teamId, profile.id)) {
+    return res.status(409).json({ error: '已存在同名档案' });
+  }
+
+  res.json(toPublic(profileStore.update(profile.id, fields)));
+});
+
+/**
+ * 删除档案
+ * DELETE /api/profiles/:id
+ */
+router.delete('/:id', (req, res) => {
+  if (!findProfile(req) || !profileStore.remove(req.params.id)) {
+    return res.status(404).json({ error: '背景档案不存在' });
+  }
+  res.json({ deleted: 1 });
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+/**
+ * 用量统计 API
+ * 挂载于 /api/stats
+ */
+
+const express = require('express');
+const usageStore = require('../storage/usage-store');
+const accountStore = require('../storage/account-store');
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * 统计范围：启用认证时普通成员只能查看当前工作区，管理员默认查看全部，可用 team 指定团队
+ * @returns {{ teamId?: string }|{ error: string }}
+ */
+function statsScope(req) {
+  if (!req.user) {
+    return {};
+  }
+  if (req.user.role !== 'admin') {
+    return { teamId: req.team.id };
+  }
+  if (!req.query.team) {
+    return {};
+  }
+
+  const team = accountStore.getTeam(req.query.team);
+  return team ? { teamId: team.id } : { error: '团队不存在' };
+}
+
+/**
+ * 按模式、方向、模型、日期、团队、用户汇总 token 用量与费用
+ * GET /api/stats?from=YYYY-MM-DD&to=YYYY-MM-DD&team=
+ */
+router.get('/', (req, res) => {
+  const { from, to } = req.query;
+
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    return res.status(400).json({ error: '日期格式应为 YYYY-MM-DD' });
+  }
+
+  const scope = statsScope(req);
+  if (scope.error) {
+    return res.status(404).json({ error: scope.error });
+  }
+
+  res.json({
+    currency: 'USD',
+    ...usageStore.summarize({ from, to, teamId: scope.teamId })
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,213 @@
+/**
+ * 群机器人 Webhook API
+ * 挂载于 /api/webhooks
+ */
+
+const express = require('express');
+const webhookStore = require('../storage/webhook-store');
+const historyStore = require('../storage/history-store');
+const { recordOutcome } = require('../experiments/assignment');
+const { ownerOf, inWorkspace } = require('../middleware/auth');
+const roleRegistry = require('../roles/registry');
+const { PLATFORMS, deliver } = require('../delivery/webhook-delivery');
+const { splitSections, parseMessage } = require('../utils/structured-result');
+const { extractTitle } = require('../exporters/document');
+
+const router = express.Router();
+
+/**
+ * 对外展示的目标信息：隐藏地址中的 token 与签名密钥
+ */
+function toPublic(target) {
+  let urlPreview = '';
+  try {
+    const url = new URL(target.url);
+    urlPreview = `${url.origin}/…${target.url.slice(-4)}`;
+  } catch (error) {
+    urlPreview = '…';
+  }
+
+  return {
+    id: target.id,
+    name: target.name,
+    team: target.team,
+    platform: target.platform,
+    urlPreview,
+    signed: !!target.secret,
+    createdAt: target.createdAt,
+    updatedAt: target.updatedAt
+  };
+}
+
+/**
+ * 校验目标字段
+ * @param {object} data - 请求体
+ * @param {boolean} partial - 更新时允许只提供部分字段
+ * @returns {string|null} 错误信息
+ */
+function validateTarget(data, partial = false) {
+  if ((!partial || data.name !== undefined) && (typeof data.name !== 'string' || !data.name.trim())) {
+    return '请填写名称';
+  }
+
+  if ((!partial || data.platform !== undefined) && !PLATFORMS[data.platform]) {
+    return `无效的平台，可选值: ${Object.keys(PLATFORMS).join(', ')}`;
+  }
+
+  if (!partial || data.url !== undefined) {
+    if (typeof data.url !== 'string' || !/^https?:\/\//.test(data.url)) {
+      return 'Webhook 地址必须以 http:// 或 https:// 开头';
+    }
+  }
+
+  if (data.team !== undefined && typeof data.team !== 'string') {
+    return 'team 必须是字符串';
+  }
+
+  if (data.secret !== undefined && typeof data.secret !== 'string') {
+    return 'secret 必须是字符串';
+  }
+
+  return null;
+}
+
+/**
+ * 当前工作区中的目标
+ */
+function findTarget(req) {
+  const target = webhookStore.get(req.params.id);
+  return target && inWorkspace(req, target) ? target : null;
+}
+
+/**
+ * 从结果中提取群消息（💬 章节中 --- 之间的内容）
+ * @returns {{ title: string, text: string }|null}
+ */
+function extractImMessage(direction, result) {
+  const section = splitSections(result).find(item => item.heading.includes('💬'));
+  if (!section) {
+    return null;
+  }
+
+  const text = parseMessage(section.body);
+  if (!text) {
+    return null;
+  }
+
+  const pair = roleRegistry.require(direction);
+  return {
+    title: extractTitle(text) || `${pair.source.label} → ${pair.target.label}`,
+    text
+  };
+}
+
+/**
+ * 目标列表
+ * GET /api/webhooks?team=
+ */
+router.get('/', (req, res) => {
+  const targets = webhookStore.list({ team: req.query.team, teamId: ownerOf(req).teamId });
+  res.json({
+    platforms: Object.entries(PLATFORMS).map(([id, platform]) => ({ id, label: platform.label })),
+    targets: targets.map(toPublic)
+  });
+});
+
+/**
+ * 新建目标
+ * POST /api/webhooks
+ * Body: { name, team?, platform: 'slack' | 'feishu' | 'dingtalk' | 'wecom', url, secret? }
+ */
+router.post('/', (req, res) => {
+  const error = validateTarget(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const { name, team, platform, url, secret } = req.body;
+  const target = webhookStore.create({
+    name: name.trim(),
+    team: team ? team.trim() : '',
+    platform,
+    url,
+    secret,
+    teamId: ownerOf(req).teamId
+  });
+  res.status(201).json(toPublic(target));
+});
+
+/**
+ * 更新目标
+ * PUT /api/webhooks/:id
+ */
+router.put('/:id', (req, res) => {
+  const error = validateTarget(req.body, true);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const changes = {};
+  ['name', 'team', 'platform', 'url', 'secret'].forEach(field => {
+    if (req.body[field] !== undefined) {
+      changes[field] = typeof req.body[field] === 'string' ? req.body[field].trim() : req.body[field];
+    }
+  });
+
+  const target = findTarget(req) && webhookStore.update(req.params.id, changes);
+  if (!target) {
+    return res.status(404).json({ error: 'Webhook 目标不存在' });
+  }
+  res.json(toPublic(target));
+});
+
+/**
+ * 删除目标
+ * DELETE /api/webhooks/:id
+ */
+router.delete('/:id', (req, res) => {
+  if (!findTarget(req) || !webhookStore.remove(req.params.id)) {
+    return res.status(404).json({ error: 'Webhook 目标不存在' });
+  }
+  res.json({ deleted: 1 });
+});
+
+/**
+ * 发送群消息
+ * POST /api/webhooks/:id/send
+ * Body: { direction, result, historyId? }
+ * 投递成功返回 200，重试后仍失败返回 502，两者都带 delivery 状态
+ */
+router.post('/:id/send', async (req, res) => {
+  const target = findTarget(req);
+  if (!target) {
+    return res.status(404).json({ error: 'Webhook 目标不存在' });
+  }
+
+  const { direction, result, historyId } = req.body;
+  if (!direction || !roleRegistry.has(direction)) {
+    return res.status(400).json({ error: `无效的翻译方向，可选值: ${roleRegistry.ids().join(', ')}` });
+  }
+
+  const message = typeof result === 'string' ? extractImMessage(direction, result) : null;
+  if (!message) {
+    return res.status(400).json({ error: '结果中没有找到群消息' });
+  }
+
+  const delivery = await deliver(target, message);
+
+  // 投递记录写入对应的历史记录
+  const record = historyId && historyStore.get(historyId);
+  if (record && inWorkspace(req, record)) {
+    historyStore.update(historyId, { deliveries: [...(record.deliveries || []), delivery] });
+    if (delivery.status === 'delivered') {
+      recordOutcome(record, 'exported');
+    }
+  }
+
+  if (delivery.status !== 'delivered') {
+    return res.status(502).json({ error: `发送到「${target.name}」失败：${delivery.error}`, delivery });
+  }
+  res.json({ delivery });
+});
+
+module.exports = router;
@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { hashPassword } = require('../auth/passwords');
+const { DEFAULT_TEAM_SLUG } = require('../utils/constants');
+
+/**
+ * 账号与团队存储
+ * 用户通过 teamIds 加入团队（工作区），role 为 admin 的用户可以管理账号与团队；
+ * SSO 用户首次访问时自动创建，没有本地密码
+ */
+class AccountStore {
+  constructor() {
+    // 数据目录
+    this.dataDir = process.env.DATA_DIR || path.join(__dirname, '../data');
+    this.filePath = path.join(this.dataDir, 'accounts.json');
+    const data = this.load();
+    this.users = data.users;
+    this.teams = data.teams;
+  }
+
+  /**
+   * 从文件加载
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return { users: [], teams: [] };
+      }
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return {
+        users: Array.isArray(data.users) ? data.users : [],
+        teams: Array.isArray(data.teams) ? data.teams : []
+      };
+    } catch (error) {
+      logger.logError('ACCOUNTS_LOAD', error);
+      return { users: [], teams: [] };
+    }
+  }
+
+  /**
+   * 写回文件（先写临时文件再重命名）
+   */
+  persist() {
+    try {
+      if (!fs.existsSync(this.dataDir)) {
+        fs.mkdirSync(this.dataDir, { recursive: true });
+      }
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ users: this.users, teams: this.teams }, null, 2), 'utf8');
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      logger.logError('ACCOUNTS_PERSIST', error);
+    }
+  }
+
+  // ========== 团队 ==========
+
+  listTeams() {
+    return this.teams;
+  }
+
+  /**
+   * 按 ID 或 slug 查找团队
+   */
+  getTeam(idOrSlug) {
+    return this.teams.find(team => team.id === idOrSlug || team.slug === idOrSlug) || null;
+  }
+
+  /**
+   * 新建团队
+   * @param {object} data - { slug, name }
+   */
+  createTeam(data) {
+    const team = {
+      id: crypto.randomUUID(),
+      slug: data.slug,
+      name: data.name || data.slug,
+      createdAt: new Date().toISOString()
+    };
+    this.teams.push(team);
+    this.persist();
+    return team;
+  }
+
+  /**
+   * 删除团队，同时从成员的 teamIds 中移除
+   * @returns {boolean}
+   */
+  removeTeam(id) {
+    const index = this.teams.findIndex(team => team.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    this.teams.splice(index, 1);
+    this.users.forEach(user => {
+      user.teamIds = user.teamIds.filter(teamId => teamId !== id);
+    });
+    this.persist();
+    return true;
+  }
+
+  // ========== 用户 ==========
+
+  listUsers() {
+    return this.users;
+  }
+
+  getUser(id) {
+    return this.users.find(user => user.id === id) || null;
+  }
+
+  findUser(username) {
+    const name = username.toLowerCase();
+    return this.users.find(user => user.username.toLowerCase() === name) || null;
+  }
+
+  /**
+   * 新建用户
+   * @param {object} data - { username, displayName, password?, role, teamIds, source }
+   */
+  createUser(data) {
+    const now = new Date().toISOString();
+    const user = {
+      id: crypto.randomUUID(),
+      username: data.username,
+      displayName: data.displayName || data.username,
+      role: data.role || 'member',
+      teamIds: data.teamIds || [],
+      source: data.source || 'local',
+      passwordHash: data.password ? hashPassword(data.password) : null,
+      createdAt: now,
+      updatedAt: now,
+      lastLoginAt: null
+    };
+    this.users.push(user);
+    this.persist();
+    return user;
+  }
+
+  /**
+   * 更新用户，changes.password 会被散列后保存
+   * @returns {object|null}
+   */
+  updateUser(id, changes) {
+    const user = this.getUser(id);
+    if (!user) {
+      return null;
+    }
+
+    const { password, ...rest } = changes;
+    Object.assign(user, rest, { id, updatedAt: new Date().toISOString() });
+    if (password) {
+      user.passwordHash = hashPassword(password);
+    }
+    this.persist();
+    return user;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  removeUser(id) {
+    const index = this.users.findIndex(user => user.id === id);
+    if (index === -1) {
+      return false;
+    }
+    this.users.splice(index, 1);
+    this.persist();
+    return true;
+  }
+
+  /**
+   * SSO 用户：按用户名查找或创建，并同步所属团队（不存在的团队自动创建）
+   * @param {object} identity - { username, displayName, teams: string[], admin: boolean }
+   */
+  provision(identity) {
+    const teamIds = identity.teams.map(slug => (this.getTeam(slug) || this.createTeam({ slug })).id);
+    const role = identity.admin ? 'admin' : 'member';
+    const user = this.findUser(identity.username);
+
+    if (!user) {
+      return this.createUser({ ...identity, role, teamIds, source: 'header' });
+    }
+
+    const changed = user.displayName !== identity.displayName || user.role !== role ||
+      user.teamIds.join(',') !== teamIds.join(',');
+    return changed ? this.updateUser(user.id, { displayName: identity.displayName, role, teamIds }) : user;
+  }
+
+  /**
+   * 首次启动时根据 AUTH_ADMIN_USERNAME / AUTH_ADMIN_PASSWORD 创建管理员与默认团队
+   * @returns {object|null} 新建的管理员
+   */
+  bootstrap(username, password) {
+    if (!username || !password || this.users.length > 0) {
+      return null;
+    }
+
+    const team = this.getTeam(DEFAULT_TEAM_SLUG) || this.createTeam({ slug: DEFAULT_TEAM_SLUG, name: '默认团队' });
+    const admin = this.createUser({ username, password, role: 'admin', teamIds: [team.id] });
+    logger.logInfo('AUTH_BOOTSTRAP', { username });
+    return admin;
+  }
+
+  /**
+   * 对外展示的用户信息（不含密码散列）
+   */
+  toPublicUser(user) {
+    const { passwordHash, ...rest } = user;
+    return {
+      ...rest,
+      teams: user.teamIds.map(id => this.getTeam(id)).filter(Boolean).map(({ id, slug, name }) => ({ id, slug, name }))
+    };
+  }
+}
+
+// 单例模式
+const accountStore = new AccountStore();
+
+module.exports = accountStore;
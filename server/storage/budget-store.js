@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * 读取非负数环境变量，未配置时为 0（不限）
+ */
+function readBudget(name) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : 0;
+}
+
+/**
+ * 每日预算与消耗
+ * 只保存当天（UTC）的全局与按客户端的 token 数、费用，跨天自动清零；
+ * 写回 JSON 文件，服务重启后当天的消耗仍然计入
+ */
+class BudgetStore {
+  constructor() {
+    // 数据目录
+    this.dataDir = process.env.DATA_DIR || path.join(__dirname, '../data');
+    this.filePath = path.join(this.dataDir, 'budget.json');
+    this.state = this.load();
+    // 每日上限，0 表示不限
+    this.budgets = {
+      global: { tokens: readBudget('DAILY_TOKEN_BUDGET'), cost: readBudget('DAILY_COST_BUDGET') },
+      client: { tokens: readBudget('CLIENT_DAILY_TOKEN_BUDGET'), cost: readBudget('CLIENT_DAILY_COST_BUDGET') }
+    };
+  }
+
+  /**
+   * 当天日期（与用量统计一致，使用 UTC）
+   */
+  today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  emptyState() {
+    return { day: this.today(), global: this.emptySpend(), clients: {} };
+  }
+
+  emptySpend() {
+    return { calls: 0, tokens: 0, cost: 0 };
+  }
+
+  /**
+   * 从文件加载
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return this.emptyState();
+      }
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (!data || data.day !== this.today() || !data.global || !data.clients) {
+        return this.emptyState();
+      }
+      return data;
+    } catch (error) {
+      logger.logError('BUDGET_LOAD', error);
+      return this.emptyState();
+    }
+  }
+
+  /**
+   * 写回文件（先写临时文件再重命名）
+   */
+  persist() {
+    try {
+      if (!fs.existsSync(this.dataDir)) {
+        fs.mkdirSync(this.dataDir, { recursive: true });
+      }
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.state, null, 2), 'utf8');
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      logger.logError('BUDGET_PERSIST', error);
+    }
+  }
+
+  /**
+   * 跨天时清零
+   */
+  rollover() {
+    if (this.state.day !== this.today()) {
+      this.state = this.emptyState();
+    }
+  }
+
+  /**
+   * 记录一次 LLM 调用的消耗
+   * @param {string|null} client - 客户端标识，为空时只计入全局
+   * @param {object} usage - { promptTokens, completionTokens, cost }，未知时为 null
+   */
+  record(client, usage) {
+    this.rollover();
+
+    const tokens = (usage.promptTokens || 0) + (usage.completionTokens || 0);
+    const cost = usage.cost || 0;
+    const targets = [this.state.global];
+    if (client) {
+      this.state.clients[client] = this.state.clients[client] || this.emptySpend();
+      targets.push(this.state.clients[client]);
+    }
+
+    targets.forEach(spend => {
+      spend.calls++;
+      spend.tokens += tokens;
+      spend.cost = Math.round((spend.cost + cost) * 1e6) / 1e6;
+    });
+
+    this.persist();
+  }
+
+  /**
+   * 当天的消耗
+   * @param {string} [client] - 缺省时返回全局消耗
+   * @returns {object} { calls, tokens, cost }
+   */
+  spent(client) {
+    this.rollover();
+    if (!client) {
+      return this.state.global;
+    }
+    return this.state.clients[client] || this.emptySpend();
+  }
+
+  /**
+   * 检查当天的消耗是否已达预算（调用前检查，进行中的调用可能略微超出）
+   * @param {string} [client] - 客户端标识，缺省时只检查全局预算
+   * @returns {'global'|'client'|null} 已用完的预算
+   */
+  exceeded(client) {
+    const over = (spent, budget) => (budget.tokens > 0 && spent.tokens >= budget.tokens) ||
+      (budget.cost > 0 && spent.cost >= budget.cost);
+
+    if (over(this.spent(), this.budgets.global)) {
+      return 'global';
+    }
+    if (client && over(this.spent(client), this.budgets.client)) {
+      return 'client';
+    }
+    return null;
+  }
+
+  /**
+   * 距离预算重置（UTC 零点）的秒数
+   */
+  secondsUntilReset() {
+    const now = new Date();
+    const nextDay = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return Math.ceil((nextDay - now.getTime()) / 1000);
+  }
+}
+
+// 单例模式
+const budgetStore = new BudgetStore();
+
+module.exports = budgetStore;
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * 变体的统计计数：运行次数、出现各使用信号的运行数、好评 / 差评数
+ */
+function emptyStats() {
+  return { runs: 0, copied: 0, exported: 0, refined: 0, regenerated: 0, ratedUp: 0, ratedDown: 0 };
+}
+
+/**
+ * 提示词 A/B 实验存储
+ * 每个实验针对一个方向和模式，把请求按权重分配到若干提示词模板版本（变体），
+ * 并按变体累计运行次数与使用信号；保存在 DATA_DIR/experiments.json
+ */
+class ExperimentStore {
+  constructor() {
+    // 数据目录
+    this.dataDir = process.env.DATA_DIR || path.join(__dirname, '../data');
+    this.filePath = path.join(this.dataDir, 'experiments.json');
+    this.experiments = this.load();
+  }
+
+  /**
+   * 从文件加载
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return [];
+      }
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return Array.isArray(data) ? data : [];
+    } catch (error) {
+      logger.logError('EXPERIMENT_LOAD', error);
+      return [];
+    }
+  }
+
+  /**
+   * 写回文件（先写临时文件再重命名）
+   */
+  persist() {
+    try {
+      if (!fs.existsSync(this.dataDir)) {
+        fs.mkdirSync(this.dataDir, { recursive: true });
+      }
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.experiments, null, 2), 'utf8');
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      logger.logError('EXPERIMENT_PERSIST', error);
+    }
+  }
+
+  /**
+   * 新建实验（创建后即开始运行）
+   * @param {object} data - { name, direction, mode, stickiness, variants: [{ id, version, weight }], userId }
+   * @returns {object}
+   */
+  create(data) {
+    const now = new Date().toISOString();
+    const experiment = {
+      id: crypto.randomUUID(),
+      createdAt: now,
+      updatedAt: now,
+      name: data.name,
+      direction: data.direction,
+      mode: data.mode,
+      // 分配粒度：'user' 按用户（未登录时按客户端），'session' 按浏览器会话
+      stickiness: data.stickiness || 'user',
+      status: 'running',
+      variants: data.variants,
+      stats: Object.fromEntries(data.variants.map(variant => [variant.id, emptyStats()])),
+      userId: data.userId || null
+    };
+
+    this.experiments.push(experiment);
+    this.persist();
+    return experiment;
+  }
+
+  /**
+   * 更新实验
+   * @returns {object|null}
+   */
+  update(id, changes) {
+    const experiment = this.get(id);
+    if (!experiment) {
+      return null;
+    }
+
+    Object.assign(experiment, changes, { id, updatedAt: new Date().toISOString() });
+    this.persist();
+    return experiment;
+  }
+
+  get(id) {
+    return this.experiments.find(item => item.id === id) || null;
+  }
+
+  /**
+   * 列出实验（新建的在前）
+   */
+  list() {
+    return [...this.experiments].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * 指定方向和模式下正在运行的实验
+   * @param {string} excludeId - 更新时排除自身
+   * @returns {object|null}
+   */
+  findRunning(direction, mode, excludeId = null) {
+    return this.experiments.find(item => item.id !== excludeId
+      && item.status === 'running'
+      && item.direction === direction
+      && item.mode === mode) || null;
+  }
+
+  /**
+   * 累加变体的统计计数
+   * @param {string} id - 实验 ID
+   * @param {string} variantId - 变体 ID
+   * @param {string} key - 计数项，见 emptyStats
+   * @param {number} delta - 增量，可为负
+   */
+  increment(id, variantId, key, delta = 1) {
+    const experiment = this.get(id);
+    const stats = experiment && experiment.stats[variantId];
+    if (!stats) {
+      return;
+    }
+
+    stats[key] = Math.max((stats[key] || 0) + delta, 0);
+    this.persist();
+  }
+
+  /**
+   * 删除实验
+   * @returns {boolean}
+   */
+  remove(id) {
+    const index = this.experiments.findIndex(item => item.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    this.experiments.splice(index, 1);
+    this.persist();
+    return true;
+  }
+}
+
+// 单例模式
+const experimentStore = new ExperimentStore();
+
+module.exports = experimentStore;
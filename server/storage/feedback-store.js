@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { FEEDBACK_MAX_ITEMS } = require('../utils/constants');
+
+/**
+ * 结果反馈存储
+ * 每条反馈针对整个结果或结果中的一个 ## 章节，并保存提交时的原文、分析、回答、结果、模型与提示词版本快照，
+ * 历史记录被删除或追问修改后仍可用于分析；保存在 DATA_DIR/feedback.json
+ */
+class FeedbackStore {
+  constructor() {
+    // 数据目录
+    this.dataDir = process.env.DATA_DIR || path.join(__dirname, '../data');
+    this.filePath = path.join(this.dataDir, 'feedback.json');
+    this.maxItems = parseInt(process.env.FEEDBACK_MAX_ITEMS, 10) || FEEDBACK_MAX_ITEMS;
+    this.items = this.load();
+  }
+
+  /**
+   * 从文件加载
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return [];
+      }
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return Array.isArray(data) ? data : [];
+    } catch (error) {
+      logger.logError('FEEDBACK_LOAD', error);
+      return [];
+    }
+  }
+
+  /**
+   * 写回文件（先写临时文件再重命名）
+   */
+  persist() {
+    try {
+      if (!fs.existsSync(this.dataDir)) {
+        fs.mkdirSync(this.dataDir, { recursive: true });
+      }
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.items, null, 2), 'utf8');
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      logger.logError('FEEDBACK_PERSIST', error);
+    }
+  }
+
+  /**
+   * 提交反馈：同一提交者对同一结果的同一章节再次提交时覆盖之前的反馈
+   * @param {object} data - { record: 历史记录, section: { index, heading, body }|null, rating, comment, client, userId, teamId }
+   * @returns {{ feedback: object, created: boolean }}
+   */
+  submit(data) {
+    const { record, section } = data;
+    const heading = section ? section.heading : null;
+    const now = new Date().toISOString();
+
+    const existing = this.items.find(item => item.historyId === record.id
+      && item.section === heading
+      && item.client === data.client);
+    if (existing) {
+      Object.assign(existing, {
+        updatedAt: now,
+        rating: data.rating,
+        comment: data.comment,
+        result: record.result,
+        sectionText: section ? section.body : null
+      });
+      this.persist();
+      return { feedback: existing, created: false };
+    }
+
+    const feedback = {
+      id: crypto.randomUUID(),
+      createdAt: now,
+      updatedAt: now,
+      historyId: record.id,
+      // 针对的章节标题，null 表示整个结果
+      section: heading,
+      sectionIndex: section ? section.index : null,
+      rating: data.rating,
+      comment: data.comment,
+      // 提交时的记录快照
+      direction: record.direction,
+      mode: record.mode,
+      originalText: record.originalText,
+      context: record.context || '',
+      analysisJson: record.analysisJson || null,
+      answers: record.answers || [],
+      result: record.result,
+      sectionText: section ? section.body : null,
+      model: record.model || null,
+      promptVersion: record.promptVersion || null,
+      experiment: record.experiment || null,
+      // 提交者：用于覆盖同一人的重复反馈
+      client: data.client,
+      userId: data.userId || null,
+      teamId: data.teamId || null
+    };
+
+    this.items.unshift(feedback);
+    if (this.items.length > this.maxItems) {
+      this.items.length = this.maxItems;
+    }
+    this.persist();
+    return { feedback, created: true };
+  }
+
+  get(id) {
+    return this.items.find(item => item.id === id) || null;
+  }
+
+  /**
+   * 查询反馈（新提交的在前）
+   * @param {object} filters
+   * @param {string} filters.rating - 'up' | 'down'
+   * @param {string} filters.scope - 'result' 只看整体反馈，'section' 只看章节反馈
+   * @param {string} filters.section - 章节标题包含的文字
+   * @param {string} filters.direction - 方向 ID
+   * @param {string} filters.mode - 'direct' | 'interactive'
+   * @param {string} filters.model - 模型名
+   * @param {string} filters.promptVersion - 提示词版本，可只填目录名（如 v1）
+   * @param {string} filters.teamId - 团队 ID
+   * @param {boolean} filters.hasComment - 只看有评论的反馈
+   * @param {string} filters.q - 在评论、原文与结果中搜索的关键字
+   * @param {string} filters.from - 起始日期（含）
+   * @param {string} filters.to - 截止日期（含）
+   * @returns {object[]}
+   */
+  list(filters = {}) {
+    const { rating, scope, section, direction, mode, model, promptVersion, teamId, hasComment, q, from, to } = filters;
+    const keyword = q ? q.trim().toLowerCase() : '';
+    const fromTime = from ? Date.parse(from) : NaN;
+    // 纯日期的截止时间包含当天
+    const toTime = to ? Date.parse(to.length === 10 ? `${to}T23:59:59.999Z` : to) : NaN;
+
+    return this.items.filter(item => {
+      if (rating && item.rating !== rating) return false;
+      if (scope === 'result' && item.section !== null) return false;
+      if (scope === 'section' && item.section === null) return false;
+      if (section && !(item.section || '').includes(section)) return false;
+      if (direction && item.direction !== direction) return false;
+      if (mode && item.mode !== mode) return false;
+      if (model && item.model !== model) return false;
+      if (promptVersion && item.promptVersion !== promptVersion
+        && !(item.promptVersion || '').startsWith(`${promptVersion}@`)) return false;
+      if (teamId && item.teamId !== teamId) return false;
+      if (hasComment && !item.comment) return false;
+
+      const createdTime = Date.parse(item.createdAt);
+      if (!Number.isNaN(fromTime) && createdTime < fromTime) return false;
+      if (!Number.isNaN(toTime) && createdTime > toTime) return false;
+
+      if (keyword) {
+        const haystack = `${item.comment}\n${item.originalText}\n${item.result}`.toLowerCase();
+        if (!haystack.includes(keyword)) return false;
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * 删除反馈
+   * @returns {boolean}
+   */
+  remove(id) {
+    const index = this.items.findIndex(item => item.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    this.items.splice(index, 1);
+    this.persist();
+    return true;
+  }
+}
+
+// 单例模式
+const feedbackStore = new FeedbackStore();
+
+module.exports = feedbackStore;
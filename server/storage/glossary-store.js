@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { GLOSSARY_MAX_MATCHES } = require('../utils/constants');
+
+/**
+ * 只由字母、数字组成的词条按整词匹配，避免 "PR" 命中 "PRD" 这类单词片段
+ */
+const ASCII_WORD = /^[A-Za-z0-9_]+$/;
+
+/**
+ * 转义正则特殊字符
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 词条名或别名在文本中首次出现的位置，未出现时返回 -1（不区分大小写）
+ */
+function indexOfTerm(text, term) {
+  if (ASCII_WORD.test(term)) {
+    const match = new RegExp(`(^|[^A-Za-z0-9_])${escapeRegExp(term)}(?![A-Za-z0-9_])`, 'i').exec(text);
+    return match ? match.index + match[1].length : -1;
+  }
+  return text.toLowerCase().indexOf(term.toLowerCase());
+}
+
+/**
+ * 团队术语表存储
+ * 词条包括项目代号、内部系统名、业务黑话等，翻译时把原文中出现的词条注入提示词；
+ * 每个词条归属一个团队，保存在 DATA_DIR/glossary.json
+ */
+class GlossaryStore {
+  constructor() {
+    // 数据目录
+    this.dataDir = process.env.DATA_DIR || path.join(__dirname, '../data');
+    this.filePath = path.join(this.dataDir, 'glossary.json');
+    this.entries = this.load();
+  }
+
+  /**
+   * 从文件加载
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return [];
+      }
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return Array.isArray(data) ? data : [];
+    } catch (error) {
+      logger.logError('GLOSSARY_LOAD', error);
+      return [];
+    }
+  }
+
+  /**
+   * 写回文件（先写临时文件再重命名）
+   */
+  persist() {
+    try {
+      if (!fs.existsSync(this.dataDir)) {
+        fs.mkdirSync(this.dataDir, { recursive: true });
+      }
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.entries, null, 2), 'utf8');
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      logger.logError('GLOSSARY_PERSIST', error);
+    }
+  }
+
+  /**
+   * 新建词条
+   * @param {object} data - { term, aliases, definition, userId, teamId }
+   * @returns {object}
+   */
+  create(data) {
+    const now = new Date().toISOString();
+    const entry = {
+      id: crypto.randomUUID(),
+      createdAt: now,
+      updatedAt: now,
+      term: data.term,
+      aliases: data.aliases || [],
+      definition: data.definition,
+      userId: data.userId || null,
+      teamId: data.teamId || null
+    };
+
+    this.entries.push(entry);
+    this.persist();
+    return entry;
+  }
+
+  /**
+   * 更新词条
+   * @returns {object|null}
+   */
+  update(id, changes) {
+    const entry = this.get(id);
+    if (!entry) {
+      return null;
+    }
+
+    Object.assign(entry, changes, { id, updatedAt: new Date().toISOString() });
+    this.persist();
+    return entry;
+  }
+
+  get(id) {
+    return this.entries.find(item => item.id === id) || null;
+  }
+
+  /**
+   * 列出词条（按词条名排序）
+   * @param {string} teamId - 只返回该团队的词条
+   */
+  list(teamId) {
+    return this.entries
+      .filter(entry => !teamId || entry.teamId === teamId)
+      .sort((a, b) => a.term.localeCompare(b.term, 'zh-CN'));
+  }
+
+  /**
+   * 同一团队中名称或别名相同的词条（不区分大小写），用于查重
+   * @param {string[]} names - 词条名与别名
+   * @param {string} teamId
+   * @param {string} excludeId - 更新时排除自身
+   * @returns {object|null}
+   */
+  findConflict(names, teamId, excludeId = null) {
+    const wanted = names.map(name => name.toLowerCase());
+    return this.list(teamId).find(entry => entry.id !== excludeId
+      && [entry.term, ...entry.aliases].some(name => wanted.includes(name.toLowerCase()))) || null;
+  }
+
+  /**
+   * 找出文本中出现的词条，按首次出现的位置排序，最多 GLOSSARY_MAX_MATCHES 条
+   * @param {string} text - 原文（可含补充背景）
+   * @param {string} teamId - 工作区
+   * @returns {object[]} 命中的词条，附带 matched（原文中出现的名称）
+   */
+  match(text, teamId) {
+    if (!text) {
+      return [];
+    }
+
+    const limit = parseInt(process.env.GLOSSARY_MAX_MATCHES, 10) || GLOSSARY_MAX_MATCHES;
+    return this.list(teamId)
+      .map(entry => {
+        const hits = [entry.term, ...entry.aliases]
+          .map(name => ({ name, index: indexOfTerm(text, name) }))
+          .filter(hit => hit.index !== -1)
+          .sort((a, b) => a.index - b.index);
+        return hits.length > 0 ? { ...entry, matched: hits[0].name, index: hits[0].index } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.index - b.index)
+      .slice(0, limit)
+      .map(({ index, ...entry }) => entry);
+  }
+
+  /**
+   * 删除词条
+   * @returns {boolean}
+   */
+  remove(id) {
+    const index = this.entries.findIndex(item => item.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    this.entries.splice(index, 1);
+    this.persist();
+    return true;
+  }
+}
+
+// 单例模式
+const glossaryStore = new GlossaryStore();
+
+module.exports = glossaryStore;
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const promptRegistry = require('../prompts/prompt-registry');
+const { HISTORY_MAX_ITEMS } = require('../utils/constants');
+
+/**
+ * 翻译历史存储
+ * 全量记录保存在内存中，每次变更后整体写回 JSON 文件
+ */
+class HistoryStore {
+  constructor() {
+    // 数据目录
+    this.dataDir = process.env.DATA_DIR || path.join(__dirname, '../data');
+    this.filePath = path.join(this.dataDir, 'history.json');
+    this.maxItems = parseInt(process.env.HISTORY_MAX_ITEMS, 10) || HISTORY_MAX_ITEMS;
+    this.records = this.load();
+  }
+
+  /**
+   * 从文件加载历史记录
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return [];
+      }
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return Array.isArray(data) ? data : [];
+    } catch (error) {
+      logger.logError('HISTORY_LOAD', error);
+      return [];
+    }
+  }
+
+  /**
+   * 写回文件（先写临时文件再重命名，避免写到一半的文件）
+   */
+  persist() {
+    try {
+      if (!fs.existsSync(this.dataDir)) {
+        fs.mkdirSync(this.dataDir, { recursive: true });
+      }
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.records, null, 2), 'utf8');
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      logger.logError('HISTORY_PERSIST', error);
+    }
+  }
+
+  /**
+   * 新建记录
+   * @param {object} data - { direction, mode, originalText, context, profileId, analysisJson, answers, result, model, glossaryTerms, refinements, status, userId, teamId }
+   * @returns {object} 新记录
+   */
+  create(data) {
+    const now = new Date().toISOString();
+    const record = {
+      id: crypto.randomUUID(),
+      createdAt: now,
+      updatedAt: now,
+      direction: data.direction,
+      mode: data.mode,
+      status: data.status || 'completed',
+      originalText: data.originalText || '',
+      context: data.context || '',
+      // 补充背景来自的背景档案
+      profileId: data.profileId || null,
+      analysisJson: data.analysisJson || null,
+      answers: data.answers || [],
+      result: data.result || '',
+      model: data.model || null,
+      // 注入提示词的团队术语
+      glossaryTerms: data.glossaryTerms || [],
+      // 生成结果时生效的提示词模板版本
+      promptVersion: data.promptVersion || promptRegistry.activeVersion(),
+      // 结果的输出结构一致性报告（见 translators/section-repair.js）
+      conformance: data.conformance || null,
+      // 往返校验报告（见 fidelity/round-trip.js）
+      fidelity: null,
+      // 所属的提示词实验 { id, variant } 与结果使用信号
+      experiment: data.experiment || null,
+      outcomes: {},
+      refinements: data.refinements || [],
+      userId: data.userId || null,
+      teamId: data.teamId || null
+    };
+
+    this.records.unshift(record);
+    if (this.records.length > this.maxItems) {
+      this.records.length = this.maxItems;
+    }
+    this.persist();
+    return record;
+  }
+
+  /**
+   * 更新记录
+   * @param {string} id - 记录 ID
+   * @param {object} changes - 需要更新的字段
+   * @returns {object|null} 更新后的记录，不存在时返回 null
+   */
+  update(id, changes) {
+    const record = this.records.find(item => item.id === id);
+    if (!record) {
+      return null;
+    }
+
+    Object.assign(record, changes, { id, updatedAt: new Date().toISOString() });
+    this.persist();
+    return record;
+  }
+
+  /**
+   * 获取单条记录
+   * @param {string} id - 记录 ID
+   */
+  get(id) {
+    return this.records.find(item => item.id === id) || null;
+  }
+
+  /**
+   * 查询记录
+   * @param {object} filters
+   * @param {string} filters.q - 在原文与结果中搜索的关键字
+   * @param {string} filters.direction - 方向 ID
+   * @param {string} filters.mode - 'direct' | 'interactive'
+   * @param {string} filters.from - 起始日期（含），ISO 日期或时间
+   * @param {string} filters.to - 截止日期（含），ISO 日期或时间
+   * @param {string} filters.teamId - 只返回该团队的记录
+   * @param {number} filters.limit - 每页条数
+   * @param {number} filters.offset - 偏移量
+   * @returns {{ items: object[], total: number }}
+   */
+  list(filters = {}) {
+    const { q, direction, mode, from, to, teamId, limit = 50, offset = 0 } = filters;
+    const keyword = q ? q.trim().toLowerCase() : '';
+    const fromTime = from ? Date.parse(from) : NaN;
+    // 纯日期的截止时间包含当天
+    const toTime = to ? Date.parse(to.length === 10 ? `${to}T23:59:59.999Z` : to) : NaN;
+
+    const matched = this.records.filter(record => {
+      if (teamId && record.teamId !== teamId) return false;
+      if (direction && record.direction !== direction) return false;
+      if (mode && record.mode !== mode) return false;
+
+      const createdTime = Date.parse(record.createdAt);
+      if (!Number.isNaN(fromTime) && createdTime < fromTime) return false;
+      if (!Number.isNaN(toTime) && createdTime > toTime) return false;
+
+      if (keyword) {
+        const haystack = `${record.originalText}\n${record.result}`.toLowerCase();
+        if (!haystack.includes(keyword)) return false;
+      }
+
+      return true;
+    });
+
+    return {
+      total: matched.length,
+      items: matched.slice(offset, offset + limit)
+    };
+  }
+
+  /**
+   * 删除单条记录
+   * @param {string} id - 记录 ID
+   * @returns {boolean} 是否删除成功
+   */
+  remove(id) {
+    const index = this.records.findIndex(item => item.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    this.records.splice(index, 1);
+    this.persist();
+    return true;
+  }
+
+  /**
+   * 清空记录
+   * @param {string} [teamId] - 只清空该团队的记录
+   * @returns {number} 删除的条数
+   */
+  clear(teamId) {
+    const count = this.records.length;
+    this.records = teamId ? this.records.filter(record => record.teamId !== teamId) : [];
+    this.persist();
+    return count - this.records.length;
+  }
+}
+
+// 单例模式
+const historyStore = new HistoryStore();
+
+module.exports = historyStore;
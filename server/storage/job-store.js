@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { BATCH_MAX_JOBS } = require('../utils/constants');
+
+/**
+ * 批量翻译任务存储
+ * 每个任务连同逐条的状态与结果保存在 DATA_DIR/jobs.json，服务重启后可继续处理未完成的条目
+ *
+ * 任务状态：queued → running → completed | cancelled
+ * 条目状态：pending → running → completed | failed | cancelled
+ */
+class JobStore {
+  constructor() {
+    // 数据目录
+    this.dataDir = process.env.DATA_DIR || path.join(__dirname, '../data');
+    this.filePath = path.join(this.dataDir, 'jobs.json');
+    this.maxJobs = parseInt(process.env.BATCH_MAX_JOBS, 10) || BATCH_MAX_JOBS;
+    this.jobs = this.load();
+  }
+
+  /**
+   * 从文件加载
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return [];
+      }
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return Array.isArray(data) ? data : [];
+    } catch (error) {
+      logger.logError('JOB_LOAD', error);
+      return [];
+    }
+  }
+
+  /**
+   * 写回文件（先写临时文件再重命名）
+   */
+  persist() {
+    try {
+      if (!fs.existsSync(this.dataDir)) {
+        fs.mkdirSync(this.dataDir, { recursive: true });
+      }
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.jobs, null, 2), 'utf8');
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      logger.logError('JOB_PERSIST', error);
+    }
+  }
+
+  /**
+   * 新建任务
+   * @param {object} data - { name, concurrency, items: [{ ref, direction, mode, content, context }], userId, teamId }
+   * @returns {object}
+   */
+  create(data) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      createdAt: now,
+      updatedAt: now,
+      name: data.name || '',
+      status: 'queued',
+      concurrency: data.concurrency,
+      userId: data.userId || null,
+      teamId: data.teamId || null,
+      // 创建任务的客户端，条目的用量计入其每日预算
+      client: data.client || null,
+      items: data.items.map((item, index) => ({
+        index,
+        ref: item.ref || '',
+        direction: item.direction,
+        mode: item.mode,
+        content: item.content,
+        context: item.context || '',
+        status: 'pending',
+        result: '',
+        answers: [],
+        glossaryTerms: [],
+        error: null,
+        model: null,
+        historyId: null,
+        startedAt: null,
+        finishedAt: null
+      }))
+    };
+
+    this.jobs.unshift(job);
+    // 超出上限时淘汰最早的已结束任务
+    while (this.jobs.length > this.maxJobs) {
+      const finished = this.jobs.map(item => item.status === 'completed' || item.status === 'cancelled');
+      const index = finished.lastIndexOf(true);
+      this.jobs.splice(index === -1 ? this.jobs.length - 1 : index, 1);
+    }
+    this.persist();
+    return job;
+  }
+
+  /**
+   * 获取任务
+   * @param {string} id - 任务 ID
+   */
+  get(id) {
+    return this.jobs.find(job => job.id === id) || null;
+  }
+
+  /**
+   * 任务列表
+   * @param {string} [teamId] - 只返回该团队的任务
+   */
+  list(teamId) {
+    return teamId ? this.jobs.filter(job => job.teamId === teamId) : this.jobs;
+  }
+
+  /**
+   * 更新任务字段
+   * @returns {object|null}
+   */
+  update(id, changes) {
+    const job = this.get(id);
+    if (!job) {
+      return null;
+    }
+
+    Object.assign(job, changes, { id, updatedAt: new Date().toISOString() });
+    this.persist();
+    return job;
+  }
+
+  /**
+   * 更新单个条目
+   * @param {string} id - 任务 ID
+   * @param {number} index - 条目序号
+   * @param {object} changes - 需要更新的字段
+   * @returns {object|null} 更新后的条目
+   */
+  updateItem(id, index, changes) {
+    const job = this.get(id);
+    const item = job && job.items[index];
+    if (!item) {
+      return null;
+    }
+
+    Object.assign(item, changes);
+    job.updatedAt = new Date().toISOString();
+    this.persist();
+    return item;
+  }
+
+  /**
+   * 条目计数
+   * @returns {{ total, pending, running, completed, failed, cancelled }}
+   */
+  countItems(job) {
+    const counts = { total: job.items.length, pending: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+    job.items.forEach(item => {
+      counts[item.status]++;
+    });
+    return counts;
+  }
+
+  /**
+   * 任务摘要（不含条目）
+   */
+  summarize(job) {
+    return {
+      id: job.id,
+      name: job.name,
+      status: job.status,
+      concurrency: job.concurrency,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      counts: this.countItems(job)
+    };
+  }
+
+  /**
+   * 删除任务
+   * @returns {boolean}
+   */
+  remove(id) {
+    const index = this.jobs.findIndex(job => job.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    this.jobs.splice(index, 1);
+    this.persist();
+    return true;
+  }
+}
+
+// 单例模式
+const jobStore = new JobStore();
+
+module.exports = jobStore;
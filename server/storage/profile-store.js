@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { PROFILE_FIELDS } = require('../utils/constants');
+
+/**
+ * 项目背景档案存储
+ * 档案记录技术栈、团队规模、流量、SLA、合规约束等可复用的背景，
+ * 翻译时拼接为补充背景；每个档案归属一个团队，保存在 DATA_DIR/profiles.json
+ */
+class ProfileStore {
+  constructor() {
+    // 数据目录
+    this.dataDir = process.env.DATA_DIR || path.join(__dirname, '../data');
+    this.filePath = path.join(this.dataDir, 'profiles.json');
+    this.profiles = this.load();
+  }
+
+  /**
+   * 从文件加载
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return [];
+      }
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return Array.isArray(data) ? data : [];
+    } catch (error) {
+      logger.logError('PROFILE_LOAD', error);
+      return [];
+    }
+  }
+
+  /**
+   * 写回文件（先写临时文件再重命名）
+   */
+  persist() {
+    try {
+      if (!fs.existsSync(this.dataDir)) {
+        fs.mkdirSync(this.dataDir, { recursive: true });
+      }
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.profiles, null, 2), 'utf8');
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      logger.logError('PROFILE_PERSIST', error);
+    }
+  }
+
+  /**
+   * 新建档案
+   * @param {object} data - { name, techStack, teamSize, traffic, sla, compliance, notes, userId, teamId }
+   * @returns {object}
+   */
+  create(data) {
+    const now = new Date().toISOString();
+    const profile = {
+      id: crypto.randomUUID(),
+      createdAt: now,
+      updatedAt: now,
+      name: data.name,
+      userId: data.userId || null,
+      teamId: data.teamId || null
+    };
+    Object.keys(PROFILE_FIELDS).forEach(field => {
+      profile[field] = data[field] || '';
+    });
+
+    this.profiles.push(profile);
+    this.persist();
+    return profile;
+  }
+
+  /**
+   * 更新档案
+   * @returns {object|null}
+   */
+  update(id, changes) {
+    const profile = this.get(id);
+    if (!profile) {
+      return null;
+    }
+
+    Object.assign(profile, changes, { id, updatedAt: new Date().toISOString() });
+    this.persist();
+    return profile;
+  }
+
+  get(id) {
+    return this.profiles.find(item => item.id === id) || null;
+  }
+
+  /**
+   * 列出档案（按名称排序）
+   * @param {string} teamId - 只返回该团队的档案
+   */
+  list(teamId) {
+    return this.profiles
+      .filter(profile => !teamId || profile.teamId === teamId)
+      .sort((a, b) => a.name.localeCompare(b.name, 'zh-CN'));
+  }
+
+  /**
+   * 删除档案
+   * @returns {boolean}
+   */
+  remove(id) {
+    const index = this.profiles.findIndex(item => item.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    this.profiles.splice(index, 1);
+    this.persist();
+    return true;
+  }
+
+  /**
+   * 拼接为提示词中的补充背景，跳过空字段；所有字段都为空时返回空字符串
+   * @param {object} profile - 档案
+   * @returns {string}
+   */
+  toContext(profile) {
+    const lines = Object.entries(PROFILE_FIELDS)
+      .filter(([field]) => profile[field])
+      .map(([field, label]) => `- ${label}：${profile[field]}`);
+    return lines.length > 0 ? `项目背景（${profile.name}）：\n${lines.join('\n')}` : '';
+  }
+}
+
+// 单例模式
+const profileStore = new ProfileStore();
+
+module.exports = profileStore;
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const { SESSION_TTL_MINUTES, SESSION_MAX_COUNT } = require('../utils/constants');
+
+/**
+ * 交互式翻译会话存储（内存）
+ * 分析阶段创建会话，合成阶段只凭 sessionId 取回方向、原文、上下文与分析结果，
+ * 不再信任前端回传的 analysisJson
+ */
+class SessionStore {
+  constructor() {
+    const ttlMinutes = parseInt(process.env.SESSION_TTL_MINUTES, 10) || SESSION_TTL_MINUTES;
+    this.ttl = ttlMinutes * 60 * 1000;
+    this.maxCount = SESSION_MAX_COUNT;
+    this.sessions = new Map();
+
+    // 定期清理过期会话，不阻止进程退出
+    this.cleanupTimer = setInterval(() => this.cleanup(), 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * 创建会话
+   * @param {object} data - { direction, content, context, analysisJson, historyId, userId, teamId }
+   * @returns {object} 新会话
+   */
+  create(data) {
+    const now = Date.now();
+    const session = {
+      id: crypto.randomUUID(),
+      createdAt: now,
+      expiresAt: now + this.ttl,
+      direction: data.direction,
+      content: data.content,
+      context: data.context || '',
+      analysisJson: data.analysisJson,
+      historyId: data.historyId || null,
+      // 分析阶段分配的实验变体，合成阶段沿用
+      experiment: data.experiment || null,
+      userId: data.userId || null,
+      teamId: data.teamId || null
+    };
+
+    // 超出上限时淘汰最早创建的会话（Map 保持插入顺序）
+    if (this.sessions.size >= this.maxCount) {
+      const oldestId = this.sessions.keys().next().value;
+      this.sessions.delete(oldestId);
+    }
+
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  /**
+   * 获取未过期的会话，并顺延过期时间
+   * @param {string} id - 会话 ID
+   * @returns {object|null}
+   */
+  get(id) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return null;
+    }
+
+    if (session.expiresAt <= Date.now()) {
+      this.sessions.delete(id);
+      return null;
+    }
+
+    session.expiresAt = Date.now() + this.ttl;
+    return session;
+  }
+
+  /**
+   * 删除会话
+   * @param {string} id - 会话 ID
+   */
+  remove(id) {
+    this.sessions.delete(id);
+  }
+
+  /**
+   * 清理过期会话
+   */
+  cleanup() {
+    const now = Date.now();
+    for (const [id, session] of this.sessions) {
+      if (session.expiresAt <= now) {
+        this.sessions.delete(id);
+      }
+    }
+  }
+}
+
+// 单例模式
+const sessionStore = new SessionStore();
+
+module.exports = sessionStore;
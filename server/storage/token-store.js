@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { generateToken, hashToken } = require('../auth/passwords');
+
+// 最近使用时间的写回间隔，避免每个请求都写文件
+const LAST_USED_PERSIST_INTERVAL_MS = 60 * 1000;
+
+/**
+ * 访问令牌存储
+ * - session：网页登录后签发，有过期时间
+ * - api：个人 API 令牌，供脚本、CI 等程序化调用
+ * 只保存令牌的 SHA-256 摘要与前几位（用于在列表中辨认）
+ */
+class TokenStore {
+  constructor() {
+    // 数据目录
+    this.dataDir = process.env.DATA_DIR || path.join(__dirname, '../data');
+    this.filePath = path.join(this.dataDir, 'tokens.json');
+    this.tokens = this.load();
+  }
+
+  /**
+   * 从文件加载
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return [];
+      }
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return Array.isArray(data) ? data : [];
+    } catch (error) {
+      logger.logError('TOKENS_LOAD', error);
+      return [];
+    }
+  }
+
+  /**
+   * 写回文件（先写临时文件再重命名）
+   */
+  persist() {
+    try {
+      if (!fs.existsSync(this.dataDir)) {
+        fs.mkdirSync(this.dataDir, { recursive: true });
+      }
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.tokens, null, 2), 'utf8');
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      logger.logError('TOKENS_PERSIST', error);
+    }
+  }
+
+  /**
+   * 签发令牌
+   * @param {object} data - { userId, type: 'session' | 'api', name, expiresAt }
+   * @returns {{ token: string, record: object }} token 为明文，只返回这一次
+   */
+  issue(data) {
+    const token = generateToken();
+    const now = new Date().toISOString();
+    const record = {
+      id: crypto.randomUUID(),
+      userId: data.userId,
+      type: data.type,
+      name: data.name || '',
+      prefix: token.slice(0, 8),
+      hash: hashToken(token),
+      createdAt: now,
+      lastUsedAt: null,
+      expiresAt: data.expiresAt || null
+    };
+
+    this.removeExpired();
+    this.tokens.push(record);
+    this.persist();
+    return { token, record };
+  }
+
+  /**
+   * 校验令牌明文
+   * @returns {object|null} 有效的令牌记录
+   */
+  verify(token) {
+    const hash = hashToken(token);
+    const record = this.tokens.find(item => item.hash === hash);
+    if (!record || (record.expiresAt && Date.parse(record.expiresAt) <= Date.now())) {
+      return null;
+    }
+
+    const now = Date.now();
+    const lastUsed = record.lastUsedAt ? Date.parse(record.lastUsedAt) : 0;
+    record.lastUsedAt = new Date(now).toISOString();
+    if (now - lastUsed > LAST_USED_PERSIST_INTERVAL_MS) {
+      this.persist();
+    }
+    return record;
+  }
+
+  /**
+   * 用户的令牌
+   * @param {string} userId - 用户 ID
+   * @param {string} type - 'session' | 'api'
+   */
+  list(userId, type) {
+    return this.tokens.filter(item => item.userId === userId && item.type === type);
+  }
+
+  /**
+   * 吊销用户的某个令牌
+   * @returns {boolean}
+   */
+  revoke(id, userId) {
+    const index = this.tokens.findIndex(item => item.id === id && item.userId === userId);
+    if (index === -1) {
+      return false;
+    }
+    this.tokens.splice(index, 1);
+    this.persist();
+    return true;
+  }
+
+  /**
+   * 吊销用户的全部令牌（删除用户、重置密码时）
+   * @param {string} userId - 用户 ID
+   * @param {string} [type] - 只吊销该类型
+   */
+  revokeAll(userId, type) {
+    const before = this.tokens.length;
+    this.tokens = this.tokens.filter(item => item.userId !== userId || (type && item.type !== type));
+    if (this.tokens.length !== before) {
+      this.persist();
+    }
+  }
+
+  /**
+   * 清理已过期的令牌
+   */
+  removeExpired() {
+    const now = Date.now();
+    this.tokens = this.tokens.filter(item => !item.expiresAt || Date.parse(item.expiresAt) > now);
+  }
+
+  /**
+   * 对外展示的令牌信息（不含摘要）
+   */
+  toPublic(record) {
+    const { hash, ...rest } = record;
+    return rest;
+  }
+}
+
+// 单例模式
+const tokenStore = new TokenStore();
+
+module.exports = tokenStore;
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Token 用量与费用统计
+ * 按 日期 × 模式 × 方向 × 模型（× 团队 × 用户）聚合保存，每次记录后整体写回 JSON 文件
+ */
+class UsageStore {
+  constructor() {
+    // 数据目录
+    this.dataDir = process.env.DATA_DIR || path.join(__dirname, '../data');
+    this.filePath = path.join(this.dataDir, 'usage.json');
+    this.buckets = this.load();
+  }
+
+  /**
+   * 从文件加载
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return {};
+      }
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+    } catch (error) {
+      logger.logError('USAGE_LOAD', error);
+      return {};
+    }
+  }
+
+  /**
+   * 写回文件（先写临时文件再重命名）
+   */
+  persist() {
+    try {
+      if (!fs.existsSync(this.dataDir)) {
+        fs.mkdirSync(this.dataDir, { recursive: true });
+      }
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.buckets, null, 2), 'utf8');
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      logger.logError('USAGE_PERSIST', error);
+    }
+  }
+
+  /**
+   * 记录一次 LLM 调用
+   * @param {object} entry
+   * @param {string} entry.mode - 调用模式，如 'direct'、'interactive-analyze'
+   * @param {string} entry.direction - 方向 ID
+   * @param {string} entry.model - 实际服务的模型
+   * @param {number|null} entry.promptTokens - 服务商未返回用量时为 null
+   * @param {number|null} entry.completionTokens
+   * @param {number|null} entry.cost - 未知价格时为 null
+   * @param {string} [entry.teamId] - 发起请求的团队（启用认证时）
+   * @param {string} [entry.userId] - 发起请求的用户（启用认证时）
+   */
+  record(entry) {
+    const day = new Date().toISOString().slice(0, 10);
+    const direction = entry.direction || 'unknown';
+    const teamId = entry.teamId || null;
+    const userId = entry.userId || null;
+    // 未归属到用户的调用沿用原来的键
+    const key = [day, entry.mode, direction, entry.model, ...(teamId || userId ? [teamId, userId] : [])].join('|');
+
+    if (!this.buckets[key]) {
+      this.buckets[key] = {
+        day,
+        mode: entry.mode,
+        direction,
+        model: entry.model,
+        teamId,
+        userId,
+        calls: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        cost: 0,
+        // 没有用量数据的调用次数
+        unmeasuredCalls: 0,
+        // 有用量但模型不在价格表中的调用次数
+        unpricedCalls: 0
+      };
+    }
+
+    const bucket = this.buckets[key];
+    bucket.calls++;
+
+    if (entry.promptTokens == null || entry.completionTokens == null) {
+      bucket.unmeasuredCalls++;
+    } else {
+      bucket.promptTokens += entry.promptTokens;
+      bucket.completionTokens += entry.completionTokens;
+      if (entry.cost == null) {
+        bucket.unpricedCalls++;
+      } else {
+        bucket.cost += entry.cost;
+      }
+    }
+
+    this.persist();
+  }
+
+  /**
+   * 汇总统计
+   * @param {object} filters
+   * @param {string} filters.from - 起始日期（含），YYYY-MM-DD
+   * @param {string} filters.to - 截止日期（含），YYYY-MM-DD
+   * @param {string} filters.teamId - 只统计该团队
+   * @returns {object} { totals, byMode, byDirection, byModel, byDay, byTeam, byUser }
+   *   byTeam / byUser 只包含已归属到团队、用户的调用
+   */
+  summarize(filters = {}) {
+    const { from, to, teamId } = filters;
+    const empty = () => ({
+      calls: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      totalTokens: 0,
+      cost: 0,
+      unmeasuredCalls: 0,
+      unpricedCalls: 0
+    });
+    const add = (target, bucket) => {
+      target.calls += bucket.calls;
+      target.promptTokens += bucket.promptTokens;
+      target.completionTokens += bucket.completionTokens;
+      target.totalTokens += bucket.promptTokens + bucket.completionTokens;
+      target.cost += bucket.cost;
+      target.unmeasuredCalls += bucket.unmeasuredCalls;
+      target.unpricedCalls += bucket.unpricedCalls;
+    };
+
+    const summary = { totals: empty(), byMode: {}, byDirection: {}, byModel: {}, byDay: {}, byTeam: {}, byUser: {} };
+    const groups = {
+      byMode: 'mode',
+      byDirection: 'direction',
+      byModel: 'model',
+      byDay: 'day',
+      byTeam: 'teamId',
+      byUser: 'userId'
+    };
+
+    Object.values(this.buckets).forEach(bucket => {
+      if (from && bucket.day < from) return;
+      if (to && bucket.day > to) return;
+      if (teamId && bucket.teamId !== teamId) return;
+
+      add(summary.totals, bucket);
+      for (const [group, field] of Object.entries(groups)) {
+        const name = bucket[field];
+        if (!name) continue;
+        summary[group][name] = summary[group][name] || empty();
+        add(summary[group][name], bucket);
+      }
+    });
+
+    // 金额保留 6 位小数，避免浮点累加误差
+    const round = item => { item.cost = Math.round(item.cost * 1e6) / 1e6; };
+    round(summary.totals);
+    Object.keys(groups).forEach(group => Object.values(summary[group]).forEach(round));
+
+    return summary;
+  }
+}
+
+// 单例模式
+const usageStore = new UsageStore();
+
+module.exports = usageStore;
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * 群机器人 Webhook 目标存储
+ * 每个目标归属一个团队，保存在 DATA_DIR/webhooks.json
+ */
+class WebhookStore {
+  constructor() {
+    // 数据目录
+    this.dataDir = process.env.DATA_DIR || path.join(__dirname, '../data');
+    this.filePath = path.join(this.dataDir, 'webhooks.json');
+    this.targets = this.load();
+  }
+
+  /**
+   * 从文件加载
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return [];
+      }
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return Array.isArray(data) ? data : [];
+    } catch (error) {
+      logger.logError('WEBHOOK_LOAD', error);
+      return [];
+    }
+  }
+
+  /**
+   * 写回文件（先写临时文件再重命名）
+   */
+  persist() {
+    try {
+      if (!fs.existsSync(this.dataDir)) {
+        fs.mkdirSync(this.dataDir, { recursive: true });
+      }
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.targets, null, 2), 'utf8');
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      logger.logError('WEBHOOK_PERSIST', error);
+    }
+  }
+
+  /**
+   * 新建目标
+   * @param {object} data - { name, team, platform, url, secret, teamId }
+   * @returns {object}
+   */
+  create(data) {
+    const now = new Date().toISOString();
+    const target = {
+      id: crypto.randomUUID(),
+      createdAt: now,
+      updatedAt: now,
+      name: data.name,
+      team: data.team || '',
+      platform: data.platform,
+      url: data.url,
+      secret: data.secret || '',
+      // 所属工作区（启用认证时）；team 是工作区内用于分组的名称
+      teamId: data.teamId || null
+    };
+
+    this.targets.push(target);
+    this.persist();
+    return target;
+  }
+
+  /**
+   * 更新目标
+   * @returns {object|null}
+   */
+  update(id, changes) {
+    const target = this.get(id);
+    if (!target) {
+      return null;
+    }
+
+    Object.assign(target, changes, { id, updatedAt: new Date().toISOString() });
+    this.persist();
+    return target;
+  }
+
+  get(id) {
+    return this.targets.find(item => item.id === id) || null;
+  }
+
+  /**
+   * 列出目标
+   * @param {object} filters - { team, teamId }
+   */
+  list(filters = {}) {
+    return this.targets.filter(target => {
+      if (filters.teamId && target.teamId !== filters.teamId) return false;
+      return !filters.team || target.team === filters.team;
+    });
+  }
+
+  /**
+   * 删除目标
+   * @returns {boolean}
+   */
+  remove(id) {
+    const index = this.targets.findIndex(item => item.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    this.targets.splice(index, 1);
+    this.persist();
+    return true;
+  }
+}
+
+// 单例模式
+const webhookStore = new WebhookStore();
+
+module.exports = webhookStore;
@@ -1,69 +1,100 @@
-const OpenAI = require('openai');
 const UNIFIED_PROMPTS = require('../prompts/prompts');
+const roleRegistry = require('../roles/registry');
 const logger = require('../utils/logger');
-const { DEFAULT_MODEL, MAX_TOKENS } = require('../utils/constants');
+const { modelRouter } = require('../llm/model-router');
+const { responseCache, promptVersion, replayChunks } = require('../cache/response-cache');
+const { repairSections } = require('./section-repair');
+const { MAX_TOKENS, LLM_STAGES, TRANSLATION_MODE } = require('../utils/constants');
 
 class DirectTranslator {
-  constructor() {
-    this.client = new OpenAI({
-      apiKey: process.env.LLM_API_KEY,
-      baseURL: process.env.LLM_API_BASE_URL
-    });
-    this.model = process.env.LLM_MODEL || DEFAULT_MODEL;
+  /**
+   * @param {object} config
+   * @param {ModelRouter} config.router - 可选的模型路由，默认使用按环境变量配置的共享实例
+   */
+  constructor(config = {}) {
+    this.router = config.router || modelRouter;
   }
 
   /**
    * 获取对应方向的系统提示词（Direct 模式）
    */
   getSystemPrompt(direction) {
-    switch (direction) {
-      case 'pm-to-dev':
-        return UNIFIED_PROMPTS.direct.pmToDev;
-      case 'dev-to-pm':
-        return UNIFIED_PROMPTS.direct.devToPm;
-      default:
-        throw new Error(`未知的翻译方向: ${direction}`);
-    }
+    return roleRegistry.require(direction).prompts.direct;
   }
 
   /**
    * 构建用户消息
+   * @param {string} content - 原始输入
+   * @param {string} direction - 方向 ID
+   * @param {string} context - 补充背景（可选），如所选背景档案
+   * @param {object[]} glossary - 原文中命中的团队术语（可选）
    */
-  buildUserMessage(content, direction) {
-    const roleLabel = direction === 'pm-to-dev' ? '产品经理' : '开发工程师';
-    return `以下是${roleLabel}的原始描述，请进行翻译：
-
----
-${content}
----
-
-请按照指定格式输出翻译结果。`;
+  buildUserMessage(content, direction, context = '', glossary = []) {
+    const roleLabel = roleRegistry.require(direction).source.label;
+    return UNIFIED_PROMPTS.getDirectUserPrompt(roleLabel, content, context, glossary);
   }
 
   /**
    * 流式翻译
-   * @param {string} direction - 翻译方向 'pm-to-dev' | 'dev-to-pm'
+   * @param {string} direction - 翻译方向，角色注册表中的方向 ID
    * @param {string} content - 用户输入内容
    * @param {function} onChunk - 收到内容片段时的回调
-   * @param {function} onDone - 完成时的回调
+   * @param {function} onDone - 完成时的回调 (result, { model, conformance }) => {}，result 为修复后的结果
    * @param {function} onError - 错误时的回调
+   * @param {object} options
+   * @param {boolean} options.bypassCache - 跳过缓存读取（结果仍会写入缓存）
+   * @param {object} options.requester - 发起方 { client, userId, teamId }，用于预算与用量归属
+   * @param {string} options.context - 补充背景，如所选背景档案
+   * @param {object[]} options.glossary - 原文中命中的团队术语，注入提示词
    */
-  async translateStream(direction, content, onChunk, onDone, onError) {
+  async translateStream(direction, content, onChunk, onDone, onError, options = {}) {
     const startTime = Date.now();
     let fullResponse = '';
 
     try {
       const systemPrompt = this.getSystemPrompt(direction);
-      const userMessage = this.buildUserMessage(content, direction);
-
+      const userMessage = this.buildUserMessage(content, direction, options.context, options.glossary);
       const messages = [
         { role: 'system', content: systemPrompt },
         { role: 'user', content: userMessage }
       ];
+      const repair = (result) => repairSections({
+        router: this.router,
+        stage: LLM_STAGES.DIRECT,
+        pair: roleRegistry.require(direction),
+        mode: TRANSLATION_MODE.DIRECT,
+        logMode: 'direct',
+        messages,
+        result,
+        requester: options.requester
+      });
+
+      const cacheKey = responseCache.buildKey({
+        direction,
+        mode: TRANSLATION_MODE.DIRECT,
+        content,
+        context: options.context || '',
+        glossary: options.glossary,
+        model: this.router.primaryModel(LLM_STAGES.DIRECT),
+        promptVersion: promptVersion(systemPrompt)
+      });
+
+      if (options.bypassCache) {
+        responseCache.markBypass(TRANSLATION_MODE.DIRECT);
+      } else {
+        const cached = responseCache.get(cacheKey, TRANSLATION_MODE.DIRECT);
+        if (cached) {
+          // 命中缓存：按同样的片段/完成回调回放，结构检查报告随结果一起缓存，不再调用模型修复
+          logger.logInfo('CACHE_HIT', { direction, mode: 'direct', model: cached.model });
+          replayChunks(cached.result, onChunk);
+          onDone(cached.result, { model: cached.model, conformance: cached.conformance });
+          return;
+        }
+      }
 
       // 记录 LLM 调用开始
       logger.logLlmCall({
-        model: this.model,
+        model: this.router.primaryModel(LLM_STAGES.DIRECT),
         direction,
         mode: 'direct',
         max_tokens: MAX_TOKENS,
@@ -73,19 +104,17 @@ ${content}
 
       // 记录完整请求内容
       logger.logLlmRequest({
-        model: this.model,
+        model: this.router.primaryModel(LLM_STAGES.DIRECT),
         direction,
         mode: 'direct',
         stream: true,
         messages
       });
 
-      const stream = await this.client.chat.completions.create({
-        model: this.model,
+      const { endpoint, stream, usage } = await this.router.openStream(LLM_STAGES.DIRECT, {
         max_tokens: MAX_TOKENS,
-        messages,
-        stream: true
-      });
+        messages
+      }, { mode: 'direct', direction, requester: options.requester });
 
       for await (const chunk of stream) {
         const delta = chunk.choices[0]?.delta?.content;
@@ -98,16 +127,17 @@ ${content}
       // 记录 LLM 响应成功
       const duration = Date.now() - startTime;
       logger.logLlmResponse({
-        model: this.model,
+        model: endpoint.model,
         direction,
         mode: 'direct',
         responseLength: fullResponse.length,
-        duration
+        duration,
+        usage
       });
 
       // 记录完整响应内容
       logger.logLlmFullResponse({
-        model: this.model,
+        model: endpoint.model,
         direction,
         mode: 'direct',
         duration,
@@ -115,7 +145,11 @@ ${content}
         responseContent: fullResponse
       });
 
-      onDone();
+      // 缓存修复后的结果与结构检查报告
+      const { result, conformance } = await repair(fullResponse);
+      responseCache.set(cacheKey, { result, model: endpoint.model, conformance });
+
+      onDone(result, { model: endpoint.model, conformance });
 
     } catch (error) {
       // 记录错误
@@ -124,6 +158,118 @@ ${content}
     }
   }
 
+  /**
+   * 追问修改（流式）
+   * 以多轮对话的形式发送：原始输入 → 上一版结果 → 修改指令
+   * @param {object} options
+   * @param {string} options.direction - 翻译方向 ID
+   * @param {string} options.originalText - 原始输入内容
+   * @param {string} options.previousResult - 上一版翻译结果
+   * @param {string} options.instruction - 用户的修改指令
+   * @param {function} options.onChunk - 收到内容片段时的回调
+   * @param {function} options.onDone - 完成时的回调 (result, { model, conformance }) => {}，result 为修复后的结果
+   * @param {function} options.onError - 错误时的回调
+   * @param {object} options.requester - 发起方 { client, userId, teamId }，用于预算与用量归属
+   * @param {string} options.context - 原翻译使用的补充背景
+   * @param {object[]} options.glossary - 原文中命中的团队术语，注入提示词
+   */
+  async refineStream(options) {
+    const {
+      direction,
+      originalText,
+      previousResult,
+      instruction,
+      onChunk,
+      onDone,
+      onError,
+      requester,
+      context = '',
+      glossary = []
+    } = options;
+
+    const startTime = Date.now();
+    let fullResponse = '';
+
+    try {
+      const messages = [
+        { role: 'system', content: UNIFIED_PROMPTS.getRefineSystemPrompt(this.getSystemPrompt(direction)) },
+        { role: 'user', content: this.buildUserMessage(originalText, direction, context, glossary) },
+        { role: 'assistant', content: previousResult },
+        { role: 'user', content: UNIFIED_PROMPTS.getRefineUserPrompt(instruction) }
+      ];
+
+      // 记录 LLM 调用开始
+      logger.logLlmCall({
+        model: this.router.primaryModel(LLM_STAGES.REFINE),
+        direction,
+        mode: 'refine',
+        max_tokens: MAX_TOKENS,
+        stream: true,
+        contentLength: originalText.length + previousResult.length + instruction.length
+      });
+
+      // 记录完整请求内容
+      logger.logLlmRequest({
+        model: this.router.primaryModel(LLM_STAGES.REFINE),
+        direction,
+        mode: 'refine',
+        stream: true,
+        messages
+      });
+
+      const { endpoint, stream, usage } = await this.router.openStream(LLM_STAGES.REFINE, {
+        max_tokens: MAX_TOKENS,
+        messages
+      }, { mode: 'refine', direction, requester });
+
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) {
+          fullResponse += delta;
+          onChunk(delta);
+        }
+      }
+
+      // 记录 LLM 响应成功
+      const duration = Date.now() - startTime;
+      logger.logLlmResponse({
+        model: endpoint.model,
+        direction,
+        mode: 'refine',
+        responseLength: fullResponse.length,
+        duration,
+        usage
+      });
+
+      // 记录完整响应内容
+      logger.logLlmFullResponse({
+        model: endpoint.model,
+        direction,
+        mode: 'refine',
+        duration,
+        responseLength: fullResponse.length,
+        responseContent: fullResponse
+      });
+
+      const { result, conformance } = await repairSections({
+        router: this.router,
+        stage: LLM_STAGES.REFINE,
+        pair: roleRegistry.require(direction),
+        mode: TRANSLATION_MODE.DIRECT,
+        logMode: 'refine',
+        messages,
+        result: fullResponse,
+        requester
+      });
+
+      onDone(result, { model: endpoint.model, conformance });
+
+    } catch (error) {
+      logger.logError('REFINE_STREAM', error);
+      onError(error);
+    }
+  }
+
   /**
    * 非流式翻译（用于测试）
    */
@@ -141,7 +287,7 @@ ${content}
 
       // 记录 LLM 调用开始
       logger.logLlmCall({
-        model: this.model,
+        model: this.router.primaryModel(LLM_STAGES.DIRECT),
         direction,
         mode: 'direct',
         max_tokens: MAX_TOKENS,
@@ -151,34 +297,34 @@ ${content}
 
       // 记录完整请求内容
       logger.logLlmRequest({
-        model: this.model,
+        model: this.router.primaryModel(LLM_STAGES.DIRECT),
         direction,
         mode: 'direct',
         stream: false,
         messages
       });
 
-      const response = await this.client.chat.completions.create({
-        model: this.model,
+      const { endpoint, response, usage } = await this.router.complete(LLM_STAGES.DIRECT, {
         max_tokens: MAX_TOKENS,
         messages
-      });
+      }, { mode: 'direct', direction });
 
       const result = response.choices[0].message.content;
 
       // 记录 LLM 响应成功
       const duration = Date.now() - startTime;
       logger.logLlmResponse({
-        model: this.model,
+        model: endpoint.model,
         direction,
         mode: 'direct',
         responseLength: result.length,
-        duration
+        duration,
+        usage
       });
 
       // 记录完整响应内容
       logger.logLlmFullResponse({
-        model: this.model,
+        model: endpoint.model,
         direction,
         mode: 'direct',
         duration,
@@ -1,47 +1,127 @@
-const OpenAI = require('openai');
 const UNIFIED_PROMPTS = require('../prompts/prompts');
+const roleRegistry = require('../roles/registry');
 const logger = require('../utils/logger');
-const { DEFAULT_MODEL, MAX_TOKENS } = require('../utils/constants');
+const { parseAnalysis } = require('../utils/analysis-json');
+const { modelRouter } = require('../llm/model-router');
+const { responseCache, promptVersion, replayChunks } = require('../cache/response-cache');
+const { repairSections } = require('./section-repair');
+const {
+  MAX_TOKENS,
+  ANALYSIS_REPAIR_MAX_ATTEMPTS,
+  LLM_STAGES,
+  TRANSLATION_MODE
+} = require('../utils/constants');
 
 /**
  * 交互式翻译器（Interactive Translator）
  * Analysis → 用户交互 → Synthesis
  */
 class InteractiveTranslator {
+  /**
+   * @param {object} config
+   * @param {ModelRouter} config.router - 可选的模型路由，默认使用按环境变量配置的共享实例
+   * @param {string} config.apiKey - 可选，覆盖 analyze / synthesize 阶段主端点的 API Key
+   * @param {string} config.baseURL - 可选，覆盖主端点的 Base URL
+   * @param {string} config.model - 可选，覆盖主端点的模型
+   */
   constructor(config = {}) {
-    this.config = {
-      apiKey: config.apiKey || process.env.LLM_API_KEY,
-      baseURL: config.baseURL || process.env.LLM_API_BASE_URL,
-      model: config.model || process.env.LLM_MODEL || DEFAULT_MODEL
-    };
-
-    if (!this.config.apiKey || !this.config.baseURL) {
-      throw new Error('缺少必要的 API 配置(apiKey 或 baseURL)');
+    const baseRouter = config.router || modelRouter;
+    const hasOverride = config.apiKey || config.baseURL || config.model;
+    this.router = hasOverride ? baseRouter.withPrimary(config) : baseRouter;
+
+    for (const stage of [LLM_STAGES.ANALYZE, LLM_STAGES.SYNTHESIZE]) {
+      const primary = this.router.getChain(stage)[0];
+      if (!primary.apiKey || !primary.baseURL) {
+        throw new Error('缺少必要的 API 配置(apiKey 或 baseURL)');
+      }
     }
-
-    this.client = new OpenAI({
-      apiKey: this.config.apiKey,
-      baseURL: this.config.baseURL
-    });
   }
 
   /**
    * 根据方向获取 Analysis 提示词
    */
   getAnalysisPrompt(direction) {
-    const normalizedDirection = direction === 'pm-to-dev' ? 'pmToDev' : 'devToPm';
-    return UNIFIED_PROMPTS.analysis[normalizedDirection];
+    return roleRegistry.require(direction).prompts.analysis;
+  }
+
+  /**
+   * 确定合成阶段使用的角色对
+   * 优先使用请求中的方向，否则按 analysisJson.direction 查找
+   */
+  resolveSynthesisPair(direction, analysisJson) {
+    if (direction) {
+      return roleRegistry.require(direction);
+    }
+
+    const pair = roleRegistry.findByKey(analysisJson.direction);
+    if (!pair) {
+      throw new Error(`无法识别分析结果中的翻译方向: ${analysisJson.direction}`);
+    }
+    return pair;
+  }
+
+  /**
+   * 解析并校验分析结果；不合格时把校验错误发回模型，最多修复 ANALYSIS_REPAIR_MAX_ATTEMPTS 次
+   * @param {string} direction - 方向 ID
+   * @param {array} messages - 分析阶段的原始对话
+   * @param {string} rawText - 模型的原始输出
+   * @param {object} requester - 发起方（可选）
+   * @returns {Promise<object>} 通过校验的 JSON
+   */
+  async parseAnalysisWithRepair(direction, messages, rawText, requester) {
+    const directionKey = roleRegistry.require(direction).key;
+    let text = rawText;
+    let { json, errors } = parseAnalysis(text, { directionKey });
+
+    for (let attempt = 1; errors.length > 0 && attempt <= ANALYSIS_REPAIR_MAX_ATTEMPTS; attempt++) {
+      logger.logInfo('ANALYSIS_REPAIR', { direction, attempt, errors });
+
+      const repairMessages = [
+        ...messages,
+        { role: 'assistant', content: text },
+        { role: 'user', content: UNIFIED_PROMPTS.getAnalysisRepairPrompt(errors) }
+      ];
+
+      // 记录完整请求内容
+      logger.logLlmRequest({
+        model: this.router.primaryModel(LLM_STAGES.ANALYZE),
+        direction,
+        mode: 'interactive-analyze-repair',
+        stream: false,
+        messages: repairMessages
+      });
+
+      const { response } = await this.router.complete(LLM_STAGES.ANALYZE, {
+        max_tokens: MAX_TOKENS,
+        messages: repairMessages,
+        response_format: { type: 'json_object' }
+      }, { mode: 'interactive-analyze-repair', direction, requester });
+
+      text = response.choices[0]?.message?.content || '';
+      ({ json, errors } = parseAnalysis(text, { directionKey }));
+    }
+
+    if (errors.length > 0) {
+      const error = new Error(`AI 返回的分析结果不符合格式要求：${errors.slice(0, 3).join('；')}`);
+      error.validationErrors = errors;
+      throw error;
+    }
+
+    return json;
   }
 
   /**
    * 分析阶段：结构化分析(流式输出 JSON)
    * @param {object} options
-   * @param {string} options.direction - 'pm-to-dev' | 'dev-to-pm'
+   * @param {string} options.direction - 方向 ID，如 'pm-to-dev'
    * @param {string} options.content - 用户输入内容
    * @param {string} options.context - 可选的上下文
    * @param {function} options.onChunk - 收到内容片段的回调
-   * @param {function} options.onDone - 完成的回调 (json) => {}
+   * @param {function} options.onDone - 完成的回调 (json, { model }) => {}
    * @param {function} options.onError - 错误的回调
+   * @param {boolean} options.bypassCache - 跳过缓存读取（结果仍会写入缓存）
+   * @param {object} options.requester - 发起方 { client, userId, teamId }，用于预算与用量归属
+   * @param {object[]} options.glossary - 原文中命中的团队术语，注入提示词
    */
   async analyzeStream(options) {
     const {
@@ -50,7 +130,10 @@ class InteractiveTranslator {
       context = '',
       onChunk,
       onDone,
-      onError
+      onError,
+      bypassCache = false,
+      requester,
+      glossary = []
     } = options;
 
     const startTime = Date.now();
@@ -58,7 +141,32 @@ class InteractiveTranslator {
     try {
       const analysisPrompt = this.getAnalysisPrompt(direction);
       const systemPrompt = analysisPrompt.system;
-      const userPrompt = analysisPrompt.getUserPrompt(content, context);
+      const userPrompt = analysisPrompt.getUserPrompt(content, context, glossary);
+
+      // 只缓存校验通过的分析结果
+      const cacheKey = responseCache.buildKey({
+        direction,
+        mode: TRANSLATION_MODE.INTERACTIVE,
+        content,
+        context,
+        glossary,
+        model: this.router.primaryModel(LLM_STAGES.ANALYZE),
+        promptVersion: promptVersion(systemPrompt)
+      });
+
+      if (bypassCache) {
+        responseCache.markBypass(TRANSLATION_MODE.INTERACTIVE);
+      } else {
+        const cached = responseCache.get(cacheKey, TRANSLATION_MODE.INTERACTIVE);
+        if (cached) {
+          logger.logInfo('CACHE_HIT', { direction, mode: 'interactive-analyze', model: cached.model });
+          if (onChunk) {
+            replayChunks(JSON.stringify(cached.json, null, 2), onChunk);
+          }
+          onDone(cached.json, { model: cached.model });
+          return;
+        }
+      }
 
       const messages = [
         { role: 'system', content: systemPrompt },
@@ -67,7 +175,7 @@ class InteractiveTranslator {
 
       // 记录 LLM 调用开始
       logger.logLlmCall({
-        model: this.config.model,
+        model: this.router.primaryModel(LLM_STAGES.ANALYZE),
         direction,
         mode: 'interactive-analyze',
         max_tokens: MAX_TOKENS,
@@ -77,20 +185,18 @@ class InteractiveTranslator {
 
       // 记录完整请求内容
       logger.logLlmRequest({
-        model: this.config.model,
+        model: this.router.primaryModel(LLM_STAGES.ANALYZE),
         direction,
         mode: 'interactive-analyze',
         stream: true,
         messages
       });
 
-      const stream = await this.client.chat.completions.create({
-        model: this.config.model,
+      const { endpoint, stream, usage } = await this.router.openStream(LLM_STAGES.ANALYZE, {
         max_tokens: MAX_TOKENS,
         messages,
-        stream: true,
         response_format: { type: 'json_object' }
-      });
+      }, { mode: 'interactive-analyze', direction, requester });
 
       let fullText = '';
 
@@ -104,43 +210,48 @@ class InteractiveTranslator {
         }
       }
 
-      // 解析完整的 JSON
+      // 记录 LLM 响应成功
+      const duration = Date.now() - startTime;
+      logger.logLlmResponse({
+        model: endpoint.model,
+        direction,
+        mode: 'interactive-analyze',
+        responseLength: fullText.length,
+        duration,
+        usage
+      });
+
+      // 记录完整响应内容
+      logger.logLlmFullResponse({
+        model: endpoint.model,
+        direction,
+        mode: 'interactive-analyze',
+        duration,
+        responseLength: fullText.length,
+        responseContent: fullText
+      });
+
+      // 提取、校验，必要时让模型修复
+      let json;
       try {
-        const json = JSON.parse(fullText);
-
-        // 记录 LLM 响应成功
-        const duration = Date.now() - startTime;
-        logger.logLlmResponse({
-          model: this.config.model,
-          direction,
-          mode: 'interactive-analyze',
-          responseLength: fullText.length,
-          duration
-        });
-
-        // 记录完整响应内容
-        logger.logLlmFullResponse({
-          model: this.config.model,
-          direction,
-          mode: 'interactive-analyze',
-          duration,
-          responseLength: fullText.length,
-          responseContent: fullText
-        });
-
-        logger.logInfo('ANALYZE_RESULT', {
-          questionsCount: json.missing_info?.length || 0,
-          canProceedDirectly: json.can_proceed_directly,
-          confidenceScore: json.confidence_score
-        });
-
-        onDone(json);
-      } catch (parseError) {
-        logger.logError('JSON_PARSE', parseError);
+        json = await this.parseAnalysisWithRepair(direction, messages, fullText, requester);
+      } catch (validationError) {
+        logger.logError('ANALYSIS_VALIDATE', validationError);
         logger.logDebug('RAW_RESPONSE', fullText);
-        onError(new Error('AI 返回的内容不是有效的 JSON'));
+        onError(validationError);
+        return;
       }
 
+      logger.logInfo('ANALYZE_RESULT', {
+        questionsCount: json.missing_info?.length || 0,
+        canProceedDirectly: json.can_proceed_directly,
+        confidenceScore: json.confidence_score
+      });
+
+      responseCache.set(cacheKey, { json, model: endpoint.model });
+
+      onDone(json, { model: endpoint.model });
+
     } catch (error) {
       logger.logError('ANALYZE_STREAM', error);
       onError(error);
@@ -165,7 +276,7 @@ class InteractiveTranslator {
 
       // 记录 LLM 调用开始
       logger.logLlmCall({
-        model: this.config.model,
+        model: this.router.primaryModel(LLM_STAGES.ANALYZE),
         direction,
         mode: 'interactive-analyze',
         max_tokens: MAX_TOKENS,
@@ -175,36 +286,35 @@ class InteractiveTranslator {
 
       // 记录完整请求内容
       logger.logLlmRequest({
-        model: this.config.model,
+        model: this.router.primaryModel(LLM_STAGES.ANALYZE),
         direction,
         mode: 'interactive-analyze',
         stream: false,
         messages
       });
 
-      const response = await this.client.chat.completions.create({
-        model: this.config.model,
+      const { endpoint, response, usage } = await this.router.complete(LLM_STAGES.ANALYZE, {
         max_tokens: MAX_TOKENS,
         messages,
         response_format: { type: 'json_object' }
-      });
+      }, { mode: 'interactive-analyze', direction });
 
       const text = response.choices[0].message.content;
-      const json = JSON.parse(text);
 
       // 记录 LLM 响应成功
       const duration = Date.now() - startTime;
       logger.logLlmResponse({
-        model: this.config.model,
+        model: endpoint.model,
         direction,
         mode: 'interactive-analyze',
         responseLength: text.length,
-        duration
+        duration,
+        usage
       });
 
       // 记录完整响应内容
       logger.logLlmFullResponse({
-        model: this.config.model,
+        model: endpoint.model,
         direction,
         mode: 'interactive-analyze',
         duration,
@@ -212,6 +322,8 @@ class InteractiveTranslator {
         responseContent: text
       });
 
+      const json = await this.parseAnalysisWithRepair(direction, messages, text);
+
       logger.logInfo('ANALYZE_RESULT', {
         questionsCount: json.missing_info?.length || 0,
         canProceedDirectly: json.can_proceed_directly,
@@ -229,35 +341,41 @@ class InteractiveTranslator {
   /**
    * 合成阶段：基于分析JSON + 用户answers生成最终翻译稿(流式)
    * @param {object} options
+   * @param {string} options.direction - 可选的方向 ID，缺省时按 analysisJson.direction 推断
    * @param {object} options.analysisJson - 分析阶段返回的 JSON
    * @param {array} options.answers - 用户回答列表 [{id, answer}]
    * @param {string} options.originalText - 原始用户输入
    * @param {string} options.context - 可选的上下文
    * @param {function} options.onChunk - 收到内容片段的回调
-   * @param {function} options.onDone - 完成的回调
+   * @param {function} options.onDone - 完成的回调 (result, { model, conformance }) => {}，result 为修复后的结果
    * @param {function} options.onError - 错误的回调
+   * @param {object} options.requester - 发起方 { client, userId, teamId }，用于预算与用量归属
+   * @param {object[]} options.glossary - 原文中命中的团队术语，注入提示词
    */
   async synthesizeStream(options) {
     const {
+      direction: requestedDirection,
       analysisJson,
       answers,
       originalText,
       context = '',
       onChunk,
       onDone,
-      onError
+      onError,
+      requester,
+      glossary = []
     } = options;
 
     const startTime = Date.now();
     let fullResponse = '';
 
     try {
-      // 从 analysisJson 中提取 direction
-      const direction = analysisJson.direction === 'PM_TO_DEV' ? 'PM_TO_DEV' : 'DEV_TO_PM';
+      const pair = this.resolveSynthesisPair(requestedDirection, analysisJson);
+      const direction = pair.id;
 
       // 记录 LLM 调用开始
       logger.logLlmCall({
-        model: this.config.model,
+        model: this.router.primaryModel(LLM_STAGES.SYNTHESIZE),
         direction,
         mode: 'interactive-synthesize',
         max_tokens: MAX_TOKENS,
@@ -270,11 +388,13 @@ class InteractiveTranslator {
         originalTextLength: originalText.length
       });
 
-      const systemPrompt = UNIFIED_PROMPTS.getSynthesisSystemPrompt(direction);
+      const systemPrompt = pair.prompts.synthesis;
       const userPrompt = UNIFIED_PROMPTS.getSynthesisUserPrompt(
         analysisJson,
         answers,
-        originalText
+        originalText,
+        context,
+        glossary
       );
 
       const messages = [
@@ -284,19 +404,17 @@ class InteractiveTranslator {
 
       // 记录完整请求内容
       logger.logLlmRequest({
-        model: this.config.model,
+        model: this.router.primaryModel(LLM_STAGES.SYNTHESIZE),
         direction,
         mode: 'interactive-synthesize',
         stream: true,
         messages
       });
 
-      const stream = await this.client.chat.completions.create({
-        model: this.config.model,
+      const { endpoint, stream, usage } = await this.router.openStream(LLM_STAGES.SYNTHESIZE, {
         max_tokens: MAX_TOKENS,
-        messages,
-        stream: true
-      });
+        messages
+      }, { mode: 'interactive-synthesize', direction, requester });
 
       for await (const chunk of stream) {
         const delta = chunk.choices[0]?.delta?.content;
@@ -311,16 +429,17 @@ class InteractiveTranslator {
       // 记录 LLM 响应成功
       const duration = Date.now() - startTime;
       logger.logLlmResponse({
-        model: this.config.model,
+        model: endpoint.model,
         direction,
         mode: 'interactive-synthesize',
         responseLength: fullResponse.length,
-        duration
+        duration,
+        usage
       });
 
       // 记录完整响应内容
       logger.logLlmFullResponse({
-        model: this.config.model,
+        model: endpoint.model,
         direction,
         mode: 'interactive-synthesize',
         duration,
@@ -328,8 +447,19 @@ class InteractiveTranslator {
         responseContent: fullResponse
       });
 
+      const { result, conformance } = await repairSections({
+        router: this.router,
+        stage: LLM_STAGES.SYNTHESIZE,
+        pair,
+        mode: TRANSLATION_MODE.INTERACTIVE,
+        logMode: 'interactive-synthesize',
+        messages,
+        result: fullResponse,
+        requester
+      });
+
       if (onDone) {
-        onDone();
+        onDone(result, { model: endpoint.model, conformance });
       }
 
     } catch (error) {
@@ -343,16 +473,16 @@ class InteractiveTranslator {
   /**
    * 合成阶段：非流式(用于测试)
    */
-  async synthesize(analysisJson, answers, originalText, context = '') {
+  async synthesize(analysisJson, answers, originalText, context = '', requestedDirection = '') {
     const startTime = Date.now();
 
     try {
-      // 从 analysisJson 中提取 direction
-      const direction = analysisJson.direction === 'PM_TO_DEV' ? 'PM_TO_DEV' : 'DEV_TO_PM';
+      const pair = this.resolveSynthesisPair(requestedDirection, analysisJson);
+      const direction = pair.id;
 
       // 记录 LLM 调用开始
       logger.logLlmCall({
-        model: this.config.model,
+        model: this.router.primaryModel(LLM_STAGES.SYNTHESIZE),
         direction,
         mode: 'interactive-synthesize',
         max_tokens: MAX_TOKENS,
@@ -365,11 +495,12 @@ class InteractiveTranslator {
         originalTextLength: originalText.length
       });
 
-      const systemPrompt = UNIFIED_PROMPTS.getSynthesisSystemPrompt(direction);
+      const systemPrompt = pair.prompts.synthesis;
       const userPrompt = UNIFIED_PROMPTS.getSynthesisUserPrompt(
         analysisJson,
         answers,
-        originalText
+        originalText,
+        context
       );
 
       const messages = [
@@ -379,34 +510,34 @@ class InteractiveTranslator {
 
       // 记录完整请求内容
       logger.logLlmRequest({
-        model: this.config.model,
+        model: this.router.primaryModel(LLM_STAGES.SYNTHESIZE),
         direction,
         mode: 'interactive-synthesize',
         stream: false,
         messages
       });
 
-      const response = await this.client.chat.completions.create({
-        model: this.config.model,
+      const { endpoint, response, usage } = await this.router.complete(LLM_STAGES.SYNTHESIZE, {
         max_tokens: MAX_TOKENS,
         messages
-      });
+      }, { mode: 'interactive-synthesize', direction });
 
       const result = response.choices[0].message.content;
 
       // 记录 LLM 响应成功
       const duration = Date.now() - startTime;
       logger.logLlmResponse({
-        model: this.config.model,
+        model: endpoint.model,
         direction,
         mode: 'interactive-synthesize',
         responseLength: result.length,
-        duration
+        duration,
+        usage
       });
 
       // 记录完整响应内容
       logger.logLlmFullResponse({
-        model: this.config.model,
+        model: endpoint.model,
         direction,
         mode: 'interactive-synthesize',
         duration,
@@ -0,0 +1,119 @@
+/**
+ * 章节修复
+ * 流式输出完成后按 Output Structure 检查结果；有缺失、为空或格式错误的章节时，
+ * 在原对话后追加一次只重写这些章节的补充调用，把重写结果合并回原结果，并生成一致性报告
+ */
+
+const UNIFIED_PROMPTS = require('../prompts/prompts');
+const logger = require('../utils/logger');
+const { MAX_TOKENS } = require('../utils/constants');
+const {
+  SECTION_STATUS,
+  outputStructureOf,
+  structureSections,
+  checkConformance,
+  mergeSections
+} = require('../utils/conformance');
+
+/**
+ * 是否发起修复调用；SECTION_REPAIR=false 时只检查不修复
+ */
+function repairEnabled() {
+  return process.env.SECTION_REPAIR !== 'false';
+}
+
+/**
+ * 一致性报告
+ * @param {object} check - checkConformance 的结果
+ * @param {string[]} repaired - 修复后符合要求的章节标题
+ * @param {string|null} repairError - 修复调用失败的原因
+ */
+function toReport(check, repaired = [], repairError = null) {
+  return {
+    conforming: check.conforming,
+    sections: check.sections.map(({ heading, status, problems }) => ({ heading, status, problems })),
+    repaired,
+    ...(repairError && { repairError })
+  };
+}
+
+/**
+ * 检查结果并修复不符合输出结构的章节
+ * 修复调用失败时保留原结果，不影响本次翻译
+ * @param {object} options
+ * @param {ModelRouter} options.router - 模型路由
+ * @param {string} options.stage - 修复调用使用的阶段，与生成结果的阶段相同
+ * @param {object} options.pair - 角色对
+ * @param {string} options.mode - 'direct' | 'interactive'，决定使用哪个 Output Structure
+ * @param {string} options.logMode - 日志与用量中的模式名，如 'direct'、'interactive-synthesize'
+ * @param {array} options.messages - 生成结果时的对话
+ * @param {string} options.result - 模型输出的结果
+ * @param {object} options.requester - 发起方（可选）
+ * @returns {Promise<{ result: string, conformance: object }>}
+ */
+async function repairSections(options) {
+  const { router, stage, pair, mode, logMode, messages, result, requester } = options;
+  const check = checkConformance(result, { pair, mode });
+  const issues = check.sections.filter(section => section.status !== SECTION_STATUS.OK);
+
+  if (issues.length === 0 || !repairEnabled()) {
+    return { result, conformance: toReport(check) };
+  }
+
+  logger.logInfo('SECTION_REPAIR', {
+    direction: pair.id,
+    mode: logMode,
+    issues: issues.map(issue => `${issue.heading}：${issue.problems.join('；')}`)
+  });
+
+  const templates = structureSections(outputStructureOf(pair, mode));
+  const repairMessages = [
+    ...messages,
+    { role: 'assistant', content: result },
+    {
+      role: 'user',
+      content: UNIFIED_PROMPTS.getSectionRepairPrompt(
+        issues,
+        issues.map(issue => templates.find(item => item.marker === issue.marker).template)
+      )
+    }
+  ];
+
+  try {
+    // 记录完整请求内容
+    logger.logLlmRequest({
+      model: router.primaryModel(stage),
+      direction: pair.id,
+      mode: `${logMode}-repair`,
+      stream: false,
+      messages: repairMessages
+    });
+
+    const { response } = await router.complete(stage, {
+      max_tokens: MAX_TOKENS,
+      messages: repairMessages
+    }, { mode: `${logMode}-repair`, direction: pair.id, requester });
+
+    const merged = mergeSections(
+      result,
+      response.choices[0]?.message?.content || '',
+      issues.map(issue => issue.marker),
+      templates.map(item => item.marker)
+    );
+    const recheck = checkConformance(merged.markdown, { pair, mode });
+    const repaired = issues
+      .filter(issue => recheck.sections.some(section => section.marker === issue.marker && section.status === SECTION_STATUS.OK))
+      .map(issue => issue.heading);
+
+    // 没有任何章节修复成功时保留原结果
+    if (repaired.length === 0) {
+      return { result, conformance: toReport(check) };
+    }
+    return { result: merged.markdown, conformance: toReport(recheck, repaired) };
+  } catch (error) {
+    logger.logError('SECTION_REPAIR', error);
+    return { result, conformance: toReport(check, [], error.message || '章节修复失败') };
+  }
+}
+
+module.exports = { repairSections };
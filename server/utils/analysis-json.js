@@ -0,0 +1,189 @@
+/**
+ * Analysis JSON 工具
+ * 从模型输出中容错提取 JSON，并按 ANALYSIS_JSON_SCHEMA_BASE 校验
+ */
+
+const { MAX_ANALYSIS_QUESTIONS } = require('./constants');
+
+const PRIORITIES = ['HIGH', 'MEDIUM'];
+
+/**
+ * 从模型输出中提取第一个完整的 JSON 对象
+ * 兼容代码围栏（```json ... ```）以及 JSON 前后的说明文字
+ * @param {string} text - 模型原始输出
+ * @returns {object} 解析后的对象
+ * @throws {Error} 找不到可解析的 JSON 对象时抛出
+ */
+function extractJson(text) {
+  const trimmed = (text || '').trim();
+
+  // 最常见的情况：本身就是合法 JSON
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    // 继续尝试容错提取
+  }
+
+  const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const source = fenced ? fenced[1] : trimmed;
+
+  const start = source.indexOf('{');
+  if (start === -1) {
+    throw new Error('输出中没有 JSON 对象');
+  }
+
+  // 按括号配对找到对象结尾，跳过字符串中的括号
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < source.length; i++) {
+    const char = source[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) {
+        return JSON.parse(source.slice(start, i + 1));
+      }
+    }
+  }
+
+  throw new Error('JSON 对象不完整');
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+/**
+ * 按 Analysis JSON Schema 校验
+ * @param {object} json - 待校验对象
+ * @param {object} options
+ * @param {string} options.directionKey - 期望的 direction 值，如 'PM_TO_DEV'
+ * @returns {string[]} 错误列表，为空表示通过
+ */
+function validateAnalysisJson(json, options = {}) {
+  const { directionKey } = options;
+  const errors = [];
+
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    return ['根节点必须是 JSON 对象'];
+  }
+
+  if (directionKey && json.direction !== directionKey) {
+    errors.push(`direction 必须为 "${directionKey}"`);
+  }
+
+  if (!isNonEmptyString(json.intent)) {
+    errors.push('intent 必须是非空字符串');
+  }
+
+  if (typeof json.confidence_score !== 'number' || json.confidence_score < 0 || json.confidence_score > 1) {
+    errors.push('confidence_score 必须是 0 到 1 之间的数字');
+  }
+
+  const structured = json.structured_data;
+  if (!structured || typeof structured !== 'object' || Array.isArray(structured)) {
+    errors.push('structured_data 必须是对象');
+  } else {
+    if (!isNonEmptyString(structured.logic_core)) {
+      errors.push('structured_data.logic_core 必须是非空字符串');
+    }
+    if (!isStringArray(structured.constraints)) {
+      errors.push('structured_data.constraints 必须是字符串数组');
+    }
+    if (!isStringArray(structured.tech_context)) {
+      errors.push('structured_data.tech_context 必须是字符串数组');
+    }
+  }
+
+  if (!Array.isArray(json.missing_info)) {
+    errors.push('missing_info 必须是数组');
+  } else {
+    if (json.missing_info.length > MAX_ANALYSIS_QUESTIONS) {
+      errors.push(`missing_info 最多 ${MAX_ANALYSIS_QUESTIONS} 项，当前 ${json.missing_info.length} 项`);
+    }
+
+    const seenIds = new Set();
+    json.missing_info.forEach((item, index) => {
+      const prefix = `missing_info[${index}]`;
+
+      if (!item || typeof item !== 'object') {
+        errors.push(`${prefix} 必须是对象`);
+        return;
+      }
+
+      if (!isNonEmptyString(item.id)) {
+        errors.push(`${prefix}.id 必须是非空字符串`);
+      } else if (seenIds.has(item.id)) {
+        errors.push(`${prefix}.id "${item.id}" 重复`);
+      } else {
+        seenIds.add(item.id);
+      }
+
+      if (!PRIORITIES.includes(item.priority)) {
+        errors.push(`${prefix}.priority 必须是 ${PRIORITIES.join(' 或 ')}`);
+      }
+      if (!isNonEmptyString(item.question)) {
+        errors.push(`${prefix}.question 必须是非空字符串`);
+      }
+      if (!isNonEmptyString(item.reason)) {
+        errors.push(`${prefix}.reason 必须是非空字符串`);
+      }
+      if (!isStringArray(item.options)) {
+        errors.push(`${prefix}.options 必须是字符串数组`);
+      }
+      if (!isNonEmptyString(item.default_assumption)) {
+        errors.push(`${prefix}.default_assumption 必须是非空字符串`);
+      }
+    });
+  }
+
+  if (typeof json.can_proceed_directly !== 'boolean') {
+    errors.push('can_proceed_directly 必须是布尔值');
+  }
+
+  return errors;
+}
+
+/**
+ * 提取并校验
+ * @param {string} text - 模型原始输出
+ * @param {object} options - 同 validateAnalysisJson
+ * @returns {{ json: object|null, errors: string[] }}
+ */
+function parseAnalysis(text, options = {}) {
+  let json;
+  try {
+    json = extractJson(text);
+  } catch (error) {
+    return { json: null, errors: [`无法解析 JSON：${error.message}`] };
+  }
+
+  return { json, errors: validateAnalysisJson(json, options) };
+}
+
+module.exports = {
+  extractJson,
+  validateAnalysisJson,
+  parseAnalysis,
+};
@@ -0,0 +1,173 @@
+/**
+ * 输出结构一致性检查
+ * 按方向和模式的 Output Structure 逐章节检查结果：必需章节是否缺失或为空、群消息是否被 --- 完整包裹、
+ * 字段类章节（如「粗估建议」）是否包含必需字段；并提供把重写后的章节合并回原结果的工具
+ */
+
+const { splitSections, parseList, parseMessage } = require('./structured-result');
+const { TRANSLATION_MODE } = require('./constants');
+
+/**
+ * 章节状态
+ */
+const SECTION_STATUS = {
+  OK: 'ok',
+  MISSING: 'missing',
+  EMPTY: 'empty',
+  MALFORMED: 'malformed'
+};
+
+/**
+ * 模式对应的 Output Structure
+ * @param {object} pair - 角色对
+ * @param {string} mode - 'direct' | 'interactive'
+ * @returns {string}
+ */
+function outputStructureOf(pair, mode) {
+  return pair.outputStructure(mode === TRANSLATION_MODE.INTERACTIVE ? 'synthesis' : 'direct');
+}
+
+/**
+ * 输出结构中的必需章节
+ * marker 为标题的第一个词（通常是 emoji），template 为该章节在输出结构中的原文，修复时作为格式参考
+ * @param {string} outputStructure - 渲染后的输出结构
+ * @returns {{ marker: string, heading: string, template: string }[]}
+ */
+function structureSections(outputStructure) {
+  return splitSections(outputStructure).map(section => ({
+    marker: section.heading.split(/\s+/)[0],
+    heading: section.heading,
+    template: `## ${section.heading}\n${section.body}`
+  }));
+}
+
+/**
+ * 群消息格式问题：前后必须各有一行 ---，且中间有内容
+ * @param {string} body - 群消息章节正文
+ * @returns {string|null}
+ */
+function messageBlockProblem(body) {
+  const fences = body.split('\n').filter(line => line.trim() === '---').length;
+  if (fences < 2) {
+    return '群消息缺少 --- 分隔线';
+  }
+  return parseMessage(body) ? null : '群消息为空';
+}
+
+/**
+ * 单个章节的问题列表
+ * @param {object|undefined} section - splitSections 的结果项
+ * @param {object|undefined} def - 章节定义（OUTPUT_SECTIONS），自定义角色对可能没有
+ * @returns {string[]}
+ */
+function sectionProblems(section, def) {
+  if (!section) {
+    return ['缺少章节'];
+  }
+  if (!section.body) {
+    return ['章节内容为空'];
+  }
+
+  if (def && def.type === 'message') {
+    const problem = messageBlockProblem(section.body);
+    return problem ? [problem] : [];
+  }
+  if (def && def.type === 'list' && parseList(section.body).length === 0) {
+    return ['缺少列表条目'];
+  }
+  if (def && def.type === 'fields') {
+    const items = parseList(section.body);
+    return Object.values(def.keys)
+      .filter(label => !items.some(item => item.label.includes(label) && item.content))
+      .map(label => `缺少「${label}」`);
+  }
+  return [];
+}
+
+/**
+ * 检查结果是否符合输出结构
+ * @param {string} markdown - 翻译结果
+ * @param {object} options
+ * @param {object} options.pair - 角色对
+ * @param {string} options.mode - 'direct' | 'interactive'
+ * @returns {{ conforming: boolean, sections: { marker, heading, status, problems: string[] }[] }}
+ */
+function checkConformance(markdown, { pair, mode }) {
+  const sections = splitSections(markdown);
+  const defs = pair.sections || [];
+
+  const results = structureSections(outputStructureOf(pair, mode)).map(({ marker, heading }) => {
+    const section = sections.find(item => item.heading.includes(marker));
+    const problems = sectionProblems(section, defs.find(def => def.marker === marker));
+
+    let status = SECTION_STATUS.OK;
+    if (!section) {
+      status = SECTION_STATUS.MISSING;
+    } else if (!section.body) {
+      status = SECTION_STATUS.EMPTY;
+    } else if (problems.length > 0) {
+      status = SECTION_STATUS.MALFORMED;
+    }
+    return { marker, heading, status, problems };
+  });
+
+  return {
+    conforming: results.every(item => item.status === SECTION_STATUS.OK),
+    sections: results
+  };
+}
+
+/**
+ * 把重写后的章节合并回原结果
+ * 原结果中已有的章节原位替换，缺失的章节按输出结构的顺序插入；重写结果中没有的章节保持原样
+ * @param {string} markdown - 原结果
+ * @param {string} rewritten - 只包含待修复章节的重写结果
+ * @param {string[]} markers - 待修复章节的标记
+ * @param {string[]} order - 输出结构中全部章节的标记（按顺序）
+ * @returns {{ markdown: string, replaced: string[] }} replaced 为实际替换的章节标记
+ */
+function mergeSections(markdown, rewritten, markers, order) {
+  const firstHeading = (markdown || '').search(/^##\s/m);
+  const preamble = firstHeading === -1 ? (markdown || '').trim() : markdown.slice(0, firstHeading).trim();
+  const sections = splitSections(markdown);
+  const candidates = splitSections(rewritten);
+  const replaced = [];
+
+  const rank = section => order.findIndex(marker => section.heading.includes(marker));
+
+  markers.forEach(marker => {
+    const candidate = candidates.find(item => item.heading.includes(marker));
+    if (!candidate || !candidate.body) {
+      return;
+    }
+
+    const index = sections.findIndex(item => item.heading.includes(marker));
+    if (index !== -1) {
+      sections[index] = candidate;
+    } else {
+      const position = sections.findIndex(item => rank(item) > order.indexOf(marker));
+      sections.splice(position === -1 ? sections.length : position, 0, candidate);
+    }
+    replaced.push(marker);
+  });
+
+  if (replaced.length === 0) {
+    return { markdown, replaced };
+  }
+
+  return {
+    markdown: [preamble, ...sections.map(section => `## ${section.heading}\n${section.body}`)]
+      .filter(Boolean)
+      .join('\n\n'),
+    replaced
+  };
+}
+
+module.exports = {
+  SECTION_STATUS,
+  outputStructureOf,
+  structureSections,
+  messageBlockProblem,
+  checkConformance,
+  mergeSections,
+};
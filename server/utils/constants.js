@@ -7,13 +7,122 @@ module.exports = {
   DEFAULT_MODEL: 'gpt-4o',
   MAX_TOKENS: 4000,
 
+  // 模型路由阶段（每个阶段可单独配置模型与回退链）
+  LLM_STAGES: {
+    ANALYZE: 'analyze',
+    SYNTHESIZE: 'synthesize',
+    DIRECT: 'direct',
+    REFINE: 'refine',
+    VERIFY: 'verify',
+  },
+
+  // Analysis 校验与修复
+  MAX_ANALYSIS_QUESTIONS: 3,
+  ANALYSIS_REPAIR_MAX_ATTEMPTS: 2,
+
   // 验证限制
   MAX_CONTENT_LENGTH: 10000,
+  MAX_CONTEXT_LENGTH: 5000,
+  MAX_RESULT_LENGTH: 30000,
+  MAX_INSTRUCTION_LENGTH: 1000,
+  MAX_ANSWER_LENGTH: 2000,
+
+  // 交互式会话
+  SESSION_TTL_MINUTES: 30,
+  SESSION_MAX_COUNT: 1000,
+
+  // 历史记录
+  HISTORY_MAX_ITEMS: 500,
+  HISTORY_PAGE_SIZE: 50,
+
+  // 响应缓存
+  CACHE_MAX_ENTRIES: 200,
+  CACHE_TTL_MINUTES: 1440,
+
+  // 群机器人投递
+  WEBHOOK_MAX_ATTEMPTS: 3,
+  WEBHOOK_TIMEOUT_MS: 10000,
+
+  // 批量翻译
+  BATCH_MAX_ITEMS: 200,
+  BATCH_CONCURRENCY: 3,
+  BATCH_MAX_CONCURRENCY: 10,
+  BATCH_MAX_JOBS: 50,
+
+  // 团队术语表：每个工作区的词条上限、单次注入提示词的词条上限
+  GLOSSARY_MAX_ENTRIES: 500,
+  GLOSSARY_MAX_MATCHES: 20,
+  GLOSSARY_MAX_TERM_LENGTH: 50,
+  GLOSSARY_MAX_DEFINITION_LENGTH: 500,
+
+  // 项目背景档案：字段按此顺序拼接为补充背景
+  PROFILE_FIELDS: {
+    techStack: '技术栈',
+    teamSize: '团队规模',
+    traffic: '流量规模',
+    sla: 'SLA',
+    compliance: '合规约束',
+    notes: '其他说明',
+  },
+  PROFILE_MAX_COUNT: 100,
+  PROFILE_FIELD_MAX_LENGTH: 1000,
+
+  // 提示词 A/B 实验：每个实验的变体数上限、实验总数上限
+  EXPERIMENT_MAX_VARIANTS: 5,
+  EXPERIMENT_MAX_COUNT: 50,
+
+  // 结果的使用信号：复制、导出 / 发送到群、追问修改、重新生成、评价
+  OUTCOME_TYPES: ['copied', 'exported', 'refined', 'regenerated', 'rated'],
+
+  // 结果反馈：保存条数上限（超出时删除最早的）、每页条数、评论长度上限
+  FEEDBACK_MAX_ITEMS: 5000,
+  FEEDBACK_PAGE_SIZE: 50,
+  FEEDBACK_MAX_COMMENT_LENGTH: 1000,
+
+  // 限流：每个客户端每分钟的请求数（refine 计入 direct；login 为登录尝试次数）
+  RATE_LIMIT_WINDOW_MS: 60000,
+  RATE_LIMITS: {
+    direct: 20,
+    analyze: 20,
+    synthesize: 20,
+    login: 10,
+  },
+
+  // 认证：none 不启用；local 本地账号；header 由前置的 SSO 代理通过请求头传入身份
+  AUTH_MODE: {
+    NONE: 'none',
+    LOCAL: 'local',
+    HEADER: 'header',
+  },
+  AUTH_SESSION_TTL_HOURS: 168,
+  API_TOKEN_PREFIX: 'rt_',
+  MIN_PASSWORD_LENGTH: 8,
+  DEFAULT_TEAM_SLUG: 'default',
+
+  // IM 机器人回调
+  BOT_REQUEST_MAX_AGE_SECONDS: 300,
+  BOT_API_TIMEOUT_MS: 10000,
+
+  // 翻译模式
+  TRANSLATION_MODE: {
+    DIRECT: 'direct',
+    INTERACTIVE: 'interactive',
+  },
+
+  // 结果格式：markdown 原文，或按 Output Structure 章节拆分的 JSON
+  OUTPUT_FORMAT: {
+    MARKDOWN: 'markdown',
+    JSON: 'json',
+  },
 
-  // 翻译方向
+  // 内置翻译方向（完整列表以 server/roles 注册表为准）
   DIRECTION: {
     PM_TO_DEV: 'pm-to-dev',
     DEV_TO_PM: 'dev-to-pm',
+    QA_TO_DEV: 'qa-to-dev',
+    DESIGNER_TO_DEV: 'designer-to-dev',
+    OPS_TO_PM: 'ops-to-pm',
+    DEV_TO_LEADERSHIP: 'dev-to-leadership',
   },
 
   // SSE 事件类型
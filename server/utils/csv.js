@@ -0,0 +1,30 @@
+/**
+ * CSV 生成工具
+ */
+
+/**
+ * CSV 单元格转义；以 = + - @ 开头的内容加前缀，防止被表格软件当作公式执行
+ */
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 生成 CSV，带 BOM 以便 Excel 正确识别 UTF-8
+ * @param {string[]} columns - 表头
+ * @param {Array<Array>} rows - 每行的单元格值，与表头一一对应
+ * @returns {string}
+ */
+function toCsvTable(columns, rows) {
+  const lines = rows.map(row => row.map(csvCell).join(','));
+  return `\uFEFF${[columns.join(','), ...lines].join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  csvCell,
+  toCsvTable,
+};
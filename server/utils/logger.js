@@ -15,6 +15,12 @@ class ApiLogger {
       fs.mkdirSync(this.logDir, { recursive: true });
     }
 
+    // 是否同时输出到控制台（命令行工具会关闭，避免日志混入标准输出）
+    this.consoleEnabled = process.env.LOG_CONSOLE !== 'false';
+
+    // 返回当前生效的提示词版本，写入每条日志
+    this.promptVersionSource = null;
+
     // 日志文件路径（按日期分割）
     this.getLogFilePath = () => {
       const date = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
@@ -43,13 +49,44 @@ class ApiLogger {
     }
   }
 
+  /**
+   * 输出到控制台
+   */
+  print(message, level = 'INFO') {
+    if (!this.consoleEnabled) {
+      return;
+    }
+    if (level === 'ERROR') {
+      console.error(message);
+    } else {
+      console.log(message);
+    }
+  }
+
+  /**
+   * 设置提示词版本的来源（由提示词注册表在加载时调用）
+   * @param {function} source - () => string，请求内使用实验变体时返回变体的版本
+   */
+  setPromptVersionSource(source) {
+    this.promptVersionSource = source;
+  }
+
+  /**
+   * 当前生效的提示词版本
+   */
+  getPromptVersion() {
+    return this.promptVersionSource ? this.promptVersionSource() : null;
+  }
+
   /**
    * 格式化日志消息
    */
   formatMessage(level, category, data) {
     const timestamp = this.getTimestamp();
     const message = typeof data === 'string' ? data : JSON.stringify(data, null, 2);
-    return `[${timestamp}] [${level}] [${category}] ${message}`;
+    const promptVersion = this.getPromptVersion();
+    const prompt = promptVersion ? ` [prompt:${promptVersion}]` : '';
+    return `[${timestamp}] [${level}] [${category}]${prompt} ${message}`;
   }
 
   /**
@@ -65,7 +102,7 @@ class ApiLogger {
       }
     });
 
-    console.log(message);
+    this.print(message);
     this.writeToFile(message);
   }
 
@@ -82,7 +119,7 @@ class ApiLogger {
       contentLength: config.contentLength
     });
 
-    console.log(message);
+    this.print(message);
     this.writeToFile(message);
   }
 
@@ -99,6 +136,7 @@ class ApiLogger {
       `Model: ${config.model}`,
       `Direction: ${config.direction}`,
       `Mode: ${config.mode}`,
+      `Prompt Version: ${this.getPromptVersion()}`,
       `Stream: ${config.stream}`,
       separator,
       'Messages:',
@@ -107,7 +145,7 @@ class ApiLogger {
       ''
     ].join('\n');
 
-    console.log(message);
+    this.print(message);
     this.writeToFile(message);
   }
 
@@ -124,6 +162,7 @@ class ApiLogger {
       `Model: ${config.model}`,
       `Direction: ${config.direction}`,
       `Mode: ${config.mode}`,
+      `Prompt Version: ${this.getPromptVersion()}`,
       `Duration: ${config.duration}ms`,
       `Response Length: ${config.responseLength} characters`,
       separator,
@@ -133,7 +172,7 @@ class ApiLogger {
       ''
     ].join('\n');
 
-    console.log(message);
+    this.print(message);
     this.writeToFile(message);
   }
 
@@ -146,10 +185,13 @@ class ApiLogger {
       direction: config.direction,
       mode: config.mode,
       responseLength: config.responseLength,
-      duration: config.duration ? `${config.duration}ms` : undefined
+      duration: config.duration ? `${config.duration}ms` : undefined,
+      promptTokens: config.usage?.promptTokens ?? undefined,
+      completionTokens: config.usage?.completionTokens ?? undefined,
+      cost: config.usage?.cost ?? undefined
     });
 
-    console.log(message);
+    this.print(message);
     this.writeToFile(message);
   }
 
@@ -164,7 +206,7 @@ class ApiLogger {
       status: error.status
     });
 
-    console.error(message);
+    this.print(message, 'ERROR');
     this.writeToFile(message);
   }
 
@@ -173,7 +215,7 @@ class ApiLogger {
    */
   logInfo(category, data) {
     const message = this.formatMessage('INFO', category, data);
-    console.log(message);
+    this.print(message);
     this.writeToFile(message);
   }
 
@@ -183,7 +225,7 @@ class ApiLogger {
   logDebug(category, data) {
     if (process.env.DEBUG === 'true') {
       const message = this.formatMessage('DEBUG', category, data);
-      console.log(message);
+      this.print(message);
       this.writeToFile(message);
     }
   }
@@ -0,0 +1,123 @@
+/**
+ * 结构化结果工具
+ * 把按 Output Structure 生成的 Markdown 结果拆分为每个章节一个字段的对象，并校验完整性
+ */
+
+/**
+ * 按二级标题拆分章节
+ * @param {string} markdown - 翻译结果
+ * @returns {{ heading: string, body: string }[]}
+ */
+function splitSections(markdown) {
+  const sections = [];
+  let current = null;
+
+  (markdown || '').split('\n').forEach(line => {
+    const heading = line.match(/^##\s+(.+?)\s*$/);
+    if (heading) {
+      current = { heading: heading[1], lines: [] };
+      sections.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    }
+  });
+
+  return sections.map(section => ({
+    heading: section.heading,
+    body: section.lines.join('\n').trim()
+  }));
+}
+
+/**
+ * 去掉 Markdown 加粗标记
+ */
+function stripBold(text) {
+  return text.replace(/\*\*/g, '').trim();
+}
+
+/**
+ * 解析 "- **标签**：内容" 形式的列表
+ * @param {string} body - 章节正文
+ * @returns {{ label: string, content: string }[]}
+ */
+function parseList(body) {
+  return body.split('\n')
+    .map(line => line.match(/^\s*[-*]\s+(.*)$/))
+    .filter(Boolean)
+    .map(match => {
+      const item = match[1];
+      const labeled = item.match(/^\*\*(.+?)\*\*\s*[：:]\s*(.*)$/) || item.match(/^([^：:]{1,20})[：:]\s*(.*)$/);
+      return labeled
+        ? { label: stripBold(labeled[1]), content: stripBold(labeled[2]) }
+        : { label: '', content: stripBold(item) };
+    });
+}
+
+/**
+ * 取两个 --- 之间的群消息；没有分隔线时取整个章节
+ * @param {string} body - 章节正文
+ * @returns {string}
+ */
+function parseMessage(body) {
+  const lines = body.split('\n');
+  const start = lines.findIndex(line => line.trim() === '---');
+  if (start === -1) {
+    return body.trim();
+  }
+
+  const end = lines.findIndex((line, index) => index > start && line.trim() === '---');
+  return lines.slice(start + 1, end === -1 ? lines.length : end).join('\n').trim();
+}
+
+/**
+ * 按章节定义解析结果
+ * @param {string} markdown - 翻译结果
+ * @param {object[]} sectionDefs - 章节定义，见 prompts.js 中的 OUTPUT_SECTIONS
+ * @returns {{ data: object, errors: string[] }}
+ */
+function parseStructuredResult(markdown, sectionDefs) {
+  const sections = splitSections(markdown);
+  const data = {};
+  const errors = [];
+
+  sectionDefs.forEach(def => {
+    const section = sections.find(item => item.heading.includes(def.marker));
+    if (!section) {
+      errors.push(`缺少「${def.title}」章节`);
+      return;
+    }
+
+    if (def.type === 'message') {
+      data[def.field] = parseMessage(section.body);
+    } else if (def.type === 'list') {
+      data[def.field] = parseList(section.body);
+    } else if (def.type === 'fields') {
+      const items = parseList(section.body);
+      data[def.field] = {};
+      for (const [key, label] of Object.entries(def.keys)) {
+        const item = items.find(entry => entry.label.includes(label));
+        if (!item || !item.content) {
+          errors.push(`「${def.title}」缺少「${label}」`);
+        }
+        data[def.field][key] = item ? item.content : '';
+      }
+      return;
+    } else {
+      data[def.field] = section.body;
+    }
+
+    const value = data[def.field];
+    if (Array.isArray(value) ? value.length === 0 : !value) {
+      errors.push(`「${def.title}」内容为空`);
+    }
+  });
+
+  return { data, errors };
+}
+
+module.exports = {
+  splitSections,
+  parseList,
+  parseMessage,
+  parseStructuredResult,
+};
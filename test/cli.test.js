@@ -0,0 +1,329 @@
+/**
+ * 命令行客户端测试
+ * 以子进程运行 bin/role-translator.js，LLM 请求发往模拟服务
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { MockLlmServer, cannedAnalysis } = require('../server/mock/mock-llm-server');
+
+const CLI_ENTRY = path.join(__dirname, '../bin/role-translator.js');
+
+const PM_TO_DEV_RESULT = `## 🚀 一句话同步
+手机号一键登录
+
+## 💬 给开发发的群消息
+---
+@开发 一键登录需求
+---
+
+## 🛠 技术视角解构
+- **数据/埋点**：登录方式
+
+## ⏳ 粗估建议
+- **复杂度**：中等
+- **基准人天**：3人天`;
+
+describe('role-translator CLI', () => {
+  const mock = new MockLlmServer();
+  let baseURL;
+  let workDir;
+
+  /**
+   * 运行命令行
+   * @returns {Promise<{ code: number, stdout: string, stderr: string }>}
+   */
+  function run(args, { input = '', env = {} } = {}) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(process.execPath, [CLI_ENTRY, ...args], {
+        cwd: workDir,
+        env: {
+          PATH: process.env.PATH,
+          LLM_API_KEY: 'test-key',
+          LLM_API_BASE_URL: baseURL,
+          LLM_MODEL: 'mock-model',
+          DATA_DIR: path.join(workDir, 'data'),
+          LOG_DIR: path.join(workDir, 'logs'),
+          // 默认关闭章节修复，由专门的用例开启
+          SECTION_REPAIR: 'false',
+          ...env
+        }
+      });
+
+      let stdout = '';
+      let stderr = '';
+      child.stdout.on('data', chunk => { stdout += chunk; });
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      child.on('error', reject);
+      child.on('close', code => resolve({ code, stdout, stderr }));
+      child.stdin.end(input);
+    });
+  }
+
+  before(async () => {
+    baseURL = await mock.listen(0);
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'role-translator-cli-'));
+  });
+
+  after(async () => {
+    await mock.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => mock.reset());
+
+  it('translates a file and streams the result to stdout', async () => {
+    const file = path.join(workDir, 'notes.md');
+    fs.writeFileSync(file, '重构了订单服务的缓存层');
+
+    const { code, stdout } = await run(['dev-to-pm', '-f', file, '--no-cache']);
+
+    assert.equal(code, 0);
+    assert.match(stdout, /模拟翻译结果/);
+    assert.match(stdout, /重构了订单服务的缓存层/);
+    assert.doesNotMatch(stdout, /LLM_CALL/);
+  });
+
+  it('reads content from stdin', async () => {
+    const { code, stdout } = await run(['pm-to-dev', '--no-cache'], { input: '管道输入：导出报表' });
+
+    assert.equal(code, 0);
+    assert.match(stdout, /管道输入：导出报表/);
+  });
+
+  it('passes --context to the direct prompt', async () => {
+    const { code } = await run(['pm-to-dev', '--no-cache', '-c', '日常 500 QPS', '订单导出']);
+
+    assert.equal(code, 0);
+    assert.match(mock.requests.at(-1).messages.at(-1).content, /\[补充背景\]:\n日常 500 QPS/);
+  });
+
+  it('answers questions with default assumptions and prints JSON', async () => {
+    mock.enqueue({ content: JSON.stringify(cannedAnalysis('PM_TO_DEV')) }, { content: PM_TO_DEV_RESULT });
+    const { code, stdout } = await run(['pm-to-dev', '-i', '--non-interactive', '--json', '--no-cache', '做一个一键登录']);
+
+    assert.equal(code, 0);
+    const output = JSON.parse(stdout);
+    assert.equal(output.mode, 'interactive');
+    assert.deepEqual(output.answers, [{ id: 'q1', answer: '< 100 QPS' }]);
+    assert.equal(output.result.summary, '手机号一键登录');
+    assert.equal(output.result.estimate.complexity, '中等');
+    assert.match(mock.requests[1].messages.at(-1).content, /< 100 QPS/);
+  });
+
+  it('fails when --json output does not match the output structure', async () => {
+    const { code, stdout, stderr } = await run(['pm-to-dev', '--json', '--no-cache', '缺少章节']);
+
+    assert.equal(code, 1);
+    assert.equal(stdout, '');
+    assert.match(stderr, /不符合输出结构/);
+  });
+
+  it('repairs sections that do not match the output structure', async () => {
+    const broken = PM_TO_DEV_RESULT.replace(/\n## ⏳ 粗估建议[\s\S]*$/, '');
+    mock.enqueue({ content: broken }, { content: '## ⏳ 粗估建议\n- **复杂度**：中等\n- **基准人天**：3人天' });
+    const { code, stdout, stderr } = await run(['pm-to-dev', '--json', '--no-cache', '一键登录'], { env: { SECTION_REPAIR: 'true' } });
+
+    assert.equal(code, 0);
+    assert.match(stderr, /已自动修复不符合输出结构的章节：⏳ 粗估建议/);
+    const output = JSON.parse(stdout);
+    assert.equal(output.result.estimate.baselineDays, '3人天');
+    assert.equal(output.conformance.conforming, true);
+    assert.equal(mock.requests.length, 2);
+    assert.equal(mock.requests[1].messages.at(-2).content, broken);
+  });
+
+  it('prints only the repaired result when stdout is not a terminal', async () => {
+    const broken = PM_TO_DEV_RESULT.replace(/\n## ⏳ 粗估建议[\s\S]*$/, '');
+    const estimate = '## ⏳ 粗估建议\n- **复杂度**：中等\n- **基准人天**：3人天';
+    mock.enqueue({ content: broken }, { content: estimate });
+    const { code, stdout, stderr } = await run(['pm-to-dev', '--no-cache', '一键登录'], { env: { SECTION_REPAIR: 'true' } });
+
+    assert.equal(code, 0);
+    assert.match(stderr, /已自动修复不符合输出结构的章节：⏳ 粗估建议\n/);
+    assert.equal(stdout, `${broken.trimEnd()}\n\n${estimate}\n`);
+  });
+
+  it('exits with 2 on usage errors', async () => {
+    const unknown = await run(['pm-to-ceo', '内容']);
+    assert.equal(unknown.code, 2);
+    assert.match(unknown.stderr, /未知的翻译方向/);
+
+    const missingEnv = await run(['pm-to-dev', '内容'], { env: { LLM_API_KEY: '' } });
+    assert.equal(missingEnv.code, 2);
+    assert.match(missingEnv.stderr, /LLM_API_KEY/);
+
+    const nonInteractive = await run(['pm-to-dev', '--non-interactive', '内容']);
+    assert.equal(nonInteractive.code, 2);
+    assert.match(nonInteractive.stderr, /--non-interactive 需要与 -i 一起使用/);
+  });
+});
+
+describe('role-translator-eval', () => {
+  const EVAL_ENTRY = path.join(__dirname, '../bin/role-translator-eval.js');
+  const TEMPLATES_SOURCE = path.join(__dirname, '../server/prompts/templates');
+  const MARKER = '评测候选标记';
+  const mock = new MockLlmServer();
+  let baseURL;
+  let workDir;
+  let templatesDir;
+
+  // 通过全部确定性检查的结果
+  const PASSING_RESULT = `## 🚀 一句话同步
+手机号一键登录
+
+## 💬 给开发发的群消息
+---
+@开发 一键登录需求
+1. **意图**：减少注册流失
+2. **验收标准**：
+    * 登录接口 P99 < 2 秒
+    * 取号失败时降级为短信验证码
+---
+
+## 🛠 技术视角解构
+- **逻辑边界**：取号失败降级为验证码
+
+## ⏳ 粗估建议
+- **复杂度**：中等
+- **基准人天**：3人天`;
+
+  function judgement(faithful, audience, actionable) {
+    return { content: JSON.stringify({ scores: { faithful, audience, actionable }, comment: '模拟评审' }) };
+  }
+
+  function writeDataset(cases) {
+    const file = path.join(workDir, `dataset-${crypto.randomUUID()}.json`);
+    fs.writeFileSync(file, JSON.stringify({ name: 'test', cases }));
+    return file;
+  }
+
+  function run(args, env = {}) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(process.execPath, [EVAL_ENTRY, ...args], {
+        cwd: workDir,
+        env: {
+          PATH: process.env.PATH,
+          LLM_API_KEY: 'test-key',
+          LLM_API_BASE_URL: baseURL,
+          LLM_MODEL: 'mock-model',
+          DATA_DIR: path.join(workDir, 'data'),
+          LOG_DIR: path.join(workDir, 'logs'),
+          PROMPT_TEMPLATES_DIR: templatesDir,
+          PROMPT_VERSION: 'v1',
+          PROMPT_HOT_RELOAD: 'false',
+          ...env
+        }
+      });
+
+      let stdout = '';
+      let stderr = '';
+      child.stdout.on('data', chunk => { stdout += chunk; });
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      child.on('error', reject);
+      child.on('close', code => resolve({ code, stdout, stderr }));
+      child.stdin.end();
+    });
+  }
+
+  before(async () => {
+    baseURL = await mock.listen(0);
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'role-translator-eval-'));
+    // v2 为 v1 的副本，仅在 pm-to-dev 直出提示词中加入标记
+    templatesDir = path.join(workDir, 'templates');
+    fs.cpSync(path.join(TEMPLATES_SOURCE, 'v1'), path.join(templatesDir, 'v1'), { recursive: true });
+    fs.cpSync(path.join(TEMPLATES_SOURCE, 'v1'), path.join(templatesDir, 'v2'), { recursive: true });
+    const file = path.join(templatesDir, 'v2/pmToDev/direct.md');
+    fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace('# Role', `# Role\n${MARKER}`));
+  });
+
+  after(async () => {
+    await mock.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => mock.reset());
+
+  it('runs direct and scripted interactive cases and reports failed checks', async () => {
+    const dataset = writeDataset([
+      { id: 'login', direction: 'pm-to-dev', content: '手机号一键登录' },
+      {
+        id: 'points',
+        direction: 'pm-to-dev',
+        mode: 'interactive',
+        content: '用户积分系统',
+        answers: [{ match: '并发', answer: '高峰 500 QPS' }],
+        checks: { forbidden: ['模拟翻译结果'] }
+      }
+    ]);
+    mock.enqueue({ content: PASSING_RESULT }, { content: JSON.stringify(cannedAnalysis('PM_TO_DEV')) });
+
+    const { code, stdout, stderr } = await run([dataset]);
+
+    assert.equal(code, 0);
+    assert.match(stdout, /通过 1\/2（50\.0%）/);
+    assert.match(stdout, /\*\*points\*\*（pm-to-dev · interactive）headings：缺少章节：🛠 技术视角解构、⏳ 粗估建议/);
+    assert.match(stdout, /forbidden：出现禁用词：模拟翻译结果/);
+    assert.match(stderr, /\[基线 1\/2\] login 通过/);
+    // 命中的问题使用预设回答
+    assert.match(mock.requests.at(-1).messages.at(-1).content, /高峰 500 QPS/);
+  });
+
+  it('fails the gate when the candidate prompt version regresses a case', async () => {
+    const dataset = writeDataset([{ id: 'login', direction: 'pm-to-dev', content: '手机号一键登录' }]);
+    mock.enqueue(
+      { content: PASSING_RESULT }, judgement(5, 5, 5),
+      { content: PASSING_RESULT.replace(/\* 登录接口.*\n/, '').replace('3人天', '') }, judgement(5, 3, 3)
+    );
+
+    const { code, stdout, stderr } = await run([dataset, '--candidate-prompt', 'v2', '--judge', '--json']);
+
+    assert.equal(code, 1);
+    assert.match(stderr, /评测未通过：1 个用例退步：login/);
+    assert.ok(!mock.requests[0].messages[0].content.includes(MARKER));
+    assert.ok(mock.requests[2].messages[0].content.includes(MARKER));
+
+    const report = JSON.parse(stdout);
+    assert.match(report.baseline.config.promptVersion, /^v1@/);
+    assert.match(report.candidate.config.promptVersion, /^v2@/);
+    assert.deepEqual(report.regressions, ['login']);
+    assert.equal(report.baseline.judgeScore, 1);
+    assert.equal(report.delta.judgeScore, -0.3333);
+    assert.deepEqual(report.cases[0].newFailures, [
+      'fields: 「粗估建议」缺少「基准人天」',
+      'numericCriteria: 可量化的验收标准 0 条（至少 1 条）'
+    ]);
+  });
+
+  it('passes the gate when nothing regresses and checks judge drops', async () => {
+    const dataset = writeDataset([{ id: 'login', direction: 'pm-to-dev', content: '手机号一键登录' }]);
+    mock.enqueue({ content: PASSING_RESULT }, judgement(5, 5, 5), { content: PASSING_RESULT }, judgement(4, 4, 4));
+
+    const { code, stdout, stderr } = await run([dataset, '--candidate-model', 'mock-model-2', '--judge', '--max-judge-drop', '0.1']);
+
+    assert.equal(code, 1);
+    assert.match(stdout, /\| 评审得分 \| 100\.0% \| 75\.0% \| -25\.0% \|/);
+    assert.match(stderr, /评审得分下降 0\.25，超过 0\.1/);
+    assert.equal(mock.requests[2].model, 'mock-model-2');
+  });
+
+  it('exits with 2 on invalid datasets and options', async () => {
+    const invalid = await run([writeDataset([{ id: 'bad', direction: 'pm-to-ceo', content: '内容' }])]);
+    assert.equal(invalid.code, 2);
+    assert.match(invalid.stderr, /第 1 个用例（bad）：无效的翻译方向/);
+
+    const dataset = writeDataset([{ id: 'login', direction: 'pm-to-dev', content: '手机号一键登录' }]);
+    const version = await run([dataset, '--candidate-prompt', 'v9']);
+    assert.equal(version.code, 2);
+    assert.match(version.stderr, /--candidate-prompt 指定的提示词版本不可用/);
+
+    const unknownCase = await run([dataset, '--case', 'missing']);
+    assert.equal(unknownCase.code, 2);
+    assert.equal(mock.requests.length, 0);
+  });
+});
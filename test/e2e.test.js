@@ -0,0 +1,2344 @@
+/**
+ * 端到端测试：启动模拟 LLM 服务与真实的 Express 服务，
+ * 通过 HTTP 调用 /api/direct、/api/interactive/analyze、/api/interactive/synthesize，
+ * 断言 SSE 事件序列以及各类故障下的表现。
+ *
+ * 运行：npm test
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn, spawnSync } = require('node:child_process');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const http = require('node:http');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+const { MockLlmServer } = require('../server/mock/mock-llm-server');
+
+const SERVER_ENTRY = path.join(__dirname, '../server/index.js');
+const PROMPTS_ENTRY = path.join(__dirname, '../server/prompts/prompts.js');
+
+/**
+ * 获取一个空闲端口
+ */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * 模拟第三方 HTTP 服务（群机器人、Slack / 飞书开放接口）
+ * 记录收到的请求；响应优先取 responses 队列，队列为空时由 defaultResponse 决定
+ * @param {function} defaultResponse - (request) => { status, body }
+ */
+async function startCaptureServer(defaultResponse) {
+  const capture = { received: [], responses: [] };
+  capture.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = { url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null };
+      capture.received.push(request);
+      const next = capture.responses.shift() || defaultResponse(request);
+      res.writeHead(next.status, { 'Content-Type': 'application/json' });
+      res.end(typeof next.body === 'string' ? next.body : JSON.stringify(next.body));
+    });
+  });
+
+  await new Promise(resolve => capture.server.listen(0, '127.0.0.1', resolve));
+  capture.url = `http://127.0.0.1:${capture.server.address().port}`;
+  return capture;
+}
+
+/**
+ * 轮询直到条件满足（用于等待后台回复）
+ */
+async function waitFor(predicate, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = predicate();
+    if (value) {
+      return value;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error('等待超时');
+}
+
+/**
+ * 启动应用服务（子进程）
+ * 工作目录设为临时目录，避免读取开发者本地的 .env
+ */
+async function startApp(baseURL, extraEnv = {}) {
+  const port = await getFreePort();
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'role-translator-e2e-'));
+
+  const child = spawn(process.execPath, [SERVER_ENTRY], {
+    cwd: workDir,
+    stdio: 'ignore',
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      LLM_API_KEY: 'test-key',
+      LLM_API_BASE_URL: baseURL,
+      LLM_MODEL: 'mock-model',
+      LLM_PRICES: JSON.stringify({ 'mock-model': { input: 1, output: 2 } }),
+      WEBHOOK_RETRY_DELAY_MS: '10',
+      // 默认关闭限流，由专门的用例开启
+      RATE_LIMIT_DIRECT: '0',
+      RATE_LIMIT_ANALYZE: '0',
+      RATE_LIMIT_SYNTHESIZE: '0',
+      // 默认关闭章节修复，由专门的用例开启
+      SECTION_REPAIR: 'false',
+      ...extraEnv,
+      DATA_DIR: path.join(workDir, 'data'),
+      LOG_DIR: path.join(workDir, 'logs')
+    }
+  });
+
+  const url = `http://127.0.0.1:${port}`;
+  for (let attempt = 0; attempt < 100; attempt++) {
+    try {
+      const response = await fetch(`${url}/api/health`);
+      if (response.ok) {
+        return { url, child, workDir };
+      }
+    } catch (error) {
+      // 服务尚未就绪
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  child.kill();
+  throw new Error('应用服务启动超时');
+}
+
+/**
+ * 发送 POST 请求并把 SSE 响应解析为事件列表
+ * @returns {Promise<{ status: number, events: { event: string, data: object }[] }>}
+ */
+async function postSSE(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return readSSE(response);
+}
+
+/**
+ * 把 SSE 响应解析为事件列表，非 SSE 响应返回 JSON body
+ */
+async function readSSE(response) {
+  const text = await response.text();
+  if (!response.headers.get('content-type').includes('text/event-stream')) {
+    return { status: response.status, body: JSON.parse(text), events: [] };
+  }
+
+  const events = text.split('\n\n').filter(Boolean).map(block => {
+    let event = 'message';
+    let data = '';
+    block.split('\n').forEach(line => {
+      if (line.startsWith('event: ')) event = line.slice(7);
+      if (line.startsWith('data: ')) data += line.slice(6);
+    });
+    return { event, data: JSON.parse(data) };
+  });
+
+  return { status: response.status, events };
+}
+
+/**
+ * 事件类型序列，连续的 message 合并为一个
+ */
+function sequence(events) {
+  return events.map(item => item.event).filter((event, index, list) => {
+    return event !== 'message' || list[index - 1] !== 'message';
+  });
+}
+
+// 完整的 PM → Dev 结果，用于结构化输出测试
+const PM_TO_DEV_RESULT = `## 🚀 一句话同步
+手机号一键登录，提升注册转化
+
+## 💬 给开发发的群消息
+---
+@开发
+关于"**一键登录**"需求，核心逻辑如下：
+1. **意图**：减少注册流失
+---
+
+## 🛠 技术视角解构
+- **数据/埋点**：登录方式、耗时
+- **逻辑边界**：取号失败降级为验证码
+
+## ⏳ 粗估建议
+- **复杂度**：中等
+- **基准人天**：3-5人天，注：基于已接入运营商 SDK 的假设`;
+
+function joinChunks(events) {
+  return events.filter(item => item.event === 'message').map(item => item.data.chunk).join('');
+}
+
+const SLACK_SIGNING_SECRET = 'slack-signing-secret';
+
+/**
+ * 以 Slack 的签名方式提交表单回调
+ */
+async function postSlackForm(baseUrl, pathname, form, secret = SLACK_SIGNING_SECRET) {
+  const body = new URLSearchParams(form).toString();
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = `v0=${crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${body}`).digest('hex')}`;
+  const response = await fetch(`${baseUrl}/api/bot/slack${pathname}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'X-Slack-Request-Timestamp': timestamp,
+      'X-Slack-Signature': signature
+    },
+    body
+  });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+const FEISHU_ENCRYPT_KEY = 'feishu-encrypt-key';
+const FEISHU_VERIFICATION_TOKEN = 'feishu-verification-token';
+
+/**
+ * 第三方服务的默认响应：Slack Web API、飞书开放接口，其余按群机器人处理
+ */
+let slackTs = 0;
+function thirdPartyResponse(request) {
+  if (request.url.startsWith('/slack-api/')) {
+    slackTs++;
+    return { status: 200, body: { ok: true, ts: `1700000000.00000${slackTs}` } };
+  }
+  if (request.url.includes('tenant_access_token')) {
+    return { status: 200, body: { code: 0, tenant_access_token: 't-token', expire: 7200 } };
+  }
+  if (request.url.startsWith('/open-apis/im/')) {
+    return { status: 200, body: { code: 0, data: { message_id: 'om_reply' } } };
+  }
+  return { status: 200, body: 'ok' };
+}
+
+describe('end-to-end', () => {
+  const mock = new MockLlmServer();
+  let app;
+  let capture;
+
+  before(async () => {
+    const baseURL = await mock.listen(0);
+    capture = await startCaptureServer(thirdPartyResponse);
+    app = await startApp(baseURL, {
+      SLACK_SIGNING_SECRET,
+      SLACK_BOT_TOKEN: 'xoxb-test',
+      SLACK_API_BASE_URL: `${capture.url}/slack-api`,
+      FEISHU_APP_ID: 'cli_test',
+      FEISHU_APP_SECRET: 'feishu-secret',
+      FEISHU_ENCRYPT_KEY,
+      FEISHU_VERIFICATION_TOKEN,
+      FEISHU_API_BASE_URL: capture.url
+    });
+  });
+
+  after(async () => {
+    app.child.kill();
+    await mock.close();
+    await new Promise(resolve => capture.server.close(resolve));
+    fs.rmSync(app.workDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => mock.reset());
+
+  describe('POST /api/direct', () => {
+    it('streams chunks and finishes with done', async () => {
+      const { status, events } = await postSSE(`${app.url}/api/direct`, {
+        direction: 'pm-to-dev',
+        content: '做一个登录页，支持手机号验证码'
+      });
+
+      assert.equal(status, 200);
+      assert.deepEqual(sequence(events), ['connected', 'message', 'done']);
+      assert.match(joinChunks(events), /手机号验证码/);
+
+      const done = events.at(-1).data;
+      assert.equal(done.model, 'mock-model');
+      assert.ok(done.historyId);
+
+      const history = await (await fetch(`${app.url}/api/history/${done.historyId}`)).json();
+      assert.equal(history.result, joinChunks(events));
+    });
+
+    it('replays identical requests from the cache', async () => {
+      const body = { direction: 'pm-to-dev', content: '缓存测试：导出订单报表' };
+      const first = await postSSE(`${app.url}/api/direct`, body);
+      const second = await postSSE(`${app.url}/api/direct`, { ...body, content: ` ${body.content}  ` });
+
+      assert.equal(mock.requests.length, 1);
+      assert.deepEqual(sequence(second.events), ['connected', 'message', 'done']);
+      assert.equal(joinChunks(second.events), joinChunks(first.events));
+
+      await postSSE(`${app.url}/api/direct`, { ...body, noCache: true });
+      assert.equal(mock.requests.length, 2);
+    });
+
+    it('returns a validated structured result for format json', async () => {
+      mock.enqueue({ content: PM_TO_DEV_RESULT });
+      const { events } = await postSSE(`${app.url}/api/direct`, {
+        direction: 'pm-to-dev',
+        content: '结构化输出：一键登录',
+        format: 'json'
+      });
+
+      assert.deepEqual(sequence(events), ['connected', 'message', 'done']);
+      const { result } = events.at(-1).data;
+      assert.equal(result.direction, 'pm-to-dev');
+      assert.equal(result.summary, '手机号一键登录，提升注册转化');
+      assert.match(result.imMessage, /^@开发/);
+      assert.deepEqual(result.breakdown[1], { label: '逻辑边界', content: '取号失败降级为验证码' });
+      assert.equal(result.estimate.complexity, '中等');
+      assert.match(result.estimate.baselineDays, /^3-5人天/);
+    });
+
+    it('reports an error when the result misses sections for format json', async () => {
+      const { events } = await postSSE(`${app.url}/api/direct`, {
+        direction: 'pm-to-dev',
+        content: '结构化输出：缺少章节',
+        format: 'json'
+      });
+
+      assert.deepEqual(sequence(events), ['connected', 'message', 'error']);
+      assert.match(events.at(-1).data.error, /技术视角解构/);
+
+      const history = await (await fetch(`${app.url}/api/history?q=${encodeURIComponent('结构化输出：缺少章节')}`)).json();
+      assert.equal(history.total, 0);
+    });
+
+    it('rejects unknown formats', async () => {
+      const { status } = await postSSE(`${app.url}/api/direct`, {
+        direction: 'pm-to-dev',
+        content: '未知格式',
+        format: 'xml'
+      });
+      assert.equal(status, 400);
+    });
+
+    it('rejects invalid requests with 400', async () => {
+      const { status, body } = await postSSE(`${app.url}/api/direct`, { direction: 'pm-to-dev' });
+      assert.equal(status, 400);
+      assert.ok(body.error);
+    });
+
+    it('recovers from a single 429 through the SDK retry', async () => {
+      mock.enqueue({ status: 429 });
+      const { events } = await postSSE(`${app.url}/api/direct`, {
+        direction: 'pm-to-dev',
+        content: '429 一次后恢复'
+      });
+
+      assert.deepEqual(sequence(events), ['connected', 'message', 'done']);
+      assert.equal(mock.requests.length, 2);
+    });
+
+    it('reports an error when the endpoint keeps returning 429', async () => {
+      mock.enqueue({ status: 429 }, { status: 429 }, { status: 429 });
+      const { events } = await postSSE(`${app.url}/api/direct`, {
+        direction: 'pm-to-dev',
+        content: '持续限流'
+      });
+
+      assert.deepEqual(sequence(events), ['connected', 'error']);
+      assert.match(events.at(-1).data.error, /429/);
+    });
+
+    it('reports an error when the endpoint keeps returning 500', async () => {
+      mock.enqueue({ status: 500 }, { status: 500 }, { status: 500 });
+      const { events } = await postSSE(`${app.url}/api/direct`, {
+        direction: 'dev-to-pm',
+        content: '持续 500'
+      });
+
+      assert.deepEqual(sequence(events), ['connected', 'error']);
+      assert.match(events.at(-1).data.error, /500/);
+    });
+
+    it('reports an error on a malformed stream chunk', async () => {
+      mock.enqueue({ malformed: true });
+      const { events } = await postSSE(`${app.url}/api/direct`, {
+        direction: 'pm-to-dev',
+        content: '损坏的 JSON 片段'
+      });
+
+      assert.deepEqual(sequence(events), ['connected', 'error']);
+    });
+
+    it('reports an error after partial output when the stream disconnects', async () => {
+      mock.enqueue({ disconnect: true });
+      const { events } = await postSSE(`${app.url}/api/direct`, {
+        direction: 'pm-to-dev',
+        content: '中途断开连接的请求，需要足够长的输出才能分成多个片段'
+      });
+
+      assert.deepEqual(sequence(events), ['connected', 'message', 'error']);
+      assert.ok(!events.some(item => item.event === 'done'));
+    });
+  });
+
+  describe('POST /api/refine', () => {
+    async function directWithHistory() {
+      mock.enqueue({ content: PM_TO_DEV_RESULT });
+      const { events } = await postSSE(`${app.url}/api/direct`, {
+        direction: 'pm-to-dev',
+        content: '需求：支持追问修改',
+        context: '项目背景：营销活动页',
+        noCache: true
+      });
+      return { historyId: events.at(-1).data.historyId, messages: mock.requests.at(-1).messages };
+    }
+
+    it('continues the original conversation with the previous result and the instruction', async () => {
+      const { historyId, messages } = await directWithHistory();
+
+      const { events } = await postSSE(`${app.url}/api/refine`, {
+        direction: 'pm-to-dev',
+        originalText: '需求：支持追问修改',
+        result: PM_TO_DEV_RESULT,
+        instruction: '把群消息缩短一些',
+        historyId
+      });
+      assert.equal(events.at(-1).event, 'done');
+
+      const refine = mock.requests.at(-1).messages;
+      assert.deepEqual(refine.map(message => message.role), ['system', 'user', 'assistant', 'user']);
+      assert.ok(refine[0].content.includes(messages[0].content));
+      assert.deepEqual(refine[1], messages[1]);
+      assert.match(refine[1].content, /项目背景：营销活动页/);
+      assert.equal(refine[2].content, PM_TO_DEV_RESULT);
+      assert.match(refine[3].content, /把群消息缩短一些/);
+    });
+
+    it('rejects fields that are not strings with 400', async () => {
+      const valid = { direction: 'pm-to-dev', originalText: '需求', result: PM_TO_DEV_RESULT, instruction: '缩短' };
+      for (const [field, value] of [['originalText', 42], ['result', { text: '结果' }], ['instruction', ['缩短']]]) {
+        const { status, body } = await postSSE(`${app.url}/api/refine`, { ...valid, [field]: value });
+        assert.equal(status, 400, field);
+        assert.equal(body.error, `${field} 必须是字符串`);
+      }
+      assert.equal(mock.requests.length, 0);
+    });
+
+    it('rejects a history record from another direction', async () => {
+      const { historyId } = await directWithHistory();
+      const calls = mock.requests.length;
+
+      const { status, body } = await postSSE(`${app.url}/api/refine`, {
+        direction: 'dev-to-pm',
+        originalText: '需求：支持追问修改',
+        result: PM_TO_DEV_RESULT,
+        instruction: '改成面向产品的说法',
+        historyId
+      });
+      assert.equal(status, 400);
+      assert.match(body.error, /翻译方向与历史记录不一致/);
+      assert.equal(mock.requests.length, calls);
+
+      const record = await (await fetch(`${app.url}/api/history/${historyId}`)).json();
+      assert.equal(record.result, PM_TO_DEV_RESULT);
+      assert.deepEqual(record.refinements, []);
+    });
+  });
+
+  describe('POST /api/export', () => {
+    const RESULT_WITH_CRITERIA = PM_TO_DEV_RESULT.replace(
+      '1. **意图**：减少注册流失',
+      '1. **意图**：减少注册流失\n2. **验收标准**：取号成功率不低于 95%；失败时降级到验证码'
+    );
+
+    async function exportAs(format, extra = {}) {
+      const response = await fetch(`${app.url}/api/export`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ direction: 'pm-to-dev', result: RESULT_WITH_CRITERIA, format, ...extra })
+      });
+      return { status: response.status, body: await response.json() };
+    }
+
+    it('converts to GitHub issue markdown with acceptance checkboxes', async () => {
+      const { status, body } = await exportAs('github');
+      assert.equal(status, 200);
+      assert.equal(body.title, '一键登录');
+      assert.match(body.content, /^> @开发/m);
+      assert.match(body.content, /\| 复杂度 \| 中等 \|/);
+      assert.match(body.content, /- \[ \] 取号成功率不低于 95%\n- \[ \] 失败时降级到验证码/);
+    });
+
+    it('converts to Jira wiki markup', async () => {
+      const { body } = await exportAs('jira');
+      assert.match(body.content, /^h2\. 🚀 一句话同步/m);
+      assert.match(body.content, /\{panel[^}]*\}\n@开发/);
+      assert.match(body.content, /^# \*意图\*：减少注册流失/m);
+      assert.match(body.content, /^\|\|复杂度\|中等\|/m);
+    });
+
+    it('converts to Confluence storage format and standalone HTML', async () => {
+      const confluence = (await exportAs('confluence')).body.content;
+      assert.match(confluence, /<ac:structured-macro ac:name="info"><ac:rich-text-body><p>@开发/);
+      assert.match(confluence, /<tr><th>复杂度<\/th><td>中等<\/td><\/tr>/);
+
+      const html = (await exportAs('html')).body;
+      assert.match(html.content, /^<!DOCTYPE html>/);
+      assert.match(html.content, /<title>一键登录<\/title>/);
+      assert.equal(html.filename, '一键登录.html');
+    });
+
+    it('exports a history record and rejects unknown formats', async () => {
+      mock.enqueue({ content: PM_TO_DEV_RESULT });
+      const { events } = await postSSE(`${app.url}/api/direct`, { direction: 'pm-to-dev', content: '导出历史记录' });
+      const { historyId } = events.at(-1).data;
+
+      const fromHistory = await exportAs('github', { historyId, result: undefined });
+      assert.equal(fromHistory.status, 200);
+      assert.match(fromHistory.body.content, /## 🛠 技术视角解构/);
+
+      assert.equal((await exportAs('pdf')).status, 400);
+    });
+  });
+
+  describe('/api/webhooks', () => {
+    let received;
+    let responses;
+    let hookURL;
+
+    beforeEach(() => {
+      capture.received.length = 0;
+      capture.responses.length = 0;
+      ({ received, responses, url: hookURL } = capture);
+    });
+
+    async function request(method, pathname, body) {
+      const response = await fetch(`${app.url}/api/webhooks${pathname}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    }
+
+    async function createTarget(fields) {
+      const { status, body } = await request('POST', '/', { name: '研发群', team: '支付组', ...fields });
+      assert.equal(status, 201);
+      return body;
+    }
+
+    it('creates, lists and deletes targets without exposing the url', async () => {
+      const target = await createTarget({ platform: 'slack', url: `${hookURL}/services/T000/B000/secret-token` });
+      assert.equal(target.urlPreview, `${hookURL}/…oken`);
+      assert.equal(target.url, undefined);
+
+      const { body } = await request('GET', '/?team=支付组');
+      assert.ok(body.targets.some(item => item.id === target.id));
+      assert.ok(body.platforms.some(item => item.id === 'feishu'));
+
+      assert.equal((await request('POST', '/', { name: '群', platform: 'qq', url: hookURL })).status, 400);
+      assert.equal((await request('DELETE', `/${target.id}`)).status, 200);
+      assert.equal((await request('DELETE', `/${target.id}`)).status, 404);
+    });
+
+    it('sends the IM block to Slack and records the delivery in history', async () => {
+      mock.enqueue({ content: PM_TO_DEV_RESULT });
+      const { events } = await postSSE(`${app.url}/api/direct`, {
+        direction: 'pm-to-dev',
+        content: '投递测试：手机号一键登录'
+      });
+      const { historyId } = events.at(-1).data;
+
+      const target = await createTarget({ platform: 'slack', url: `${hookURL}/slack` });
+      const { status, body } = await request('POST', `/${target.id}/send`, {
+        direction: 'pm-to-dev',
+        result: PM_TO_DEV_RESULT,
+        historyId
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.delivery.status, 'delivered');
+      assert.equal(body.delivery.attempts, 1);
+
+      const [payload] = received.map(item => item.body);
+      assert.equal(payload.blocks[0].text.text, '一键登录');
+      assert.match(payload.blocks[1].text.text, /^@开发\n关于"\*一键登录\*"需求/);
+      assert.doesNotMatch(payload.blocks[1].text.text, /技术视角/);
+
+      const history = await (await fetch(`${app.url}/api/history/${historyId}`)).json();
+      assert.equal(history.deliveries.length, 1);
+      assert.equal(history.deliveries[0].targetId, target.id);
+    });
+
+    it('signs DingTalk requests and retries after a server error', async () => {
+      const target = await createTarget({ platform: 'dingtalk', url: `${hookURL}/robot/send?access_token=abc`, secret: 'SEC123' });
+      responses.push({ status: 500, body: 'busy' }, { status: 200, body: '{"errcode":0,"errmsg":"ok"}' });
+
+      const { status, body } = await request('POST', `/${target.id}/send`, { direction: 'pm-to-dev', result: PM_TO_DEV_RESULT });
+
+      assert.equal(status, 200);
+      assert.equal(body.delivery.attempts, 2);
+      assert.equal(received.length, 2);
+      assert.match(received[1].url, /access_token=abc&timestamp=\d+&sign=/);
+      assert.equal(received[1].body.msgtype, 'markdown');
+    });
+
+    it('returns 502 with the delivery status when every attempt fails', async () => {
+      const target = await createTarget({ platform: 'wecom', url: `${hookURL}/cgi-bin/webhook/send?key=k` });
+      responses.push(...Array(3).fill({ status: 503, body: '' }));
+
+      const { status, body } = await request('POST', `/${target.id}/send`, { direction: 'pm-to-dev', result: PM_TO_DEV_RESULT });
+
+      assert.equal(status, 502);
+      assert.equal(body.delivery.status, 'failed');
+      assert.equal(body.delivery.attempts, 3);
+      assert.match(body.error, /HTTP 503/);
+    });
+
+    it('does not retry platform errors and rejects results without an IM block', async () => {
+      const target = await createTarget({ platform: 'feishu', url: `${hookURL}/open-apis/bot/v2/hook/x` });
+      responses.push({ status: 200, body: '{"code":19021,"msg":"sign match fail"}' });
+
+      const failed = await request('POST', `/${target.id}/send`, { direction: 'pm-to-dev', result: PM_TO_DEV_RESULT });
+      assert.equal(failed.status, 502);
+      assert.equal(failed.body.delivery.attempts, 1);
+      assert.match(failed.body.error, /sign match fail/);
+
+      const missing = await request('POST', `/${target.id}/send`, { direction: 'pm-to-dev', result: '## 🚀 一句话同步\n只有一句话' });
+      assert.equal(missing.status, 400);
+    });
+  });
+
+  describe('/api/glossary', () => {
+    async function request(method, pathname, body) {
+      const response = await fetch(`${app.url}/api/glossary${pathname}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    }
+
+    // 词条对所有翻译生效，结束后清理，避免影响其他用例的提示词
+    after(async () => {
+      const { body } = await request('GET', '/');
+      for (const entry of body.entries) {
+        await request('DELETE', `/${entry.id}`);
+      }
+    });
+
+    it('creates, updates, lists and deletes entries', async () => {
+      const created = await request('POST', '/', { term: '北极星', aliases: [' Polaris ', '北极星'], definition: '新版结算系统的项目代号' });
+      assert.equal(created.status, 201);
+      assert.deepEqual(created.body.aliases, ['Polaris']);
+
+      assert.equal((await request('POST', '/', { term: 'polaris', definition: '重名' })).status, 409);
+      assert.equal((await request('POST', '/', { term: '', definition: '缺少词条名' })).status, 400);
+      assert.equal((await request('POST', '/', { term: '大促', aliases: 'x', definition: '别名不是数组' })).status, 400);
+
+      const updated = await request('PUT', `/${created.body.id}`, { definition: '新版结算系统（2026 上线）的项目代号' });
+      assert.equal(updated.status, 200);
+      assert.equal(updated.body.term, '北极星');
+      assert.match(updated.body.definition, /2026/);
+
+      const { body } = await request('GET', '/');
+      assert.ok(body.entries.some(entry => entry.id === created.body.id));
+
+      assert.equal((await request('DELETE', `/${created.body.id}`)).status, 200);
+      assert.equal((await request('PUT', `/${created.body.id}`, { definition: '已删除' })).status, 404);
+    });
+
+    it('injects matching entries into the direct prompt and flags them in the result', async () => {
+      await request('POST', '/', { term: '大促', aliases: ['双11'], definition: '年度流量峰值活动，容量按日常 10 倍准备' });
+      await request('POST', '/', { term: 'PR', definition: '代码合并请求' });
+      await request('POST', '/', { term: '天枢', definition: '订单中台' });
+
+      const { events } = await postSSE(`${app.url}/api/direct`, {
+        direction: 'pm-to-dev',
+        content: '双11 前要把 PRD 里的优惠券叠加规则上线'
+      });
+
+      const done = events.at(-1).data;
+      assert.deepEqual(done.glossaryTerms, ['大促']);
+
+      const prompt = mock.requests.at(-1).messages.at(-1).content;
+      assert.match(prompt, /\[团队术语表\]/);
+      assert.match(prompt, /容量按日常 10 倍准备/);
+      assert.doesNotMatch(prompt, /代码合并请求|订单中台/);
+
+      const history = await (await fetch(`${app.url}/api/history/${done.historyId}`)).json();
+      assert.deepEqual(history.glossaryTerms, ['大促']);
+    });
+
+    it('injects entries into analysis and synthesis prompts', async () => {
+      await request('POST', '/', { term: '玄武', definition: '风控规则引擎，变更需安全评审' });
+
+      const analysis = await postSSE(`${app.url}/api/interactive/analyze`, {
+        direction: 'pm-to-dev',
+        content: '新的优惠规则需要接入玄武'
+      });
+      const { sessionId, glossaryTerms } = analysis.events.at(-1).data;
+      assert.deepEqual(glossaryTerms, ['玄武']);
+      assert.match(mock.requests.at(-1).messages.at(-1).content, /变更需安全评审/);
+
+      const synthesis = await postSSE(`${app.url}/api/interactive/synthesize`, { sessionId, answers: [] });
+      assert.deepEqual(synthesis.events.at(-1).data.glossaryTerms, ['玄武']);
+      assert.match(mock.requests.at(-1).messages.at(-1).content, /## 团队术语表[\s\S]*变更需安全评审/);
+    });
+  });
+
+  describe('/api/profiles', () => {
+    async function request(method, pathname, body) {
+      const response = await fetch(`${app.url}/api/profiles${pathname}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    }
+
+    let profile;
+
+    before(async () => {
+      const created = await request('POST', '/', {
+        name: '交易中台',
+        techStack: 'Go + gRPC，TiDB',
+        traffic: '日常 2k QPS，峰值 20k QPS',
+        sla: '可用性 99.95%'
+      });
+      assert.equal(created.status, 201);
+      profile = created.body;
+    });
+
+    after(async () => {
+      await request('DELETE', `/${profile.id}`);
+    });
+
+    it('validates, lists and updates profiles', async () => {
+      assert.equal((await request('POST', '/', { name: '空档案' })).status, 400);
+      assert.equal((await request('POST', '/', { name: '交易中台', sla: '99.9%' })).status, 409);
+      assert.equal((await request('POST', '/', { name: '档案', traffic: 100 })).status, 400);
+
+      const { body } = await request('GET', '/');
+      assert.ok(body.fields.some(field => field.id === 'compliance'));
+      assert.equal(body.profiles.find(item => item.id === profile.id).teamSize, '');
+
+      const updated = await request('PUT', `/${profile.id}`, { compliance: '支付数据需满足 PCI DSS' });
+      assert.equal(updated.status, 200);
+      assert.equal(updated.body.techStack, 'Go + gRPC，TiDB');
+      assert.equal((await request('PUT', '/missing', { sla: '99%' })).status, 404);
+    });
+
+    it('adds the profile and request context to the direct prompt', async () => {
+      const { events } = await postSSE(`${app.url}/api/direct`, {
+        direction: 'pm-to-dev',
+        content: '订单列表支持按优惠券筛选',
+        profileId: profile.id,
+        context: '本迭代只剩 3 天'
+      });
+
+      const prompt = mock.requests.at(-1).messages.at(-1).content;
+      assert.match(prompt, /项目背景（交易中台）[\s\S]*峰值 20k QPS[\s\S]*本迭代只剩 3 天/);
+
+      const history = await (await fetch(`${app.url}/api/history/${events.at(-1).data.historyId}`)).json();
+      assert.equal(history.profileId, profile.id);
+      assert.match(history.context, /Go \+ gRPC/);
+
+      const unknown = await fetch(`${app.url}/api/direct`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ direction: 'pm-to-dev', content: '需求', profileId: 'missing' })
+      });
+      assert.equal(unknown.status, 400);
+    });
+
+    it('keeps the profile through analysis and synthesis', async () => {
+      const analysis = await postSSE(`${app.url}/api/interactive/analyze`, {
+        direction: 'pm-to-dev',
+        content: '订单导出改为异步任务',
+        profileId: profile.id
+      });
+      assert.match(mock.requests.at(-1).messages.at(-1).content, /\[补充背景\]:\n项目背景（交易中台）/);
+
+      const { sessionId } = analysis.events.at(-1).data;
+      await postSSE(`${app.url}/api/interactive/synthesize`, { sessionId, answers: [] });
+      assert.match(mock.requests.at(-1).messages.at(-1).content, /## 补充背景\n项目背景（交易中台）[\s\S]*可用性 99.95%/);
+    });
+  });
+
+  describe('/api/bot', () => {
+    beforeEach(() => {
+      capture.received.length = 0;
+      capture.responses.length = 0;
+    });
+
+    const slackMessages = () => capture.received.filter(request => request.url === '/slack-api/chat.postMessage');
+
+    function postSlack(pathname, form, secret = SLACK_SIGNING_SECRET) {
+      return postSlackForm(app.url, pathname, form, secret);
+    }
+
+    async function postFeishu(payload, { signed = true } = {}) {
+      const key = crypto.createHash('sha256').update(FEISHU_ENCRYPT_KEY).digest();
+      const iv = crypto.randomBytes(16);
+      const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
+      const encrypt = Buffer.concat([iv, cipher.update(JSON.stringify(payload)), cipher.final()]).toString('base64');
+      const body = JSON.stringify({ encrypt });
+
+      const headers = { 'Content-Type': 'application/json' };
+      if (signed) {
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        headers['X-Lark-Request-Timestamp'] = timestamp;
+        headers['X-Lark-Request-Nonce'] = 'nonce';
+        headers['X-Lark-Signature'] = crypto.createHash('sha256')
+          .update(`${timestamp}nonce${FEISHU_ENCRYPT_KEY}${body}`)
+          .digest('hex');
+      }
+
+      const response = await fetch(`${app.url}/api/bot/feishu/events`, { method: 'POST', headers, body });
+      return { status: response.status, body: await response.json() };
+    }
+
+    function feishuEvent(eventId, eventType, event) {
+      return {
+        schema: '2.0',
+        header: { event_id: eventId, event_type: eventType, token: FEISHU_VERIFICATION_TOKEN },
+        event
+      };
+    }
+
+    it('rejects Slack requests with a bad signature', async () => {
+      const { status } = await postSlack('/commands', { text: 'help' }, 'wrong-secret');
+      assert.equal(status, 401);
+    });
+
+    it('answers help and invalid commands ephemerally', async () => {
+      const help = await postSlack('/commands', { text: 'help' });
+      assert.equal(help.body.response_type, 'ephemeral');
+      assert.match(help.body.text, /用法：\/translate/);
+
+      const invalid = await postSlack('/commands', { text: 'pm-to-ceo 内容' });
+      assert.match(invalid.body.text, /未知的翻译方向「pm-to-ceo」/);
+      assert.equal(slackMessages().length, 0);
+    });
+
+    it('acknowledges a slash command and posts the translation to the channel', async () => {
+      const { status, body } = await postSlack('/commands', {
+        text: 'pm-to-dev 斜杠指令：导出订单报表',
+        channel_id: 'C1',
+        response_url: `${capture.url}/slack-response`
+      });
+
+      assert.equal(status, 200);
+      assert.match(body.text, /正在翻译/);
+
+      const [message] = await waitFor(() => slackMessages().length > 0 && slackMessages());
+      assert.equal(message.headers.authorization, 'Bearer xoxb-test');
+      assert.equal(message.body.channel, 'C1');
+      assert.match(message.body.blocks.map(block => block.text.text).join('\n'), /斜杠指令：导出订单报表/);
+    });
+
+    it('stamps the model and charges bot usage to the IM user', async () => {
+      await postSlack('/commands', {
+        text: 'pm-to-dev 机器人归属：订单导出',
+        team_id: 'T1',
+        user_id: 'U1',
+        channel_id: 'C1',
+        response_url: `${capture.url}/slack-response`
+      });
+      await waitFor(() => slackMessages().length > 0);
+
+      const history = await (await fetch(`${app.url}/api/history?q=${encodeURIComponent('机器人归属')}`)).json();
+      const record = await (await fetch(`${app.url}/api/history/${history.items[0].id}`)).json();
+      assert.equal(record.model, 'mock-model');
+      assert.match(record.promptVersion, /^v1@/);
+      assert.ok(record.conformance);
+
+      const budget = JSON.parse(fs.readFileSync(path.join(app.workDir, 'data/budget.json'), 'utf8'));
+      assert.equal(budget.clients['bot:slack:T1:U1'].calls, 1);
+      assert.ok(budget.clients['bot:slack:T1:U1'].tokens > 0);
+    });
+
+    it('runs the interactive flow as a Slack thread', async () => {
+      await postSlack('/commands', {
+        text: '-i pm-to-dev 话题测试：会员积分',
+        channel_id: 'C1',
+        response_url: `${capture.url}/slack-response`
+      });
+
+      const [questions] = await waitFor(() => slackMessages().length > 0 && slackMessages());
+      const button = questions.body.blocks.find(block => block.block_id === 'question_0').elements[0];
+      assert.equal(button.text.text, '< 100 QPS');
+
+      const { status } = await postSlack('/actions', {
+        payload: JSON.stringify({
+          type: 'block_actions',
+          actions: [{ action_id: button.action_id, value: button.value }],
+          channel: { id: 'C1' },
+          message: { ts: '1700000000.000100' },
+          response_url: `${capture.url}/slack-response`
+        })
+      });
+      assert.equal(status, 200);
+
+      const update = await waitFor(() => capture.received.find(request => request.url === '/slack-response'));
+      assert.equal(update.body.replace_original, true);
+      assert.match(JSON.stringify(update.body.blocks), /✅ &lt; 100 QPS/);
+
+      const result = await waitFor(() => slackMessages().find(message => message.body.thread_ts === '1700000000.000100'));
+      assert.match(result.body.text, /模拟翻译结果/);
+      assert.match(mock.requests.at(-1).messages.at(-1).content, /< 100 QPS/);
+    });
+
+    it('rejects Slack action payloads that are not objects with 400', async () => {
+      for (const payload of ['null', '42', '[]', '"text"']) {
+        const { status } = await postSlack('/actions', { payload });
+        assert.equal(status, 400, payload);
+      }
+    });
+
+    it('verifies Feishu callbacks and answers the url challenge', async () => {
+      const challenge = await postFeishu({ type: 'url_verification', challenge: 'abc', token: FEISHU_VERIFICATION_TOKEN }, { signed: false });
+      assert.deepEqual(challenge.body, { challenge: 'abc' });
+
+      const wrongToken = await postFeishu({ type: 'url_verification', challenge: 'abc', token: 'wrong' }, { signed: false });
+      assert.equal(wrongToken.status, 401);
+
+      const unsigned = await postFeishu(feishuEvent('e0', 'im.message.receive_v1', {}), { signed: false });
+      assert.equal(unsigned.status, 401);
+    });
+
+    it('replies in a Feishu thread and updates the question card', async () => {
+      const messageEvent = feishuEvent('e1', 'im.message.receive_v1', {
+        sender: { sender_type: 'user' },
+        message: {
+          message_id: 'om_1',
+          message_type: 'text',
+          content: JSON.stringify({ text: '@_user_1 /translate -i pm-to-dev 飞书话题：签到' })
+        }
+      });
+      assert.equal((await postFeishu(messageEvent)).status, 200);
+
+      const cardReply = await waitFor(() => capture.received.find(request => request.url === '/open-apis/im/v1/messages/om_1/reply'));
+      assert.equal(cardReply.headers.authorization, 'Bearer t-token');
+      assert.equal(cardReply.body.msg_type, 'interactive');
+      assert.equal(cardReply.body.reply_in_thread, true);
+
+      // 重推的事件不再处理
+      const llmCalls = mock.requests.length;
+      await postFeishu(messageEvent);
+
+      const card = JSON.parse(cardReply.body.content);
+      const button = card.elements.find(element => element.tag === 'action').actions[0];
+      const { body } = await postFeishu(feishuEvent('e2', 'card.action.trigger', {
+        action: { value: button.value },
+        context: { open_message_id: 'om_card' }
+      }));
+      assert.match(JSON.stringify(body.card.data), /✅ < 100 QPS/);
+
+      const result = await waitFor(() => capture.received.find(request => request.url === '/open-apis/im/v1/messages/om_card/reply'));
+      assert.equal(result.body.msg_type, 'post');
+      assert.match(result.body.content, /模拟翻译结果/);
+      assert.equal(mock.requests.length, llmCalls + 1);
+    });
+  });
+
+  describe('/api/batch', () => {
+    async function createJob(body, contentType = 'application/json', query = '') {
+      const response = await fetch(`${app.url}/api/batch${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': contentType },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    }
+
+    async function waitForJob(id) {
+      for (let attempt = 0; attempt < 100; attempt++) {
+        const job = await (await fetch(`${app.url}/api/batch/${id}`)).json();
+        if (job.status === 'completed' || job.status === 'cancelled') {
+          return job;
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+      throw new Error('批量任务超时');
+    }
+
+    it('runs CSV items and answers interactive questions with default assumptions', async () => {
+      const csv = [
+        'ref,mode,content',
+        'STORY-1,direct,"批量直出：订单导出, 支持筛选"',
+        'STORY-2,interactive,批量补齐：会员积分'
+      ].join('\n');
+      const { status, body } = await createJob(csv, 'text/csv', '?direction=pm-to-dev&concurrency=1&name=sprint-12');
+
+      assert.equal(status, 202);
+      assert.equal(body.counts.total, 2);
+
+      const job = await waitForJob(body.id);
+      assert.equal(job.name, 'sprint-12');
+      assert.deepEqual(job.items.map(item => item.status), ['completed', 'completed']);
+      assert.match(job.items[0].result, /批量直出：订单导出, 支持筛选/);
+      assert.deepEqual(job.items[1].answers, [{ id: 'q1', answer: '< 100 QPS' }]);
+      assert.match(mock.requests.at(-1).messages.at(-1).content, /< 100 QPS/);
+
+      const history = await (await fetch(`${app.url}/api/history/${job.items[1].historyId}`)).json();
+      assert.equal(history.mode, 'interactive');
+    });
+
+    it('keeps going when an item fails and exports the report', async () => {
+      mock.enqueue({ status: 500 }, { status: 500 }, { status: 500 });
+      const { body } = await createJob({
+        direction: 'dev-to-pm',
+        concurrency: 1,
+        items: [
+          { ref: 'BUG-1', content: '批量失败条目' },
+          { ref: 'BUG-2', content: '批量成功条目' }
+        ]
+      });
+
+      const job = await waitForJob(body.id);
+      assert.deepEqual(job.counts, { total: 2, pending: 0, running: 0, completed: 1, failed: 1, cancelled: 0 });
+      assert.ok(job.items[0].error);
+
+      const markdown = await (await fetch(`${app.url}/api/batch/${body.id}/report`)).text();
+      assert.match(markdown, /共 2 条：完成 1，失败 1/);
+      assert.match(markdown, /## 1\. BUG-1 批量失败条目\n\n> 开发工程师 → 产品经理 · 快速直出 · 失败\n\n❌ 失败：/);
+      assert.match(markdown, /^### /m);
+
+      const response = await fetch(`${app.url}/api/batch/${body.id}/report?format=csv`);
+      assert.match(response.headers.get('content-disposition'), /batch-.*\.csv/);
+      // response.text() 会去掉 BOM，按原始字节解码
+      const csv = Buffer.from(await response.arrayBuffer()).toString('utf8');
+      assert.match(csv, /^\uFEFFindex,ref,direction,mode,status,content,result,error,model,historyId\r\n1,BUG-1,dev-to-pm,direct,failed,/);
+    });
+
+    it('streams progress events until the job is done', async () => {
+      const { body } = await createJob({
+        format: 'jsonl',
+        data: [
+          JSON.stringify({ direction: 'qa-to-dev', content: '进度流条目一' }),
+          JSON.stringify({ direction: 'qa-to-dev', content: '进度流条目二' })
+        ].join('\n')
+      });
+
+      const { events } = await readSSE(await fetch(`${app.url}/api/batch/${body.id}/events`));
+      assert.deepEqual(events.slice(0, 2).map(item => item.event), ['connected', 'progress']);
+      assert.equal(events.at(-1).event, 'done');
+      assert.equal(events.at(-1).data.counts.completed, 2);
+    });
+
+    it('rejects invalid items', async () => {
+      const invalid = await createJob({ items: [{ direction: 'pm-to-ceo', content: 'x' }, { direction: 'pm-to-dev' }] });
+      assert.equal(invalid.status, 400);
+      assert.deepEqual(invalid.body.errors, ['第 1 条：无效的翻译方向「pm-to-ceo」', '第 2 条：内容为空']);
+
+      const noContent = await createJob('ref,text\nA,B', 'text/csv', '?direction=pm-to-dev');
+      assert.match(noContent.body.error, /缺少 content 列/);
+
+      const badConcurrency = await createJob({ direction: 'pm-to-dev', concurrency: 99, items: [{ content: 'x' }] });
+      assert.equal(badConcurrency.status, 400);
+    });
+  });
+
+  describe('GET /api/stats', () => {
+    async function stats(query = '') {
+      return (await fetch(`${app.url}/api/stats${query}`)).json();
+    }
+
+    it('accounts tokens and cost from the streaming usage chunk', async () => {
+      const before = await stats();
+      const { events } = await postSSE(`${app.url}/api/direct`, {
+        direction: 'qa-to-dev',
+        content: '统计用量：列表页偶现白屏'
+      });
+      assert.equal(events.at(-1).event, 'done');
+      assert.deepEqual(mock.requests[0].stream_options, { include_usage: true });
+
+      const after = await stats();
+      const direct = after.byMode.direct;
+      const previous = before.byMode.direct || { calls: 0, promptTokens: 0, completionTokens: 0 };
+      assert.equal(direct.calls, previous.calls + 1);
+      assert.ok(direct.promptTokens > previous.promptTokens);
+      assert.ok(after.byDirection['qa-to-dev'].completionTokens > 0);
+      assert.ok(after.byModel['mock-model'].cost > 0);
+      assert.ok(after.byDay[new Date().toISOString().slice(0, 10)]);
+    });
+
+    it('estimates the usage of streams that fail partway', async () => {
+      const before = await stats();
+      mock.enqueue({ disconnect: true });
+      const { events } = await postSSE(`${app.url}/api/direct`, {
+        direction: 'ops-to-pm',
+        content: '统计用量：中途断开的请求，需要足够长的输出才能分成多个片段'
+      });
+      assert.equal(events.at(-1).event, 'error');
+
+      const after = await stats();
+      const previous = before.byDirection['ops-to-pm'] || { calls: 0, promptTokens: 0, completionTokens: 0, unmeasuredCalls: 0 };
+      const current = after.byDirection['ops-to-pm'];
+      assert.equal(current.calls, previous.calls + 1);
+      assert.equal(current.unmeasuredCalls, previous.unmeasuredCalls);
+      assert.ok(current.promptTokens > previous.promptTokens);
+      assert.ok(current.completionTokens > previous.completionTokens);
+    });
+
+    it('rejects malformed dates', async () => {
+      const response = await fetch(`${app.url}/api/stats?from=yesterday`);
+      assert.equal(response.status, 400);
+    });
+  });
+
+  describe('interactive flow', () => {
+    async function analyze(content) {
+      return postSSE(`${app.url}/api/interactive/analyze`, { direction: 'pm-to-dev', content });
+    }
+
+    it('analyzes, then synthesizes with the session answers', async () => {
+      const analysis = await analyze('做一个消息推送功能');
+      assert.deepEqual(sequence(analysis.events), ['connected', 'message', 'done']);
+
+      const { json, sessionId, historyId } = analysis.events.at(-1).data;
+      assert.equal(json.direction, 'PM_TO_DEV');
+      assert.equal(json.missing_info[0].id, 'q1');
+      assert.ok(sessionId);
+
+      const synthesis = await postSSE(`${app.url}/api/interactive/synthesize`, {
+        sessionId,
+        answers: [{ id: 'q1', answer: '> 1000 QPS' }]
+      });
+      assert.deepEqual(sequence(synthesis.events), ['connected', 'message', 'done']);
+      assert.equal(synthesis.events.at(-1).data.historyId, historyId);
+      assert.match(JSON.stringify(mock.requests.at(-1).messages), /> 1000 QPS/);
+
+      const history = await (await fetch(`${app.url}/api/history/${historyId}`)).json();
+      assert.equal(history.status, 'completed');
+      assert.equal(history.result, joinChunks(synthesis.events));
+    });
+
+    it('synthesizes a structured result for format json', async () => {
+      const analysis = await analyze('结构化合成：一键登录');
+      const { sessionId } = analysis.events.at(-1).data;
+
+      mock.enqueue({ content: PM_TO_DEV_RESULT });
+      const { events } = await postSSE(`${app.url}/api/interactive/synthesize`, {
+        sessionId,
+        answers: [],
+        format: 'json'
+      });
+
+      assert.deepEqual(sequence(events), ['connected', 'message', 'done']);
+      assert.equal(events.at(-1).data.result.estimate.complexity, '中等');
+    });
+
+    it('keeps the analyzed record when a format json synthesis misses sections', async () => {
+      const analysis = await analyze('结构化合成：缺少章节');
+      const { sessionId, historyId } = analysis.events.at(-1).data;
+
+      const { events } = await postSSE(`${app.url}/api/interactive/synthesize`, {
+        sessionId,
+        answers: [],
+        format: 'json'
+      });
+
+      assert.deepEqual(sequence(events), ['connected', 'message', 'error']);
+      const history = await (await fetch(`${app.url}/api/history/${historyId}`)).json();
+      assert.equal(history.status, 'analyzed');
+      assert.equal(history.result, '');
+    });
+
+    it('rejects synthesis for an unknown session', async () => {
+      const { status, body } = await postSSE(`${app.url}/api/interactive/synthesize`, {
+        sessionId: 'missing',
+        answers: []
+      });
+      assert.equal(status, 404);
+      assert.ok(body.error);
+    });
+
+    it('rejects answers to questions that were not asked', async () => {
+      const analysis = await analyze('做一个文件上传功能');
+      const { sessionId } = analysis.events.at(-1).data;
+
+      const { status } = await postSSE(`${app.url}/api/interactive/synthesize`, {
+        sessionId,
+        answers: [{ id: 'q9', answer: '随便' }]
+      });
+      assert.equal(status, 400);
+    });
+
+    it('repairs malformed analysis JSON', async () => {
+      mock.enqueue({ content: '好的，以下是分析：{"intent": ' });
+      const { events } = await analyze('修复分析 JSON');
+
+      assert.deepEqual(sequence(events), ['connected', 'message', 'done']);
+      assert.equal(events.at(-1).data.json.direction, 'PM_TO_DEV');
+      assert.equal(mock.requests.length, 2);
+    });
+
+    it('reports an error when the analysis cannot be repaired', async () => {
+      mock.enqueue({ content: 'not json' }, { content: 'still not json' }, { content: '{}' });
+      const { events } = await analyze('无法修复的分析');
+
+      assert.deepEqual(sequence(events), ['connected', 'message', 'error']);
+      assert.match(events.at(-1).data.error, /不符合格式要求/);
+    });
+
+    it('reports an error when the analysis stream disconnects', async () => {
+      mock.enqueue({ disconnect: true });
+      const { events } = await analyze('分析时断开连接');
+
+      assert.deepEqual(sequence(events), ['connected', 'message', 'error']);
+    });
+
+    it('reports an error when synthesis keeps returning 500', async () => {
+      const analysis = await analyze('合成阶段出错');
+      const { sessionId } = analysis.events.at(-1).data;
+
+      mock.enqueue({ status: 500 }, { status: 500 }, { status: 500 });
+      const { events } = await postSSE(`${app.url}/api/interactive/synthesize`, {
+        sessionId,
+        answers: [{ id: 'q1', answer: '< 100 QPS' }]
+      });
+
+      assert.deepEqual(sequence(events), ['connected', 'error']);
+    });
+  });
+});
+
+describe('history', () => {
+  const mock = new MockLlmServer();
+  let app;
+  const ids = {};
+
+  before(async () => {
+    const baseURL = await mock.listen(0);
+    app = await startApp(baseURL);
+
+    const direct = async (direction, content) => {
+      const { events } = await postSSE(`${app.url}/api/direct`, { direction, content });
+      return events.at(-1).data.historyId;
+    };
+    ids.login = await direct('pm-to-dev', '需求：支持手机号一键登录');
+    ids.export = await direct('pm-to-dev', '需求：订单导出 Excel');
+    ids.bug = await direct('dev-to-pm', '线上缓存穿透导致登录接口超时');
+    const analysis = await postSSE(`${app.url}/api/interactive/analyze`, { direction: 'pm-to-dev', content: '需求：会员积分兑换' });
+    ids.points = analysis.events.at(-1).data.historyId;
+  });
+
+  after(async () => {
+    app.child.kill();
+    await mock.close();
+    fs.rmSync(app.workDir, { recursive: true, force: true });
+  });
+
+  async function search(query) {
+    const response = await fetch(`${app.url}/api/history?${query}`);
+    const body = await response.json();
+    return { status: response.status, body, ids: response.ok ? body.items.map(item => item.id) : [] };
+  }
+
+  it('searches the original text and result and filters by direction and mode', async () => {
+    assert.deepEqual((await search('q=' + encodeURIComponent(' 登录 '))).ids.sort(), [ids.login, ids.bug].sort());
+    assert.deepEqual((await search('q=EXCEL')).ids, [ids.export]);
+    assert.deepEqual((await search('direction=dev-to-pm')).ids, [ids.bug]);
+    assert.deepEqual((await search('mode=interactive')).ids, [ids.points]);
+    assert.deepEqual((await search('direction=pm-to-dev&mode=direct&q=需求')).ids.sort(), [ids.login, ids.export].sort());
+
+    const page = await search('limit=2&offset=1');
+    assert.equal(page.body.total, 4);
+    assert.equal(page.ids.length, 2);
+  });
+
+  it('filters by date and counts a date-only upper bound as the whole day', async () => {
+    const day = offset => new Date(Date.now() + offset * 86400000).toISOString().slice(0, 10);
+
+    assert.equal((await search(`from=${day(0)}&to=${day(0)}`)).body.total, 4);
+    assert.equal((await search(`to=${day(-1)}`)).body.total, 0);
+    assert.equal((await search(`from=${day(1)}`)).body.total, 0);
+    assert.equal((await search(`to=${encodeURIComponent(new Date(Date.now() - 3600000).toISOString())}`)).body.total, 0);
+  });
+
+  it('rejects repeated, nested and invalid filters with 400', async () => {
+    for (const query of ['q=a&q=b', 'q[a]=1', 'direction=pm-to-dev&direction=dev-to-pm', 'mode[]=direct', 'to=2024-01-01&to=2024-01-02', 'from=yesterday']) {
+      const { status, body } = await search(query);
+      assert.equal(status, 400, query);
+      assert.ok(body.error, query);
+    }
+  });
+
+  it('deletes single records and clears the rest', async () => {
+    const removed = await fetch(`${app.url}/api/history/${ids.points}`, { method: 'DELETE' });
+    assert.deepEqual(await removed.json(), { deleted: 1 });
+    assert.equal((await fetch(`${app.url}/api/history/${ids.points}`, { method: 'DELETE' })).status, 404);
+
+    const cleared = await fetch(`${app.url}/api/history`, { method: 'DELETE' });
+    assert.deepEqual(await cleared.json(), { deleted: 3 });
+    assert.equal((await search('')).body.total, 0);
+  });
+});
+
+describe('rate limits and budgets', () => {
+  const mock = new MockLlmServer();
+  let app;
+
+  before(async () => {
+    const baseURL = await mock.listen(0);
+    app = await startApp(baseURL, {
+      RATE_LIMIT_DIRECT: '1',
+      CLIENT_DAILY_TOKEN_BUDGET: '1'
+    });
+  });
+
+  after(async () => {
+    app.child.kill();
+    await mock.close();
+    fs.rmSync(app.workDir, { recursive: true, force: true });
+  });
+
+  it('rejects requests over the per-minute limit with Retry-After', async () => {
+    const first = await postSSE(`${app.url}/api/direct`, { direction: 'pm-to-dev', content: '限流第一次' });
+    assert.equal(first.events.at(-1).event, 'done');
+
+    const response = await fetch(`${app.url}/api/direct`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ direction: 'pm-to-dev', content: '限流第二次' })
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 429);
+    assert.match(body.error, /请求过于频繁/);
+    const retryAfter = Number(response.headers.get('retry-after'));
+    assert.ok(retryAfter > 0 && retryAfter <= 60);
+    assert.equal(body.retryAfter, retryAfter);
+    assert.equal(mock.requests.length, 1);
+  });
+
+  it('rejects requests once the client daily budget is spent', async () => {
+    const response = await fetch(`${app.url}/api/interactive/analyze`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ direction: 'pm-to-dev', content: '预算已用完' })
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 429);
+    assert.match(body.error, /你今日的用量已达上限/);
+    assert.ok(Number(response.headers.get('retry-after')) <= 86400);
+    assert.equal(mock.requests.length, 1);
+
+    const budget = JSON.parse(fs.readFileSync(path.join(app.workDir, 'data/budget.json'), 'utf8'));
+    assert.equal(budget.global.calls, 1);
+    assert.equal(Object.values(budget.clients)[0].calls, 1);
+  });
+
+  it('validates the request before counting it', async () => {
+    const response = await fetch(`${app.url}/api/direct`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ direction: 'pm-to-ceo', content: 'x' })
+    });
+    assert.equal(response.status, 400);
+  });
+
+  describe('batch jobs', () => {
+    const batchMock = new MockLlmServer();
+    let batchApp;
+
+    before(async () => {
+      const baseURL = await batchMock.listen(0);
+      batchApp = await startApp(baseURL, { CLIENT_DAILY_TOKEN_BUDGET: '1' });
+    });
+
+    after(async () => {
+      batchApp.child.kill();
+      await batchMock.close();
+      fs.rmSync(batchApp.workDir, { recursive: true, force: true });
+    });
+
+    async function createJob(body) {
+      const response = await fetch(`${batchApp.url}/api/batch`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    }
+
+    it('charges items to the client that created the job', async () => {
+      const created = await createJob({
+        direction: 'pm-to-dev',
+        concurrency: 1,
+        items: [{ content: '批量预算第一条' }, { content: '批量预算第二条' }]
+      });
+      assert.equal(created.status, 202);
+
+      let job;
+      for (let attempt = 0; attempt < 100 && job?.status !== 'completed'; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+        job = await (await fetch(`${batchApp.url}/api/batch/${created.body.id}`)).json();
+      }
+      assert.deepEqual(job.items.map(item => item.status), ['completed', 'failed']);
+      assert.match(job.items[1].error, /你今日的用量已达上限/);
+      assert.equal(batchMock.requests.length, 1);
+
+      const budget = JSON.parse(fs.readFileSync(path.join(batchApp.workDir, 'data/budget.json'), 'utf8'));
+      assert.equal(Object.values(budget.clients)[0].calls, 1);
+
+      const rejected = await createJob({ direction: 'pm-to-dev', items: [{ content: '预算用完后创建' }] });
+      assert.equal(rejected.status, 429);
+      assert.match(rejected.body.error, /你今日的用量已达上限/);
+    });
+  });
+});
+
+describe('model fallback', () => {
+  const primary = new MockLlmServer();
+  const secondary = new MockLlmServer();
+  let app;
+
+  before(async () => {
+    const baseURL = await primary.listen(0);
+    const fallbackURL = await secondary.listen(0);
+    app = await startApp(baseURL, {
+      LLM_FALLBACKS: JSON.stringify([{ model: 'backup-model', baseURL: fallbackURL }])
+    });
+  });
+
+  after(async () => {
+    app.child.kill();
+    await primary.close();
+    await secondary.close();
+    fs.rmSync(app.workDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    primary.reset();
+    secondary.reset();
+  });
+
+  it('serves the request from the fallback endpoint when the primary fails before the first token', async () => {
+    primary.enqueue({ malformed: true });
+    secondary.enqueue({ content: PM_TO_DEV_RESULT });
+
+    const { events } = await postSSE(`${app.url}/api/direct`, { direction: 'pm-to-dev', content: '主模型失败时回退' });
+    assert.deepEqual(sequence(events), ['connected', 'message', 'done']);
+    assert.equal(joinChunks(events), PM_TO_DEV_RESULT);
+
+    assert.equal(primary.requests.length, 1);
+    assert.equal(primary.requests[0].model, 'mock-model');
+    assert.equal(secondary.requests.length, 1);
+    assert.equal(secondary.requests[0].model, 'backup-model');
+
+    const done = events.at(-1).data;
+    assert.equal(done.model, 'backup-model');
+    const history = await (await fetch(`${app.url}/api/history/${done.historyId}`)).json();
+    assert.equal(history.model, 'backup-model');
+
+    const health = await (await fetch(`${app.url}/api/health`)).json();
+    assert.equal(health.models.direct.lastServed.model, 'backup-model');
+    assert.equal(health.models.direct.lastServed.fallback, true);
+  });
+
+  it('does not fall back once the primary has streamed content', async () => {
+    primary.enqueue({ disconnect: true });
+
+    const { events } = await postSSE(`${app.url}/api/direct`, {
+      direction: 'pm-to-dev',
+      content: '主模型输出一部分后断开，需要足够长的输出才能分成多个片段'
+    });
+    assert.deepEqual(sequence(events), ['connected', 'message', 'error']);
+    assert.equal(primary.requests.length, 1);
+    assert.equal(secondary.requests.length, 0);
+  });
+});
+
+describe('authentication and workspaces', () => {
+  const mock = new MockLlmServer();
+  let app;
+  let headerApp;
+
+  before(async () => {
+    const baseURL = await mock.listen(0);
+    app = await startApp(baseURL, {
+      AUTH_MODE: 'local',
+      AUTH_ADMIN_USERNAME: 'admin',
+      AUTH_ADMIN_PASSWORD: 'admin-password',
+      SLACK_SIGNING_SECRET,
+      BOT_TEAM: 'growth'
+    });
+    headerApp = await startApp(baseURL, { AUTH_MODE: 'header', AUTH_ADMINS: 'bob' });
+  });
+
+  after(async () => {
+    [app, headerApp].forEach(item => {
+      item.child.kill();
+      fs.rmSync(item.workDir, { recursive: true, force: true });
+    });
+    await mock.close();
+  });
+
+  async function call(target, method, url, { token, body, headers = {} } = {}) {
+    const response = await fetch(`${target.url}${url}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers
+      },
+      body: body && JSON.stringify(body)
+    });
+    const type = response.headers.get('content-type') || '';
+    return { status: response.status, body: type.includes('json') ? await response.json() : await response.text() };
+  }
+
+  async function login(username, password) {
+    const { status, body } = await call(app, 'POST', '/api/auth/login', { body: { username, password } });
+    assert.equal(status, 200);
+    return body.token;
+  }
+
+  let adminToken;
+  let team;
+  let alice;
+
+  it('requires a login for everything except public endpoints', async () => {
+    assert.equal((await call(app, 'GET', '/api/history')).status, 401);
+    assert.equal((await call(app, 'GET', '/api/health')).status, 200);
+    assert.deepEqual((await call(app, 'GET', '/api/auth/config')).body, { mode: 'local' });
+
+    const wrong = await call(app, 'POST', '/api/auth/login', { body: { username: 'admin', password: 'nope-nope' } });
+    assert.equal(wrong.status, 401);
+
+    adminToken = await login('admin', 'admin-password');
+    const me = await call(app, 'GET', '/api/auth/me', { token: adminToken });
+    assert.equal(me.body.user.role, 'admin');
+    assert.equal(me.body.user.passwordHash, undefined);
+    assert.equal(me.body.workspace.slug, 'default');
+
+    const stored = fs.readFileSync(path.join(app.workDir, 'data/tokens.json'), 'utf8');
+    assert.ok(!stored.includes(adminToken));
+  });
+
+  it('lets admins manage teams and users', async () => {
+    const created = await call(app, 'POST', '/api/admin/teams', { token: adminToken, body: { slug: 'growth', name: '增长组' } });
+    assert.equal(created.status, 201);
+    team = created.body;
+
+    const user = await call(app, 'POST', '/api/admin/users', {
+      token: adminToken,
+      body: { username: 'alice', password: 'alice-password', displayName: 'Alice', teams: ['growth'] }
+    });
+    assert.equal(user.status, 201);
+    assert.deepEqual(user.body.teams, [{ id: team.id, slug: 'growth', name: '增长组' }]);
+    alice = user.body;
+
+    const duplicate = await call(app, 'POST', '/api/admin/users', {
+      token: adminToken,
+      body: { username: 'Alice', password: 'another-password' }
+    });
+    assert.equal(duplicate.status, 409);
+
+    const aliceToken = await login('alice', 'alice-password');
+    assert.equal((await call(app, 'GET', '/api/admin/users', { token: aliceToken })).status, 403);
+  });
+
+  it('scopes history and usage to the team of the API token owner', async () => {
+    const sessionToken = await login('alice', 'alice-password');
+    const issued = await call(app, 'POST', '/api/auth/tokens', { token: sessionToken, body: { name: 'ci' } });
+    assert.equal(issued.status, 201);
+    assert.match(issued.body.token, /^rt_/);
+    const apiToken = issued.body.token;
+
+    const response = await fetch(`${app.url}/api/direct`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${apiToken}` },
+      body: JSON.stringify({ direction: 'pm-to-dev', content: '团队工作区里的需求' })
+    });
+    const { events } = await readSSE(response);
+    const { historyId } = events.at(-1).data;
+
+    const own = await call(app, 'GET', '/api/history', { token: apiToken });
+    assert.deepEqual(own.body.items.map(item => item.id), [historyId]);
+    const record = await call(app, 'GET', `/api/history/${historyId}`, { token: apiToken });
+    assert.equal(record.body.userId, alice.id);
+    assert.equal(record.body.teamId, team.id);
+
+    // 管理员不在该团队：看不到，也不能切换过去
+    assert.equal((await call(app, 'GET', '/api/history', { token: adminToken })).body.total, 0);
+    assert.equal((await call(app, 'GET', `/api/history/${historyId}`, { token: adminToken })).status, 404);
+    const foreign = await call(app, 'GET', '/api/history', { token: adminToken, headers: { 'X-Workspace': 'growth' } });
+    assert.equal(foreign.status, 403);
+
+    const stats = await call(app, 'GET', '/api/stats', { token: apiToken });
+    assert.equal(stats.body.totals.calls, 1);
+    assert.equal(stats.body.byUser[alice.id].calls, 1);
+    const allStats = await call(app, 'GET', `/api/stats?team=growth`, { token: adminToken });
+    assert.equal(allStats.body.byTeam[team.id].calls, 1);
+
+    const revoked = await call(app, 'DELETE', `/api/auth/tokens/${issued.body.id}`, { token: sessionToken });
+    assert.equal(revoked.status, 200);
+    assert.equal((await call(app, 'GET', '/api/history', { token: apiToken })).status, 401);
+  });
+
+  it('lets members leave feedback that only admins can read', async () => {
+    const token = await login('alice', 'alice-password');
+    const response = await fetch(`${app.url}/api/direct`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ direction: 'pm-to-dev', content: '团队成员的反馈' })
+    });
+    const { historyId } = (await readSSE(response)).events.at(-1).data;
+
+    const submitted = await call(app, 'POST', '/api/feedback', { token, body: { historyId, rating: 'down', comment: '没提到灰度' } });
+    assert.equal(submitted.status, 201);
+    // 管理员不在该团队，不能评价该团队的结果
+    assert.equal((await call(app, 'POST', '/api/feedback', { token: adminToken, body: { historyId, rating: 'up' } })).status, 404);
+
+    assert.equal((await call(app, 'GET', '/api/feedback', { token })).status, 403);
+    assert.equal((await call(app, 'GET', '/api/feedback/export', { token })).status, 403);
+    const listed = await call(app, 'GET', `/api/feedback?teamId=${team.id}`, { token: adminToken });
+    assert.equal(listed.body.total, 1);
+    assert.equal(listed.body.items[0].userId, alice.id);
+  });
+
+  it('clears only the history of the current team', async () => {
+    const token = await login('alice', 'alice-password');
+    const direct = async (authToken, content) => {
+      const response = await fetch(`${app.url}/api/direct`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${authToken}` },
+        body: JSON.stringify({ direction: 'pm-to-dev', content })
+      });
+      return (await readSSE(response)).events.at(-1).data.historyId;
+    };
+    const adminRecord = await direct(adminToken, '默认团队的需求');
+    await direct(token, '增长组的需求');
+
+    const teamTotal = (await call(app, 'GET', '/api/history', { token })).body.total;
+    const cleared = await call(app, 'DELETE', '/api/history', { token });
+    assert.deepEqual(cleared.body, { deleted: teamTotal });
+    assert.equal((await call(app, 'GET', '/api/history', { token })).body.total, 0);
+
+    const kept = await call(app, 'GET', '/api/history', { token: adminToken });
+    assert.deepEqual(kept.body.items.map(item => item.id), [adminRecord]);
+  });
+
+  it('files bot translations under the configured team', async () => {
+    const { status } = await postSlackForm(app.url, '/commands', { text: 'pm-to-dev 机器人工作区：积分兑换', team_id: 'T1', user_id: 'U1' });
+    assert.equal(status, 200);
+
+    const token = await login('alice', 'alice-password');
+    // 翻译在后台进行，轮询直到记录出现
+    let history;
+    for (let attempt = 0; attempt < 100 && !history; attempt++) {
+      const listed = await call(app, 'GET', `/api/history?q=${encodeURIComponent('机器人工作区')}`, { token });
+      history = listed.body.total > 0 ? listed.body : null;
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    const record = await call(app, 'GET', `/api/history/${history.items[0].id}`, { token });
+    assert.equal(record.body.teamId, team.id);
+    assert.equal(record.body.model, 'mock-model');
+    assert.equal((await call(app, 'GET', `/api/history/${record.body.id}`, { token: adminToken })).status, 404);
+  });
+
+  it('ends the session on logout', async () => {
+    const token = await login('alice', 'alice-password');
+    assert.equal((await call(app, 'POST', '/api/auth/logout', { token })).status, 200);
+    assert.equal((await call(app, 'GET', '/api/auth/me', { token })).status, 401);
+  });
+
+  it('provisions users and teams from SSO headers', async () => {
+    assert.equal((await call(headerApp, 'GET', '/api/auth/me')).status, 401);
+
+    const me = await call(headerApp, 'GET', '/api/auth/me', {
+      headers: {
+        'X-Forwarded-User': 'bob',
+        'X-Forwarded-Name': encodeURIComponent('鲍勃'),
+        'X-Forwarded-Groups': 'design, mobile'
+      }
+    });
+    assert.equal(me.status, 200);
+    assert.equal(me.body.user.displayName, '鲍勃');
+    assert.equal(me.body.user.role, 'admin');
+    assert.deepEqual(me.body.user.teams.map(item => item.slug), ['design', 'mobile']);
+    assert.equal(me.body.workspace.slug, 'design');
+
+    const mobile = await call(headerApp, 'GET', '/api/history', {
+      headers: { 'X-Forwarded-User': 'bob', 'X-Forwarded-Groups': 'design,mobile', 'X-Workspace': 'mobile' }
+    });
+    assert.equal(mobile.status, 200);
+  });
+});
+
+describe('prompt templates', () => {
+  const mock = new MockLlmServer();
+  const TEMPLATES_SOURCE = path.join(__dirname, '../server/prompts/templates');
+  let templatesDir;
+  let app;
+
+  /**
+   * 当前生效的模板版本 ID
+   */
+  async function activeVersion() {
+    return (await (await fetch(`${app.url}/api/health`)).json()).prompts.version;
+  }
+
+  before(async () => {
+    const baseURL = await mock.listen(0);
+    templatesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'role-translator-prompts-'));
+    fs.cpSync(TEMPLATES_SOURCE, templatesDir, { recursive: true });
+    app = await startApp(baseURL, { PROMPT_TEMPLATES_DIR: templatesDir });
+  });
+
+  after(async () => {
+    app.child.kill();
+    await mock.close();
+    fs.rmSync(app.workDir, { recursive: true, force: true });
+    fs.rmSync(templatesDir, { recursive: true, force: true });
+  });
+
+  /**
+   * 轮询健康检查，直到版本 ID 满足条件
+   */
+  async function waitForVersion(predicate, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      const version = await activeVersion();
+      if (predicate(version)) {
+        return version;
+      }
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error('等待模板重新加载超时');
+  }
+
+  /**
+   * 轮询日志文件，直到内容满足条件
+   */
+  function waitForLog(predicate) {
+    const logDir = path.join(app.workDir, 'logs');
+    return waitFor(() => {
+      const text = fs.readdirSync(logDir).map(file => fs.readFileSync(path.join(logDir, file), 'utf8')).join('');
+      return predicate(text) && text;
+    });
+  }
+
+  beforeEach(() => mock.reset());
+
+  it('stamps the active version into history records and log entries', async () => {
+    const version = await activeVersion();
+    assert.match(version, /^v1@[0-9a-f]{8}$/);
+
+    const { events } = await postSSE(`${app.url}/api/direct`, { direction: 'qa-to-dev', content: '版本戳：导出按钮无响应' });
+    const record = await (await fetch(`${app.url}/api/history/${events.at(-1).data.historyId}`)).json();
+    assert.equal(record.promptVersion, version);
+
+    const log = await waitForLog(text => text.includes(`Prompt Version: ${version}`));
+    assert.ok(log.includes(`[LLM_CALL] [prompt:${version}]`));
+  });
+
+  it('hot-reloads edited templates', async () => {
+    const previous = await activeVersion();
+    const file = path.join(templatesDir, 'v1/qaToDev/direct.md');
+    fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace('# Role', '# Role\n热更新标记：先写结论。'));
+
+    const version = await waitForVersion(version => version !== previous);
+    assert.match(version, /^v1@/);
+
+    const { events } = await postSSE(`${app.url}/api/direct`, { direction: 'qa-to-dev', content: '热更新：列表页白屏' });
+    assert.match(mock.requests.at(-1).messages[0].content, /热更新标记：先写结论。/);
+    const record = await (await fetch(`${app.url}/api/history/${events.at(-1).data.historyId}`)).json();
+    assert.equal(record.promptVersion, version);
+  });
+
+  it('misses the cache after an edit to a user message template', async () => {
+    const direct = () => postSSE(`${app.url}/api/direct`, { direction: 'qa-to-dev', content: '缓存：用户消息模板修改' });
+    const analyze = () => postSSE(`${app.url}/api/interactive/analyze`, { direction: 'qa-to-dev', content: '缓存：用户消息模板修改' });
+    await direct();
+    await analyze();
+    await direct();
+    await analyze();
+    assert.equal(mock.requests.length, 2);
+
+    // 在模板开头加一行标记，返回重新加载后的版本 ID
+    async function edit(name) {
+      const previous = await activeVersion();
+      const file = path.join(templatesDir, 'v1', name);
+      fs.writeFileSync(file, `用户模板标记：${name}\n${fs.readFileSync(file, 'utf8')}`);
+      return waitForVersion(value => value !== previous);
+    }
+
+    const version = await edit('shared/direct-user.md');
+    const { events } = await direct();
+    assert.equal(mock.requests.length, 3);
+    assert.match(mock.requests.at(-1).messages[1].content, /用户模板标记：shared\/direct-user.md/);
+    const record = await (await fetch(`${app.url}/api/history/${events.at(-1).data.historyId}`)).json();
+    assert.equal(record.promptVersion, version);
+
+    await edit('qaToDev/analysis-user.md');
+    await analyze();
+    assert.equal(mock.requests.length, 4);
+    assert.match(mock.requests.at(-1).messages[1].content, /用户模板标记：qaToDev\/analysis-user.md/);
+  });
+
+  it('keeps the last good version when an edit fails validation', async () => {
+    const previous = await activeVersion();
+    const file = path.join(templatesDir, 'v1/qaToDev/direct.md');
+    const valid = fs.readFileSync(file, 'utf8');
+    fs.writeFileSync(file, valid.replace('{{outputStructure}}', '{{outputStucture}}'));
+
+    const log = await waitForLog(text => text.includes('[PROMPT_RELOAD]') && text.includes('未知变量 {{outputStucture}}'));
+    assert.ok(log);
+    assert.equal(await activeVersion(), previous);
+
+    await postSSE(`${app.url}/api/direct`, { direction: 'qa-to-dev', content: '校验失败后继续使用旧模板' });
+    assert.match(mock.requests.at(-1).messages[0].content, /# Output Structure/);
+  });
+
+  it('refuses to start with invalid templates', () => {
+    const brokenDir = fs.mkdtempSync(path.join(os.tmpdir(), 'role-translator-prompts-'));
+    fs.cpSync(TEMPLATES_SOURCE, brokenDir, { recursive: true });
+    fs.rmSync(path.join(brokenDir, 'v1/pmToDev/analysis.md'));
+
+    const result = spawnSync(process.execPath, ['-e', `require(${JSON.stringify(PROMPTS_ENTRY)})`], {
+      env: { PATH: process.env.PATH, PROMPT_TEMPLATES_DIR: brokenDir, LOG_DIR: path.join(brokenDir, 'logs'), LOG_CONSOLE: 'false' },
+      encoding: 'utf8',
+      timeout: 10000
+    });
+    fs.rmSync(brokenDir, { recursive: true, force: true });
+
+    assert.notEqual(result.status, 0);
+    assert.match(result.stderr, /pmToDev\/analysis: 模板文件不存在/);
+  });
+});
+
+describe('prompt experiments', () => {
+  const mock = new MockLlmServer();
+  const TEMPLATES_SOURCE = path.join(__dirname, '../server/prompts/templates');
+  const MARKER = '实验变体标记：先给结论。';
+  let templatesDir;
+  let app;
+  let experiment;
+
+  before(async () => {
+    const baseURL = await mock.listen(0);
+    // v2 为 v1 的副本，仅在 pm-to-dev 直出提示词中加入标记
+    templatesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'role-translator-prompts-'));
+    fs.cpSync(path.join(TEMPLATES_SOURCE, 'v1'), path.join(templatesDir, 'v1'), { recursive: true });
+    fs.cpSync(path.join(TEMPLATES_SOURCE, 'v1'), path.join(templatesDir, 'v2'), { recursive: true });
+    const file = path.join(templatesDir, 'v2/pmToDev/direct.md');
+    fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace('# Role', `# Role\n${MARKER}`));
+
+    app = await startApp(baseURL, { PROMPT_TEMPLATES_DIR: templatesDir, PROMPT_VERSION: 'v1' });
+  });
+
+  after(async () => {
+    app.child.kill();
+    await mock.close();
+    fs.rmSync(app.workDir, { recursive: true, force: true });
+    fs.rmSync(templatesDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => mock.reset());
+
+  function createExperiment(body) {
+    return fetch(`${app.url}/api/experiments`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+  }
+
+  /**
+   * 以指定浏览器会话发起直出翻译，返回历史记录与发给模型的 System Prompt
+   */
+  async function directAs(sessionId, content) {
+    const response = await fetch(`${app.url}/api/direct`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Session-Id': sessionId },
+      body: JSON.stringify({ direction: 'pm-to-dev', content })
+    });
+    const { events } = await readSSE(response);
+    const record = await (await fetch(`${app.url}/api/history/${events.at(-1).data.historyId}`)).json();
+    return { record, systemPrompt: mock.requests.at(-1).messages[0].content };
+  }
+
+  function postOutcome(id, body) {
+    return fetch(`${app.url}/api/history/${id}/outcomes`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+  }
+
+  async function report() {
+    return (await fetch(`${app.url}/api/experiments/${experiment.id}/report`)).json();
+  }
+
+  it('validates experiments and allows one running experiment per direction and mode', async () => {
+    const missing = await createExperiment({
+      name: '不存在的版本',
+      direction: 'pm-to-dev',
+      mode: 'direct',
+      variants: [{ id: 'control' }, { id: 'broken', version: 'v9' }]
+    });
+    assert.equal(missing.status, 400);
+    assert.match((await missing.json()).error, /broken 的提示词版本不可用/);
+
+    const single = await createExperiment({ name: '单变体', direction: 'pm-to-dev', mode: 'direct', variants: [{ id: 'control' }] });
+    assert.equal(single.status, 400);
+
+    const created = await createExperiment({
+      name: '直出先给结论',
+      direction: 'pm-to-dev',
+      mode: 'direct',
+      stickiness: 'session',
+      variants: [{ id: 'control' }, { id: 'concise', version: 'v2' }]
+    });
+    assert.equal(created.status, 201);
+    experiment = await created.json();
+    assert.equal(experiment.status, 'running');
+    assert.equal(experiment.runs, 0);
+    assert.equal(experiment.stats, undefined);
+
+    const conflict = await createExperiment({
+      name: '重复的实验',
+      direction: 'pm-to-dev',
+      mode: 'direct',
+      variants: [{ id: 'a' }, { id: 'b', version: 'v2' }]
+    });
+    assert.equal(conflict.status, 409);
+  });
+
+  it('assigns sessions to sticky variants and renders the variant prompt version', async () => {
+    const seen = {};
+    for (let index = 0; index < 12 && Object.keys(seen).length < 2; index++) {
+      const sessionId = `session-${index}`;
+      const first = await directAs(sessionId, `实验分配 ${index}：导出增加筛选`);
+      const again = await directAs(sessionId, `实验分配 ${index}：导出增加排序`);
+
+      assert.equal(first.record.experiment.id, experiment.id);
+      assert.equal(again.record.experiment.variant, first.record.experiment.variant);
+
+      const treated = first.record.experiment.variant === 'concise';
+      assert.equal(first.systemPrompt.includes(MARKER), treated);
+      assert.match(first.record.promptVersion, treated ? /^v2@/ : /^v1@/);
+      seen[first.record.experiment.variant] = first.record;
+    }
+    assert.deepEqual(Object.keys(seen).sort(), ['concise', 'control']);
+
+    // 其他方向不参与实验
+    const { events } = await postSSE(`${app.url}/api/direct`, { direction: 'qa-to-dev', content: '实验外：登录失败' });
+    const other = await (await fetch(`${app.url}/api/history/${events.at(-1).data.historyId}`)).json();
+    assert.equal(other.experiment, null);
+
+    const { variants, totalRuns } = await report();
+    assert.equal(totalRuns, variants[0].runs + variants[1].runs);
+    assert.ok(variants.every(variant => variant.runs >= 2));
+  });
+
+  it('counts each outcome once per result and keeps the latest rating', async () => {
+    const { record } = await directAs('session-outcomes', '实验信号：订单列表支持批量导出');
+    const variant = record.experiment.variant;
+    const before = (await report()).variants.find(item => item.id === variant);
+
+    assert.equal((await postOutcome(record.id, { type: 'copied' })).status, 200);
+    const copied = await (await postOutcome(record.id, { type: 'copied' })).json();
+    assert.equal(copied.outcomes.copied, 2);
+
+    await postOutcome(record.id, { type: 'rated', rating: 'up' });
+    const rated = await (await postOutcome(record.id, { type: 'rated', rating: 'down' })).json();
+    assert.equal(rated.outcomes.rating, 'down');
+
+    assert.equal((await postOutcome(record.id, { type: 'shared' })).status, 400);
+    assert.equal((await postOutcome(record.id, { type: 'rated' })).status, 400);
+    assert.equal((await postOutcome('missing', { type: 'copied' })).status, 404);
+
+    const refine = await fetch(`${app.url}/api/refine`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        direction: 'pm-to-dev',
+        originalText: record.originalText,
+        result: record.result,
+        instruction: '更简短',
+        historyId: record.id
+      })
+    });
+    await readSSE(refine);
+    const refined = await (await fetch(`${app.url}/api/history/${record.id}`)).json();
+    assert.equal(refined.outcomes.refined, 1);
+    // 追问修改沿用变体的提示词版本
+    assert.equal(refined.promptVersion, record.promptVersion);
+
+    const after = (await report()).variants.find(item => item.id === variant);
+    assert.equal(after.signals.copied.count, before.signals.copied.count + 1);
+    assert.equal(after.signals.refined.count, before.signals.refined.count + 1);
+    assert.equal(after.rating.up, before.rating.up);
+    assert.equal(after.rating.down, before.rating.down + 1);
+    assert.equal(after.signals.copied.rate, Number((after.signals.copied.count / after.runs).toFixed(4)));
+  });
+
+  it('compares variants with the control and stops assigning when stopped', async () => {
+    const { control, variants } = await report();
+    assert.equal(control, 'control');
+    assert.equal(variants[0].comparedToControl, undefined);
+    assert.deepEqual(Object.keys(variants[1].comparedToControl).sort(), ['copied', 'exported', 'refined', 'regenerated']);
+
+    const stopped = await fetch(`${app.url}/api/experiments/${experiment.id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ status: 'stopped' })
+    });
+    assert.equal((await stopped.json()).status, 'stopped');
+
+    const { record, systemPrompt } = await directAs('session-stopped', '实验结束：分享链接过期');
+    assert.equal(record.experiment, null);
+    assert.ok(!systemPrompt.includes(MARKER));
+  });
+});
+
+describe('result feedback', () => {
+  const mock = new MockLlmServer();
+  let app;
+
+  before(async () => {
+    const baseURL = await mock.listen(0);
+    app = await startApp(baseURL);
+  });
+
+  after(async () => {
+    app.child.kill();
+    await mock.close();
+    fs.rmSync(app.workDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => mock.reset());
+
+  function post(url, body, headers = {}) {
+    return fetch(`${app.url}${url}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body)
+    });
+  }
+
+  /**
+   * 跑一次智能补齐，返回完成后的历史记录
+   */
+  async function interactiveRecord(content) {
+    const analysis = await postSSE(`${app.url}/api/interactive/analyze`, { direction: 'pm-to-dev', content });
+    const { sessionId, historyId } = analysis.events.at(-1).data;
+    mock.enqueue({ content: PM_TO_DEV_RESULT });
+    await postSSE(`${app.url}/api/interactive/synthesize`, { sessionId, answers: [{ id: 'q1', answer: '首期只做安卓' }] });
+    return (await fetch(`${app.url}/api/history/${historyId}`)).json();
+  }
+
+  it('stores whole-result and section feedback with a snapshot of the run', async () => {
+    const record = await interactiveRecord('反馈快照：手机号一键登录');
+
+    const whole = await post('/api/feedback', { historyId: record.id, rating: 'down' });
+    assert.equal(whole.status, 201);
+    const wholeBody = await whole.json();
+    assert.equal(wholeBody.section, null);
+
+    const section = await post('/api/feedback', { historyId: record.id, rating: 'down', sectionIndex: 3, comment: '漏了运营商 SDK 接入的人天' });
+    assert.equal(section.status, 201);
+    assert.equal((await section.json()).section, '⏳ 粗估建议');
+
+    // 同一人再次评价整个结果时覆盖之前的反馈
+    const updated = await post('/api/feedback', { historyId: record.id, rating: 'up', comment: '整体可用' });
+    assert.equal(updated.status, 200);
+    assert.equal((await updated.json()).id, wholeBody.id);
+
+    const history = await (await fetch(`${app.url}/api/history/${record.id}`)).json();
+    assert.equal(history.outcomes.rating, 'up');
+
+    const list = await (await fetch(`${app.url}/api/feedback?scope=section`)).json();
+    assert.equal(list.total, 1);
+    const [item] = list.items;
+    assert.equal(item.historyId, record.id);
+    assert.equal(item.originalText, '反馈快照：手机号一键登录');
+    assert.deepEqual(item.answers, [{ id: 'q1', answer: '首期只做安卓' }]);
+    assert.equal(item.analysisJson.direction, 'PM_TO_DEV');
+    assert.equal(item.model, record.model);
+    assert.equal(item.promptVersion, record.promptVersion);
+    assert.match(item.sectionText, /基准人天/);
+    assert.equal(item.result, PM_TO_DEV_RESULT);
+    assert.equal(item.client, undefined);
+  });
+
+  it('validates feedback', async () => {
+    const { events } = await postSSE(`${app.url}/api/direct`, { direction: 'qa-to-dev', content: '反馈校验：上传失败' });
+    const { historyId } = events.at(-1).data;
+
+    assert.equal((await post('/api/feedback', { historyId: 'missing', rating: 'up' })).status, 404);
+    assert.equal((await post('/api/feedback', { historyId, rating: 'meh' })).status, 400);
+    assert.equal((await post('/api/feedback', { historyId, rating: 'up', sectionIndex: 99 })).status, 400);
+    assert.equal((await post('/api/feedback', { historyId, rating: 'up', comment: 'x'.repeat(1001) })).status, 400);
+  });
+
+  it('filters feedback and exports CSV', async () => {
+    const record = await interactiveRecord('反馈导出：订单导出 "=SUM(A1)"');
+    await post('/api/feedback', { historyId: record.id, rating: 'down', sectionIndex: 0, comment: '=一句话太长' });
+
+    const filtered = await (await fetch(`${app.url}/api/feedback?rating=down&hasComment=true&q=${encodeURIComponent('订单导出')}`)).json();
+    assert.equal(filtered.total, 1);
+    assert.deepEqual(filtered.counts, { up: 0, down: 1 });
+
+    const version = record.promptVersion.split('@')[0];
+    const byVersion = await (await fetch(`${app.url}/api/feedback?promptVersion=${version}`)).json();
+    assert.ok(byVersion.total >= 1);
+    assert.equal((await fetch(`${app.url}/api/feedback?rating=meh`)).status, 400);
+
+    const response = await fetch(`${app.url}/api/feedback/export?rating=down&q=${encodeURIComponent('订单导出')}`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/csv/);
+    assert.match(response.headers.get('content-disposition'), /feedback-\d{4}-\d{2}-\d{2}\.csv/);
+    const csv = await response.text();
+    const lines = csv.replace(/^\uFEFF/, '').split('\r\n');
+    assert.match(lines[0], /^createdAt,id,historyId,rating,section,comment,/);
+    assert.ok(csv.includes(`,down,🚀 一句话同步,'=一句话太长,`));
+    assert.ok(csv.includes('"反馈导出：订单导出 ""=SUM(A1)"""'));
+
+    await post('/api/feedback', { historyId: record.id, rating: 'up', sectionIndex: 1, comment: '-2+3' });
+    const upCsv = await (await fetch(`${app.url}/api/feedback/export?rating=up&q=${encodeURIComponent('订单导出')}`)).text();
+    assert.ok(upCsv.includes(`,up,💬 给开发发的群消息,'-2+3,`));
+
+    const [item] = filtered.items;
+    assert.equal((await fetch(`${app.url}/api/feedback/${item.id}`, { method: 'DELETE' })).status, 200);
+    assert.equal((await fetch(`${app.url}/api/feedback/${item.id}`, { method: 'DELETE' })).status, 404);
+  });
+});
+
+describe('output structure conformance', () => {
+  const mock = new MockLlmServer();
+  let app;
+
+  before(async () => {
+    const baseURL = await mock.listen(0);
+    app = await startApp(baseURL, { SECTION_REPAIR: 'true' });
+  });
+
+  after(async () => {
+    app.child.kill();
+    await mock.close();
+    fs.rmSync(app.workDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => mock.reset());
+
+  it('regenerates only the broken sections and reports them in the done event', async () => {
+    const broken = PM_TO_DEV_RESULT
+      .replace('减少注册流失\n---', '减少注册流失')
+      .replace(/\n- \*\*基准人天\*\*.*$/, '');
+    mock.enqueue({ content: broken }, {
+      content: `## 💬 给开发发的群消息
+---
+@开发 一键登录需求，取号失败降级为验证码
+---
+
+## ⏳ 粗估建议
+- **复杂度**：中等
+- **基准人天**：3-5人天`
+    });
+
+    const { events } = await postSSE(`${app.url}/api/direct`, {
+      direction: 'pm-to-dev',
+      content: '章节修复：手机号一键登录',
+      format: 'json',
+      noCache: true
+    });
+
+    assert.equal(joinChunks(events), broken);
+    const done = events.at(-1);
+    assert.equal(done.event, 'done');
+    assert.equal(done.data.conformance.conforming, true);
+    assert.deepEqual(done.data.conformance.repaired, ['💬 给开发发的群消息', '⏳ 粗估建议']);
+    assert.ok(done.data.conformance.sections.every(section => section.status === 'ok'));
+    assert.match(done.data.markdown, /^## 🚀 一句话同步\n手机号一键登录，提升注册转化/);
+    assert.match(done.data.markdown, /## 🛠 技术视角解构\n- \*\*数据\/埋点\*\*/);
+    assert.equal(done.data.result.imMessage, '@开发 一键登录需求，取号失败降级为验证码');
+    assert.equal(done.data.result.estimate.baselineDays, '3-5人天');
+
+    // 修复调用在原对话后追加上一次结果与只针对问题章节的指令
+    assert.equal(mock.requests.length, 2);
+    const [first, repair] = mock.requests;
+    assert.equal(repair.stream, undefined);
+    assert.deepEqual(repair.messages.slice(0, 2), first.messages);
+    assert.equal(repair.messages[2].content, broken);
+    const instruction = repair.messages[3].content;
+    assert.match(instruction, /「💬 给开发发的群消息」：群消息缺少 --- 分隔线/);
+    assert.match(instruction, /「⏳ 粗估建议」：缺少「基准人天」/);
+    assert.match(instruction, /- \*\*基准人天\*\*：\[如：3-5人天/);
+    assert.doesNotMatch(instruction, /## 🛠/);
+
+    const record = await (await fetch(`${app.url}/api/history/${done.data.historyId}`)).json();
+    assert.equal(record.result, done.data.markdown);
+    assert.deepEqual(record.conformance, done.data.conformance);
+  });
+
+  it('replays the repaired result and report from the cache without calling the model', async () => {
+    const broken = PM_TO_DEV_RESULT.replace(/\n- \*\*基准人天\*\*.*$/, '');
+    mock.enqueue({ content: broken }, {
+      content: `## ⏳ 粗估建议
+- **复杂度**：中等
+- **基准人天**：3-5人天`
+    });
+    const body = { direction: 'pm-to-dev', content: '章节修复：缓存回放' };
+
+    const first = (await postSSE(`${app.url}/api/direct`, body)).events.at(-1).data;
+    assert.deepEqual(first.conformance.repaired, ['⏳ 粗估建议']);
+    assert.equal(mock.requests.length, 2);
+
+    const { events } = await postSSE(`${app.url}/api/direct`, body);
+    const cached = events.at(-1).data;
+    assert.equal(mock.requests.length, 2);
+    assert.deepEqual(cached.conformance, first.conformance);
+    assert.match(joinChunks(events), /- \*\*基准人天\*\*：3-5人天/);
+  });
+
+  it('keeps the original result when the repair does not fix anything', async () => {
+    const analysis = await postSSE(`${app.url}/api/interactive/analyze`, { direction: 'pm-to-dev', content: '章节修复：积分系统' });
+    const { sessionId } = analysis.events.at(-1).data;
+    const truncated = PM_TO_DEV_RESULT.replace(/\n## ⏳ 粗估建议[\s\S]*$/, '');
+    mock.enqueue({ content: truncated }, { content: '抱歉，我无法补充。' });
+
+    const { events } = await postSSE(`${app.url}/api/interactive/synthesize`, { sessionId, answers: [] });
+
+    const { data } = events.at(-1);
+    assert.equal(data.markdown, undefined);
+    assert.equal(data.conformance.conforming, false);
+    assert.deepEqual(data.conformance.repaired, []);
+    assert.deepEqual(data.conformance.sections.at(-1), { heading: '⏳ 粗估建议', status: 'missing', problems: ['缺少章节'] });
+    assert.equal(mock.requests.at(-1).messages.at(-2).content, truncated);
+
+    const record = await (await fetch(`${app.url}/api/history/${data.historyId}`)).json();
+    assert.equal(record.result, truncated);
+  });
+
+  it('does not call the model again for conforming results', async () => {
+    mock.enqueue({ content: PM_TO_DEV_RESULT });
+    const { events } = await postSSE(`${app.url}/api/direct`, { direction: 'pm-to-dev', content: '章节修复：无需修复', noCache: true });
+
+    const { data } = events.at(-1);
+    assert.equal(mock.requests.length, 1);
+    assert.equal(data.conformance.conforming, true);
+    assert.deepEqual(data.conformance.repaired, []);
+    assert.equal(data.markdown, undefined);
+  });
+});
+
+describe('round-trip fidelity', () => {
+  const mock = new MockLlmServer();
+  let app;
+
+  before(async () => {
+    const baseURL = await mock.listen(0);
+    app = await startApp(baseURL);
+  });
+
+  after(async () => {
+    app.child.kill();
+    await mock.close();
+    fs.rmSync(app.workDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => mock.reset());
+
+  function checkFidelity(historyId) {
+    return fetch(`${app.url}/api/fidelity`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ historyId })
+    });
+  }
+
+  async function directRecord(direction, content) {
+    const { events } = await postSSE(`${app.url}/api/direct`, { direction, content, noCache: true });
+    return events.at(-1).data.historyId;
+  }
+
+  it('back-translates with the reverse prompt and reports the drift', async () => {
+    const { roles } = await (await fetch(`${app.url}/api/roles`)).json();
+    assert.equal(roles.find(role => role.id === 'pm-to-dev').reverse, 'dev-to-pm');
+    assert.equal(roles.find(role => role.id === 'qa-to-dev').reverse, null);
+
+    mock.enqueue({ content: PM_TO_DEV_RESULT });
+    const historyId = await directRecord('pm-to-dev', '往返校验：希望用户可以用手机号一键登录，海外手机号也要支持');
+
+    const backTranslation = '## 🚀 一句话同步\n支持手机号一键登录，取号失败时降级为验证码';
+    mock.enqueue({ content: backTranslation }, {
+      content: JSON.stringify({
+        dropped: [{ fact: '需要支持海外手机号', evidence: '海外手机号也要支持' }],
+        added: [{ assumption: '取号失败降级为验证码', evidence: '取号失败降级为验证码' }, { assumption: '' }],
+        summary: '漏掉了海外手机号'
+      })
+    });
+
+    const response = await checkFidelity(historyId);
+    assert.equal(response.status, 200);
+    const { fidelity } = await response.json();
+    assert.equal(fidelity.reverseDirection, 'dev-to-pm');
+    assert.equal(fidelity.backTranslation, backTranslation);
+    assert.equal(fidelity.score, 80);
+    assert.deepEqual(fidelity.dropped, [{ fact: '需要支持海外手机号', evidence: '海外手机号也要支持' }]);
+    assert.deepEqual(fidelity.added, [{ assumption: '取号失败降级为验证码', evidence: '取号失败降级为验证码' }]);
+    assert.deepEqual(fidelity.contradictions, []);
+    assert.equal(fidelity.summary, '漏掉了海外手机号');
+
+    // 回译使用反向方向的直出提示词，只提供翻译结果
+    const [, back, compare] = mock.requests;
+    const devToPm = roles.find(role => role.id === 'dev-to-pm');
+    assert.match(back.messages[1].content, new RegExp(`以下是${devToPm.source.label}的原始描述`));
+    assert.ok(back.messages[1].content.includes(PM_TO_DEV_RESULT));
+    assert.doesNotMatch(back.messages[1].content, /海外手机号/);
+    assert.equal(compare.response_format.type, 'json_object');
+    assert.equal(compare.temperature, 0);
+    assert.match(compare.messages[1].content, /\[原文\]:\n---\n往返校验：希望用户可以用手机号一键登录/);
+    assert.ok(compare.messages[1].content.includes(backTranslation));
+
+    const record = await (await fetch(`${app.url}/api/history/${historyId}`)).json();
+    assert.deepEqual(record.fidelity, fidelity);
+
+    // 追问修改后结果变化，校验报告随之清除
+    await postSSE(`${app.url}/api/refine`, {
+      direction: 'pm-to-dev',
+      originalText: record.originalText,
+      result: record.result,
+      instruction: '补上海外手机号',
+      historyId
+    });
+    assert.equal((await (await fetch(`${app.url}/api/history/${historyId}`)).json()).fidelity, null);
+  });
+
+  it('rejects directions without a reverse, unknown records and invalid comparisons', async () => {
+    const qaRecord = await directRecord('qa-to-dev', '往返校验：上传失败');
+    const unsupported = await checkFidelity(qaRecord);
+    assert.equal(unsupported.status, 400);
+    assert.match((await unsupported.json()).error, /没有反向翻译/);
+
+    assert.equal((await checkFidelity('missing')).status, 404);
+
+    const historyId = await directRecord('dev-to-pm', '往返校验：重构了订单服务的缓存层');
+    mock.enqueue({ content: '回译' }, { content: '无法比对' });
+    const invalid = await checkFidelity(historyId);
+    assert.equal(invalid.status, 502);
+    assert.match((await invalid.json()).error, /比对结果不是有效的 JSON/);
+    assert.equal((await (await fetch(`${app.url}/api/history/${historyId}`)).json()).fidelity, null);
+  });
+});